@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Barre d'actions groupées sur les tâches sélectionnées.
+ * Change le statut, la priorité ou la liste des tâches cochées, ou les place dans la corbeille,
+ * en une seule requête (POST /api/taches/lot). Les tâches refusées sont listées avec leur motif.
+ * @module components/BarreActionsLot
+ */
+
+import React, { useState } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @function BarreActionsLot
+ * @description Actions groupées sur une sélection de tâches.
+ * @param {Object} props - Props du composant.
+ * @param {string[]} props.selection - UUID des tâches sélectionnées.
+ * @param {Array} props.taches - Tâches affichées (titres des tâches en échec).
+ * @param {Array} props.listes - Listes de l'utilisateur.
+ * @param {Function} props.onTermine - Callback appelé après le traitement, avec les UUID des tâches en échec.
+ * @param {Function} props.onDeselectionner - Callback pour vider la sélection.
+ * @returns {JSX.Element} Le composant BarreActionsLot.
+ */
+function BarreActionsLot({ selection, taches, listes, onTermine, onDeselectionner }) {
+  /** @type {boolean} Traitement en cours */
+  const [traitement, setTraitement] = useState(false);
+
+  /** @type {Array} Tâches refusées lors du dernier traitement {id, error} */
+  const [echecs, setEchecs] = useState([]);
+
+  /** @type {string|null} Message d'erreur global */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function executer
+   * @description Envoie l'opération groupée puis signale les tâches refusées.
+   * @param {string} operation - MODIFIER, DEPLACER ou SUPPRIMER.
+   * @param {Object} [options] - {donnees} ou {liste_id}.
+   */
+  const executer = async (operation, options) => {
+    setTraitement(true);
+    setErreur(null);
+    setEchecs([]);
+    try {
+      const response = await taskService.traiterLot(selection, operation, options);
+      const refusees = response.data.resultats.filter((resultat) => !resultat.success);
+      setEchecs(refusees);
+      await onTermine(refusees.map((resultat) => resultat.id));
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'action groupée.');
+    } finally {
+      setTraitement(false);
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Place les tâches sélectionnées dans la corbeille après confirmation.
+   */
+  const supprimer = () => {
+    if (!window.confirm(`Placer ${selection.length} tâche(s) dans la corbeille ? Elles pourront être restaurées.`)) return;
+    executer('SUPPRIMER');
+  };
+
+  /**
+   * @function titreTache
+   * @description Titre d'une tâche affichée, à défaut son identifiant.
+   * @param {string} id - UUID de la tâche.
+   * @returns {string} Titre de la tâche.
+   */
+  const titreTache = (id) => taches.find((tache) => tache.id === id)?.titre || id;
+
+  const classeSelect = 'text-xs border border-blue-200 rounded-md px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 outline-none disabled:opacity-50';
+
+  return (
+    <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-blue-800 mr-2">
+          {selection.length} tâche(s) sélectionnée(s)
+        </span>
+
+        <select
+          value=""
+          disabled={traitement}
+          onChange={(e) => e.target.value && executer('MODIFIER', { donnees: { statut: e.target.value } })}
+          className={classeSelect}
+          aria-label="Changer le statut"
+        >
+          <option value="">Statut...</option>
+          <option value="A_FAIRE">À faire</option>
+          <option value="EN_COURS">En cours</option>
+          <option value="TERMINEE">Terminée</option>
+        </select>
+
+        <select
+          value=""
+          disabled={traitement}
+          onChange={(e) => e.target.value && executer('MODIFIER', { donnees: { priorite: e.target.value } })}
+          className={classeSelect}
+          aria-label="Changer la priorité"
+        >
+          <option value="">Priorité...</option>
+          <option value="BASSE">Basse</option>
+          <option value="MOYENNE">Moyenne</option>
+          <option value="HAUTE">Haute</option>
+          <option value="URGENTE">Urgente</option>
+        </select>
+
+        <select
+          value=""
+          disabled={traitement}
+          onChange={(e) => e.target.value && executer('DEPLACER', { liste_id: e.target.value === 'AUCUNE' ? null : e.target.value })}
+          className={classeSelect}
+          aria-label="Déplacer vers une liste"
+        >
+          <option value="">Déplacer vers...</option>
+          <option value="AUCUNE">Aucune liste</option>
+          {listes.map((liste) => (
+            <option key={liste.id} value={liste.id}>{liste.nom}</option>
+          ))}
+        </select>
+
+        <button
+          onClick={supprimer}
+          disabled={traitement}
+          className="px-3 py-1 text-xs font-medium text-red-700 bg-white border border-red-200 hover:bg-red-50 disabled:opacity-50 rounded-md transition-colors"
+        >
+          Corbeille
+        </button>
+
+        <button
+          onClick={onDeselectionner}
+          disabled={traitement}
+          className="ml-auto text-xs text-blue-600 hover:text-blue-800"
+        >
+          Désélectionner
+        </button>
+      </div>
+
+      {erreur && <p className="mt-2 text-xs text-red-600">{erreur}</p>}
+
+      {echecs.length > 0 && (
+        <div className="mt-2 text-xs text-red-700">
+          <p className="font-medium">{echecs.length} tâche(s) non modifiée(s) :</p>
+          <ul className="list-disc pl-5">
+            {echecs.map((echec) => (
+              <li key={echec.id}>{titreTache(echec.id)} — {echec.error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BarreActionsLot;
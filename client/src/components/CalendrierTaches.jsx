@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Vue calendrier des tâches, au mois ou à la semaine.
+ * Les tâches sont placées sur leur jour d'échéance (GET /api/taches/calendrier) ; les tâches en retard
+ * et terminées sont signalées. Glisser une tâche sur un autre jour modifie son échéance.
+ * @module components/CalendrierTaches
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import taskService from '../services/taskService';
+
+/** @type {string[]} En-têtes des colonnes, du lundi au dimanche */
+const NOMS_JOURS = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
+
+/**
+ * @function versChaine
+ * @description Date locale au format YYYY-MM-DD.
+ * @param {Date} date - Date quelconque.
+ * @returns {string} Date au format YYYY-MM-DD.
+ */
+const versChaine = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * @function decaler
+ * @description Décale une date d'un nombre de jours.
+ * @param {Date} date - Date de départ.
+ * @param {number} jours - Nombre de jours (négatif pour reculer).
+ * @returns {Date} Nouvelle date.
+ */
+const decaler = (date, jours) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + jours);
+
+/**
+ * @function lundi
+ * @description Lundi de la semaine contenant une date.
+ * @param {Date} date - Date quelconque.
+ * @returns {Date} Le lundi de cette semaine.
+ */
+const lundi = (date) => decaler(date, -((date.getDay() + 6) % 7));
+
+/**
+ * @function calculerJours
+ * @description Jours affichés : la semaine de la date de référence, ou les semaines complètes
+ * couvrant son mois.
+ * @param {string} mode - MOIS ou SEMAINE.
+ * @param {Date} reference - Date de référence.
+ * @returns {Date[]} Jours affichés, du premier lundi au dernier dimanche.
+ */
+const calculerJours = (mode, reference) => {
+  const premier = mode === 'MOIS'
+    ? lundi(new Date(reference.getFullYear(), reference.getMonth(), 1))
+    : lundi(reference);
+  const dernier = mode === 'MOIS'
+    ? decaler(lundi(new Date(reference.getFullYear(), reference.getMonth() + 1, 0)), 6)
+    : decaler(premier, 6);
+
+  const jours = [];
+  for (let jour = premier; jour <= dernier; jour = decaler(jour, 1)) {
+    jours.push(jour);
+  }
+  return jours;
+};
+
+/**
+ * @function classesTache
+ * @description Classes CSS d'une tâche selon ses marqueurs terminee et en_retard.
+ * @param {Object} tache - Tâche du calendrier.
+ * @returns {string} Classes CSS.
+ */
+const classesTache = (tache) => {
+  if (tache.terminee) return 'bg-green-50 text-green-700 line-through';
+  if (tache.en_retard) return 'bg-red-50 text-red-700';
+  return 'bg-blue-50 text-blue-800';
+};
+
+/**
+ * @function CalendrierTaches
+ * @description Calendrier des échéances avec navigation par mois ou par semaine.
+ * @param {Object} props - Props du composant.
+ * @param {string|null} props.filtreListe - Liste filtrée (null : toutes les tâches).
+ * @param {number} props.versionTaches - Incrémenté à chaque rechargement des tâches : le calendrier se recharge aussi.
+ * @param {Function} props.onOuvrirTache - Callback appelé au clic sur une tâche.
+ * @param {Function} props.onModification - Callback appelé après le changement d'échéance d'une tâche.
+ * @returns {JSX.Element} Le composant CalendrierTaches.
+ */
+function CalendrierTaches({ filtreListe, versionTaches, onOuvrirTache, onModification }) {
+  /** @type {string} Affichage : MOIS ou SEMAINE */
+  const [mode, setMode] = useState('MOIS');
+
+  /** @type {Date} Date de référence de la période affichée */
+  const [reference, setReference] = useState(() => new Date());
+
+  /** @type {Object<string, Array>} Tâches par jour d'échéance (YYYY-MM-DD) */
+  const [tachesParJour, setTachesParJour] = useState({});
+
+  /** @type {Object|null} Tâche en cours de glisser-déposer */
+  const [tacheGlissee, setTacheGlissee] = useState(null);
+
+  /** @type {string|null} Jour survolé pendant le glisser-déposer */
+  const [jourSurvole, setJourSurvole] = useState(null);
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /** @type {Date[]} Jours affichés */
+  const jours = useMemo(() => calculerJours(mode, reference), [mode, reference]);
+  const debut = versChaine(jours[0]);
+  const fin = versChaine(jours[jours.length - 1]);
+  const aujourdhui = versChaine(new Date());
+
+  /**
+   * @function charger
+   * @description Charge les tâches de la période affichée.
+   */
+  const charger = useCallback(async () => {
+    setChargement(true);
+    try {
+      const response = await taskService.calendrier(debut, fin, filtreListe);
+      setTachesParJour(response.data.jours);
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors du chargement du calendrier.');
+    } finally {
+      setChargement(false);
+    }
+  }, [debut, fin, filtreListe]);
+
+  useEffect(() => {
+    charger();
+  }, [charger, versionTaches]);
+
+  /**
+   * @function naviguer
+   * @description Affiche la période précédente ou suivante.
+   * @param {number} sens - -1 pour reculer, 1 pour avancer.
+   */
+  const naviguer = (sens) => {
+    setReference(mode === 'MOIS'
+      ? new Date(reference.getFullYear(), reference.getMonth() + sens, 1)
+      : decaler(reference, 7 * sens));
+  };
+
+  /**
+   * @function deposer
+   * @description Replanifie la tâche glissée sur un jour : l'échéance est modifiée comme depuis le formulaire
+   * (historique, versions). Le calendrier est mis à jour immédiatement.
+   * @param {string} jour - Nouveau jour d'échéance (YYYY-MM-DD).
+   */
+  const deposer = async (jour) => {
+    const tache = tacheGlissee;
+    setTacheGlissee(null);
+    setJourSurvole(null);
+    if (!tache || tache.date_echeance === jour) return;
+
+    setTachesParJour((precedent) => ({
+      ...precedent,
+      [tache.date_echeance]: (precedent[tache.date_echeance] || []).filter((t) => t.id !== tache.id),
+      [jour]: [...(precedent[jour] || []), { ...tache, date_echeance: jour }],
+    }));
+    setErreur(null);
+
+    try {
+      await taskService.modifierTache(tache.id, { date_echeance: jour });
+      await onModification();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors du changement d\'échéance.');
+      await charger();
+    }
+  };
+
+  const titre = mode === 'MOIS'
+    ? reference.toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' })
+    : `Semaine du ${jours[0].toLocaleDateString('fr-FR')}`;
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-4">
+      {/* Navigation */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <button
+          onClick={() => naviguer(-1)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 transition-colors"
+          aria-label="Période précédente"
+        >
+          &lsaquo;
+        </button>
+        <button
+          onClick={() => setReference(new Date())}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 transition-colors"
+        >
+          Aujourd'hui
+        </button>
+        <button
+          onClick={() => naviguer(1)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 transition-colors"
+          aria-label="Période suivante"
+        >
+          &rsaquo;
+        </button>
+        <h2 className="ml-2 text-base font-semibold text-gray-900 capitalize">{titre}</h2>
+        {chargement && <span className="text-xs text-gray-400">Chargement...</span>}
+        <div className="ml-auto flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+          {[['MOIS', 'Mois'], ['SEMAINE', 'Semaine']].map(([valeur, label]) => (
+            <button
+              key={valeur}
+              onClick={() => setMode(valeur)}
+              className={`px-3 py-1 font-medium transition-colors ${mode === valeur ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {erreur && <p className="mb-3 text-sm text-red-600">{erreur}</p>}
+
+      {/* Grille des jours */}
+      <div className="grid grid-cols-7 border-t border-l border-gray-200 text-xs">
+        {NOMS_JOURS.map((nom) => (
+          <div key={nom} className="px-2 py-1 border-r border-b border-gray-200 bg-gray-50 font-semibold text-gray-500 uppercase">
+            {nom}
+          </div>
+        ))}
+        {jours.map((date) => {
+          const jour = versChaine(date);
+          const horsMois = mode === 'MOIS' && date.getMonth() !== reference.getMonth();
+
+          return (
+            <div
+              key={jour}
+              onDragOver={(e) => { if (tacheGlissee) { e.preventDefault(); setJourSurvole(jour); } }}
+              onDrop={(e) => { e.preventDefault(); deposer(jour); }}
+              className={`border-r border-b border-gray-200 p-1 ${mode === 'MOIS' ? 'min-h-[6rem]' : 'min-h-[16rem]'} ${
+                jourSurvole === jour ? 'bg-blue-50' : horsMois ? 'bg-gray-50' : 'bg-white'
+              }`}
+            >
+              <div className={`mb-1 text-right ${horsMois ? 'text-gray-400' : 'text-gray-700'}`}>
+                <span className={jour === aujourdhui ? 'inline-block px-1.5 rounded-full bg-blue-600 text-white font-semibold' : ''}>
+                  {date.getDate()}
+                </span>
+              </div>
+              <div className="space-y-1">
+                {(tachesParJour[jour] || []).map((tache) => (
+                  <button
+                    key={tache.id}
+                    draggable
+                    onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setTacheGlissee(tache); }}
+                    onDragEnd={() => { setTacheGlissee(null); setJourSurvole(null); }}
+                    onClick={() => onOuvrirTache(tache)}
+                    className={`w-full text-left truncate px-1.5 py-0.5 rounded cursor-move ${classesTache(tache)}`}
+                    title={`${tache.titre}${tache.en_retard ? (tache.terminee ? ' — terminée après l\'échéance' : ' — en retard') : ''}`}
+                  >
+                    {tache.titre}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Légende */}
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-500">
+        <span><span className="inline-block w-2 h-2 mr-1 rounded-full bg-red-400" />En retard</span>
+        <span><span className="inline-block w-2 h-2 mr-1 rounded-full bg-green-400" />Terminée</span>
+        <span>Glissez une tâche sur un autre jour pour changer son échéance.</span>
+      </div>
+    </div>
+  );
+}
+
+export default CalendrierTaches;
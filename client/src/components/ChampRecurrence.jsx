@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Champ de configuration de la récurrence d'une tâche.
+ * Construit une règle RRULE (RFC 5545) : fréquence, intervalle, jours de la semaine,
+ * fin à une date (UNTIL) ou après un nombre d'occurrences (COUNT).
+ * @module components/ChampRecurrence
+ */
+
+import React from 'react';
+
+/**
+ * @constant {Array} FREQUENCES
+ * @description Fréquences proposées avec leur libellé et l'unité de l'intervalle.
+ */
+const FREQUENCES = [
+  { valeur: 'DAILY', libelle: 'Tous les jours', unite: 'jour(s)' },
+  { valeur: 'WEEKLY', libelle: 'Toutes les semaines', unite: 'semaine(s)' },
+  { valeur: 'MONTHLY', libelle: 'Tous les mois', unite: 'mois' },
+  { valeur: 'YEARLY', libelle: 'Tous les ans', unite: 'an(s)' },
+];
+
+/**
+ * @constant {Array} JOURS
+ * @description Jours de la semaine (codes RFC 5545) du lundi au dimanche.
+ */
+const JOURS = [
+  { code: 'MO', libelle: 'L' },
+  { code: 'TU', libelle: 'M' },
+  { code: 'WE', libelle: 'M' },
+  { code: 'TH', libelle: 'J' },
+  { code: 'FR', libelle: 'V' },
+  { code: 'SA', libelle: 'S' },
+  { code: 'SU', libelle: 'D' },
+];
+
+/**
+ * @function analyserRegle
+ * @description Décompose une règle RRULE en options du formulaire.
+ * @param {string} regle - Règle RRULE (ex. « FREQ=WEEKLY;BYDAY=MO,TH;COUNT=5 »).
+ * @returns {Object} Options {freq, interval, byday, fin, until, count}.
+ */
+const analyserRegle = (regle) => {
+  const options = { freq: 'WEEKLY', interval: 1, byday: [], fin: 'JAMAIS', until: '', count: 10 };
+  regle.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((partie) => {
+    const [nom, valeur = ''] = partie.split('=');
+    if (nom === 'FREQ') options.freq = valeur;
+    if (nom === 'INTERVAL') options.interval = parseInt(valeur, 10) || 1;
+    if (nom === 'BYDAY') options.byday = valeur.split(',');
+    if (nom === 'UNTIL') {
+      options.fin = 'DATE';
+      options.until = `${valeur.slice(0, 4)}-${valeur.slice(4, 6)}-${valeur.slice(6, 8)}`;
+    }
+    if (nom === 'COUNT') {
+      options.fin = 'NOMBRE';
+      options.count = parseInt(valeur, 10) || 1;
+    }
+  });
+  return options;
+};
+
+/**
+ * @function construireRegle
+ * @description Construit une règle RRULE à partir des options du formulaire.
+ * @param {Object} options - Options {freq, interval, byday, fin, until, count}.
+ * @returns {string} Règle RRULE.
+ */
+const construireRegle = ({ freq, interval, byday, fin, until, count }) => {
+  const parties = [`FREQ=${freq}`];
+  if (interval > 1) parties.push(`INTERVAL=${interval}`);
+  if (freq === 'WEEKLY' && byday.length > 0) {
+    parties.push(`BYDAY=${JOURS.map((j) => j.code).filter((c) => byday.includes(c)).join(',')}`);
+  }
+  if (fin === 'DATE' && until) parties.push(`UNTIL=${until.replace(/-/g, '')}`);
+  if (fin === 'NOMBRE' && count > 0) parties.push(`COUNT=${count}`);
+  return parties.join(';');
+};
+
+/**
+ * @function ChampRecurrence
+ * @description Configure la récurrence d'une tâche ; une valeur vide signifie « pas de récurrence ».
+ * @param {Object} props - Props du composant.
+ * @param {string} props.valeur - Règle RRULE actuelle ('' si aucune).
+ * @param {Function} props.onChange - Callback appelé avec la nouvelle règle ('' pour désactiver).
+ * @returns {JSX.Element} Le composant ChampRecurrence.
+ */
+function ChampRecurrence({ valeur, onChange }) {
+  /** @type {boolean} Récurrence activée */
+  const active = !!valeur;
+
+  /** @type {Object} Options décodées de la règle courante */
+  const options = analyserRegle(valeur || 'FREQ=WEEKLY');
+
+  /**
+   * @function modifier
+   * @description Met à jour une option et émet la nouvelle règle.
+   * @param {Object} changements - Options modifiées.
+   */
+  const modifier = (changements) => {
+    onChange(construireRegle({ ...options, ...changements }));
+  };
+
+  /**
+   * @function basculerJour
+   * @description Ajoute ou retire un jour de la semaine (fréquence hebdomadaire).
+   * @param {string} code - Code RFC 5545 du jour.
+   */
+  const basculerJour = (code) => {
+    modifier({
+      byday: options.byday.includes(code)
+        ? options.byday.filter((c) => c !== code)
+        : [...options.byday, code],
+    });
+  };
+
+  const frequence = FREQUENCES.find((f) => f.valeur === options.freq) || FREQUENCES[1];
+
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={active}
+          onChange={(e) => onChange(e.target.checked ? 'FREQ=WEEKLY' : '')}
+          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Répéter cette tâche
+      </label>
+
+      {active && (
+        <div className="mt-3 p-3 border border-gray-200 rounded-lg space-y-3">
+          {/* Fréquence et intervalle */}
+          <div className="flex items-center gap-2 text-sm">
+            <select
+              value={options.freq}
+              onChange={(e) => modifier({ freq: e.target.value, byday: [] })}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {FREQUENCES.map((f) => (
+                <option key={f.valeur} value={f.valeur}>{f.libelle}</option>
+              ))}
+            </select>
+            <span className="text-gray-500">tous les</span>
+            <input
+              type="number"
+              min={1}
+              max={999}
+              value={options.interval}
+              onChange={(e) => modifier({ interval: parseInt(e.target.value, 10) || 1 })}
+              className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+            <span className="text-gray-500">{frequence.unite}</span>
+          </div>
+
+          {/* Jours de la semaine */}
+          {options.freq === 'WEEKLY' && (
+            <div className="flex gap-1">
+              {JOURS.map((jour) => (
+                <button
+                  key={jour.code}
+                  type="button"
+                  onClick={() => basculerJour(jour.code)}
+                  className={`w-8 h-8 text-xs font-medium rounded-full transition-colors ${options.byday.includes(jour.code) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                  title={jour.code}
+                >
+                  {jour.libelle}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Fin de la série */}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-500">Fin :</span>
+            <select
+              value={options.fin}
+              onChange={(e) => modifier({ fin: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              <option value="JAMAIS">Jamais</option>
+              <option value="DATE">Le</option>
+              <option value="NOMBRE">Après</option>
+            </select>
+            {options.fin === 'DATE' && (
+              <input
+                type="date"
+                value={options.until}
+                onChange={(e) => modifier({ until: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+              />
+            )}
+            {options.fin === 'NOMBRE' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={options.count}
+                  onChange={(e) => modifier({ count: parseInt(e.target.value, 10) || 1 })}
+                  className="w-20 px-2 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                />
+                <span className="text-gray-500">occurrences</span>
+              </>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-400">
+            La prochaine occurrence est créée lorsque celle-ci est terminée. Règle : {valeur}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChampRecurrence;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Chronomètre en cours, affiché dans l'en-tête de l'écran des tâches.
+ * Indique la tâche chronométrée et le temps écoulé, et permet d'arrêter le chronomètre.
+ * @module components/ChronoEnCours
+ */
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * @function formaterEcoule
+ * @description Formate une durée en secondes au format hh:mm:ss.
+ * @param {number} secondes - Durée en secondes.
+ * @returns {string} Durée formatée.
+ */
+const formaterEcoule = (secondes) => {
+  const s = Math.max(secondes, 0);
+  return [Math.floor(s / 3600), Math.floor((s % 3600) / 60), s % 60]
+    .map((valeur) => String(valeur).padStart(2, '0'))
+    .join(':');
+};
+
+/**
+ * @function ChronoEnCours
+ * @description Widget du chronomètre en cours (rien n'est affiché sans chronomètre).
+ * @param {Object} props - Props du composant.
+ * @param {Object|null} props.chrono - Chronomètre en cours, avec sa tâche.
+ * @param {Function} props.onArreter - Callback appelé pour arrêter le chronomètre.
+ * @returns {JSX.Element|null} Le composant ChronoEnCours.
+ */
+function ChronoEnCours({ chrono, onArreter }) {
+  /** @type {number} Horodatage courant, rafraîchi chaque seconde */
+  const [maintenant, setMaintenant] = useState(Date.now());
+
+  useEffect(() => {
+    if (!chrono) return undefined;
+    setMaintenant(Date.now());
+    const timer = setInterval(() => setMaintenant(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [chrono]);
+
+  if (!chrono) return null;
+
+  const ecoule = Math.floor((maintenant - new Date(chrono.debut).getTime()) / 1000);
+
+  return (
+    <div className="flex items-center gap-2 pl-3 pr-1 py-1 bg-red-50 border border-red-200 rounded-lg">
+      <span className="w-2 h-2 bg-red-500 rounded-full animate-pulse" />
+      <span className="max-w-[12rem] truncate text-sm text-gray-700" title={chrono.tache?.titre}>
+        {chrono.tache?.titre}
+      </span>
+      <span className="text-sm font-mono font-medium text-red-700">{formaterEcoule(ecoule)}</span>
+      <button
+        onClick={onArreter}
+        className="p-1 text-red-600 hover:bg-red-100 rounded-md transition-colors"
+        title="Arrêter le chronomètre"
+      >
+        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
+          <rect x="6" y="6" width="12" height="12" rx="1" />
+        </svg>
+      </button>
+    </div>
+  );
+}
+
+export default ChronoEnCours;
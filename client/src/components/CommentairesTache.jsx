@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Fil de commentaires d'une tâche.
+ * Affiche les commentaires (Markdown) du plus ancien au plus récent, permet d'en
+ * ajouter et, pour l'auteur uniquement, de modifier ou supprimer les siens.
+ * @module components/CommentairesTache
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import taskService from '../services/taskService';
+import Markdown from './Markdown';
+
+/**
+ * @function formaterDateHeure
+ * @description Formate un horodatage pour l'affichage (jj/mm/aaaa hh:mm).
+ * @param {string|Date} date - Date à formater.
+ * @returns {string} Date et heure formatées.
+ */
+const formaterDateHeure = (date) => new Date(date).toLocaleString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * @function CommentairesTache
+ * @description Section commentaires du panneau de détail d'une tâche.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche commentée.
+ * @returns {JSX.Element} Le composant CommentairesTache.
+ */
+function CommentairesTache({ tache }) {
+  const { utilisateur } = useAuth();
+
+  /** @type {Array} Commentaires chargés (plus anciens en premier) */
+  const [commentaires, setCommentaires] = useState([]);
+
+  /** @type {Object} Informations de pagination */
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+
+  /** @type {string} Contenu du nouveau commentaire */
+  const [nouveauContenu, setNouveauContenu] = useState('');
+
+  /** @type {string|null} UUID du commentaire en cours d'édition */
+  const [editionId, setEditionId] = useState(null);
+
+  /** @type {string} Contenu du commentaire en cours d'édition */
+  const [contenuEdition, setContenuEdition] = useState('');
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerCommentaires
+   * @description Charge une page de commentaires.
+   * @param {number} [page=1] - Numéro de page.
+   */
+  const chargerCommentaires = useCallback(async (page = 1) => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const response = await taskService.listerCommentaires(tache.id, { page, limit: 20 });
+      setCommentaires((precedent) => (page === 1
+        ? response.data.commentaires
+        : [...precedent, ...response.data.commentaires]));
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setErreur('Erreur lors du chargement des commentaires.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerCommentaires(1);
+  }, [chargerCommentaires]);
+
+  /**
+   * @function ajouter
+   * @description Publie un nouveau commentaire.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const ajouter = async (e) => {
+    e.preventDefault();
+    if (!nouveauContenu.trim()) return;
+    setErreur(null);
+    try {
+      const response = await taskService.creerCommentaire(tache.id, nouveauContenu.trim());
+      setCommentaires((precedent) => [...precedent, response.data.commentaire]);
+      setPagination((p) => ({ ...p, total: p.total + 1 }));
+      setNouveauContenu('');
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'ajout du commentaire.');
+    }
+  };
+
+  /**
+   * @function commencerEdition
+   * @description Passe un commentaire en mode édition.
+   * @param {Object} commentaire - Commentaire à modifier.
+   */
+  const commencerEdition = (commentaire) => {
+    setEditionId(commentaire.id);
+    setContenuEdition(commentaire.contenu);
+  };
+
+  /**
+   * @function enregistrerEdition
+   * @description Enregistre la modification du commentaire en cours d'édition.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const enregistrerEdition = async (e) => {
+    e.preventDefault();
+    if (!contenuEdition.trim()) return;
+    setErreur(null);
+    try {
+      const response = await taskService.modifierCommentaire(tache.id, editionId, contenuEdition.trim());
+      setCommentaires((precedent) => precedent.map((c) => (c.id === editionId ? response.data.commentaire : c)));
+      setEditionId(null);
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la modification du commentaire.');
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Supprime un commentaire après confirmation.
+   * @param {string} commentaireId - UUID du commentaire.
+   */
+  const supprimer = async (commentaireId) => {
+    if (!window.confirm('Supprimer ce commentaire ?')) return;
+    setErreur(null);
+    try {
+      await taskService.supprimerCommentaire(tache.id, commentaireId);
+      setCommentaires((precedent) => precedent.filter((c) => c.id !== commentaireId));
+      setPagination((p) => ({ ...p, total: p.total - 1 }));
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression du commentaire.');
+    }
+  };
+
+  return (
+    <div>
+      {erreur && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+          {erreur}
+        </div>
+      )}
+
+      {commentaires.length === 0 && !chargement && (
+        <p className="text-xs text-gray-400 mb-3">Aucun commentaire.</p>
+      )}
+
+      <ul className="space-y-3 mb-3">
+        {commentaires.map((commentaire) => (
+          <li key={commentaire.id} className="p-3 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between mb-1">
+              <p className="text-xs text-gray-500">
+                <span className="font-medium text-gray-700">{commentaire.auteur?.nom_affichage}</span>
+                {' · '}{formaterDateHeure(commentaire.date_creation)}
+                {commentaire.date_modification && (
+                  <span title={formaterDateHeure(commentaire.date_modification)}> · modifié</span>
+                )}
+              </p>
+              {commentaire.utilisateur_id === utilisateur?.id && editionId !== commentaire.id && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => commencerEdition(commentaire)}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    Modifier
+                  </button>
+                  <button
+                    onClick={() => supprimer(commentaire.id)}
+                    className="text-xs text-red-600 hover:text-red-800"
+                  >
+                    Supprimer
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {editionId === commentaire.id ? (
+              <form onSubmit={enregistrerEdition} className="space-y-2">
+                <textarea
+                  value={contenuEdition}
+                  onChange={(e) => setContenuEdition(e.target.value)}
+                  rows={3}
+                  maxLength={5000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-1 focus:ring-blue-500 outline-none resize-none"
+                />
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditionId(null)}
+                    className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                  >
+                    Annuler
+                  </button>
+                  <button
+                    type="submit"
+                    className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                  >
+                    Enregistrer
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <Markdown texte={commentaire.contenu} />
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!chargement && pagination.page < pagination.totalPages && (
+        <button
+          onClick={() => chargerCommentaires(pagination.page + 1)}
+          className="mb-3 px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+        >
+          Commentaires suivants
+        </button>
+      )}
+
+      <form onSubmit={ajouter} className="space-y-2">
+        <textarea
+          value={nouveauContenu}
+          onChange={(e) => setNouveauContenu(e.target.value)}
+          placeholder="Ajouter un commentaire (Markdown : **gras**, *italique*, `code`, listes, liens)..."
+          rows={3}
+          maxLength={5000}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-1 focus:ring-blue-500 outline-none resize-none"
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!nouveauContenu.trim()}
+            className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+          >
+            Commenter
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CommentairesTache;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Corbeille des tâches et listes supprimées (modal).
+ * Permet de restaurer un élément, de le supprimer définitivement ou de vider la corbeille.
+ * Les éléments sont purgés automatiquement par le serveur après le délai de conservation.
+ * @module components/Corbeille
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @function formaterDate
+ * @description Formate une date pour l'affichage.
+ * @param {string} date - Date au format ISO.
+ * @returns {string} Date formatée.
+ */
+const formaterDate = (date) => new Date(date).toLocaleDateString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+});
+
+/**
+ * @function Corbeille
+ * @description Modal listant les tâches et listes en corbeille.
+ * @param {Object} props - Props du composant.
+ * @param {Function} props.onFermer - Callback appelé à la fermeture (recharge les données).
+ * @returns {JSX.Element} Le composant Corbeille.
+ */
+function Corbeille({ onFermer }) {
+  /** @type {Array} Tâches en corbeille */
+  const [taches, setTaches] = useState([]);
+
+  /** @type {Array} Listes en corbeille */
+  const [listes, setListes] = useState([]);
+
+  /** @type {number|null} Durée de conservation en jours */
+  const [retentionJours, setRetentionJours] = useState(null);
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerCorbeille
+   * @description Charge le contenu de la corbeille.
+   */
+  const chargerCorbeille = useCallback(async () => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const response = await taskService.listerCorbeille();
+      setTaches(response.data.taches);
+      setListes(response.data.listes);
+      setRetentionJours(response.data.retention_jours);
+    } catch (err) {
+      setErreur('Erreur lors du chargement de la corbeille.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    chargerCorbeille();
+  }, [chargerCorbeille]);
+
+  /**
+   * @function restaurer
+   * @description Restaure un élément de la corbeille.
+   * @param {string} type - 'taches' ou 'listes'.
+   * @param {string} id - UUID de l'élément.
+   */
+  const restaurer = async (type, id) => {
+    setErreur(null);
+    try {
+      await taskService.restaurerDepuisCorbeille(type, id);
+      await chargerCorbeille();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la restauration.');
+    }
+  };
+
+  /**
+   * @function supprimerDefinitivement
+   * @description Supprime définitivement un élément après confirmation.
+   * @param {string} type - 'taches' ou 'listes'.
+   * @param {string} id - UUID de l'élément.
+   */
+  const supprimerDefinitivement = async (type, id) => {
+    if (!window.confirm('Supprimer définitivement cet élément ? Cette action est irréversible.')) return;
+    setErreur(null);
+    try {
+      await taskService.supprimerDefinitivement(type, id);
+      await chargerCorbeille();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression.');
+    }
+  };
+
+  /**
+   * @function vider
+   * @description Vide la corbeille après confirmation.
+   */
+  const vider = async () => {
+    if (!window.confirm('Vider la corbeille ? Tous les éléments seront supprimés définitivement.')) return;
+    setErreur(null);
+    try {
+      await taskService.viderCorbeille();
+      await chargerCorbeille();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors du vidage de la corbeille.');
+    }
+  };
+
+  /**
+   * @function renderElement
+   * @description Affiche une ligne de la corbeille avec ses actions.
+   * @param {string} type - 'taches' ou 'listes'.
+   * @param {Object} element - Tâche ou liste en corbeille.
+   * @param {string} libelle - Libellé affiché.
+   * @returns {JSX.Element} La ligne.
+   */
+  const renderElement = (type, element, libelle) => (
+    <li key={element.id} className="flex items-center justify-between gap-3 p-3 border border-gray-200 rounded-lg">
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">{libelle}</p>
+        <p className="text-xs text-gray-500">
+          Supprimé le {formaterDate(element.date_suppression)} · purge le {formaterDate(element.date_purge)}
+        </p>
+      </div>
+      <div className="flex gap-2 flex-shrink-0">
+        <button
+          onClick={() => restaurer(type, element.id)}
+          className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors"
+        >
+          Restaurer
+        </button>
+        <button
+          onClick={() => supprimerDefinitivement(type, element.id)}
+          className="px-3 py-1.5 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 rounded-md transition-colors"
+        >
+          Supprimer
+        </button>
+      </div>
+    </li>
+  );
+
+  const estVide = taches.length === 0 && listes.length === 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        {/* En-tête */}
+        <div className="flex items-start justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Corbeille</h2>
+            {retentionJours !== null && (
+              <p className="text-xs text-gray-500 mt-1">
+                Les éléments sont supprimés définitivement après {retentionJours} jours.
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onFermer}
+            className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {erreur && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              {erreur}
+            </div>
+          )}
+
+          {chargement && <p className="text-xs text-gray-500">Chargement...</p>}
+
+          {!chargement && estVide && (
+            <p className="text-sm text-gray-400 text-center">La corbeille est vide.</p>
+          )}
+
+          {taches.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Tâches</h3>
+              <ul className="space-y-2">
+                {taches.map((tache) => renderElement('taches', tache, tache.titre))}
+              </ul>
+            </div>
+          )}
+
+          {listes.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Listes</h3>
+              <ul className="space-y-2">
+                {listes.map((liste) => renderElement('listes', liste, liste.nom))}
+              </ul>
+            </div>
+          )}
+
+          {!estVide && (
+            <div className="flex justify-end">
+              <button
+                onClick={vider}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-lg transition-colors"
+              >
+                Vider la corbeille
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Corbeille;
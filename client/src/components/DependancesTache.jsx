@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Dépendances d'une tâche.
+ * Affiche les tâches qui la bloquent (amont) et celles qu'elle bloque (aval),
+ * directement ou indirectement, et permet d'ajouter ou retirer une tâche bloquante.
+ * @module components/DependancesTache
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Object} LABELS_STATUT
+ * @description Labels d'affichage pour chaque statut de tâche.
+ */
+const LABELS_STATUT = {
+  A_FAIRE: 'À faire',
+  EN_COURS: 'En cours',
+  TERMINEE: 'Terminée',
+};
+
+/**
+ * @function DependancesTache
+ * @description Affiche le graphe de dépendances d'une tâche et gère ses tâches bloquantes directes.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche affichée.
+ * @param {Function} props.onModifiee - Callback appelé après l'ajout ou la suppression d'un lien.
+ * @returns {JSX.Element} Le composant DependancesTache.
+ */
+function DependancesTache({ tache, onModifiee }) {
+  /** @type {Object} Graphe de dépendances {amont, aval, bloquee} */
+  const [graphe, setGraphe] = useState({ amont: [], aval: [], bloquee: false });
+
+  /** @type {Array} Tâches pouvant être choisies comme bloquantes */
+  const [candidates, setCandidates] = useState([]);
+
+  /** @type {string} UUID de la tâche bloquante sélectionnée */
+  const [selection, setSelection] = useState('');
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerDependances
+   * @description Charge le graphe de dépendances et les tâches candidates.
+   */
+  const chargerDependances = useCallback(async () => {
+    setChargement(true);
+    try {
+      const [reponseGraphe, reponseTaches] = await Promise.all([
+        taskService.listerDependances(tache.id),
+        taskService.listerTaches({ limit: 100 }),
+      ]);
+      setGraphe(reponseGraphe.data);
+      setCandidates(reponseTaches.data.taches.filter((t) => t.id !== tache.id));
+    } catch (err) {
+      setErreur('Erreur lors du chargement des dépendances.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerDependances();
+  }, [chargerDependances]);
+
+  /**
+   * @function ajouter
+   * @description Ajoute la tâche sélectionnée comme bloquante.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const ajouter = async (e) => {
+    e.preventDefault();
+    if (!selection) return;
+    setErreur(null);
+    try {
+      await taskService.ajouterDependance(tache.id, selection);
+      setSelection('');
+      await chargerDependances();
+      onModifiee();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'ajout de la dépendance.');
+    }
+  };
+
+  /**
+   * @function retirer
+   * @description Supprime le lien avec une tâche bloquante directe.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   */
+  const retirer = async (bloquanteId) => {
+    setErreur(null);
+    try {
+      await taskService.supprimerDependance(tache.id, bloquanteId);
+      await chargerDependances();
+      onModifiee();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression de la dépendance.');
+    }
+  };
+
+  /**
+   * @function afficherNoeud
+   * @description Affiche une tâche du graphe, indentée selon sa profondeur.
+   * @param {Object} noeud - Tâche du graphe avec sa profondeur.
+   * @param {boolean} retirable - Afficher le bouton de retrait (bloquante directe).
+   * @returns {JSX.Element} Élément de liste.
+   */
+  const afficherNoeud = (noeud, retirable) => (
+    <li
+      key={noeud.id}
+      className="flex items-center gap-2 text-sm group"
+      style={{ paddingLeft: `${(noeud.profondeur - 1) * 16}px` }}
+    >
+      <span className={`flex-1 truncate ${noeud.statut === 'TERMINEE' ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+        {noeud.titre}
+      </span>
+      <span className="text-xs text-gray-500">{LABELS_STATUT[noeud.statut]}</span>
+      {retirable && (
+        <button
+          onClick={() => retirer(noeud.id)}
+          className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-600 transition-opacity"
+          title="Retirer la dépendance"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      )}
+    </li>
+  );
+
+  /** Les tâches déjà bloquantes directes ne sont plus proposées */
+  const directes = graphe.amont.filter((n) => n.profondeur === 1).map((n) => n.id);
+  const disponibles = candidates.filter((t) => !directes.includes(t.id));
+
+  return (
+    <div className="space-y-3">
+      {erreur && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+          {erreur}
+        </div>
+      )}
+
+      {graphe.bloquee && (
+        <p className="text-xs text-red-600">
+          Cette tâche ne peut pas être démarrée ni terminée tant que ses tâches bloquantes ne sont pas terminées.
+        </p>
+      )}
+
+      <div>
+        <p className="text-xs text-gray-500 mb-1">Bloquée par</p>
+        {graphe.amont.length === 0 && !chargement ? (
+          <p className="text-xs text-gray-400">Aucune tâche bloquante.</p>
+        ) : (
+          <ul className="space-y-1">
+            {graphe.amont.map((noeud) => afficherNoeud(noeud, noeud.profondeur === 1))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <p className="text-xs text-gray-500 mb-1">Bloque</p>
+        {graphe.aval.length === 0 && !chargement ? (
+          <p className="text-xs text-gray-400">Aucune tâche bloquée.</p>
+        ) : (
+          <ul className="space-y-1">
+            {graphe.aval.map((noeud) => afficherNoeud(noeud, false))}
+          </ul>
+        )}
+      </div>
+
+      <form onSubmit={ajouter} className="flex gap-2">
+        <select
+          value={selection}
+          onChange={(e) => setSelection(e.target.value)}
+          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+        >
+          <option value="">Ajouter une tâche bloquante...</option>
+          {disponibles.map((t) => (
+            <option key={t.id} value={t.id}>{t.titre}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={!selection}
+          className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+        >
+          Ajouter
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default DependancesTache;
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Panneau de détail d'une tâche (modal).
+ * Affiche les informations de la tâche, ses champs personnalisés, son suivi du temps, ses dépendances,
+ * ses pièces jointes, ses commentaires, la chronologie de ses changements de statut et ses versions
+ * antérieures restaurables.
+ * @module components/DetailTache
+ */
+
+import React, { useState, useEffect } from 'react';
+import taskService from '../services/taskService';
+import HistoriqueStatuts from './HistoriqueStatuts';
+import VersionsTache from './VersionsTache';
+import DependancesTache from './DependancesTache';
+import CommentairesTache from './CommentairesTache';
+import PiecesJointesTache from './PiecesJointesTache';
+import TempsTache from './TempsTache';
+
+/**
+ * @constant {Object} LABELS_STATUT
+ * @description Labels d'affichage pour chaque statut de tâche.
+ */
+const LABELS_STATUT = {
+  A_FAIRE: 'À faire',
+  EN_COURS: 'En cours',
+  TERMINEE: 'Terminée',
+};
+
+/**
+ * @constant {Object} COULEURS_PRIORITE
+ * @description Classes CSS pour les badges de priorité.
+ */
+const COULEURS_PRIORITE = {
+  BASSE: 'bg-green-100 text-green-800',
+  MOYENNE: 'bg-blue-100 text-blue-800',
+  HAUTE: 'bg-orange-100 text-orange-800',
+  URGENTE: 'bg-red-100 text-red-800',
+};
+
+/**
+ * @constant {Object} COULEURS_STATUT
+ * @description Classes CSS pour les badges de statut.
+ */
+const COULEURS_STATUT = {
+  A_FAIRE: 'bg-gray-100 text-gray-600',
+  EN_COURS: 'bg-yellow-100 text-yellow-700',
+  TERMINEE: 'bg-green-100 text-green-700',
+};
+
+/**
+ * @function formaterDate
+ * @description Formate une date pour l'affichage.
+ * @param {string} date - Date au format ISO.
+ * @returns {string} Date formatée.
+ */
+const formaterDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('fr-FR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  });
+};
+
+/**
+ * @function formaterValeurChamp
+ * @description Formate la valeur d'un champ personnalisé pour l'affichage.
+ * @param {Object} champ - Champ personnalisé.
+ * @param {string|number|boolean} valeur - Valeur du champ.
+ * @returns {React.ReactNode} Valeur affichable (lien pour une URL).
+ */
+const formaterValeurChamp = (champ, valeur) => {
+  if (champ.type === 'CASE') return valeur ? 'Oui' : 'Non';
+  if (champ.type === 'DATE') return formaterDate(valeur);
+  if (champ.type === 'URL') {
+    return (
+      <a href={valeur} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline break-all">
+        {valeur}
+      </a>
+    );
+  }
+  return String(valeur);
+};
+
+/**
+ * @function DetailTache
+ * @description Modal de détail d'une tâche avec sa chronologie de statuts et ses versions.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche à afficher.
+ * @param {Array} props.listes - Listes thématiques de l'utilisateur.
+ * @param {Function} props.onFermer - Callback appelé à la fermeture du panneau.
+ * @param {Function} props.onTacheModifiee - Callback appelé avec la tâche après une restauration.
+ * @param {Object|null} props.chrono - Chronomètre en cours de l'utilisateur.
+ * @param {Function} props.onChronoModifie - Callback appelé avec le nouveau chronomètre en cours (ou null).
+ * @returns {JSX.Element} Le composant DetailTache.
+ */
+function DetailTache({ tache: tacheInitiale, listes, onFermer, onTacheModifiee, chrono, onChronoModifie }) {
+  /** @type {Object} Tâche affichée (mise à jour après une restauration) */
+  const [tache, setTache] = useState(tacheInitiale);
+
+  /** @type {number} Révision incrémentée à chaque modification pour recharger les sections */
+  const [revision, setRevision] = useState(0);
+
+  /** @type {string[]} Avertissements de la dernière restauration de version */
+  const [avertissements, setAvertissements] = useState([]);
+
+  /** @type {Array} Champs personnalisés de la liste de la tâche */
+  const [champs, setChamps] = useState([]);
+
+  /** Charger les champs personnalisés de la liste de la tâche */
+  useEffect(() => {
+    if (!tache.liste_id) {
+      setChamps([]);
+      return;
+    }
+    const chargerChamps = async () => {
+      try {
+        const response = await taskService.listerChamps(tache.liste_id);
+        setChamps(response.data.champs);
+      } catch (err) {
+        console.error('Erreur lors du chargement des champs personnalisés :', err);
+      }
+    };
+    chargerChamps();
+  }, [tache.liste_id]);
+
+  /** Valeurs renseignées, dans l'ordre des champs de la liste */
+  const valeursChamps = champs
+    .map((champ) => ({ champ, valeur: tache.valeurs_champs?.find((v) => v.champ_id === champ.id)?.valeur }))
+    .filter(({ valeur }) => valeur !== undefined);
+
+  /**
+   * @function gererRestauration
+   * @description Met à jour le panneau après la restauration d'une version.
+   * @param {Object} tacheRestauree - Tâche renvoyée par l'API.
+   * @param {string[]} [avertissementsRestauration=[]] - Avertissements renvoyés par l'API (liste non restaurée...).
+   */
+  const gererRestauration = (tacheRestauree, avertissementsRestauration = []) => {
+    setTache(tacheRestauree);
+    setAvertissements(avertissementsRestauration);
+    setRevision((r) => r + 1);
+    onTacheModifiee(tacheRestauree);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        {/* En-tête du panneau */}
+        <div className="flex items-start justify-between p-6 border-b border-gray-200">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-gray-900 break-words">{tache.titre}</h2>
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_STATUT[tache.statut]}`}>
+                {LABELS_STATUT[tache.statut]}
+              </span>
+              <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_PRIORITE[tache.priorite]}`}>
+                {tache.priorite}
+              </span>
+              {tache.liste && (
+                <span
+                  className="inline-block text-xs px-2 py-0.5 rounded-full text-white"
+                  style={{ backgroundColor: tache.liste.couleur }}
+                >
+                  {tache.liste.nom}
+                </span>
+              )}
+              {tache.recurrence && (
+                <span
+                  className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-purple-50 text-purple-700"
+                  title={tache.recurrence}
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                  </svg>
+                  Récurrente{tache.occurrence ? ` · occurrence ${tache.occurrence}` : ''}
+                </span>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onFermer}
+            className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Description */}
+          {tache.description && (
+            <p className="text-sm text-gray-700 whitespace-pre-wrap">{tache.description}</p>
+          )}
+
+          {/* Dates */}
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <p className="text-xs text-gray-500">Créée le</p>
+              <p className="text-sm font-medium text-gray-900">{formaterDate(tache.date_creation)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Échéance</p>
+              <p className="text-sm font-medium text-gray-900">{formaterDate(tache.date_echeance)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Terminée le</p>
+              <p className="text-sm font-medium text-gray-900">{formaterDate(tache.date_completion)}</p>
+            </div>
+          </div>
+
+          {/* Champs personnalisés */}
+          {valeursChamps.length > 0 && (
+            <div className="grid grid-cols-2 gap-4">
+              {valeursChamps.map(({ champ, valeur }) => (
+                <div key={champ.id} className="min-w-0">
+                  <p className="text-xs text-gray-500">{champ.nom}</p>
+                  <p className="text-sm font-medium text-gray-900 break-words">{formaterValeurChamp(champ, valeur)}</p>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Suivi du temps */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Temps passé</h3>
+            <TempsTache tache={tache} chrono={chrono} onChronoModifie={onChronoModifie} />
+          </div>
+
+          {/* Dépendances */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Dépendances</h3>
+            <DependancesTache tache={tache} onModifiee={() => onTacheModifiee(tache)} />
+          </div>
+
+          {/* Pièces jointes */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Pièces jointes</h3>
+            <PiecesJointesTache tache={tache} />
+          </div>
+
+          {/* Commentaires */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Commentaires</h3>
+            <CommentairesTache tache={tache} />
+          </div>
+
+          {/* Chronologie des statuts */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Historique des statuts</h3>
+            <HistoriqueStatuts key={`historique-${revision}`} tache={tache} />
+          </div>
+
+          {/* Versions antérieures */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Versions antérieures</h3>
+            {avertissements.map((avertissement) => (
+              <div key={avertissement} className="mb-3 p-3 bg-orange-50 border border-orange-200 rounded-lg text-orange-800 text-sm">
+                {avertissement}
+              </div>
+            ))}
+            <VersionsTache
+              key={`versions-${revision}`}
+              tache={tache}
+              listes={listes}
+              onRestauree={gererRestauration}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DetailTache;
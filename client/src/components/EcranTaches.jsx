@@ -8,9 +8,22 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import taskService from '../services/taskService';
+import authService from '../services/authService';
 import FormulaireTache from './FormulaireTache';
 import ListeNavigation from './ListeNavigation';
+import NavigationTags from './NavigationTags';
+import NavigationChamps from './NavigationChamps';
 import ProfilUtilisateur from './ProfilUtilisateur';
+import DetailTache from './DetailTache';
+import Corbeille from './Corbeille';
+import ModelesTaches from './ModelesTaches';
+import ImportTaches from './ImportTaches';
+import ChronoEnCours from './ChronoEnCours';
+import SousTaches from './SousTaches';
+import BarreActionsLot from './BarreActionsLot';
+import TableauKanban from './TableauKanban';
+import CalendrierTaches from './CalendrierTaches';
+import TexteSurligne from './TexteSurligne';
 
 /**
  * @constant {Object} LABELS_STATUT
@@ -43,13 +56,28 @@ const COULEURS_STATUT = {
   TERMINEE: 'bg-green-100 text-green-700',
 };
 
+/**
+ * @constant {Object} LABELS_TRI
+ * @description Labels d'affichage des ordres de tri de la liste des tâches.
+ */
+const LABELS_TRI = {
+  ECHEANCE: 'Échéance',
+  MANUEL: 'Ordre manuel',
+  PRIORITE: 'Priorité',
+  CREATION: 'Plus récentes',
+  TITRE: 'Titre',
+};
+
+/** @type {number} Nombre de tâches chargées dans la vue tableau (toutes colonnes confondues) */
+const LIMITE_TABLEAU = 100;
+
 /**
  * @function EcranTaches
  * @description Composant principal du dashboard de gestion des tâches.
  * @returns {JSX.Element} Le composant EcranTaches.
  */
 function EcranTaches() {
-  const { utilisateur, deconnexion } = useAuth();
+  const { utilisateur, deconnexion, mettreAJourUtilisateur } = useAuth();
 
   /** @type {Array} Liste des tâches affichées */
   const [taches, setTaches] = useState([]);
@@ -69,6 +97,33 @@ function EcranTaches() {
   /** @type {string|null} Filtre par liste active */
   const [filtreListe, setFiltreListe] = useState(null);
 
+  /** @type {Array} Tags de l'utilisateur */
+  const [tags, setTags] = useState([]);
+
+  /** @type {Array} Champs personnalisés de la liste sélectionnée */
+  const [champsListe, setChampsListe] = useState([]);
+
+  /** @type {Object} Filtres par champ personnalisé {UUID du champ: valeur} */
+  const [filtresChamps, setFiltresChamps] = useState({});
+
+  /** @type {string[]} UUID des tags sélectionnés comme filtre */
+  const [filtreTags, setFiltreTags] = useState([]);
+
+  /** @type {string} Combinaison des tags filtrés : OU (au moins un) ou ET (tous) */
+  const [modeTags, setModeTags] = useState('OU');
+
+  /** @type {string} Vue des tâches : LISTE, TABLEAU (Kanban) ou CALENDRIER, préférence enregistrée sur le profil */
+  const [vue, setVue] = useState(utilisateur?.vue_taches || 'LISTE');
+
+  /** @type {string} Ordre de tri : ECHEANCE, MANUEL, PRIORITE, CREATION ou TITRE */
+  const [tri, setTri] = useState('ECHEANCE');
+
+  /** @type {string|null} ID de la tâche en cours de glisser-déposer */
+  const [tacheGlissee, setTacheGlissee] = useState(null);
+
+  /** @type {string|null} ID de la tâche survolée pendant le glisser-déposer */
+  const [cibleDepot, setCibleDepot] = useState(null);
+
   /** @type {string} Terme de recherche */
   const [recherche, setRecherche] = useState('');
 
@@ -78,9 +133,33 @@ function EcranTaches() {
   /** @type {Object|null} Tâche en cours d'édition */
   const [tacheEdition, setTacheEdition] = useState(null);
 
+  /** @type {Object|null} Tâche affichée dans le panneau de détail */
+  const [tacheDetail, setTacheDetail] = useState(null);
+
   /** @type {boolean} Affichage du profil */
   const [afficherProfil, setAfficherProfil] = useState(false);
 
+  /** @type {string[]} IDs des tâches dont la checklist de sous-tâches est dépliée */
+  const [tachesDepliees, setTachesDepliees] = useState([]);
+
+  /** @type {string[]} IDs des tâches cochées pour une action groupée */
+  const [selection, setSelection] = useState([]);
+
+  /** @type {boolean} Affichage de la corbeille */
+  const [afficherCorbeille, setAfficherCorbeille] = useState(false);
+
+  /** @type {boolean} Affichage des modèles de tâches */
+  const [afficherModeles, setAfficherModeles] = useState(false);
+
+  /** @type {boolean} Affichage de l'import de tâches */
+  const [afficherImport, setAfficherImport] = useState(false);
+
+  /** @type {Object|null} Chronomètre en cours (avec sa tâche) */
+  const [chrono, setChrono] = useState(null);
+
+  /** @type {number} Incrémenté à chaque chargement des tâches (rechargement du calendrier) */
+  const [versionTaches, setVersionTaches] = useState(0);
+
   /** @type {boolean} Chargement en cours */
   const [chargement, setChargement] = useState(false);
 
@@ -96,21 +175,32 @@ function EcranTaches() {
     setChargement(true);
     setErreur(null);
     try {
-      const params = { page, limit: 20 };
-      if (filtreStatut) params.statut = filtreStatut;
+      /** Le tableau affiche tous les statuts en colonnes : le filtre par statut ne s'y applique pas */
+      const params = { page, limit: vue === 'TABLEAU' ? LIMITE_TABLEAU : 20, tri };
+      if (filtreStatut && vue === 'LISTE') params.statut = filtreStatut;
       if (filtreListe) params.liste_id = filtreListe;
+      if (filtreTags.length > 0) {
+        params.tags = filtreTags.join(',');
+        params.tags_mode = modeTags;
+      }
+      if (filtreListe && Object.keys(filtresChamps).length > 0) {
+        params.champs = filtresChamps;
+      }
 
       const response = await taskService.listerTaches(params);
       setTaches(response.data.taches);
+      /** Ne garder sélectionnées que les tâches encore affichées */
+      setSelection((precedent) => precedent.filter((id) => response.data.taches.some((tache) => tache.id === id)));
       setCompteurs(response.data.compteurs);
       setPagination(response.data.pagination);
+      setVersionTaches((version) => version + 1);
     } catch (err) {
       setErreur('Erreur lors du chargement des tâches.');
       console.error(err);
     } finally {
       setChargement(false);
     }
-  }, [filtreStatut, filtreListe]);
+  }, [filtreStatut, filtreListe, filtreTags, modeTags, filtresChamps, tri, vue]);
 
   /**
    * @function chargerListes
@@ -125,6 +215,49 @@ function EcranTaches() {
     }
   }, []);
 
+  /**
+   * @function chargerChamps
+   * @description Charge les champs personnalisés de la liste sélectionnée.
+   */
+  const chargerChamps = useCallback(async () => {
+    if (!filtreListe) {
+      setChampsListe([]);
+      return;
+    }
+    try {
+      const response = await taskService.listerChamps(filtreListe);
+      setChampsListe(response.data.champs);
+    } catch (err) {
+      console.error('Erreur lors du chargement des champs personnalisés :', err);
+    }
+  }, [filtreListe]);
+
+  /**
+   * @function chargerTags
+   * @description Charge les tags de l'utilisateur depuis l'API.
+   */
+  const chargerTags = useCallback(async () => {
+    try {
+      const response = await taskService.listerTags();
+      setTags(response.data.tags);
+    } catch (err) {
+      console.error('Erreur lors du chargement des tags :', err);
+    }
+  }, []);
+
+  /**
+   * @function chargerChrono
+   * @description Charge le chronomètre en cours depuis l'API.
+   */
+  const chargerChrono = useCallback(async () => {
+    try {
+      const response = await taskService.chronoEnCours();
+      setChrono(response.data.chrono);
+    } catch (err) {
+      console.error('Erreur lors du chargement du chronomètre :', err);
+    }
+  }, []);
+
   /** Charger les données au montage et quand les filtres changent */
   useEffect(() => {
     chargerTaches(1);
@@ -134,21 +267,35 @@ function EcranTaches() {
     chargerListes();
   }, [chargerListes]);
 
+  useEffect(() => {
+    chargerChrono();
+  }, [chargerChrono]);
+
+  useEffect(() => {
+    chargerTags();
+  }, [chargerTags]);
+
+  useEffect(() => {
+    chargerChamps();
+  }, [chargerChamps]);
+
   /**
    * @function gererRecherche
-   * @description Lance une recherche par mot-clé.
+   * @description Lance une recherche plein texte (résultats par pertinence, paginés).
+   * @param {number} [page=1] - Page de résultats.
    */
-  const gererRecherche = async () => {
+  const gererRecherche = async (page = 1) => {
     if (!recherche.trim()) {
       chargerTaches(1);
       return;
     }
     setChargement(true);
     try {
-      const response = await taskService.rechercher(recherche.trim());
+      const response = await taskService.rechercher(recherche.trim(), { page, limit: 20 });
       setTaches(response.data.taches);
-      setCompteurs({ total: response.data.taches.length, A_FAIRE: 0, EN_COURS: 0, TERMINEE: 0 });
-      setPagination({ page: 1, limit: 20, total: response.data.taches.length, totalPages: 1 });
+      setSelection((precedent) => precedent.filter((id) => response.data.taches.some((tache) => tache.id === id)));
+      setCompteurs({ total: response.data.pagination.total, A_FAIRE: 0, EN_COURS: 0, TERMINEE: 0 });
+      setPagination(response.data.pagination);
     } catch (err) {
       setErreur('Erreur lors de la recherche.');
     } finally {
@@ -156,6 +303,13 @@ function EcranTaches() {
     }
   };
 
+  /**
+   * @function changerPage
+   * @description Affiche une autre page des tâches, ou des résultats de recherche si une recherche est saisie.
+   * @param {number} page - Page à afficher.
+   */
+  const changerPage = (page) => (recherche.trim() ? gererRecherche(page) : chargerTaches(page));
+
   /**
    * @function changerStatutTache
    * @description Change le statut d'une tâche directement depuis la liste.
@@ -167,26 +321,113 @@ function EcranTaches() {
       await taskService.modifierTache(tacheId, { statut: nouveauStatut });
       await chargerTaches(pagination.page);
     } catch (err) {
-      setErreur('Erreur lors du changement de statut.');
+      setErreur(err.response?.data?.error || 'Erreur lors du changement de statut.');
+    }
+  };
+
+  /**
+   * @function changerVue
+   * @description Bascule entre la liste, le tableau Kanban et le calendrier, et enregistre ce choix sur le profil.
+   * @param {string} nouvelleVue - LISTE, TABLEAU ou CALENDRIER.
+   */
+  const changerVue = async (nouvelleVue) => {
+    setVue(nouvelleVue);
+    setSelection([]);
+    try {
+      const response = await authService.modifierVueTaches(nouvelleVue);
+      mettreAJourUtilisateur(response.data.utilisateur);
+    } catch (err) {
+      console.error('Erreur lors de l\'enregistrement de la vue :', err);
     }
   };
 
   /**
    * @function supprimerTache
-   * @description Supprime une tâche après confirmation.
+   * @description Place une tâche dans la corbeille après confirmation.
    * @param {string} tacheId - UUID de la tâche.
    */
   const supprimerTache = async (tacheId) => {
-    if (!window.confirm('Êtes-vous sûr de vouloir supprimer cette tâche ?')) return;
+    if (!window.confirm('Placer cette tâche dans la corbeille ? Elle pourra être restaurée.')) return;
     try {
       await taskService.supprimerTache(tacheId);
       await chargerTaches(pagination.page);
       await chargerListes();
+      await chargerTags();
     } catch (err) {
       setErreur('Erreur lors de la suppression.');
     }
   };
 
+  /**
+   * @function basculerSelection
+   * @description Coche ou décoche une tâche pour une action groupée.
+   * @param {string} tacheId - UUID de la tâche.
+   */
+  const basculerSelection = (tacheId) => {
+    setSelection((precedent) => (precedent.includes(tacheId)
+      ? precedent.filter((id) => id !== tacheId)
+      : [...precedent, tacheId]));
+  };
+
+  /**
+   * @function basculerSelectionPage
+   * @description Coche toutes les tâches affichées, ou les décoche si elles le sont déjà.
+   */
+  const basculerSelectionPage = () => {
+    setSelection(selection.length === taches.length ? [] : taches.map((tache) => tache.id));
+  };
+
+  /**
+   * @function terminerActionLot
+   * @description Recharge les données après une action groupée ; seules les tâches refusées restent sélectionnées.
+   * @param {string[]} idsEchecs - UUID des tâches refusées.
+   */
+  const terminerActionLot = async (idsEchecs) => {
+    setSelection(idsEchecs);
+    await chargerTaches(pagination.page);
+    await chargerListes();
+  };
+
+  /** @type {boolean} Glisser-déposer disponible : ordre manuel, hors résultats de recherche */
+  const glisserDeposerActif = tri === 'MANUEL' && !recherche.trim();
+
+  /**
+   * @function deposerTache
+   * @description Dépose la tâche glissée à la place d'une autre : juste après elle si la tâche
+   * descend, juste avant si elle monte. L'ordre affiché est mis à jour immédiatement.
+   * @param {string} cibleId - UUID de la tâche sur laquelle la tâche glissée est déposée.
+   */
+  const deposerTache = async (cibleId) => {
+    const tacheId = tacheGlissee;
+    setTacheGlissee(null);
+    setCibleDepot(null);
+    if (!tacheId || tacheId === cibleId) return;
+
+    const indexSource = taches.findIndex((tache) => tache.id === tacheId);
+    const indexCible = taches.findIndex((tache) => tache.id === cibleId);
+    const reordonnees = taches.filter((tache) => tache.id !== tacheId);
+    reordonnees.splice(indexCible, 0, taches[indexSource]);
+    setTaches(reordonnees);
+
+    try {
+      await taskService.reordonnerTache(tacheId, indexSource < indexCible ? { apres_id: cibleId } : { avant_id: cibleId });
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors du déplacement de la tâche.');
+      await chargerTaches(pagination.page);
+    }
+  };
+
+  /**
+   * @function basculerSousTaches
+   * @description Déplie ou replie la checklist des sous-tâches d'une tâche.
+   * @param {string} tacheId - UUID de la tâche.
+   */
+  const basculerSousTaches = (tacheId) => {
+    setTachesDepliees((precedent) => (precedent.includes(tacheId)
+      ? precedent.filter((id) => id !== tacheId)
+      : [...precedent, tacheId]));
+  };
+
   /**
    * @function ouvrirEdition
    * @description Ouvre le formulaire en mode édition pour une tâche.
@@ -197,6 +438,50 @@ function EcranTaches() {
     setAfficherFormulaire(true);
   };
 
+  /**
+   * @function arreterChrono
+   * @description Arrête le chronomètre en cours.
+   */
+  const arreterChrono = async () => {
+    try {
+      await taskService.arreterChrono();
+      setChrono(null);
+    } catch (err) {
+      console.error('Erreur lors de l\'arrêt du chronomètre :', err);
+      await chargerChrono();
+    }
+  };
+
+  /**
+   * @function fermerCorbeille
+   * @description Ferme la corbeille et recharge les données (éléments restaurés).
+   */
+  const fermerCorbeille = async () => {
+    setAfficherCorbeille(false);
+    await chargerTaches(pagination.page);
+    await chargerListes();
+    await chargerTags();
+  };
+
+  /**
+   * @function tacheCreeeDepuisModele
+   * @description Ferme les modèles et recharge les données après la création d'une tâche depuis un modèle.
+   */
+  const tacheCreeeDepuisModele = async () => {
+    setAfficherModeles(false);
+    await chargerTaches(pagination.page);
+    await chargerListes();
+  };
+
+  /**
+   * @function tachesImportees
+   * @description Recharge les tâches et les listes (un import peut en créer) après un import ou la restauration
+   * d'une sauvegarde (la fenêtre reste ouverte pour afficher le résultat).
+   */
+  const tachesImportees = async () => {
+    await Promise.all([chargerTaches(pagination.page), chargerListes()]);
+  };
+
   /**
    * @function fermerFormulaire
    * @description Ferme le formulaire et recharge les données.
@@ -206,6 +491,7 @@ function EcranTaches() {
     setTacheEdition(null);
     await chargerTaches(pagination.page);
     await chargerListes();
+    await chargerTags();
   };
 
   /**
@@ -238,6 +524,16 @@ function EcranTaches() {
               <h1 className="text-lg font-bold text-gray-900">Gestionnaire de Tâches</h1>
             </div>
             <div className="flex items-center gap-4">
+              <ChronoEnCours chrono={chrono} onArreter={arreterChrono} />
+              <button
+                onClick={() => setAfficherCorbeille(true)}
+                className="p-1.5 text-gray-400 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Corbeille"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </button>
               <button
                 onClick={() => setAfficherProfil(true)}
                 className="text-sm text-gray-600 hover:text-gray-900 font-medium transition-colors"
@@ -281,15 +577,32 @@ function EcranTaches() {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-6 pb-8">
         <div className="flex flex-col lg:flex-row gap-6">
           {/* Sidebar */}
-          <div className="lg:w-64 flex-shrink-0">
+          <div className="lg:w-64 flex-shrink-0 space-y-6">
             <ListeNavigation
               listes={listes}
               filtreStatut={filtreStatut}
               filtreListe={filtreListe}
               onFiltreStatut={(s) => { setFiltreStatut(s); setRecherche(''); }}
-              onFiltreListe={(l) => { setFiltreListe(l); setRecherche(''); }}
+              onFiltreListe={(l) => { setFiltreListe(l); setFiltresChamps({}); setRecherche(''); }}
               onRechargerListes={chargerListes}
             />
+            {filtreListe && (
+              <NavigationChamps
+                listeId={filtreListe}
+                champs={champsListe}
+                filtresChamps={filtresChamps}
+                onFiltresChamps={(f) => { setFiltresChamps(f); setRecherche(''); }}
+                onRechargerChamps={async () => { await chargerChamps(); await chargerTaches(1); }}
+              />
+            )}
+            <NavigationTags
+              tags={tags}
+              filtreTags={filtreTags}
+              modeTags={modeTags}
+              onFiltreTags={(t) => { setFiltreTags(t); setRecherche(''); }}
+              onModeTags={setModeTags}
+              onRechargerTags={async () => { await chargerTags(); await chargerTaches(1); }}
+            />
           </div>
 
           {/* Zone principale */}
@@ -306,11 +619,32 @@ function EcranTaches() {
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none text-sm"
                 />
                 <button
-                  onClick={gererRecherche}
+                  onClick={() => gererRecherche()}
                   className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium transition-colors"
                 >
                   Filtrer
                 </button>
+                <select
+                  value={tri}
+                  onChange={(e) => setTri(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none text-sm bg-white"
+                  aria-label="Trier par"
+                >
+                  {Object.entries(LABELS_TRI).map(([valeur, label]) => (
+                    <option key={valeur} value={valeur}>{label}</option>
+                  ))}
+                </select>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm" role="group" aria-label="Vue des tâches">
+                  {[['LISTE', 'Liste'], ['TABLEAU', 'Tableau'], ['CALENDRIER', 'Calendrier']].map(([valeur, label]) => (
+                    <button
+                      key={valeur}
+                      onClick={() => vue !== valeur && changerVue(valeur)}
+                      className={`px-3 py-2 font-medium transition-colors ${vue === valeur ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
               </div>
               <button
                 onClick={() => { setTacheEdition(null); setAfficherFormulaire(true); }}
@@ -318,6 +652,18 @@ function EcranTaches() {
               >
                 + Nouvelle tâche
               </button>
+              <button
+                onClick={() => setAfficherModeles(true)}
+                className="px-4 py-2 bg-white hover:bg-gray-50 text-blue-700 border border-blue-200 rounded-lg text-sm font-medium transition-colors shadow-sm whitespace-nowrap"
+              >
+                Depuis un modèle
+              </button>
+              <button
+                onClick={() => setAfficherImport(true)}
+                className="px-4 py-2 bg-white hover:bg-gray-50 text-blue-700 border border-blue-200 rounded-lg text-sm font-medium transition-colors shadow-sm whitespace-nowrap"
+              >
+                Importer
+              </button>
             </div>
 
             {/* Message d'erreur */}
@@ -328,145 +674,295 @@ function EcranTaches() {
               </div>
             )}
 
-            {/* Tableau des tâches */}
-            <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
-              {chargement ? (
+            {/* Actions groupées sur les tâches cochées */}
+            {selection.length > 0 && (
+              <BarreActionsLot
+                selection={selection}
+                taches={taches}
+                listes={listes}
+                onTermine={terminerActionLot}
+                onDeselectionner={() => setSelection([])}
+              />
+            )}
+
+            {/* Vue calendrier */}
+            {vue === 'CALENDRIER' ? (
+              <CalendrierTaches
+                filtreListe={filtreListe}
+                versionTaches={versionTaches}
+                onOuvrirTache={setTacheDetail}
+                onModification={() => chargerTaches(pagination.page)}
+              />
+            ) : vue === 'TABLEAU' ? (
+              /* Vue tableau (Kanban) */
+              chargement ? (
                 <div className="p-8 text-center text-gray-500">Chargement...</div>
-              ) : taches.length === 0 ? (
-                <div className="p-8 text-center text-gray-500">
-                  <svg className="w-12 h-12 mx-auto mb-3 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-                  </svg>
-                  <p className="font-medium">Aucune tâche trouvée</p>
-                  <p className="text-sm mt-1">Créez votre première tâche pour commencer</p>
-                </div>
               ) : (
-                <div className="overflow-x-auto">
-                  <table className="w-full">
-                    <thead>
-                      <tr className="bg-gray-50 border-b border-gray-200">
-                        <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Statut</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Tâche</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Priorité</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Échéance</th>
-                        <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">État</th>
-                        <th className="px-4 py-3 text-right text-xs font-semibold text-gray-500 uppercase tracking-wider">Actions</th>
-                      </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-100">
-                      {taches.map((tache) => (
-                        <tr key={tache.id} className="hover:bg-gray-50 transition-colors">
-                          {/* Icône de statut */}
-                          <td className="px-4 py-3">
-                            <select
-                              value={tache.statut}
-                              onChange={(e) => changerStatutTache(tache.id, e.target.value)}
-                              className="text-xs border border-gray-200 rounded-md px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 outline-none cursor-pointer"
+                <>
+                  <TableauKanban
+                    taches={taches}
+                    onChangerStatut={changerStatutTache}
+                    onOuvrirTache={setTacheDetail}
+                    formaterDate={formaterDate}
+                  />
+                  {pagination.total > taches.length && (
+                    <p className="mt-3 text-xs text-gray-500">
+                      {taches.length} tâches affichées sur {pagination.total} : filtrez par liste ou par tag pour voir les autres.
+                    </p>
+                  )}
+                </>
+              )
+            ) : (
+              /* Tableau des tâches */
+              <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
+                {chargement ? (
+                  <div className="p-8 text-center text-gray-500">Chargement...</div>
+                ) : taches.length === 0 ? (
+                  <div className="p-8 text-center text-gray-500">
+                    <svg className="w-12 h-12 mx-auto mb-3 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                    </svg>
+                    <p className="font-medium">Aucune tâche trouvée</p>
+                    <p className="text-sm mt-1">Créez votre première tâche pour commencer</p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="bg-gray-50 border-b border-gray-200">
+                          <th className="pl-4 py-3 w-8">
+                            <input
+                              type="checkbox"
+                              checked={selection.length === taches.length}
+                              onChange={basculerSelectionPage}
+                              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                              aria-label="Sélectionner toutes les tâches affichées"
+                            />
+                          </th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Statut</th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Tâche</th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Priorité</th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">Échéance</th>
+                          <th className="px-4 py-3 text-left text-xs font-semibold text-gray-500 uppercase tracking-wider">État</th>
+                          <th className="px-4 py-3 text-right text-xs font-semibold text-gray-500 uppercase tracking-wider">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {taches.map((tache) => (
+                          <React.Fragment key={tache.id}>
+                            <tr
+                              draggable={glisserDeposerActif}
+                              onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setTacheGlissee(tache.id); }}
+                              onDragOver={(e) => { if (tacheGlissee) { e.preventDefault(); setCibleDepot(tache.id); } }}
+                              onDrop={(e) => { e.preventDefault(); deposerTache(tache.id); }}
+                              onDragEnd={() => { setTacheGlissee(null); setCibleDepot(null); }}
+                              className={`transition-colors ${tacheGlissee === tache.id ? 'opacity-50' : ''} ${cibleDepot === tache.id && tacheGlissee !== tache.id ? 'bg-blue-100' : selection.includes(tache.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
                             >
-                              <option value="A_FAIRE">À faire</option>
-                              <option value="EN_COURS">En cours</option>
-                              <option value="TERMINEE">Terminée</option>
-                            </select>
-                          </td>
-
-                          {/* Titre et description */}
-                          <td className="px-4 py-3">
-                            <div>
-                              <p className={`text-sm font-medium ${tache.statut === 'TERMINEE' ? 'line-through text-gray-400' : 'text-gray-900'}`}>
-                                {tache.titre}
-                              </p>
-                              {tache.description && (
-                                <p className="text-xs text-gray-500 mt-0.5 truncate max-w-xs">
-                                  {tache.description}
-                                </p>
-                              )}
-                              {tache.liste && (
-                                <span
-                                  className="inline-block mt-1 text-xs px-2 py-0.5 rounded-full text-white"
-                                  style={{ backgroundColor: tache.liste.couleur }}
+                              {/* Poignée de glisser-déposer et case de sélection pour les actions groupées */}
+                              <td className="pl-4 py-3 w-8 whitespace-nowrap">
+                                {glisserDeposerActif && (
+                                  <span className="mr-1 text-gray-300 cursor-move select-none" title="Glisser pour réordonner">⠿</span>
+                                )}
+                                <input
+                                  type="checkbox"
+                                  checked={selection.includes(tache.id)}
+                                  onChange={() => basculerSelection(tache.id)}
+                                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                  aria-label={`Sélectionner « ${tache.titre} »`}
+                                />
+                              </td>
+
+                              {/* Icône de statut */}
+                              <td className="px-4 py-3">
+                                <select
+                                  value={tache.statut}
+                                  onChange={(e) => changerStatutTache(tache.id, e.target.value)}
+                                  className="text-xs border border-gray-200 rounded-md px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 outline-none cursor-pointer"
                                 >
-                                  {tache.liste.nom}
+                                  <option value="A_FAIRE">À faire</option>
+                                  <option value="EN_COURS">En cours</option>
+                                  <option value="TERMINEE">Terminée</option>
+                                </select>
+                              </td>
+
+                              {/* Titre et description */}
+                              <td className="px-4 py-3">
+                                <div>
+                                  <button
+                                    onClick={() => setTacheDetail(tache)}
+                                    className={`text-left text-sm font-medium hover:text-blue-600 transition-colors ${tache.statut === 'TERMINEE' ? 'line-through text-gray-400' : 'text-gray-900'}`}
+                                  >
+                                    {tache.extraits ? <TexteSurligne extrait={tache.extraits.titre} /> : tache.titre}
+                                  </button>
+                                  {tache.extraits?.description ? (
+                                    <p className="text-xs text-gray-500 mt-0.5 max-w-xs">
+                                      <TexteSurligne extrait={tache.extraits.description} />
+                                    </p>
+                                  ) : tache.description && (
+                                    <p className="text-xs text-gray-500 mt-0.5 truncate max-w-xs">
+                                      {tache.description}
+                                    </p>
+                                  )}
+                                  {tache.liste && (
+                                    <span
+                                      className="inline-block mt-1 text-xs px-2 py-0.5 rounded-full text-white"
+                                      style={{ backgroundColor: tache.liste.couleur }}
+                                    >
+                                      {tache.liste.nom}
+                                    </span>
+                                  )}
+                                  {tache.tags?.map((tag) => (
+                                    <span
+                                      key={tag.id}
+                                      className="inline-block mt-1 ml-1 text-xs px-2 py-0.5 rounded-full border"
+                                      style={{ borderColor: tag.couleur, color: tag.couleur }}
+                                    >
+                                      #{tag.nom}
+                                    </span>
+                                  ))}
+                                  {tache.recurrence && (
+                                    <span
+                                      className="inline-flex items-center gap-1 mt-1 ml-1 text-xs px-2 py-0.5 rounded-full bg-purple-50 text-purple-700"
+                                      title={tache.recurrence}
+                                    >
+                                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                                      </svg>
+                                      Récurrente
+                                    </span>
+                                  )}
+                                  {tache.nombre_bloquantes > 0 && (
+                                    <span
+                                      className="inline-flex items-center gap-1 mt-1 ml-1 text-xs px-2 py-0.5 rounded-full bg-red-50 text-red-700"
+                                      title={`${tache.nombre_bloquantes} tâche(s) bloquante(s) non terminée(s)`}
+                                    >
+                                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                                      </svg>
+                                      Bloquée
+                                    </span>
+                                  )}
+                                  {tache.nombre_sous_taches > 0 && (
+                                    <button
+                                      onClick={() => basculerSousTaches(tache.id)}
+                                      className="flex items-center gap-2 mt-1.5 text-xs text-gray-500 hover:text-blue-600"
+                                    >
+                                      <div className="w-20 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                                        <div className="h-full bg-green-500" style={{ width: `${tache.progression}%` }} />
+                                      </div>
+                                      {tache.nombre_sous_taches_terminees}/{tache.nombre_sous_taches} · {tache.progression}%
+                                    </button>
+                                  )}
+                                </div>
+                              </td>
+
+                              {/* Badge de priorité */}
+                              <td className="px-4 py-3">
+                                <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_PRIORITE[tache.priorite]}`}>
+                                  {tache.priorite}
                                 </span>
-                              )}
-                            </div>
-                          </td>
-
-                          {/* Badge de priorité */}
-                          <td className="px-4 py-3">
-                            <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_PRIORITE[tache.priorite]}`}>
-                              {tache.priorite}
-                            </span>
-                          </td>
-
-                          {/* Date d'échéance */}
-                          <td className="px-4 py-3">
-                            <span className="text-sm text-gray-600">
-                              {formaterDate(tache.date_echeance)}
-                            </span>
-                          </td>
-
-                          {/* Badge d'état */}
-                          <td className="px-4 py-3">
-                            <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_STATUT[tache.statut]}`}>
-                              {LABELS_STATUT[tache.statut]}
-                            </span>
-                          </td>
-
-                          {/* Actions */}
-                          <td className="px-4 py-3 text-right">
-                            <div className="flex items-center justify-end gap-2">
-                              <button
-                                onClick={() => ouvrirEdition(tache)}
-                                className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
-                                title="Modifier"
-                              >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                                </svg>
-                              </button>
-                              <button
-                                onClick={() => supprimerTache(tache.id)}
-                                className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
-                                title="Supprimer"
-                              >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                </svg>
-                              </button>
-                            </div>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-
-              {/* Pagination */}
-              {pagination.totalPages > 1 && (
-                <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 bg-gray-50">
-                  <p className="text-sm text-gray-600">
-                    Page {pagination.page} sur {pagination.totalPages} ({pagination.total} résultats)
-                  </p>
-                  <div className="flex gap-2">
-                    <button
-                      onClick={() => chargerTaches(pagination.page - 1)}
-                      disabled={pagination.page <= 1}
-                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                    >
-                      Précédent
-                    </button>
-                    <button
-                      onClick={() => chargerTaches(pagination.page + 1)}
-                      disabled={pagination.page >= pagination.totalPages}
-                      className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                    >
-                      Suivant
-                    </button>
+                              </td>
+
+                              {/* Date d'échéance */}
+                              <td className="px-4 py-3">
+                                <span className="text-sm text-gray-600">
+                                  {formaterDate(tache.date_echeance)}
+                                </span>
+                              </td>
+
+                              {/* Badge d'état */}
+                              <td className="px-4 py-3">
+                                <span className={`inline-block text-xs font-medium px-2.5 py-1 rounded-full ${COULEURS_STATUT[tache.statut]}`}>
+                                  {LABELS_STATUT[tache.statut]}
+                                </span>
+                              </td>
+
+                              {/* Actions */}
+                              <td className="px-4 py-3 text-right">
+                                <div className="flex items-center justify-end gap-2">
+                                  {!tache.parent_id && (
+                                    <button
+                                      onClick={() => basculerSousTaches(tache.id)}
+                                      className={`p-1.5 rounded-md transition-colors ${tachesDepliees.includes(tache.id) ? 'text-blue-600 bg-blue-50' : 'text-gray-400 hover:text-blue-600 hover:bg-blue-50'}`}
+                                      title="Sous-tâches"
+                                    >
+                                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4M7 20h10a2 2 0 002-2V6a2 2 0 00-2-2H7a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                      </svg>
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => setTacheDetail(tache)}
+                                    className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+                                    title="Historique"
+                                  >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                                    </svg>
+                                  </button>
+                                  <button
+                                    onClick={() => ouvrirEdition(tache)}
+                                    className="p-1.5 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+                                    title="Modifier"
+                                  >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                    </svg>
+                                  </button>
+                                  <button
+                                    onClick={() => supprimerTache(tache.id)}
+                                    className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+                                    title="Supprimer"
+                                  >
+                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                    </svg>
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+
+                            {/* Checklist des sous-tâches */}
+                            {tachesDepliees.includes(tache.id) && (
+                              <tr>
+                                <td colSpan={7} className="p-0">
+                                  <SousTaches tache={tache} onModification={() => chargerTaches(pagination.page)} />
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+
+                {/* Pagination */}
+                {pagination.totalPages > 1 && (
+                  <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 bg-gray-50">
+                    <p className="text-sm text-gray-600">
+                      Page {pagination.page} sur {pagination.totalPages} ({pagination.total} résultats)
+                    </p>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => changerPage(pagination.page - 1)}
+                        disabled={pagination.page <= 1}
+                        className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                      >
+                        Précédent
+                      </button>
+                      <button
+                        onClick={() => changerPage(pagination.page + 1)}
+                        disabled={pagination.page >= pagination.totalPages}
+                        className="px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                      >
+                        Suivant
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -476,13 +972,49 @@ function EcranTaches() {
         <FormulaireTache
           tache={tacheEdition}
           listes={listes}
+          tags={tags}
           onFermer={fermerFormulaire}
         />
       )}
 
+      {/* Panneau de détail de tâche */}
+      {tacheDetail && (
+        <DetailTache
+          tache={tacheDetail}
+          listes={listes}
+          onFermer={() => setTacheDetail(null)}
+          onTacheModifiee={() => chargerTaches(pagination.page)}
+          chrono={chrono}
+          onChronoModifie={setChrono}
+        />
+      )}
+
+      {/* Modal Corbeille */}
+      {afficherCorbeille && (
+        <Corbeille onFermer={fermerCorbeille} />
+      )}
+
+      {/* Modal Modèles de tâches */}
+      {afficherModeles && (
+        <ModelesTaches
+          listes={listes}
+          onFermer={() => setAfficherModeles(false)}
+          onTacheCreee={tacheCreeeDepuisModele}
+        />
+      )}
+
+      {/* Modal Import de tâches */}
+      {afficherImport && (
+        <ImportTaches
+          listes={listes}
+          onFermer={() => setAfficherImport(false)}
+          onImporte={tachesImportees}
+        />
+      )}
+
       {/* Modal Profil */}
       {afficherProfil && (
-        <ProfilUtilisateur onFermer={() => setAfficherProfil(false)} />
+        <ProfilUtilisateur onFermer={() => setAfficherProfil(false)} onRestaure={tachesImportees} />
       )}
     </div>
   );
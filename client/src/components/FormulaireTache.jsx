@@ -5,8 +5,23 @@
  * @module components/FormulaireTache
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import taskService from '../services/taskService';
+import ChampRecurrence from './ChampRecurrence';
+import SaisieChampPersonnalise from './SaisieChampPersonnalise';
+
+/**
+ * @function convertirSaisieChamp
+ * @description Convertit la saisie d'un champ personnalisé en valeur envoyée à l'API.
+ * @param {Object} champ - Champ personnalisé.
+ * @param {string|boolean|undefined} saisie - Valeur saisie.
+ * @returns {string|number|boolean|null} Valeur typée, null si le champ est vide.
+ */
+const convertirSaisieChamp = (champ, saisie) => {
+  if (champ.type === 'CASE') return saisie === true;
+  if (saisie === undefined || saisie === '') return null;
+  return champ.type === 'NOMBRE' ? Number(saisie) : saisie;
+};
 
 /**
  * @function FormulaireTache
@@ -14,10 +29,11 @@ import taskService from '../services/taskService';
  * @param {Object} props - Props du composant.
  * @param {Object|null} props.tache - Tâche à éditer (null pour création).
  * @param {Array} props.listes - Liste des listes thématiques disponibles.
+ * @param {Array} props.tags - Tags de l'utilisateur.
  * @param {Function} props.onFermer - Callback appelé à la fermeture du formulaire.
  * @returns {JSX.Element} Le composant FormulaireTache.
  */
-function FormulaireTache({ tache, listes, onFermer }) {
+function FormulaireTache({ tache, listes, tags, onFermer }) {
   /** @type {boolean} Mode édition si une tâche est fournie */
   const modeEdition = !!tache;
 
@@ -36,12 +52,49 @@ function FormulaireTache({ tache, listes, onFermer }) {
   /** @type {string} ID de la liste sélectionnée */
   const [listeId, setListeId] = useState(tache?.liste_id || '');
 
+  /** @type {string} Règle de récurrence RRULE ('' si aucune) */
+  const [recurrence, setRecurrence] = useState(tache?.recurrence || '');
+
+  /** @type {string} Estimation saisie ('' si aucune) */
+  const [estimation, setEstimation] = useState(tache?.estimation ?? '');
+
+  /** @type {string} Unité de l'estimation (MINUTES ou POINTS) */
+  const [uniteEstimation, setUniteEstimation] = useState(tache?.unite_estimation || 'MINUTES');
+
+  /** @type {string[]} UUID des tags assignés à la tâche */
+  const [tagIds, setTagIds] = useState(tache?.tags?.map((tag) => tag.id) || []);
+
+  /** @type {Array} Champs personnalisés de la liste sélectionnée */
+  const [champs, setChamps] = useState([]);
+
+  /** @type {Object} Valeurs saisies des champs personnalisés {UUID du champ: valeur} */
+  const [valeursChamps, setValeursChamps] = useState(() => Object.fromEntries(
+    (tache?.valeurs_champs || []).map((v) => [v.champ_id, typeof v.valeur === 'boolean' ? v.valeur : String(v.valeur)])
+  ));
+
   /** @type {boolean} Chargement en cours */
   const [chargement, setChargement] = useState(false);
 
   /** @type {string|null} Message d'erreur */
   const [erreur, setErreur] = useState(null);
 
+  /** Charger les champs personnalisés de la liste sélectionnée */
+  useEffect(() => {
+    if (!listeId) {
+      setChamps([]);
+      return;
+    }
+    const chargerChamps = async () => {
+      try {
+        const response = await taskService.listerChamps(listeId);
+        setChamps(response.data.champs);
+      } catch (err) {
+        console.error('Erreur lors du chargement des champs personnalisés :', err);
+      }
+    };
+    chargerChamps();
+  }, [listeId]);
+
   /**
    * @function validerFormulaire
    * @description Valide les champs du formulaire côté client.
@@ -56,9 +109,28 @@ function FormulaireTache({ tache, listes, onFermer }) {
       setErreur('La description ne peut pas dépasser 2000 caractères.');
       return false;
     }
+    if (recurrence && !dateEcheance) {
+      setErreur('Une tâche récurrente doit avoir une date d\'échéance.');
+      return false;
+    }
+    if (estimation !== '' && (!Number.isInteger(Number(estimation)) || Number(estimation) < 0)) {
+      setErreur('L\'estimation doit être un entier positif.');
+      return false;
+    }
     return true;
   };
 
+  /**
+   * @function basculerTag
+   * @description Assigne ou retire un tag de la tâche.
+   * @param {string} tagId - UUID du tag.
+   */
+  const basculerTag = (tagId) => {
+    setTagIds((precedent) => (precedent.includes(tagId)
+      ? precedent.filter((id) => id !== tagId)
+      : [...precedent, tagId]));
+  };
+
   /**
    * @function gererSoumission
    * @description Gère la soumission du formulaire (création ou édition).
@@ -79,7 +151,16 @@ function FormulaireTache({ tache, listes, onFermer }) {
         priorite,
         date_echeance: dateEcheance || null,
         liste_id: listeId || null,
+        recurrence: recurrence || null,
+        estimation: estimation === '' ? null : Number(estimation),
+        unite_estimation: uniteEstimation,
+        tag_ids: tagIds,
       };
+      if (champs.length > 0) {
+        donnees.champs = Object.fromEntries(
+          champs.map((champ) => [champ.id, convertirSaisieChamp(champ, valeursChamps[champ.id])])
+        );
+      }
 
       if (modeEdition) {
         await taskService.modifierTache(tache.id, donnees);
@@ -191,6 +272,35 @@ function FormulaireTache({ tache, listes, onFermer }) {
             />
           </div>
 
+          {/* Estimation (optionnelle, en minutes ou en points) */}
+          <div>
+            <label htmlFor="estimation" className="block text-sm font-medium text-gray-700 mb-1">
+              Estimation
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="estimation"
+                type="number"
+                min={0}
+                max={100000}
+                step={1}
+                value={estimation}
+                onChange={(e) => setEstimation(e.target.value)}
+                className="flex-1 px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors text-sm"
+                placeholder="Aucune"
+              />
+              <select
+                value={uniteEstimation}
+                onChange={(e) => setUniteEstimation(e.target.value)}
+                className="px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors text-sm bg-white"
+                aria-label="Unité de l'estimation"
+              >
+                <option value="MINUTES">minutes</option>
+                <option value="POINTS">points</option>
+              </select>
+            </div>
+          </div>
+
           {/* Liste (select optionnel) */}
           <div>
             <label htmlFor="listeId" className="block text-sm font-medium text-gray-700 mb-1">
@@ -211,6 +321,54 @@ function FormulaireTache({ tache, listes, onFermer }) {
             </select>
           </div>
 
+          {/* Champs personnalisés de la liste */}
+          {champs.map((champ) => (
+            <div key={champ.id} className={champ.type === 'CASE' ? 'flex items-center gap-2' : undefined}>
+              <label
+                htmlFor={`champ-${champ.id}`}
+                className={`block text-sm font-medium text-gray-700 ${champ.type === 'CASE' ? 'order-2' : 'mb-1'}`}
+              >
+                {champ.nom}
+              </label>
+              <SaisieChampPersonnalise
+                champ={champ}
+                valeur={valeursChamps[champ.id] ?? (champ.type === 'CASE' ? false : '')}
+                onChange={(valeur) => setValeursChamps((precedent) => ({ ...precedent, [champ.id]: valeur }))}
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors text-sm"
+              />
+            </div>
+          ))}
+
+          {/* Tags (sélection multiple) */}
+          {tags.length > 0 && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Tags</span>
+              <div className="flex flex-wrap gap-1.5">
+                {tags.map((tag) => {
+                  const actif = tagIds.includes(tag.id);
+                  return (
+                    <button
+                      key={tag.id}
+                      type="button"
+                      onClick={() => basculerTag(tag.id)}
+                      className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
+                        actif ? 'text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                      }`}
+                      style={actif ? { backgroundColor: tag.couleur, borderColor: tag.couleur } : { borderColor: tag.couleur }}
+                    >
+                      {tag.nom}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Récurrence (tâches racines uniquement) */}
+          {!tache?.parent_id && (
+            <ChampRecurrence valeur={recurrence} onChange={setRecurrence} />
+          )}
+
           {/* Boutons d'action */}
           <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
             <button
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Chronologie des changements de statut d'une tâche.
+ * Affiche chaque transition avec son horodatage et la durée passée dans chaque statut.
+ * @module components/HistoriqueStatuts
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Object} LABELS_STATUT
+ * @description Labels d'affichage pour chaque statut de tâche.
+ */
+const LABELS_STATUT = {
+  A_FAIRE: 'À faire',
+  EN_COURS: 'En cours',
+  TERMINEE: 'Terminée',
+};
+
+/**
+ * @constant {Object} COULEURS_POINT
+ * @description Classes CSS des pastilles de la chronologie selon le statut atteint.
+ */
+const COULEURS_POINT = {
+  A_FAIRE: 'bg-gray-400',
+  EN_COURS: 'bg-yellow-500',
+  TERMINEE: 'bg-green-500',
+};
+
+/**
+ * @function formaterDateHeure
+ * @description Formate un horodatage pour l'affichage (jj/mm/aaaa hh:mm).
+ * @param {string|Date} date - Date à formater.
+ * @returns {string} Date et heure formatées.
+ */
+const formaterDateHeure = (date) => new Date(date).toLocaleString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * @function formaterDuree
+ * @description Convertit une durée en millisecondes en texte lisible (ex. "2 j 3 h").
+ * @param {number} ms - Durée en millisecondes.
+ * @returns {string} Durée formatée.
+ */
+const formaterDuree = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'moins d\'une minute';
+
+  const jours = Math.floor(minutes / 1440);
+  const heures = Math.floor((minutes % 1440) / 60);
+  const resteMinutes = minutes % 60;
+
+  if (jours > 0) return heures > 0 ? `${jours} j ${heures} h` : `${jours} j`;
+  if (heures > 0) return resteMinutes > 0 ? `${heures} h ${resteMinutes} min` : `${heures} h`;
+  return `${resteMinutes} min`;
+};
+
+/**
+ * @function HistoriqueStatuts
+ * @description Chronologie paginée des transitions de statut d'une tâche.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche dont on affiche l'historique.
+ * @returns {JSX.Element} Le composant HistoriqueStatuts.
+ */
+function HistoriqueStatuts({ tache }) {
+  /** @type {Array} Transitions chargées (ordre chronologique) */
+  const [historique, setHistorique] = useState([]);
+
+  /** @type {Object|null} Statut actuel et durée écoulée depuis la dernière transition */
+  const [statutActuel, setStatutActuel] = useState(null);
+
+  /** @type {Object} Informations de pagination */
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerHistorique
+   * @description Charge une page d'historique et l'ajoute à la chronologie.
+   * @param {number} [page=1] - Numéro de page.
+   */
+  const chargerHistorique = useCallback(async (page = 1) => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const response = await taskService.historiqueTache(tache.id, { page, limit: 20 });
+      setHistorique((precedent) => (page === 1
+        ? response.data.historique
+        : [...precedent, ...response.data.historique]));
+      setStatutActuel(response.data.statut_actuel);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setErreur('Erreur lors du chargement de l\'historique.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerHistorique(1);
+  }, [chargerHistorique]);
+
+  if (erreur) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+        {erreur}
+      </div>
+    );
+  }
+
+  /** La création n'est affichée qu'une fois toute la chronologie chargée */
+  const toutCharge = pagination.page >= pagination.totalPages;
+
+  return (
+    <div>
+      <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+        {/* Création de la tâche */}
+        <li className="ml-4">
+          <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-blue-500 border-2 border-white" />
+          <p className="text-sm font-medium text-gray-900">Tâche créée</p>
+          <p className="text-xs text-gray-500">{formaterDateHeure(tache.date_creation)}</p>
+        </li>
+
+        {/* Transitions de statut */}
+        {historique.map((entree) => (
+          <li key={entree.id} className="ml-4">
+            <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ${COULEURS_POINT[entree.nouveau_statut] || 'bg-gray-400'}`} />
+            <p className="text-sm font-medium text-gray-900">
+              {LABELS_STATUT[entree.ancien_statut] || entree.ancien_statut}
+              {' → '}
+              {LABELS_STATUT[entree.nouveau_statut] || entree.nouveau_statut}
+            </p>
+            <p className="text-xs text-gray-500">{formaterDateHeure(entree.date_modification)}</p>
+            <p className="text-xs text-gray-400 mt-0.5">
+              Resté {formaterDuree(entree.duree_statut_precedent_ms)} en « {LABELS_STATUT[entree.ancien_statut] || entree.ancien_statut} »
+            </p>
+          </li>
+        ))}
+
+        {/* Statut actuel */}
+        {statutActuel && toutCharge && (
+          <li className="ml-4">
+            <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border-2 border-white ring-2 ring-blue-200 ${COULEURS_POINT[statutActuel.statut] || 'bg-gray-400'}`} />
+            <p className="text-sm font-medium text-gray-900">
+              {LABELS_STATUT[statutActuel.statut] || statutActuel.statut} (actuel)
+            </p>
+            <p className="text-xs text-gray-400">
+              Depuis {formaterDuree(statutActuel.duree_ms)}
+            </p>
+          </li>
+        )}
+      </ol>
+
+      {historique.length === 0 && !chargement && (
+        <p className="text-xs text-gray-400 mt-3">Aucun changement de statut pour le moment.</p>
+      )}
+
+      {chargement && (
+        <p className="text-xs text-gray-500 mt-3">Chargement...</p>
+      )}
+
+      {!chargement && !toutCharge && (
+        <button
+          onClick={() => chargerHistorique(pagination.page + 1)}
+          className="mt-4 px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+        >
+          Afficher plus ({pagination.total - historique.length} restantes)
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HistoriqueStatuts;
@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Import de tâches depuis un fichier d'un autre outil (modal).
+ * Le fichier est d'abord analysé sans rien créer. iCalendar : l'aperçu indique, pour chaque entrée,
+ * si elle sera créée, ignorée (avec son motif) ou reconnue comme déjà importée. CSV : les colonnes sont
+ * associées aux champs des tâches et chaque ligne est validée ; l'import n'est possible que sans erreur.
+ * Trello et Todoist : le tableau ou le projet devient une liste et l'aperçu indique l'action prévue pour
+ * chaque carte ou tâche ; réimporter le même export ne recrée pas les tâches.
+ * @module components/ImportTaches
+ */
+
+import React, { useState } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Object} FORMATS
+ * @description Formats d'import : libellé, extensions acceptées, explication et choix d'une liste cible.
+ */
+const FORMATS = {
+  ICAL: {
+    label: 'iCalendar',
+    accept: '.ics,text/calendar',
+    aide: 'Fichier .ics : chaque tâche (VTODO) devient une tâche. Les tâches déjà importées sont reconnues.',
+    listeCible: true,
+  },
+  CSV: {
+    label: 'CSV',
+    accept: '.csv,text/csv',
+    aide: 'Fichier .csv avec une ligne d\'en-tête : associez ses colonnes aux champs des tâches. Les listes absentes sont créées.',
+    listeCible: true,
+  },
+  TRELLO: {
+    label: 'Trello',
+    accept: '.json,application/json',
+    aide: 'Export JSON d\'un tableau Trello : le tableau devient une liste, chaque carte une tâche (checklists dans la description).',
+    listeCible: false,
+  },
+  TODOIST: {
+    label: 'Todoist',
+    accept: '.csv,text/csv',
+    aide: 'Export CSV d\'un projet Todoist : le projet devient une liste, ses sous-tâches et commentaires passent dans la description.',
+    listeCible: false,
+  },
+};
+
+/**
+ * @constant {Object} IMPORTS
+ * @description Méthode du service d'import selon le format (hors CSV, qui transmet aussi la correspondance).
+ */
+const IMPORTS = {
+  ICAL: taskService.importerIcal,
+  TRELLO: taskService.importerTrello,
+  TODOIST: taskService.importerTodoist,
+};
+
+/**
+ * @constant {Array<[string, string]>} CHAMPS_CSV
+ * @description Champs des tâches pouvant être associés à une colonne CSV, avec leur libellé.
+ */
+const CHAMPS_CSV = [
+  ['titre', 'Titre'],
+  ['description', 'Description'],
+  ['statut', 'Statut'],
+  ['priorite', 'Priorité'],
+  ['date_echeance', 'Échéance (YYYY-MM-DD)'],
+  ['liste', 'Nom de liste'],
+];
+
+/**
+ * @constant {Object} ACTIONS
+ * @description Libellé et classes CSS de l'action prévue pour chaque entrée (iCalendar, Trello, Todoist).
+ */
+const ACTIONS = {
+  CREER: { label: 'Créée', classes: 'bg-green-100 text-green-800' },
+  DOUBLON: { label: 'Doublon', classes: 'bg-gray-100 text-gray-600' },
+  IGNOREE: { label: 'Ignorée', classes: 'bg-orange-100 text-orange-800' },
+  ECHEC: { label: 'Échec', classes: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * @constant {Object} LABELS_STATUT
+ * @description Libellés affichés pour chaque statut.
+ */
+const LABELS_STATUT = {
+  A_FAIRE: 'À faire',
+  EN_COURS: 'En cours',
+  TERMINEE: 'Terminée',
+};
+
+/**
+ * @function formaterEcheance
+ * @description Formate une échéance (YYYY-MM-DD) pour l'aperçu.
+ * @param {string|null} date - Échéance.
+ * @returns {string} Date au format français, ou tiret.
+ */
+const formaterEcheance = (date) => (date ? new Date(date).toLocaleDateString('fr-FR') : '-');
+
+/**
+ * @function ImportTaches
+ * @description Sélection du format, d'un fichier et d'une liste cible, aperçu de l'import puis création des tâches.
+ * @param {Object} props - Props du composant.
+ * @param {Array} props.listes - Listes de l'utilisateur.
+ * @param {Function} props.onFermer - Callback de fermeture.
+ * @param {Function} props.onImporte - Callback appelé après un import ayant créé des tâches.
+ * @returns {JSX.Element} Le composant ImportTaches.
+ */
+function ImportTaches({ listes, onFermer, onImporte }) {
+  /** @type {string} Format du fichier : ICAL ou CSV */
+  const [format, setFormat] = useState('ICAL');
+
+  /** @type {File|null} Fichier choisi */
+  const [fichier, setFichier] = useState(null);
+
+  /** @type {string} Liste cible ('' : aucune liste ; CSV : lignes sans nom de liste) */
+  const [listeId, setListeId] = useState('');
+
+  /** @type {Object|null} Correspondance CSV {champ: en-tête} (null : déduite par le serveur) */
+  const [correspondance, setCorrespondance] = useState(null);
+
+  /** @type {Object|null} Résultat de l'aperçu ou de l'import */
+  const [resultat, setResultat] = useState(null);
+
+  /** @type {boolean} Requête en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function envoyer
+   * @description Envoie le fichier pour un aperçu (simulation) ou pour l'import réel. Un import CSV refusé
+   * pour des lignes invalides renvoie son rapport, affiché comme un aperçu.
+   * @param {boolean} simulation - true pour l'aperçu.
+   * @param {Object|null} [choixColonnes] - Correspondance CSV à utiliser (par défaut celle en cours).
+   */
+  const envoyer = async (simulation, choixColonnes = correspondance) => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const options = { listeId: listeId || null, simulation };
+      const response = format === 'CSV'
+        ? await taskService.importerCsv(fichier, { ...options, correspondance: choixColonnes })
+        : await IMPORTS[format](fichier, options);
+      setResultat(response.data);
+      if (format === 'CSV') setCorrespondance(response.data.correspondance);
+      if (!simulation) await onImporte();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'import.');
+      if (err.response?.data?.data) {
+        setResultat({ ...err.response.data.data, simulation: true });
+      }
+    } finally {
+      setChargement(false);
+    }
+  };
+
+  /**
+   * @function reinitialiser
+   * @description Oublie l'aperçu et la correspondance (nouveau fichier ou nouveau format).
+   */
+  const reinitialiser = () => {
+    setResultat(null);
+    setCorrespondance(null);
+    setErreur(null);
+  };
+
+  /**
+   * @function associerColonne
+   * @description Associe une colonne CSV à un champ (ou retire l'association) puis actualise l'aperçu.
+   * @param {string} champ - Champ de la tâche.
+   * @param {string} colonne - En-tête de colonne ('' : aucune).
+   */
+  const associerColonne = (champ, colonne) => {
+    const nouvelle = { ...correspondance };
+    if (colonne) {
+      nouvelle[champ] = colonne;
+    } else {
+      delete nouvelle[champ];
+    }
+    setCorrespondance(nouvelle);
+    envoyer(true, nouvelle);
+  };
+
+  /** @type {boolean} L'import a été effectué (plus d'aperçu en attente) */
+  const importTermine = resultat && !resultat.simulation;
+
+  /** @type {number} Nombre de tâches que l'import créera */
+  const aCreer = resultat ? resultat.resume.importees : 0;
+
+  /** @type {boolean} L'import est possible (CSV : aucune ligne invalide) */
+  const importPossible = aCreer > 0 && !(format === 'CSV' && resultat.resume.echecs > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        {/* En-tête */}
+        <div className="flex items-start justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Importer des tâches</h2>
+            <p className="text-xs text-gray-500 mt-1">{FORMATS[format].aide}</p>
+          </div>
+          <button
+            onClick={onFermer}
+            className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {erreur && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              {erreur}
+            </div>
+          )}
+
+          {/* Format */}
+          {!importTermine && (
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm w-fit">
+              {Object.entries(FORMATS).map(([valeur, { label }]) => (
+                <button
+                  key={valeur}
+                  onClick={() => { setFormat(valeur); setFichier(null); reinitialiser(); }}
+                  disabled={chargement}
+                  className={`px-3 py-1 font-medium transition-colors ${format === valeur ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Fichier et liste cible */}
+          <div className={`grid grid-cols-1 gap-3 ${FORMATS[format].listeCible ? 'sm:grid-cols-2' : ''}`}>
+            <input
+              key={format}
+              type="file"
+              accept={FORMATS[format].accept}
+              onChange={(e) => { setFichier(e.target.files[0] || null); reinitialiser(); }}
+              disabled={chargement}
+              className="text-sm text-gray-700 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 file:text-sm file:font-medium hover:file:bg-blue-100"
+              aria-label="Fichier à importer"
+            />
+            {FORMATS[format].listeCible && (
+              <select
+                value={listeId}
+                onChange={(e) => { setListeId(e.target.value); setResultat(null); }}
+                disabled={chargement}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Liste cible"
+              >
+                <option value="">{format === 'CSV' ? 'Sans nom de liste : aucune liste' : 'Aucune liste'}</option>
+                {listes.map((liste) => (
+                  <option key={liste.id} value={liste.id}>
+                    {format === 'CSV' ? `Sans nom de liste : ${liste.nom}` : liste.nom}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {!resultat && (
+            <button
+              onClick={() => envoyer(true)}
+              disabled={!fichier || chargement}
+              className="w-full py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {chargement ? 'Analyse...' : 'Aperçu de l\'import'}
+            </button>
+          )}
+
+          {/* Correspondance des colonnes CSV */}
+          {resultat && format === 'CSV' && !importTermine && (
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {CHAMPS_CSV.map(([champ, label]) => (
+                <label key={champ} className="text-xs text-gray-600">
+                  {label}
+                  <select
+                    value={correspondance?.[champ] || ''}
+                    onChange={(e) => associerColonne(champ, e.target.value)}
+                    disabled={chargement}
+                    className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md text-xs bg-white outline-none focus:ring-1 focus:ring-blue-500"
+                  >
+                    <option value="">— Aucune colonne —</option>
+                    {resultat.colonnes.map((colonne) => (
+                      <option key={colonne} value={colonne}>{colonne}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {resultat && format !== 'CSV' && (
+            <>
+              <p className={`text-sm ${importTermine ? 'text-green-700' : 'text-gray-700'}`}>
+                {importTermine
+                  ? `${resultat.resume.importees} tâche(s) importée(s).`
+                  : `${resultat.resume.total} tâche(s) dans le fichier : ${resultat.resume.importees} à créer.`}
+                {' '}
+                {resultat.resume.doublons > 0 && `${resultat.resume.doublons} déjà importée(s). `}
+                {resultat.resume.ignorees > 0 && `${resultat.resume.ignorees} ignorée(s). `}
+                {resultat.resume.echecs > 0 && `${resultat.resume.echecs} en échec.`}
+              </p>
+              {resultat.liste && (
+                <p className="text-xs text-gray-500">
+                  Liste « {resultat.liste.nom} »
+                  {resultat.liste.creee ? (importTermine ? ' (créée)' : ' (à créer)') : ' (existante)'}
+                </p>
+              )}
+
+              {resultat.entrees.length > 0 && (
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-50 text-gray-500 uppercase">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-semibold">Titre</th>
+                        <th className="px-3 py-2 text-left font-semibold">Échéance</th>
+                        <th className="px-3 py-2 text-left font-semibold">Statut</th>
+                        <th className="px-3 py-2 text-left font-semibold">Import</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {resultat.entrees.map((entree, index) => (
+                        <tr key={index} className={entree.action === 'CREER' ? '' : 'text-gray-400'}>
+                          <td className="px-3 py-2">{entree.titre || <em>Sans titre</em>}</td>
+                          <td className="px-3 py-2 whitespace-nowrap">{formaterEcheance(entree.date_echeance)}</td>
+                          <td className="px-3 py-2 whitespace-nowrap">{LABELS_STATUT[entree.statut] || '-'}</td>
+                          <td className="px-3 py-2">
+                            <span className={`inline-block px-2 py-0.5 rounded-full font-medium ${ACTIONS[entree.action].classes}`}>
+                              {ACTIONS[entree.action].label}
+                            </span>
+                            {entree.motif && <p className="mt-1">{entree.motif}</p>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+
+          {resultat && format === 'CSV' && (
+            <>
+              <p className={`text-sm ${importTermine ? 'text-green-700' : 'text-gray-700'}`}>
+                {importTermine
+                  ? `${resultat.resume.importees} tâche(s) importée(s).`
+                  : `${resultat.resume.total} ligne(s) : ${resultat.resume.importees} valide(s), ${resultat.resume.echecs} en erreur.`}
+                {resultat.resume.listes_a_creer.length > 0
+                  && ` Liste(s) ${importTermine ? 'créée(s)' : 'à créer'} : ${resultat.resume.listes_a_creer.join(', ')}.`}
+              </p>
+
+              {resultat.lignes.length > 0 && (
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-50 text-gray-500 uppercase">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-semibold">Ligne</th>
+                        <th className="px-3 py-2 text-left font-semibold">Titre</th>
+                        <th className="px-3 py-2 text-left font-semibold">Échéance</th>
+                        <th className="px-3 py-2 text-left font-semibold">Statut</th>
+                        <th className="px-3 py-2 text-left font-semibold">Liste</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {resultat.lignes.map((ligne) => (
+                        <React.Fragment key={ligne.ligne}>
+                          <tr className={ligne.erreur ? 'bg-red-50' : ''}>
+                            <td className="px-3 py-2 text-gray-400">{ligne.ligne}</td>
+                            <td className="px-3 py-2">{ligne.titre || <em>Sans titre</em>}</td>
+                            <td className="px-3 py-2 whitespace-nowrap">{ligne.erreur ? ligne.date_echeance || '-' : formaterEcheance(ligne.date_echeance)}</td>
+                            <td className="px-3 py-2 whitespace-nowrap">{LABELS_STATUT[ligne.statut] || ligne.statut}</td>
+                            <td className="px-3 py-2">{ligne.liste || '-'}</td>
+                          </tr>
+                          {ligne.erreur && (
+                            <tr className="bg-red-50">
+                              <td />
+                              <td colSpan={4} className="px-3 pb-2 text-red-700">{ligne.erreur}</td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+
+          {resultat && (
+            <div className="flex gap-3">
+              {importTermine ? (
+                <button
+                  onClick={onFermer}
+                  className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Fermer
+                </button>
+              ) : (
+                <>
+                  <button
+                    onClick={reinitialiser}
+                    disabled={chargement}
+                    className="flex-1 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Annuler
+                  </button>
+                  <button
+                    onClick={() => envoyer(false)}
+                    disabled={chargement || !importPossible}
+                    className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white rounded-lg text-sm font-medium transition-colors"
+                  >
+                    {chargement ? 'Import...' : `Importer ${aCreer} tâche(s)`}
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportTaches;
@@ -121,11 +121,11 @@ function ListeNavigation({ listes, filtreStatut, filtreListe, onFiltreStatut, on
 
   /**
    * @function supprimerListe
-   * @description Supprime une liste après confirmation.
+   * @description Place une liste dans la corbeille après confirmation.
    * @param {string} listeId - UUID de la liste.
    */
   const supprimerListe = async (listeId) => {
-    if (!window.confirm('Supprimer cette liste ? Les tâches associées seront conservées.')) return;
+    if (!window.confirm('Placer cette liste dans la corbeille ? Les tâches associées seront conservées.')) return;
     try {
       await taskService.supprimerListe(listeId);
       if (filtreListe === listeId) {
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Rendu d'un sous-ensemble de Markdown en éléments React.
+ * Supporte paragraphes, retours à la ligne, titres (#, ##, ###), listes à puces et
+ * numérotées, blocs de code (```), code en ligne, gras, italique et liens.
+ * Aucun HTML brut n'est interprété : le texte est toujours échappé par React et
+ * seuls les liens http(s) et mailto sont rendus cliquables.
+ * @module components/Markdown
+ */
+
+import React from 'react';
+
+/**
+ * @constant {RegExp} MOTIF_EN_LIGNE
+ * @description Éléments en ligne : code, lien, gras, italique (dans cet ordre de priorité).
+ * L'italique « _texte_ » n'est reconnu qu'entre deux limites de mot (noms_avec_soulignés préservés).
+ */
+const MOTIF_EN_LIGNE = /(`[^`]+`)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*]+)\*|(?<!\w)_([^_]+)_(?!\w)/;
+
+/**
+ * @constant {RegExp} PROTOCOLES_AUTORISES
+ * @description Protocoles acceptés pour les liens (évite javascript:, data:...).
+ */
+const PROTOCOLES_AUTORISES = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * @function rendreEnLigne
+ * @description Convertit le Markdown en ligne d'un texte en nœuds React.
+ * @param {string} texte - Texte à convertir.
+ * @param {string} cle - Préfixe des clés React.
+ * @returns {Array<React.ReactNode>} Nœuds React.
+ */
+const rendreEnLigne = (texte, cle) => {
+  const noeuds = [];
+  let reste = texte;
+  let index = 0;
+
+  while (reste) {
+    const correspondance = reste.match(MOTIF_EN_LIGNE);
+    if (!correspondance) {
+      noeuds.push(reste);
+      break;
+    }
+
+    if (correspondance.index > 0) {
+      noeuds.push(reste.slice(0, correspondance.index));
+    }
+
+    const [complet, code, libelle, url, gras, italique, italiqueSouligne] = correspondance;
+    const k = `${cle}-${index++}`;
+
+    if (code) {
+      noeuds.push(<code key={k} className="px-1 py-0.5 bg-gray-100 rounded text-xs font-mono">{code.slice(1, -1)}</code>);
+    } else if (libelle) {
+      noeuds.push(PROTOCOLES_AUTORISES.test(url)
+        ? <a key={k} href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{libelle}</a>
+        : complet);
+    } else if (gras) {
+      noeuds.push(<strong key={k}>{rendreEnLigne(gras, k)}</strong>);
+    } else {
+      noeuds.push(<em key={k}>{rendreEnLigne(italique || italiqueSouligne, k)}</em>);
+    }
+
+    reste = reste.slice(correspondance.index + complet.length);
+  }
+
+  return noeuds;
+};
+
+/**
+ * @function rendreLignes
+ * @description Rend des lignes de paragraphe en conservant les retours à la ligne.
+ * @param {string[]} lignes - Lignes du paragraphe.
+ * @param {string} cle - Préfixe des clés React.
+ * @returns {Array<React.ReactNode>} Nœuds React.
+ */
+const rendreLignes = (lignes, cle) => lignes.flatMap((ligne, i) => [
+  ...(i > 0 ? [<br key={`${cle}-br-${i}`} />] : []),
+  ...rendreEnLigne(ligne, `${cle}-${i}`),
+]);
+
+/**
+ * @function Markdown
+ * @description Affiche un texte Markdown de façon sûre.
+ * @param {Object} props - Props du composant.
+ * @param {string} props.texte - Texte Markdown.
+ * @returns {JSX.Element} Le contenu rendu.
+ */
+function Markdown({ texte }) {
+  const lignes = (texte || '').replace(/\r\n/g, '\n').split('\n');
+  const blocs = [];
+  let i = 0;
+
+  while (i < lignes.length) {
+    const ligne = lignes[i];
+    const cle = `b${blocs.length}`;
+
+    /** Bloc de code délimité par ``` */
+    if (ligne.trim().startsWith('```')) {
+      const contenu = [];
+      i++;
+      while (i < lignes.length && !lignes[i].trim().startsWith('```')) {
+        contenu.push(lignes[i]);
+        i++;
+      }
+      i++;
+      blocs.push(
+        <pre key={cle} className="p-2 bg-gray-100 rounded text-xs font-mono overflow-x-auto whitespace-pre">{contenu.join('\n')}</pre>
+      );
+      continue;
+    }
+
+    /** Titre */
+    const titre = ligne.match(/^(#{1,3})\s+(.*)$/);
+    if (titre) {
+      const classes = { 1: 'text-base font-semibold', 2: 'text-sm font-semibold', 3: 'text-sm font-medium' };
+      blocs.push(<p key={cle} className={classes[titre[1].length]}>{rendreEnLigne(titre[2], cle)}</p>);
+      i++;
+      continue;
+    }
+
+    /** Liste à puces ou numérotée */
+    const motifListe = /^\s*[-*]\s+/.test(ligne) ? /^\s*[-*]\s+/ : /^\s*\d+[.)]\s+/.test(ligne) ? /^\s*\d+[.)]\s+/ : null;
+    if (motifListe) {
+      const elements = [];
+      while (i < lignes.length && motifListe.test(lignes[i])) {
+        elements.push(lignes[i].replace(motifListe, ''));
+        i++;
+      }
+      const Balise = motifListe.source.includes('\\d') ? 'ol' : 'ul';
+      blocs.push(
+        <Balise key={cle} className={`pl-5 ${Balise === 'ol' ? 'list-decimal' : 'list-disc'}`}>
+          {elements.map((element, j) => <li key={j}>{rendreEnLigne(element, `${cle}-${j}`)}</li>)}
+        </Balise>
+      );
+      continue;
+    }
+
+    /** Ligne vide : séparateur de paragraphes */
+    if (!ligne.trim()) {
+      i++;
+      continue;
+    }
+
+    /** Paragraphe : lignes consécutives jusqu'à une ligne vide ou un autre bloc */
+    const paragraphe = [];
+    while (
+      i < lignes.length
+      && lignes[i].trim()
+      && !lignes[i].trim().startsWith('```')
+      && !/^(#{1,3})\s+/.test(lignes[i])
+      && !/^\s*([-*]|\d+[.)])\s+/.test(lignes[i])
+    ) {
+      paragraphe.push(lignes[i]);
+      i++;
+    }
+    blocs.push(<p key={cle}>{rendreLignes(paragraphe, cle)}</p>);
+  }
+
+  return <div className="space-y-2 text-sm text-gray-700 break-words">{blocs}</div>;
+}
+
+export default Markdown;
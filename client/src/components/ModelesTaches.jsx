@@ -0,0 +1,461 @@
+/**
+ * @fileoverview Modèles de tâches (modal).
+ * Liste les modèles de l'utilisateur, crée en un clic une tâche (et ses sous-tâches)
+ * à partir de l'un d'eux, et permet de créer, modifier ou supprimer des modèles.
+ * @module components/ModelesTaches
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Object} LIBELLES_PRIORITE
+ * @description Libellés affichés pour chaque priorité.
+ */
+const LIBELLES_PRIORITE = {
+  BASSE: 'Basse',
+  MOYENNE: 'Moyenne',
+  HAUTE: 'Haute',
+  URGENTE: 'Urgente',
+};
+
+/**
+ * @constant {Object} FORMULAIRE_VIDE
+ * @description Valeurs initiales du formulaire de modèle.
+ */
+const FORMULAIRE_VIDE = {
+  nom: '',
+  titre: '',
+  description: '',
+  priorite: 'MOYENNE',
+  decalage: '',
+  listeId: '',
+  sousTaches: [],
+};
+
+/**
+ * @function formaterDecalage
+ * @description Formate une échéance relative pour l'affichage (J+n).
+ * @param {number|null} decalage - Nombre de jours après la création.
+ * @returns {string} Échéance relative, ou chaîne vide sans échéance.
+ */
+const formaterDecalage = (decalage) => (decalage === null || decalage === undefined ? '' : `J+${decalage}`);
+
+/**
+ * @function dateDuJour
+ * @description Date du jour locale au format YYYY-MM-DD (référence des échéances relatives).
+ * @returns {string} Date du jour.
+ */
+const dateDuJour = () => {
+  const maintenant = new Date();
+  return [
+    maintenant.getFullYear(),
+    String(maintenant.getMonth() + 1).padStart(2, '0'),
+    String(maintenant.getDate()).padStart(2, '0'),
+  ].join('-');
+};
+
+/**
+ * @function versDecalage
+ * @description Convertit la saisie d'un décalage en nombre de jours.
+ * @param {string|number} saisie - Valeur saisie.
+ * @returns {number|null} Nombre de jours, ou null si le champ est vide.
+ */
+const versDecalage = (saisie) => (saisie === '' || saisie === null ? null : parseInt(saisie, 10));
+
+/**
+ * @function ModelesTaches
+ * @description Modal de gestion et d'instanciation des modèles de tâches.
+ * @param {Object} props - Props du composant.
+ * @param {Array} props.listes - Listes de l'utilisateur.
+ * @param {Function} props.onFermer - Callback appelé à la fermeture.
+ * @param {Function} props.onTacheCreee - Callback appelé avec la tâche créée depuis un modèle.
+ * @returns {JSX.Element} Le composant ModelesTaches.
+ */
+function ModelesTaches({ listes, onFermer, onTacheCreee }) {
+  /** @type {Array} Modèles de l'utilisateur */
+  const [modeles, setModeles] = useState([]);
+
+  /** @type {Object|null} Formulaire de modèle affiché (null : masqué) */
+  const [formulaire, setFormulaire] = useState(null);
+
+  /** @type {string|null} UUID du modèle en cours de modification (null : création) */
+  const [modeleEdition, setModeleEdition] = useState(null);
+
+  /** @type {string|null} UUID du modèle en cours d'instanciation */
+  const [instanciation, setInstanciation] = useState(null);
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerModeles
+   * @description Charge les modèles de l'utilisateur.
+   */
+  const chargerModeles = useCallback(async () => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const response = await taskService.listerModeles();
+      setModeles(response.data.modeles);
+    } catch (err) {
+      setErreur('Erreur lors du chargement des modèles.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    chargerModeles();
+  }, [chargerModeles]);
+
+  /**
+   * @function instancier
+   * @description Crée une tâche à partir d'un modèle, échéances calculées depuis aujourd'hui.
+   * @param {Object} modele - Modèle à instancier.
+   */
+  const instancier = async (modele) => {
+    setErreur(null);
+    setInstanciation(modele.id);
+    try {
+      const response = await taskService.instancierModele(modele.id, { date_reference: dateDuJour() });
+      onTacheCreee(response.data.tache);
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la création de la tâche.');
+    } finally {
+      setInstanciation(null);
+    }
+  };
+
+  /**
+   * @function ouvrirFormulaire
+   * @description Affiche le formulaire, vide ou prérempli avec un modèle existant.
+   * @param {Object|null} modele - Modèle à modifier (null pour une création).
+   */
+  const ouvrirFormulaire = (modele) => {
+    setErreur(null);
+    setModeleEdition(modele?.id || null);
+    setFormulaire(modele
+      ? {
+        nom: modele.nom,
+        titre: modele.titre,
+        description: modele.description || '',
+        priorite: modele.priorite,
+        decalage: modele.decalage_echeance ?? '',
+        listeId: modele.liste_id || '',
+        sousTaches: modele.sous_taches.map((sousTache) => ({
+          titre: sousTache.titre,
+          description: sousTache.description,
+          priorite: sousTache.priorite,
+          decalage: sousTache.decalage_echeance ?? '',
+        })),
+      }
+      : FORMULAIRE_VIDE);
+  };
+
+  /**
+   * @function modifierChamp
+   * @description Met à jour un champ du formulaire.
+   * @param {string} champ - Nom du champ.
+   * @param {*} valeur - Nouvelle valeur.
+   */
+  const modifierChamp = (champ, valeur) => {
+    setFormulaire((precedent) => ({ ...precedent, [champ]: valeur }));
+  };
+
+  /**
+   * @function modifierSousTache
+   * @description Met à jour un champ d'une sous-tâche du formulaire.
+   * @param {number} index - Position de la sous-tâche.
+   * @param {string} champ - titre ou decalage.
+   * @param {string} valeur - Nouvelle valeur.
+   */
+  const modifierSousTache = (index, champ, valeur) => {
+    setFormulaire((precedent) => ({
+      ...precedent,
+      sousTaches: precedent.sousTaches.map((sousTache, i) => (i === index ? { ...sousTache, [champ]: valeur } : sousTache)),
+    }));
+  };
+
+  /**
+   * @function enregistrer
+   * @description Crée ou modifie le modèle décrit par le formulaire.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const enregistrer = async (e) => {
+    e.preventDefault();
+    setErreur(null);
+
+    const donnees = {
+      nom: formulaire.nom.trim(),
+      titre: formulaire.titre.trim(),
+      description: formulaire.description.trim() || null,
+      priorite: formulaire.priorite,
+      decalage_echeance: versDecalage(formulaire.decalage),
+      liste_id: formulaire.listeId || null,
+      sous_taches: formulaire.sousTaches
+        .filter((sousTache) => sousTache.titre.trim())
+        .map((sousTache) => ({
+          titre: sousTache.titre.trim(),
+          description: sousTache.description || null,
+          priorite: sousTache.priorite || 'MOYENNE',
+          decalage_echeance: versDecalage(sousTache.decalage),
+        })),
+    };
+
+    try {
+      if (modeleEdition) {
+        await taskService.modifierModele(modeleEdition, donnees);
+      } else {
+        await taskService.creerModele(donnees);
+      }
+      setFormulaire(null);
+      setModeleEdition(null);
+      await chargerModeles();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'enregistrement du modèle.');
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Supprime un modèle après confirmation.
+   * @param {Object} modele - Modèle à supprimer.
+   */
+  const supprimer = async (modele) => {
+    if (!window.confirm(`Supprimer le modèle « ${modele.nom} » ? Les tâches déjà créées sont conservées.`)) return;
+    setErreur(null);
+    try {
+      await taskService.supprimerModele(modele.id);
+      await chargerModeles();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression du modèle.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        {/* En-tête */}
+        <div className="flex items-start justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Nouvelle tâche depuis un modèle</h2>
+            <p className="text-xs text-gray-500 mt-1">
+              Les échéances relatives (J+n) sont calculées à partir d'aujourd'hui.
+            </p>
+          </div>
+          <button
+            onClick={onFermer}
+            className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {erreur && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              {erreur}
+            </div>
+          )}
+
+          {chargement && <p className="text-xs text-gray-500">Chargement...</p>}
+
+          {!chargement && modeles.length === 0 && !formulaire && (
+            <p className="text-sm text-gray-400 text-center">Aucun modèle enregistré.</p>
+          )}
+
+          {/* Modèles existants */}
+          {modeles.length > 0 && (
+            <ul className="space-y-2">
+              {modeles.map((modele) => (
+                <li key={modele.id} className="p-3 border border-gray-200 rounded-lg">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{modele.nom}</p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {modele.titre}
+                        {' · '}{LIBELLES_PRIORITE[modele.priorite]}
+                        {modele.decalage_echeance !== null && ` · ${formaterDecalage(modele.decalage_echeance)}`}
+                        {modele.sous_taches.length > 0 && ` · ${modele.sous_taches.length} sous-tâche(s)`}
+                      </p>
+                      {modele.liste && (
+                        <p className={`text-xs ${modele.liste.date_suppression ? 'text-gray-400 line-through' : 'text-gray-500'}`}>
+                          {modele.liste.nom}
+                        </p>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => instancier(modele)}
+                      disabled={instanciation !== null}
+                      className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-md transition-colors whitespace-nowrap"
+                    >
+                      {instanciation === modele.id ? 'Création...' : 'Créer la tâche'}
+                    </button>
+                  </div>
+                  <div className="flex gap-3 mt-2">
+                    <button
+                      onClick={() => ouvrirFormulaire(modele)}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Modifier
+                    </button>
+                    <button
+                      onClick={() => supprimer(modele)}
+                      className="text-xs text-red-600 hover:text-red-800"
+                    >
+                      Supprimer
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* Formulaire de modèle */}
+          {formulaire ? (
+            <form onSubmit={enregistrer} className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <h3 className="text-sm font-semibold text-gray-700">
+                {modeleEdition ? 'Modifier le modèle' : 'Nouveau modèle'}
+              </h3>
+              <input
+                type="text"
+                value={formulaire.nom}
+                onChange={(e) => modifierChamp('nom', e.target.value)}
+                placeholder="Nom du modèle (ex. Intégration d'un arrivant)"
+                maxLength={100}
+                required
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+              />
+              <input
+                type="text"
+                value={formulaire.titre}
+                onChange={(e) => modifierChamp('titre', e.target.value)}
+                placeholder="Titre de la tâche créée"
+                minLength={3}
+                maxLength={100}
+                required
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+              />
+              <textarea
+                value={formulaire.description}
+                onChange={(e) => modifierChamp('description', e.target.value)}
+                placeholder="Description (optionnelle)"
+                rows={2}
+                maxLength={2000}
+                className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none resize-none"
+              />
+              <div className="grid grid-cols-3 gap-2">
+                <select
+                  value={formulaire.priorite}
+                  onChange={(e) => modifierChamp('priorite', e.target.value)}
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+                  aria-label="Priorité"
+                >
+                  {Object.entries(LIBELLES_PRIORITE).map(([valeur, libelle]) => (
+                    <option key={valeur} value={valeur}>{libelle}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={0}
+                  max={3650}
+                  value={formulaire.decalage}
+                  onChange={(e) => modifierChamp('decalage', e.target.value)}
+                  placeholder="Échéance J+"
+                  title="Échéance en jours après la création (vide : sans échéance)"
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+                />
+                <select
+                  value={formulaire.listeId}
+                  onChange={(e) => modifierChamp('listeId', e.target.value)}
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+                  aria-label="Liste"
+                >
+                  <option value="">Aucune liste</option>
+                  {listes.map((liste) => (
+                    <option key={liste.id} value={liste.id}>{liste.nom}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Sous-tâches du modèle */}
+              <div className="space-y-2">
+                <p className="text-xs font-medium text-gray-600">Sous-tâches</p>
+                {formulaire.sousTaches.map((sousTache, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={sousTache.titre}
+                      onChange={(e) => modifierSousTache(index, 'titre', e.target.value)}
+                      placeholder="Titre de la sous-tâche"
+                      minLength={3}
+                      maxLength={100}
+                      className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+                    />
+                    <input
+                      type="number"
+                      min={0}
+                      max={3650}
+                      value={sousTache.decalage}
+                      onChange={(e) => modifierSousTache(index, 'decalage', e.target.value)}
+                      placeholder="J+"
+                      title="Échéance en jours après la création (vide : sans échéance)"
+                      className="w-20 px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => modifierChamp('sousTaches', formulaire.sousTaches.filter((_, i) => i !== index))}
+                      className="px-2 text-gray-400 hover:text-red-500"
+                      title="Retirer la sous-tâche"
+                    >
+                      &times;
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => modifierChamp('sousTaches', [...formulaire.sousTaches, { titre: '', decalage: '' }])}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  + Ajouter une sous-tâche
+                </button>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => { setFormulaire(null); setModeleEdition(null); }}
+                  className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-200 hover:bg-gray-300 rounded-md transition-colors"
+                >
+                  Annuler
+                </button>
+                <button
+                  type="submit"
+                  className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                >
+                  Enregistrer
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={() => ouvrirFormulaire(null)}
+              className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors"
+            >
+              + Nouveau modèle
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ModelesTaches;
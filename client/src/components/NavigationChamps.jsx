@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Section « Champs personnalisés » de la sidebar, affichée quand une liste est sélectionnée.
+ * Permet de définir les champs de la liste (texte, nombre, date, choix, case à cocher, URL)
+ * et de filtrer ses tâches selon leurs valeurs.
+ * @module components/NavigationChamps
+ */
+
+import React, { useState, useEffect } from 'react';
+import taskService from '../services/taskService';
+import SaisieChampPersonnalise from './SaisieChampPersonnalise';
+
+/**
+ * @constant {Object} LABELS_TYPE
+ * @description Labels d'affichage des types de champ.
+ */
+const LABELS_TYPE = {
+  TEXTE: 'Texte',
+  NOMBRE: 'Nombre',
+  DATE: 'Date',
+  CHOIX: 'Choix',
+  CASE: 'Case à cocher',
+  URL: 'URL',
+};
+
+/**
+ * @function NavigationChamps
+ * @description Gestion des champs personnalisés d'une liste et filtres par valeur.
+ * @param {Object} props - Props du composant.
+ * @param {string} props.listeId - UUID de la liste sélectionnée.
+ * @param {Array} props.champs - Champs personnalisés de la liste.
+ * @param {Object} props.filtresChamps - Filtres appliqués {UUID du champ: valeur}.
+ * @param {Function} props.onFiltresChamps - Callback appelé avec les nouveaux filtres.
+ * @param {Function} props.onRechargerChamps - Callback pour recharger les champs.
+ * @returns {JSX.Element} Le composant NavigationChamps.
+ */
+function NavigationChamps({ listeId, champs, filtresChamps, onFiltresChamps, onRechargerChamps }) {
+  /** @type {boolean} Affichage du formulaire de création de champ */
+  const [afficherFormulaire, setAfficherFormulaire] = useState(false);
+
+  /** @type {string} Nom du nouveau champ */
+  const [nomNouveauChamp, setNomNouveauChamp] = useState('');
+
+  /** @type {string} Type du nouveau champ */
+  const [typeNouveauChamp, setTypeNouveauChamp] = useState('TEXTE');
+
+  /** @type {string} Options du nouveau champ CHOIX, séparées par des virgules */
+  const [optionsNouveauChamp, setOptionsNouveauChamp] = useState('');
+
+  /** @type {Object} Filtres en cours de saisie, appliqués par le bouton « Filtrer » */
+  const [saisieFiltres, setSaisieFiltres] = useState(filtresChamps);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  useEffect(() => {
+    setSaisieFiltres(filtresChamps);
+  }, [filtresChamps]);
+
+  /**
+   * @function creerChamp
+   * @description Ajoute un champ personnalisé à la liste.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const creerChamp = async (e) => {
+    e.preventDefault();
+    if (!nomNouveauChamp.trim()) return;
+
+    setErreur(null);
+    try {
+      await taskService.creerChamp(listeId, {
+        nom: nomNouveauChamp.trim(),
+        type: typeNouveauChamp,
+        ordre: champs.length,
+        ...(typeNouveauChamp === 'CHOIX' && {
+          options: optionsNouveauChamp.split(',').map((option) => option.trim()).filter(Boolean),
+        }),
+      });
+      setNomNouveauChamp('');
+      setTypeNouveauChamp('TEXTE');
+      setOptionsNouveauChamp('');
+      setAfficherFormulaire(false);
+      await onRechargerChamps();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la création du champ.');
+    }
+  };
+
+  /**
+   * @function supprimerChamp
+   * @description Supprime un champ après confirmation ; ses valeurs sont retirées des tâches.
+   * @param {string} champId - UUID du champ.
+   */
+  const supprimerChamp = async (champId) => {
+    if (!window.confirm('Supprimer ce champ ? Sa valeur sera retirée de toutes les tâches de la liste.')) return;
+    try {
+      await taskService.supprimerChamp(listeId, champId);
+      if (filtresChamps[champId] !== undefined) {
+        onFiltresChamps(Object.fromEntries(Object.entries(filtresChamps).filter(([id]) => id !== champId)));
+      }
+      await onRechargerChamps();
+    } catch (err) {
+      console.error('Erreur lors de la suppression du champ :', err);
+    }
+  };
+
+  /**
+   * @function appliquerFiltres
+   * @description Applique les filtres saisis en ignorant les valeurs vides.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const appliquerFiltres = (e) => {
+    e.preventDefault();
+    onFiltresChamps(Object.fromEntries(
+      Object.entries(saisieFiltres).filter(([, valeur]) => String(valeur).trim() !== '')
+    ));
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Champs de la liste
+        </h3>
+        <button
+          onClick={() => setAfficherFormulaire(!afficherFormulaire)}
+          className="p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+          title="Ajouter un champ"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Formulaire de création de champ */}
+      {afficherFormulaire && (
+        <form onSubmit={creerChamp} className="mb-3 p-3 bg-gray-50 rounded-lg space-y-2">
+          {erreur && <p className="text-xs text-red-600">{erreur}</p>}
+          <input
+            type="text"
+            value={nomNouveauChamp}
+            onChange={(e) => setNomNouveauChamp(e.target.value)}
+            placeholder="Nom du champ"
+            className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            maxLength={50}
+            required
+          />
+          <select
+            value={typeNouveauChamp}
+            onChange={(e) => setTypeNouveauChamp(e.target.value)}
+            className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+          >
+            {Object.entries(LABELS_TYPE).map(([type, libelle]) => (
+              <option key={type} value={type}>{libelle}</option>
+            ))}
+          </select>
+          {typeNouveauChamp === 'CHOIX' && (
+            <input
+              type="text"
+              value={optionsNouveauChamp}
+              onChange={(e) => setOptionsNouveauChamp(e.target.value)}
+              placeholder="Options séparées par des virgules"
+              className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              required
+            />
+          )}
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+            >
+              Créer
+            </button>
+            <button
+              type="button"
+              onClick={() => setAfficherFormulaire(false)}
+              className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-200 hover:bg-gray-300 rounded-md transition-colors"
+            >
+              Annuler
+            </button>
+          </div>
+        </form>
+      )}
+
+      {champs.length === 0 ? (
+        <p className="text-xs text-gray-400 text-center py-2">Aucun champ défini</p>
+      ) : (
+        <form onSubmit={appliquerFiltres} className="space-y-2">
+          {champs.map((champ) => (
+            <div key={champ.id} className="group">
+              <div className="flex items-center justify-between">
+                <label htmlFor={`champ-${champ.id}`} className="text-xs font-medium text-gray-600">
+                  {champ.nom} <span className="text-gray-400">· {LABELS_TYPE[champ.type]}</span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => supprimerChamp(champ.id)}
+                  className="text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                  title="Supprimer le champ"
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+              <SaisieChampPersonnalise
+                champ={champ}
+                valeur={saisieFiltres[champ.id] ?? ''}
+                onChange={(valeur) => setSaisieFiltres((precedent) => ({ ...precedent, [champ.id]: valeur }))}
+                filtre
+                className="w-full mt-1 px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 outline-none"
+              />
+            </div>
+          ))}
+          <div className="flex gap-2 pt-1">
+            <button
+              type="submit"
+              className="flex-1 px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors"
+            >
+              Filtrer
+            </button>
+            {Object.keys(filtresChamps).length > 0 && (
+              <button
+                type="button"
+                onClick={() => onFiltresChamps({})}
+                className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+              >
+                Effacer
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default NavigationChamps;
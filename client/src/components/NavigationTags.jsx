@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Section « Tags » de la sidebar.
+ * Permet de filtrer les tâches par un ou plusieurs tags (au moins un / tous)
+ * et de gérer les tags (création, suppression).
+ * @module components/NavigationTags
+ */
+
+import React, { useState } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Array} COULEURS_DISPONIBLES
+ * @description Couleurs disponibles pour les tags.
+ */
+const COULEURS_DISPONIBLES = [
+  '#6B7280', '#EF4444', '#10B981', '#F59E0B',
+  '#8B5CF6', '#EC4899', '#06B6D4', '#3B82F6',
+];
+
+/**
+ * @function NavigationTags
+ * @description Filtres par tags et gestion des tags de l'utilisateur.
+ * @param {Object} props - Props du composant.
+ * @param {Array} props.tags - Tags de l'utilisateur.
+ * @param {string[]} props.filtreTags - UUID des tags sélectionnés comme filtre.
+ * @param {string} props.modeTags - OU (au moins un tag) ou ET (tous les tags).
+ * @param {Function} props.onFiltreTags - Callback appelé avec la nouvelle sélection.
+ * @param {Function} props.onModeTags - Callback appelé avec le nouveau mode.
+ * @param {Function} props.onRechargerTags - Callback pour recharger les tags.
+ * @returns {JSX.Element} Le composant NavigationTags.
+ */
+function NavigationTags({ tags, filtreTags, modeTags, onFiltreTags, onModeTags, onRechargerTags }) {
+  /** @type {boolean} Affichage du formulaire de création de tag */
+  const [afficherFormulaire, setAfficherFormulaire] = useState(false);
+
+  /** @type {string} Nom du nouveau tag */
+  const [nomNouveauTag, setNomNouveauTag] = useState('');
+
+  /** @type {string} Couleur sélectionnée pour le nouveau tag */
+  const [couleurNouveauTag, setCouleurNouveauTag] = useState('#6B7280');
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function creerTag
+   * @description Crée un nouveau tag.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const creerTag = async (e) => {
+    e.preventDefault();
+    if (!nomNouveauTag.trim()) return;
+
+    setErreur(null);
+    try {
+      await taskService.creerTag({ nom: nomNouveauTag.trim(), couleur: couleurNouveauTag });
+      setNomNouveauTag('');
+      setCouleurNouveauTag('#6B7280');
+      setAfficherFormulaire(false);
+      await onRechargerTags();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la création du tag.');
+    }
+  };
+
+  /**
+   * @function supprimerTag
+   * @description Supprime un tag après confirmation ; il est retiré des tâches qui le portent.
+   * @param {string} tagId - UUID du tag.
+   */
+  const supprimerTag = async (tagId) => {
+    if (!window.confirm('Supprimer ce tag ? Il sera retiré de toutes les tâches.')) return;
+    try {
+      await taskService.supprimerTag(tagId);
+      if (filtreTags.includes(tagId)) {
+        onFiltreTags(filtreTags.filter((id) => id !== tagId));
+      }
+      await onRechargerTags();
+    } catch (err) {
+      console.error('Erreur lors de la suppression du tag :', err);
+    }
+  };
+
+  /**
+   * @function basculerFiltre
+   * @description Ajoute ou retire un tag du filtre.
+   * @param {string} tagId - UUID du tag.
+   */
+  const basculerFiltre = (tagId) => {
+    onFiltreTags(filtreTags.includes(tagId)
+      ? filtreTags.filter((id) => id !== tagId)
+      : [...filtreTags, tagId]);
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          Tags
+        </h3>
+        <button
+          onClick={() => setAfficherFormulaire(!afficherFormulaire)}
+          className="p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors"
+          title="Ajouter un tag"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+          </svg>
+        </button>
+      </div>
+
+      {/* Formulaire de création de tag */}
+      {afficherFormulaire && (
+        <form onSubmit={creerTag} className="mb-3 p-3 bg-gray-50 rounded-lg space-y-2">
+          {erreur && <p className="text-xs text-red-600">{erreur}</p>}
+          <input
+            type="text"
+            value={nomNouveauTag}
+            onChange={(e) => setNomNouveauTag(e.target.value)}
+            placeholder="Nom du tag"
+            className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            maxLength={50}
+            required
+          />
+          <div className="flex flex-wrap gap-1.5">
+            {COULEURS_DISPONIBLES.map((couleur) => (
+              <button
+                key={couleur}
+                type="button"
+                onClick={() => setCouleurNouveauTag(couleur)}
+                className={`w-6 h-6 rounded-full border-2 transition-transform ${
+                  couleurNouveauTag === couleur ? 'border-gray-800 scale-110' : 'border-transparent'
+                }`}
+                style={{ backgroundColor: couleur }}
+              />
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+            >
+              Créer
+            </button>
+            <button
+              type="button"
+              onClick={() => setAfficherFormulaire(false)}
+              className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-200 hover:bg-gray-300 rounded-md transition-colors"
+            >
+              Annuler
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tags.length === 0 ? (
+        <p className="text-xs text-gray-400 text-center py-2">Aucun tag créé</p>
+      ) : (
+        <div className="flex flex-wrap gap-1.5">
+          {tags.map((tag) => {
+            const actif = filtreTags.includes(tag.id);
+            return (
+              <span key={tag.id} className="inline-flex items-center group">
+                <button
+                  onClick={() => basculerFiltre(tag.id)}
+                  className={`text-xs px-2 py-0.5 rounded-full border transition-colors ${
+                    actif ? 'text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                  style={actif ? { backgroundColor: tag.couleur, borderColor: tag.couleur } : { borderColor: tag.couleur }}
+                  title={`${tag.nombre_taches || 0} tâche(s)`}
+                >
+                  {tag.nom}
+                </button>
+                <button
+                  onClick={() => supprimerTag(tag.id)}
+                  className="ml-0.5 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                  title="Supprimer le tag"
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Mode de combinaison des tags sélectionnés */}
+      {filtreTags.length > 1 && (
+        <div className="flex items-center gap-2 mt-3 text-xs">
+          <span className="text-gray-500">Tâches portant</span>
+          <select
+            value={modeTags}
+            onChange={(e) => onModeTags(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+          >
+            <option value="OU">au moins un tag</option>
+            <option value="ET">tous les tags</option>
+          </select>
+        </div>
+      )}
+
+      {filtreTags.length > 0 && (
+        <button
+          onClick={() => onFiltreTags([])}
+          className="mt-2 text-xs text-blue-600 hover:text-blue-800"
+        >
+          Effacer le filtre
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default NavigationTags;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Pièces jointes d'une tâche.
+ * Liste les fichiers joints, permet d'en envoyer, de les télécharger et de les supprimer.
+ * Le téléchargement passe par l'API authentifiée (le fichier n'a pas d'URL publique).
+ * @module components/PiecesJointesTache
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @function formaterTaille
+ * @description Formate une taille en octets (o, Ko, Mo).
+ * @param {number} octets - Taille en octets.
+ * @returns {string} Taille lisible.
+ */
+const formaterTaille = (octets) => {
+  if (octets < 1024) return `${octets} o`;
+  if (octets < 1024 * 1024) return `${(octets / 1024).toFixed(1)} Ko`;
+  return `${(octets / (1024 * 1024)).toFixed(1)} Mo`;
+};
+
+/**
+ * @function PiecesJointesTache
+ * @description Section pièces jointes du panneau de détail d'une tâche.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche affichée.
+ * @returns {JSX.Element} Le composant PiecesJointesTache.
+ */
+function PiecesJointesTache({ tache }) {
+  /** @type {Array} Pièces jointes de la tâche */
+  const [piecesJointes, setPiecesJointes] = useState([]);
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {boolean} Envoi d'un fichier en cours */
+  const [envoi, setEnvoi] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /** @type {React.RefObject<HTMLInputElement>} Champ de sélection de fichier */
+  const champFichier = useRef(null);
+
+  /**
+   * @function chargerPiecesJointes
+   * @description Charge les pièces jointes de la tâche.
+   */
+  const chargerPiecesJointes = useCallback(async () => {
+    setChargement(true);
+    try {
+      const response = await taskService.listerPiecesJointes(tache.id);
+      setPiecesJointes(response.data.pieces_jointes);
+    } catch (err) {
+      setErreur('Erreur lors du chargement des pièces jointes.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerPiecesJointes();
+  }, [chargerPiecesJointes]);
+
+  /**
+   * @function envoyer
+   * @description Envoie le fichier choisi puis l'ajoute en tête de liste.
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Changement du champ fichier.
+   */
+  const envoyer = async (e) => {
+    const fichier = e.target.files[0];
+    if (!fichier) return;
+    setErreur(null);
+    setEnvoi(true);
+    try {
+      const response = await taskService.ajouterPieceJointe(tache.id, fichier);
+      setPiecesJointes((precedent) => [response.data.piece_jointe, ...precedent]);
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'envoi du fichier.');
+    } finally {
+      setEnvoi(false);
+      champFichier.current.value = '';
+    }
+  };
+
+  /**
+   * @function telecharger
+   * @description Télécharge une pièce jointe et la propose à l'enregistrement sous son nom d'origine.
+   * @param {Object} pieceJointe - Pièce jointe.
+   */
+  const telecharger = async (pieceJointe) => {
+    setErreur(null);
+    try {
+      const contenu = await taskService.telechargerPieceJointe(tache.id, pieceJointe.id);
+      const url = URL.createObjectURL(contenu);
+      const lien = document.createElement('a');
+      lien.href = url;
+      lien.download = pieceJointe.nom_fichier;
+      document.body.appendChild(lien);
+      lien.click();
+      lien.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setErreur('Erreur lors du téléchargement du fichier.');
+      console.error(err);
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Supprime une pièce jointe après confirmation.
+   * @param {Object} pieceJointe - Pièce jointe.
+   */
+  const supprimer = async (pieceJointe) => {
+    if (!window.confirm(`Supprimer « ${pieceJointe.nom_fichier} » ?`)) return;
+    setErreur(null);
+    try {
+      await taskService.supprimerPieceJointe(tache.id, pieceJointe.id);
+      setPiecesJointes((precedent) => precedent.filter((p) => p.id !== pieceJointe.id));
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression de la pièce jointe.');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {erreur && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+          {erreur}
+        </div>
+      )}
+
+      {piecesJointes.length === 0 && !chargement ? (
+        <p className="text-xs text-gray-400">Aucune pièce jointe.</p>
+      ) : (
+        <ul className="space-y-1">
+          {piecesJointes.map((pieceJointe) => (
+            <li key={pieceJointe.id} className="flex items-center gap-2 text-sm group">
+              <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+              </svg>
+              <button
+                onClick={() => telecharger(pieceJointe)}
+                className="flex-1 truncate text-left text-blue-600 hover:underline"
+                title="Télécharger"
+              >
+                {pieceJointe.nom_fichier}
+              </button>
+              <span className="text-xs text-gray-500">{formaterTaille(pieceJointe.taille)}</span>
+              <button
+                onClick={() => supprimer(pieceJointe)}
+                className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-600 transition-opacity"
+                title="Supprimer la pièce jointe"
+              >
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <input ref={champFichier} type="file" onChange={envoyer} className="hidden" />
+        <button
+          onClick={() => champFichier.current.click()}
+          disabled={envoi}
+          className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+        >
+          {envoi ? 'Envoi en cours...' : 'Joindre un fichier'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PiecesJointesTache;
@@ -1,22 +1,37 @@
 /**
  * @fileoverview Composant modal de gestion du profil utilisateur.
- * Permet de modifier le nom d'affichage et de changer le mot de passe.
+ * Permet de modifier le nom d'affichage, de changer le mot de passe, d'obtenir
+ * (ou de régénérer) le lien d'abonnement au flux iCalendar des échéances, d'exporter ses données
+ * et de restaurer une sauvegarde.
  * @module components/ProfilUtilisateur
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import authService from '../services/authService';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Array<[string, string]>} ENTITES_SAUVEGARDE
+ * @description Entités d'une sauvegarde et leur libellé dans le résumé de restauration.
+ */
+const ENTITES_SAUVEGARDE = [
+  ['listes', 'Listes'],
+  ['taches', 'Tâches'],
+  ['historique', 'Historique'],
+];
 
 /**
  * @function ProfilUtilisateur
  * @description Modal de gestion du profil utilisateur.
- * Deux sections : modification du nom d'affichage et changement de mot de passe.
+ * Cinq sections : modification du nom d'affichage, changement de mot de passe, abonnement calendrier,
+ * export des données et restauration d'une sauvegarde.
  * @param {Object} props - Props du composant.
  * @param {Function} props.onFermer - Callback appelé à la fermeture du modal.
+ * @param {Function} [props.onRestaure] - Callback appelé après la restauration d'une sauvegarde.
  * @returns {JSX.Element} Le composant ProfilUtilisateur.
  */
-function ProfilUtilisateur({ onFermer }) {
+function ProfilUtilisateur({ onFermer, onRestaure }) {
   const { utilisateur, mettreAJourUtilisateur } = useAuth();
 
   /** @type {string} Nom d'affichage modifiable */
@@ -34,12 +49,137 @@ function ProfilUtilisateur({ onFermer }) {
   /** @type {boolean} Chargement en cours pour le mot de passe */
   const [chargementMdp, setChargementMdp] = useState(false);
 
+  /** @type {string|null} Jeton du flux iCalendar (null tant qu'il n'a pas été généré) */
+  const [jetonCalendrier, setJetonCalendrier] = useState(null);
+
+  /** @type {Array} Listes de l'utilisateur (filtre du flux) */
+  const [listes, setListes] = useState([]);
+
+  /** @type {string} Liste filtrée dans le flux ('' : toutes les tâches) */
+  const [listeFlux, setListeFlux] = useState('');
+
+  /** @type {string} Type d'entrées du flux : VTODO (tâches) ou VEVENT (événements) */
+  const [composantFlux, setComposantFlux] = useState('VTODO');
+
+  /** @type {boolean} Génération du jeton en cours */
+  const [chargementJeton, setChargementJeton] = useState(false);
+
+  /** @type {string|null} Format de l'export en cours de téléchargement (csv ou json) */
+  const [exportEnCours, setExportEnCours] = useState(null);
+
+  /** @type {File|null} Fichier de sauvegarde à restaurer */
+  const [fichierSauvegarde, setFichierSauvegarde] = useState(null);
+
+  /** @type {string} Mode de restauration : FUSION ou REMPLACEMENT */
+  const [modeRestauration, setModeRestauration] = useState('FUSION');
+
+  /** @type {Object|null} Résumé de la vérification de la sauvegarde */
+  const [resumeRestauration, setResumeRestauration] = useState(null);
+
+  /** @type {boolean} Vérification ou restauration en cours */
+  const [restaurationEnCours, setRestaurationEnCours] = useState(false);
+
   /** @type {string|null} Message de succès */
   const [messageSucces, setMessageSucces] = useState(null);
 
   /** @type {string|null} Message d'erreur */
   const [erreur, setErreur] = useState(null);
 
+  /** Charger le jeton du flux iCalendar et les listes au montage */
+  useEffect(() => {
+    const charger = async () => {
+      try {
+        const [profil, reponseListes] = await Promise.all([authService.getProfil(), taskService.listerListes()]);
+        setJetonCalendrier(profil.data.utilisateur.jeton_calendrier);
+        setListes(reponseListes.data.listes);
+      } catch (err) {
+        console.error('Erreur lors du chargement du flux calendrier :', err);
+      }
+    };
+    charger();
+  }, []);
+
+  /**
+   * @function regenererJeton
+   * @description Génère le lien du flux iCalendar ; s'il existe déjà, l'ancien lien est révoqué après confirmation.
+   */
+  const regenererJeton = async () => {
+    if (jetonCalendrier && !window.confirm('Régénérer le lien ? L\'ancien lien cessera de fonctionner dans les applications abonnées.')) return;
+    setErreur(null);
+    setMessageSucces(null);
+    setChargementJeton(true);
+    try {
+      const response = await authService.regenererJetonCalendrier();
+      setJetonCalendrier(response.data.jeton_calendrier);
+      setMessageSucces(jetonCalendrier ? 'Nouveau lien de calendrier généré.' : 'Lien de calendrier généré.');
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la génération du lien de calendrier.');
+    } finally {
+      setChargementJeton(false);
+    }
+  };
+
+  /**
+   * @function exporter
+   * @description Télécharge l'export de toutes les tâches de l'utilisateur.
+   * @param {string} format - csv (tableur) ou json (sauvegarde complète).
+   */
+  const exporter = async (format) => {
+    setErreur(null);
+    setMessageSucces(null);
+    setExportEnCours(format);
+    try {
+      const contenu = await taskService.exporter(format);
+      const url = URL.createObjectURL(contenu);
+      const lien = document.createElement('a');
+      lien.href = url;
+      lien.download = `taches-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(lien);
+      lien.click();
+      lien.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setErreur('Erreur lors de l\'export des données.');
+      console.error(err);
+    } finally {
+      setExportEnCours(null);
+    }
+  };
+
+  /**
+   * @function restaurer
+   * @description Vérifie la sauvegarde choisie (résumé sans écriture) ou la restaure. Le remplacement
+   * des données du compte est confirmé au préalable.
+   * @param {boolean} simulation - true pour la vérification.
+   */
+  const restaurer = async (simulation) => {
+    if (!simulation && modeRestauration === 'REMPLACEMENT'
+      && !window.confirm('Remplacer toutes vos listes et tâches (corbeille comprise) par celles de la sauvegarde ? Cette action est définitive.')) return;
+    setErreur(null);
+    setMessageSucces(null);
+    setRestaurationEnCours(true);
+    try {
+      const response = await taskService.restaurerSauvegarde(fichierSauvegarde, { mode: modeRestauration, simulation });
+      setResumeRestauration(simulation ? response.data.resume : null);
+      if (!simulation) {
+        const { listes: l, taches: t } = response.data.resume;
+        setMessageSucces(`Sauvegarde restaurée : ${l.restaurees + l.reidentifiees} liste(s), ${t.restaurees + t.reidentifiees} tâche(s).`);
+        setFichierSauvegarde(null);
+        if (onRestaure) await onRestaure();
+      }
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la restauration de la sauvegarde.');
+      setResumeRestauration(null);
+    } finally {
+      setRestaurationEnCours(false);
+    }
+  };
+
+  /** @type {string|null} URL d'abonnement au flux avec les options choisies */
+  const urlFlux = jetonCalendrier
+    ? authService.urlFluxCalendrier(jetonCalendrier, { listeId: listeFlux || null, composant: composantFlux })
+    : null;
+
   /**
    * @function gererModificationProfil
    * @description Met à jour le nom d'affichage de l'utilisateur.
@@ -189,6 +329,151 @@ function ProfilUtilisateur({ onFermer }) {
               {chargementMdp ? 'Modification...' : 'Changer le mot de passe'}
             </button>
           </form>
+
+          {/* Séparateur */}
+          <hr className="border-gray-200" />
+
+          {/* Abonnement au flux iCalendar des échéances */}
+          <div className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-700">Abonnement calendrier</h3>
+            <p className="text-xs text-gray-500">
+              Ajoutez ce lien à votre application de calendrier pour y voir les échéances de vos tâches.
+              Gardez-le secret : toute personne qui le connaît peut lire ces échéances.
+            </p>
+            {urlFlux && (
+              <>
+                <div className="flex gap-2">
+                  <select
+                    value={listeFlux}
+                    onChange={(e) => setListeFlux(e.target.value)}
+                    className="flex-1 px-2 py-1.5 border border-gray-300 rounded-lg text-xs bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Liste du flux"
+                  >
+                    <option value="">Toutes les listes</option>
+                    {listes.map((liste) => (
+                      <option key={liste.id} value={liste.id}>{liste.nom}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={composantFlux}
+                    onChange={(e) => setComposantFlux(e.target.value)}
+                    className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Type d'entrées"
+                  >
+                    <option value="VTODO">Tâches (VTODO)</option>
+                    <option value="VEVENT">Événements (VEVENT)</option>
+                  </select>
+                </div>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={urlFlux}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg text-xs font-mono bg-gray-50"
+                    aria-label="Lien du flux iCalendar"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard?.writeText(urlFlux)}
+                    className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+                  >
+                    Copier
+                  </button>
+                </div>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={regenererJeton}
+              disabled={chargementJeton}
+              className="w-full py-2 text-sm font-medium text-blue-700 bg-white border border-blue-200 hover:bg-blue-50 disabled:opacity-50 rounded-lg transition-colors"
+            >
+              {chargementJeton ? 'Génération...' : urlFlux ? 'Régénérer le lien' : 'Générer le lien'}
+            </button>
+          </div>
+
+          {/* Séparateur */}
+          <hr className="border-gray-200" />
+
+          {/* Export des données */}
+          <div className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-700">Export</h3>
+            <p className="text-xs text-gray-500">
+              CSV : toutes vos tâches, à ouvrir dans un tableur. JSON : listes, tâches et historique des statuts,
+              à conserver comme sauvegarde.
+            </p>
+            <div className="flex gap-2">
+              {['csv', 'json'].map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => exporter(format)}
+                  disabled={exportEnCours !== null}
+                  className="flex-1 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50 rounded-lg transition-colors"
+                >
+                  {exportEnCours === format ? 'Export...' : `Exporter en ${format.toUpperCase()}`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Séparateur */}
+          <hr className="border-gray-200" />
+
+          {/* Restauration d'une sauvegarde */}
+          <div className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-700">Restauration</h3>
+            <p className="text-xs text-gray-500">
+              Restaure un export JSON. Fusion : ajoute ce qui manque à vos données. Remplacement : supprime
+              d'abord toutes vos listes et tâches.
+            </p>
+            <input
+              key={fichierSauvegarde ? 'choisi' : 'vide'}
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => { setFichierSauvegarde(e.target.files[0] || null); setResumeRestauration(null); }}
+              disabled={restaurationEnCours}
+              className="w-full text-sm text-gray-700 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 file:text-sm file:font-medium hover:file:bg-blue-100"
+              aria-label="Fichier de sauvegarde"
+            />
+            <div className="flex gap-2">
+              <select
+                value={modeRestauration}
+                onChange={(e) => { setModeRestauration(e.target.value); setResumeRestauration(null); }}
+                disabled={restaurationEnCours}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Mode de restauration"
+              >
+                <option value="FUSION">Fusionner avec mes données</option>
+                <option value="REMPLACEMENT">Remplacer mes données</option>
+              </select>
+              <button
+                type="button"
+                onClick={() => restaurer(!resumeRestauration)}
+                disabled={!fichierSauvegarde || restaurationEnCours}
+                className={`flex-1 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${resumeRestauration && modeRestauration === 'REMPLACEMENT' ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'}`}
+              >
+                {restaurationEnCours ? 'Patientez...' : resumeRestauration ? 'Restaurer' : 'Vérifier'}
+              </button>
+            </div>
+            {resumeRestauration && (
+              <ul className="text-xs text-gray-600 space-y-1">
+                {ENTITES_SAUVEGARDE.map(([entite, label]) => (
+                  <li key={entite}>
+                    {label} : {resumeRestauration[entite].restaurees} restaurée(s)
+                    {resumeRestauration[entite].reidentifiees > 0 && `, ${resumeRestauration[entite].reidentifiees} avec un nouvel identifiant`}
+                    {resumeRestauration[entite].ignorees > 0 && `, ${resumeRestauration[entite].ignorees} déjà présente(s)`}
+                  </li>
+                ))}
+                {resumeRestauration.supprimees && (
+                  <li className="text-red-600">
+                    Supprimées au préalable : {resumeRestauration.supprimees.listes} liste(s), {resumeRestauration.supprimees.taches} tâche(s).
+                  </li>
+                )}
+              </ul>
+            )}
+          </div>
         </div>
       </div>
     </div>
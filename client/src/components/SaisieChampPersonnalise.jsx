@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Saisie de la valeur d'un champ personnalisé selon son type.
+ * Utilisée dans le formulaire de tâche et dans les filtres de la sidebar ; en mode filtre,
+ * une case à cocher devient un choix « indifférent / oui / non ».
+ * @module components/SaisieChampPersonnalise
+ */
+
+import React from 'react';
+
+/**
+ * @constant {Object} TYPES_INPUT
+ * @description Type de l'élément input HTML pour les types de champ saisis au clavier.
+ */
+const TYPES_INPUT = {
+  TEXTE: 'text',
+  NOMBRE: 'number',
+  DATE: 'date',
+  URL: 'url',
+};
+
+/**
+ * @function SaisieChampPersonnalise
+ * @description Élément de saisie adapté au type d'un champ personnalisé.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.champ - Champ personnalisé (id, nom, type, options).
+ * @param {string|boolean} props.valeur - Valeur saisie ('' si aucune ; booléen pour une case hors filtre).
+ * @param {Function} props.onChange - Callback appelé avec la nouvelle valeur.
+ * @param {boolean} [props.filtre=false] - Mode filtre (case à cocher à trois états).
+ * @param {string} props.className - Classes CSS de l'élément de saisie.
+ * @returns {JSX.Element} Le composant SaisieChampPersonnalise.
+ */
+function SaisieChampPersonnalise({ champ, valeur, onChange, filtre = false, className }) {
+  if (champ.type === 'CASE' && !filtre) {
+    return (
+      <input
+        id={`champ-${champ.id}`}
+        type="checkbox"
+        checked={valeur === true}
+        onChange={(e) => onChange(e.target.checked)}
+        className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+      />
+    );
+  }
+
+  if (champ.type === 'CASE' || champ.type === 'CHOIX') {
+    const options = champ.type === 'CASE'
+      ? [{ valeur: 'true', libelle: 'Oui' }, { valeur: 'false', libelle: 'Non' }]
+      : (champ.options || []).map((option) => ({ valeur: option, libelle: option }));
+    return (
+      <select
+        id={`champ-${champ.id}`}
+        value={valeur}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${className} bg-white`}
+      >
+        <option value="">{filtre ? 'Indifférent' : 'Aucune valeur'}</option>
+        {options.map((option) => (
+          <option key={option.valeur} value={option.valeur}>{option.libelle}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      id={`champ-${champ.id}`}
+      type={filtre && champ.type === 'URL' ? 'text' : TYPES_INPUT[champ.type]}
+      value={valeur}
+      onChange={(e) => onChange(e.target.value)}
+      maxLength={champ.type === 'TEXTE' || champ.type === 'URL' ? 500 : undefined}
+      step={champ.type === 'NOMBRE' ? 'any' : undefined}
+      placeholder={filtre && (champ.type === 'TEXTE' || champ.type === 'URL') ? 'Contient...' : undefined}
+      className={className}
+    />
+  );
+}
+
+export default SaisieChampPersonnalise;
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Checklist des sous-tâches d'une tâche.
+ * Permet de cocher / décocher, ajouter et supprimer des sous-tâches.
+ * @module components/SousTaches
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @function SousTaches
+ * @description Affiche les sous-tâches d'une tâche sous forme de checklist.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche parente.
+ * @param {Function} props.onModification - Callback appelé après chaque modification (recharge la progression).
+ * @returns {JSX.Element} Le composant SousTaches.
+ */
+function SousTaches({ tache, onModification }) {
+  /** @type {Array} Sous-tâches de la tâche */
+  const [sousTaches, setSousTaches] = useState([]);
+
+  /** @type {string} Titre de la nouvelle sous-tâche */
+  const [nouveauTitre, setNouveauTitre] = useState('');
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerSousTaches
+   * @description Charge les sous-tâches de la tâche.
+   */
+  const chargerSousTaches = useCallback(async () => {
+    setChargement(true);
+    try {
+      const response = await taskService.listerSousTaches(tache.id);
+      setSousTaches(response.data.sous_taches);
+    } catch (err) {
+      setErreur('Erreur lors du chargement des sous-tâches.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerSousTaches();
+  }, [chargerSousTaches]);
+
+  /**
+   * @function rafraichir
+   * @description Recharge la checklist et notifie le parent.
+   */
+  const rafraichir = async () => {
+    await chargerSousTaches();
+    onModification();
+  };
+
+  /**
+   * @function basculer
+   * @description Coche (TERMINEE) ou décoche (A_FAIRE) une sous-tâche.
+   * @param {Object} sousTache - Sous-tâche à basculer.
+   */
+  const basculer = async (sousTache) => {
+    setErreur(null);
+    try {
+      await taskService.modifierTache(sousTache.id, {
+        statut: sousTache.statut === 'TERMINEE' ? 'A_FAIRE' : 'TERMINEE',
+      });
+      await rafraichir();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la mise à jour.');
+    }
+  };
+
+  /**
+   * @function ajouter
+   * @description Crée une sous-tâche à partir du champ de saisie.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const ajouter = async (e) => {
+    e.preventDefault();
+    if (!nouveauTitre.trim()) return;
+    setErreur(null);
+    try {
+      await taskService.creerSousTache(tache.id, { titre: nouveauTitre.trim() });
+      setNouveauTitre('');
+      await rafraichir();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la création.');
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Place une sous-tâche dans la corbeille.
+   * @param {string} id - UUID de la sous-tâche.
+   */
+  const supprimer = async (id) => {
+    setErreur(null);
+    try {
+      await taskService.supprimerTache(id);
+      await rafraichir();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression.');
+    }
+  };
+
+  return (
+    <div className="pl-8 pr-4 py-3 bg-gray-50">
+      {erreur && (
+        <p className="mb-2 text-xs text-red-600">{erreur}</p>
+      )}
+
+      {chargement && sousTaches.length === 0 && (
+        <p className="text-xs text-gray-500">Chargement...</p>
+      )}
+
+      <ul className="space-y-1">
+        {sousTaches.map((sousTache) => (
+          <li key={sousTache.id} className="flex items-center gap-2 group">
+            <input
+              type="checkbox"
+              checked={sousTache.statut === 'TERMINEE'}
+              onChange={() => basculer(sousTache)}
+              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+            />
+            <span className={`flex-1 text-sm ${sousTache.statut === 'TERMINEE' ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+              {sousTache.titre}
+            </span>
+            <button
+              onClick={() => supprimer(sousTache.id)}
+              className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-600 transition-opacity"
+              title="Supprimer"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={ajouter} className="flex gap-2 mt-2">
+        <input
+          type="text"
+          value={nouveauTitre}
+          onChange={(e) => setNouveauTitre(e.target.value)}
+          placeholder="Ajouter une sous-tâche..."
+          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:ring-1 focus:ring-blue-500 outline-none"
+        />
+        <button
+          type="submit"
+          className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-md transition-colors"
+        >
+          Ajouter
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SousTaches;
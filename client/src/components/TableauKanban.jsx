@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Vue tableau (Kanban) des tâches : une colonne par statut.
+ * Glisser une carte dans une autre colonne change le statut de la tâche
+ * (même modification que depuis la liste : historique, dépendances, récurrence).
+ * @module components/TableauKanban
+ */
+
+import React, { useState } from 'react';
+
+/**
+ * @constant {Array} COLONNES
+ * @description Colonnes du tableau, dans l'ordre du cycle de vie d'une tâche.
+ */
+const COLONNES = [
+  { statut: 'A_FAIRE', label: 'À faire', couleur: 'bg-gray-400' },
+  { statut: 'EN_COURS', label: 'En cours', couleur: 'bg-yellow-400' },
+  { statut: 'TERMINEE', label: 'Terminée', couleur: 'bg-green-500' },
+];
+
+/**
+ * @constant {Object} COULEURS_PRIORITE
+ * @description Classes CSS pour les badges de priorité.
+ */
+const COULEURS_PRIORITE = {
+  BASSE: 'bg-green-100 text-green-800',
+  MOYENNE: 'bg-blue-100 text-blue-800',
+  HAUTE: 'bg-orange-100 text-orange-800',
+  URGENTE: 'bg-red-100 text-red-800',
+};
+
+/**
+ * @function TableauKanban
+ * @description Affiche les tâches en colonnes par statut avec glisser-déposer entre colonnes.
+ * @param {Object} props - Props du composant.
+ * @param {Array} props.taches - Tâches à afficher (tous statuts).
+ * @param {Function} props.onChangerStatut - Callback (tacheId, statut) appelé au dépôt dans une autre colonne.
+ * @param {Function} props.onOuvrirTache - Callback appelé au clic sur une carte, avec la tâche.
+ * @param {Function} props.formaterDate - Formate une date d'échéance pour l'affichage.
+ * @returns {JSX.Element} Le composant TableauKanban.
+ */
+function TableauKanban({ taches, onChangerStatut, onOuvrirTache, formaterDate }) {
+  /** @type {Object|null} Tâche en cours de glisser-déposer */
+  const [tacheGlissee, setTacheGlissee] = useState(null);
+
+  /** @type {string|null} Statut de la colonne survolée pendant le glisser-déposer */
+  const [colonneSurvolee, setColonneSurvolee] = useState(null);
+
+  /**
+   * @function deposer
+   * @description Dépose la carte glissée dans une colonne ; rien n'est envoyé si son statut ne change pas.
+   * @param {string} statut - Statut de la colonne cible.
+   */
+  const deposer = (statut) => {
+    const tache = tacheGlissee;
+    setTacheGlissee(null);
+    setColonneSurvolee(null);
+    if (tache && tache.statut !== statut) {
+      onChangerStatut(tache.id, statut);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {COLONNES.map((colonne) => {
+        const tachesColonne = taches.filter((tache) => tache.statut === colonne.statut);
+
+        return (
+          <div
+            key={colonne.statut}
+            onDragOver={(e) => { if (tacheGlissee) { e.preventDefault(); setColonneSurvolee(colonne.statut); } }}
+            onDragLeave={() => setColonneSurvolee(null)}
+            onDrop={(e) => { e.preventDefault(); deposer(colonne.statut); }}
+            className={`rounded-xl border p-3 min-h-[16rem] transition-colors ${
+              colonneSurvolee === colonne.statut && tacheGlissee?.statut !== colonne.statut
+                ? 'bg-blue-50 border-blue-300'
+                : 'bg-gray-100 border-gray-200'
+            }`}
+          >
+            <div className="flex items-center gap-2 mb-3">
+              <span className={`w-2 h-2 rounded-full ${colonne.couleur}`} />
+              <h3 className="text-sm font-semibold text-gray-700">{colonne.label}</h3>
+              <span className="ml-auto text-xs text-gray-500">{tachesColonne.length}</span>
+            </div>
+
+            <div className="space-y-2">
+              {tachesColonne.map((tache) => (
+                <div
+                  key={tache.id}
+                  draggable
+                  onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setTacheGlissee(tache); }}
+                  onDragEnd={() => { setTacheGlissee(null); setColonneSurvolee(null); }}
+                  onClick={() => onOuvrirTache(tache)}
+                  className={`bg-white rounded-lg border border-gray-200 shadow-sm p-3 cursor-move hover:border-blue-300 transition-colors ${
+                    tacheGlissee?.id === tache.id ? 'opacity-50' : ''
+                  }`}
+                >
+                  <p className={`text-sm font-medium ${tache.statut === 'TERMINEE' ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                    {tache.titre}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-1 mt-2">
+                    <span className={`text-xs font-medium px-2 py-0.5 rounded-full ${COULEURS_PRIORITE[tache.priorite]}`}>
+                      {tache.priorite}
+                    </span>
+                    {tache.liste && (
+                      <span
+                        className="text-xs px-2 py-0.5 rounded-full text-white"
+                        style={{ backgroundColor: tache.liste.couleur }}
+                      >
+                        {tache.liste.nom}
+                      </span>
+                    )}
+                    {tache.nombre_bloquantes > 0 && (
+                      <span className="text-xs px-2 py-0.5 rounded-full bg-red-50 text-red-700">Bloquée</span>
+                    )}
+                  </div>
+                  {(tache.date_echeance || tache.nombre_sous_taches > 0) && (
+                    <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+                      <span>{tache.date_echeance ? formaterDate(tache.date_echeance) : ''}</span>
+                      {tache.nombre_sous_taches > 0 && (
+                        <span>{tache.nombre_sous_taches_terminees}/{tache.nombre_sous_taches} sous-tâches</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+              ))}
+              {tachesColonne.length === 0 && (
+                <p className="text-xs text-gray-400 text-center py-6">Aucune tâche</p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default TableauKanban;
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Suivi du temps d'une tâche.
+ * Affiche le temps total et les entrées de temps, permet de démarrer ou arrêter
+ * le chronomètre sur la tâche et de saisir du temps manuellement.
+ * @module components/TempsTache
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @function formaterDuree
+ * @description Formate une durée en secondes (ex. « 1 h 05 », « 12 min »).
+ * @param {number} secondes - Durée en secondes.
+ * @returns {string} Durée lisible.
+ */
+const formaterDuree = (secondes) => {
+  const minutes = Math.round(secondes / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * @function formaterDateHeure
+ * @description Formate un horodatage pour l'affichage (jj/mm/aaaa hh:mm).
+ * @param {string|Date} date - Date à formater.
+ * @returns {string} Date et heure formatées.
+ */
+const formaterDateHeure = (date) => new Date(date).toLocaleString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * @function maintenantLocal
+ * @description Date et heure courantes au format d'un champ datetime-local.
+ * @returns {string} Valeur YYYY-MM-DDThh:mm.
+ */
+const maintenantLocal = () => {
+  const date = new Date();
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+/**
+ * @function TempsTache
+ * @description Section suivi du temps du panneau de détail d'une tâche.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche affichée.
+ * @param {Object|null} props.chrono - Chronomètre en cours de l'utilisateur (toutes tâches confondues).
+ * @param {Function} props.onChronoModifie - Callback appelé avec le nouveau chronomètre en cours (ou null).
+ * @returns {JSX.Element} Le composant TempsTache.
+ */
+function TempsTache({ tache, chrono, onChronoModifie }) {
+  /** @type {Array} Entrées de temps de la tâche */
+  const [entrees, setEntrees] = useState([]);
+
+  /** @type {number} Temps total enregistré, en secondes */
+  const [totalSecondes, setTotalSecondes] = useState(0);
+
+  /** @type {boolean} Affichage du formulaire de saisie manuelle */
+  const [afficherFormulaire, setAfficherFormulaire] = useState(false);
+
+  /** @type {Object} Valeurs du formulaire de saisie manuelle */
+  const [saisie, setSaisie] = useState({ debut: maintenantLocal(), duree_minutes: '', note: '' });
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /** Identifiant du chronomètre en cours : les entrées sont rechargées quand il change */
+  const chronoId = chrono?.id;
+
+  /**
+   * @function chargerTemps
+   * @description Charge les entrées de temps et le total de la tâche.
+   */
+  const chargerTemps = useCallback(async () => {
+    try {
+      const response = await taskService.listerTemps(tache.id, { limit: 100 });
+      setEntrees(response.data.entrees);
+      setTotalSecondes(response.data.total_secondes);
+    } catch (err) {
+      setErreur('Erreur lors du chargement du temps passé.');
+      console.error(err);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerTemps();
+  }, [chargerTemps, chronoId]);
+
+  /**
+   * @function basculerChrono
+   * @description Démarre le chronomètre sur cette tâche, ou l'arrête s'il y tourne déjà.
+   */
+  const basculerChrono = async () => {
+    setErreur(null);
+    try {
+      if (chrono?.tache_id === tache.id) {
+        await taskService.arreterChrono();
+        onChronoModifie(null);
+      } else {
+        const response = await taskService.demarrerChrono(tache.id);
+        onChronoModifie(response.data.chrono);
+      }
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la mise à jour du chronomètre.');
+    }
+  };
+
+  /**
+   * @function ajouter
+   * @description Enregistre une entrée de temps saisie manuellement.
+   * @param {React.FormEvent} e - Événement de soumission.
+   */
+  const ajouter = async (e) => {
+    e.preventDefault();
+    setErreur(null);
+    try {
+      await taskService.ajouterTemps(tache.id, {
+        debut: new Date(saisie.debut).toISOString(),
+        duree_minutes: parseInt(saisie.duree_minutes, 10),
+        note: saisie.note.trim() || null,
+      });
+      setSaisie({ debut: maintenantLocal(), duree_minutes: '', note: '' });
+      setAfficherFormulaire(false);
+      await chargerTemps();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de l\'ajout du temps.');
+    }
+  };
+
+  /**
+   * @function supprimer
+   * @description Supprime une entrée de temps après confirmation.
+   * @param {string} entreeId - UUID de l'entrée.
+   */
+  const supprimer = async (entreeId) => {
+    if (!window.confirm('Supprimer cette entrée de temps ?')) return;
+    setErreur(null);
+    try {
+      await taskService.supprimerTemps(tache.id, entreeId);
+      if (entreeId === chronoId) onChronoModifie(null);
+      await chargerTemps();
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la suppression de l\'entrée.');
+    }
+  };
+
+  const chronoSurCetteTache = chrono?.tache_id === tache.id;
+
+  return (
+    <div className="space-y-3">
+      {erreur && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+          {erreur}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-700">
+          Total : <span className="font-medium">{formaterDuree(totalSecondes)}</span>
+          {tache.estimation !== null && tache.estimation !== undefined && (
+            <span className="text-gray-500">
+              {' / estimé : '}
+              {tache.unite_estimation === 'POINTS'
+                ? `${tache.estimation} point${tache.estimation > 1 ? 's' : ''}`
+                : formaterDuree(tache.estimation * 60)}
+            </span>
+          )}
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setAfficherFormulaire(!afficherFormulaire)}
+            className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+          >
+            Saisir du temps
+          </button>
+          <button
+            onClick={basculerChrono}
+            className={`px-3 py-1.5 text-xs font-medium rounded-md transition-colors ${
+              chronoSurCetteTache
+                ? 'text-white bg-red-600 hover:bg-red-700'
+                : 'text-blue-700 bg-blue-50 hover:bg-blue-100'
+            }`}
+          >
+            {chronoSurCetteTache ? 'Arrêter le chrono' : 'Démarrer le chrono'}
+          </button>
+        </div>
+      </div>
+
+      {afficherFormulaire && (
+        <form onSubmit={ajouter} className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-500">
+              Début
+              <input
+                type="datetime-local"
+                value={saisie.debut}
+                onChange={(e) => setSaisie({ ...saisie, debut: e.target.value })}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+                required
+              />
+            </label>
+            <label className="text-xs text-gray-500">
+              Durée (minutes)
+              <input
+                type="number"
+                min={1}
+                max={1440}
+                value={saisie.duree_minutes}
+                onChange={(e) => setSaisie({ ...saisie, duree_minutes: e.target.value })}
+                className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+                required
+              />
+            </label>
+          </div>
+          <input
+            type="text"
+            value={saisie.note}
+            onChange={(e) => setSaisie({ ...saisie, note: e.target.value })}
+            placeholder="Note (optionnelle)"
+            maxLength={500}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm bg-white focus:ring-1 focus:ring-blue-500 outline-none"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setAfficherFormulaire(false)}
+              className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-200 hover:bg-gray-300 rounded-md transition-colors"
+            >
+              Annuler
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+            >
+              Ajouter
+            </button>
+          </div>
+        </form>
+      )}
+
+      {entrees.length === 0 ? (
+        <p className="text-xs text-gray-400">Aucun temps enregistré.</p>
+      ) : (
+        <ul className="space-y-1">
+          {entrees.map((entree) => (
+            <li key={entree.id} className="flex items-center gap-2 text-sm group">
+              <span className="text-xs text-gray-500 whitespace-nowrap">{formaterDateHeure(entree.debut)}</span>
+              <span className="flex-1 truncate text-gray-700">{entree.note}</span>
+              <span className="text-xs font-medium text-gray-700 whitespace-nowrap">
+                {entree.fin ? formaterDuree(entree.duree_secondes) : 'En cours'}
+              </span>
+              <button
+                onClick={() => supprimer(entree.id)}
+                className="opacity-0 group-hover:opacity-100 p-1 text-gray-400 hover:text-red-600 transition-opacity"
+                title="Supprimer l'entrée"
+              >
+                <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TempsTache;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Rendu d'un extrait de recherche surligné renvoyé par l'API (/api/search).
+ * L'extrait est du HTML échappé dont seuls les passages trouvés sont entourés de <mark> :
+ * il est découpé et décodé ici, sans innerHTML, le texte restant échappé par React.
+ * @module components/TexteSurligne
+ */
+
+import React from 'react';
+
+/**
+ * @constant {Object} ENTITES_HTML
+ * @description Entités échappées par le serveur et caractère correspondant.
+ */
+const ENTITES_HTML = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+};
+
+/**
+ * @function decoder
+ * @description Remplace les entités HTML d'un fragment d'extrait par leurs caractères.
+ * @param {string} texte - Fragment échappé.
+ * @returns {string} Texte brut.
+ */
+const decoder = (texte) => texte.replace(/&(amp|lt|gt|quot|#39);/g, (entite) => ENTITES_HTML[entite]);
+
+/**
+ * @function TexteSurligne
+ * @description Affiche un extrait avec ses passages trouvés surlignés.
+ * @param {Object} props - Props du composant.
+ * @param {string} props.extrait - Extrait HTML échappé avec balises <mark>.
+ * @returns {JSX.Element} Le composant TexteSurligne.
+ */
+function TexteSurligne({ extrait }) {
+  return (
+    <>
+      {extrait.split(/<mark>(.*?)<\/mark>/).map((fragment, index) => (
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-200 text-current rounded-sm">{decoder(fragment)}</mark>
+          : decoder(fragment)
+      ))}
+    </>
+  );
+}
+
+export default TexteSurligne;
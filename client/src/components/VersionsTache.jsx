@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Liste des versions antérieures d'une tâche avec restauration.
+ * Chaque version est un instantané de la tâche pris avant une modification.
+ * @module components/VersionsTache
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import taskService from '../services/taskService';
+
+/**
+ * @constant {Object} LABELS_CHAMPS
+ * @description Libellés d'affichage des champs versionnés.
+ */
+const LABELS_CHAMPS = {
+  titre: 'Titre',
+  description: 'Description',
+  statut: 'Statut',
+  priorite: 'Priorité',
+  date_echeance: 'Échéance',
+  liste_id: 'Liste',
+  recurrence: 'Récurrence',
+};
+
+/**
+ * @function formaterDateHeure
+ * @description Formate un horodatage pour l'affichage (jj/mm/aaaa hh:mm).
+ * @param {string|Date} date - Date à formater.
+ * @returns {string} Date et heure formatées.
+ */
+const formaterDateHeure = (date) => new Date(date).toLocaleString('fr-FR', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * @function VersionsTache
+ * @description Affiche les versions d'une tâche et permet d'en restaurer une.
+ * Seuls les champs qui diffèrent de l'état actuel sont affichés pour chaque version.
+ * @param {Object} props - Props du composant.
+ * @param {Object} props.tache - Tâche actuelle.
+ * @param {Array} props.listes - Listes thématiques (pour afficher le nom de liste).
+ * @param {Function} props.onRestauree - Callback appelé avec la tâche restaurée et les avertissements de l'API.
+ * @returns {JSX.Element} Le composant VersionsTache.
+ */
+function VersionsTache({ tache, listes, onRestauree }) {
+  /** @type {Array} Versions chargées (plus récentes en premier) */
+  const [versions, setVersions] = useState([]);
+
+  /** @type {Object} Informations de pagination */
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, total: 0, totalPages: 0 });
+
+  /** @type {boolean} Chargement en cours */
+  const [chargement, setChargement] = useState(false);
+
+  /** @type {string|null} Message d'erreur */
+  const [erreur, setErreur] = useState(null);
+
+  /**
+   * @function chargerVersions
+   * @description Charge une page de versions.
+   * @param {number} [page=1] - Numéro de page.
+   */
+  const chargerVersions = useCallback(async (page = 1) => {
+    setChargement(true);
+    setErreur(null);
+    try {
+      const response = await taskService.listerVersions(tache.id, { page, limit: 10 });
+      setVersions((precedent) => (page === 1
+        ? response.data.versions
+        : [...precedent, ...response.data.versions]));
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setErreur('Erreur lors du chargement des versions.');
+      console.error(err);
+    } finally {
+      setChargement(false);
+    }
+  }, [tache.id]);
+
+  useEffect(() => {
+    chargerVersions(1);
+  }, [chargerVersions]);
+
+  /**
+   * @function restaurer
+   * @description Restaure la tâche dans l'état d'une version après confirmation.
+   * @param {Object} version - Version à restaurer.
+   */
+  const restaurer = async (version) => {
+    if (!window.confirm(`Restaurer la version ${version.numero} ? L'état actuel sera conservé comme nouvelle version.`)) return;
+    setErreur(null);
+    try {
+      const response = await taskService.restaurerVersion(tache.id, version.id);
+      onRestauree(response.data.tache, response.data.avertissements);
+    } catch (err) {
+      setErreur(err.response?.data?.error || 'Erreur lors de la restauration.');
+    }
+  };
+
+  /**
+   * @function formaterValeur
+   * @description Formate la valeur d'un champ versionné pour l'affichage.
+   * @param {string} champ - Nom du champ.
+   * @param {*} valeur - Valeur du champ.
+   * @returns {string} Valeur lisible.
+   */
+  const formaterValeur = (champ, valeur) => {
+    if (valeur === null || valeur === undefined || valeur === '') return '—';
+    if (champ === 'liste_id') {
+      const liste = listes.find((l) => l.id === valeur);
+      return liste ? liste.nom : 'Liste supprimée';
+    }
+    return String(valeur);
+  };
+
+  /**
+   * @function champsDifferents
+   * @description Retourne les champs d'une version qui diffèrent de l'état actuel.
+   * @param {Object} instantane - Instantané de la version.
+   * @returns {string[]} Noms des champs différents.
+   */
+  const champsDifferents = (instantane) => Object.keys(LABELS_CHAMPS).filter(
+    (champ) => (instantane[champ] ?? null) !== (tache[champ] ?? null)
+  );
+
+  return (
+    <div>
+      {erreur && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+          {erreur}
+        </div>
+      )}
+
+      {versions.length === 0 && !chargement && (
+        <p className="text-xs text-gray-400">Aucune version antérieure.</p>
+      )}
+
+      <ul className="space-y-3">
+        {versions.map((version) => {
+          const differences = champsDifferents(version.instantane);
+          return (
+            <li key={version.id} className="p-3 border border-gray-200 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">Version {version.numero}</p>
+                  <p className="text-xs text-gray-500">{formaterDateHeure(version.date_creation)}</p>
+                </div>
+                <button
+                  onClick={() => restaurer(version)}
+                  disabled={differences.length === 0}
+                  className="px-3 py-1.5 text-xs font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                >
+                  Restaurer
+                </button>
+              </div>
+              {differences.length === 0 ? (
+                <p className="text-xs text-gray-400 mt-2">Identique à l'état actuel.</p>
+              ) : (
+                <dl className="mt-2 space-y-1">
+                  {differences.map((champ) => (
+                    <div key={champ} className="flex gap-2 text-xs">
+                      <dt className="text-gray-500 w-20 flex-shrink-0">{LABELS_CHAMPS[champ]}</dt>
+                      <dd className="text-gray-800 truncate">{formaterValeur(champ, version.instantane[champ])}</dd>
+                    </div>
+                  ))}
+                </dl>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {chargement && (
+        <p className="text-xs text-gray-500 mt-3">Chargement...</p>
+      )}
+
+      {!chargement && pagination.page < pagination.totalPages && (
+        <button
+          onClick={() => chargerVersions(pagination.page + 1)}
+          className="mt-3 px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+        >
+          Versions plus anciennes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VersionsTache;
@@ -101,6 +101,43 @@ const authService = {
     return response.data;
   },
 
+  /**
+   * @async
+   * @description Enregistre la vue préférée des tâches de l'utilisateur.
+   * @param {string} vue - LISTE, TABLEAU (Kanban) ou CALENDRIER.
+   * @returns {Promise<Object>} Réponse API avec les données mises à jour.
+   */
+  modifierVueTaches: async (vue) => {
+    const response = await api.patch('/profil', { vue_taches: vue });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Génère un nouveau jeton pour le flux iCalendar (l'ancien lien cesse de fonctionner).
+   * @returns {Promise<Object>} Réponse API avec jeton_calendrier.
+   */
+  regenererJetonCalendrier: async () => {
+    const response = await api.post('/profil/jeton-calendrier');
+    return response.data;
+  },
+
+  /**
+   * @description Construit l'URL d'abonnement au flux iCalendar des échéances.
+   * @param {string} jeton - Jeton du flux.
+   * @param {Object} [options] - Options du flux.
+   * @param {string|null} [options.listeId] - Filtre par liste.
+   * @param {string} [options.composant] - VTODO (défaut) ou VEVENT.
+   * @returns {string} URL du fichier .ics.
+   */
+  urlFluxCalendrier: (jeton, options = {}) => {
+    const params = new URLSearchParams();
+    if (options.listeId) params.set('liste_id', options.listeId);
+    if (options.composant && options.composant !== 'VTODO') params.set('composant', options.composant);
+    const requete = params.toString();
+    return `${API_URL}/calendrier/${jeton}.ics${requete ? `?${requete}` : ''}`;
+  },
+
   /**
    * @async
    * @description Change le mot de passe de l'utilisateur.
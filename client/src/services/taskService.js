@@ -59,6 +59,7 @@ const taskService = {
    * @param {string} [donnees.priorite] - BASSE, MOYENNE, HAUTE, URGENTE.
    * @param {string} [donnees.date_echeance] - Date au format YYYY-MM-DD.
    * @param {string} [donnees.liste_id] - UUID de la liste.
+   * @param {string[]} [donnees.tag_ids] - UUID des tags.
    * @returns {Promise<Object>} Réponse API avec la tâche créée.
    */
   creerTache: async (donnees) => {
@@ -75,6 +76,9 @@ const taskService = {
    * @param {string} [params.statut] - Filtre par statut.
    * @param {string} [params.priorite] - Filtre par priorité.
    * @param {string} [params.liste_id] - Filtre par liste.
+   * @param {string} [params.tags] - Filtre par tags (UUID séparés par des virgules).
+   * @param {string} [params.tags_mode] - OU (au moins un tag) ou ET (tous les tags).
+   * @param {string} [params.tri] - MANUEL, ECHEANCE (défaut), PRIORITE, CREATION ou TITRE.
    * @returns {Promise<Object>} Réponse API avec tâches, compteurs et pagination.
    */
   listerTaches: async (params = {}) => {
@@ -82,6 +86,21 @@ const taskService = {
     return response.data;
   },
 
+  /**
+   * @async
+   * @description Liste les tâches dont l'échéance tombe dans une période, regroupées par jour.
+   * @param {string} debut - Premier jour (YYYY-MM-DD).
+   * @param {string} fin - Dernier jour inclus (YYYY-MM-DD).
+   * @param {string|null} [listeId] - Filtre par liste.
+   * @returns {Promise<Object>} Réponse API avec les tâches par jour (marqueurs terminee et en_retard).
+   */
+  calendrier: async (debut, fin, listeId = null) => {
+    const params = { debut, fin };
+    if (listeId) params.liste_id = listeId;
+    const response = await api.get('/taches/calendrier', { params });
+    return response.data;
+  },
+
   /**
    * @async
    * @description Récupère le détail d'une tâche.
@@ -107,7 +126,19 @@ const taskService = {
 
   /**
    * @async
-   * @description Supprime une tâche.
+   * @description Déplace une tâche racine dans l'ordre manuel.
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} position - {apres_id} (null : en tête) ou {avant_id}.
+   * @returns {Promise<Object>} Réponse API avec la tâche repositionnée.
+   */
+  reordonnerTache: async (id, position) => {
+    const response = await api.patch(`/taches/${id}/position`, position);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Place une tâche dans la corbeille.
    * @param {string} id - UUID de la tâche.
    * @returns {Promise<Object>} Réponse API avec message de confirmation.
    */
@@ -118,12 +149,226 @@ const taskService = {
 
   /**
    * @async
-   * @description Recherche des tâches par mot-clé.
-   * @param {string} query - Terme de recherche.
-   * @returns {Promise<Object>} Réponse API avec les tâches trouvées.
+   * @description Applique une opération à plusieurs tâches en une requête (transaction côté serveur).
+   * @param {string[]} ids - UUID des tâches.
+   * @param {string} operation - MODIFIER, DEPLACER, SUPPRIMER ou RESTAURER.
+   * @param {Object} [options] - {donnees} pour MODIFIER, {liste_id} pour DEPLACER.
+   * @returns {Promise<Object>} Réponse API avec le résultat par tâche (reussis, echecs, resultats).
+   */
+  traiterLot: async (ids, operation, options = {}) => {
+    const response = await api.post('/taches/lot', { ids, operation, ...options });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Liste les sous-tâches d'une tâche (ordre de création).
+   * @param {string} id - UUID de la tâche parente.
+   * @returns {Promise<Object>} Réponse API avec les sous-tâches.
    */
-  rechercher: async (query) => {
-    const response = await api.get('/search', { params: { q: query } });
+  listerSousTaches: async (id) => {
+    const response = await api.get(`/taches/${id}/sous-taches`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Crée une sous-tâche sous une tâche racine.
+   * @param {string} id - UUID de la tâche parente.
+   * @param {Object} donnees - Données de la sous-tâche (titre, description, priorite, date_echeance).
+   * @returns {Promise<Object>} Réponse API avec la sous-tâche créée.
+   */
+  creerSousTache: async (id, donnees) => {
+    const response = await api.post(`/taches/${id}/sous-taches`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Récupère le graphe de dépendances d'une tâche (tâches bloquantes en amont, bloquées en aval).
+   * @param {string} id - UUID de la tâche.
+   * @returns {Promise<Object>} Réponse API avec {tache_id, bloquee, amont, aval, aretes}.
+   */
+  listerDependances: async (id) => {
+    const response = await api.get(`/taches/${id}/dependances`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Déclare qu'une tâche est bloquée par une autre.
+   * @param {string} id - UUID de la tâche bloquée.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   * @returns {Promise<Object>} Réponse API avec le lien créé.
+   */
+  ajouterDependance: async (id, bloquanteId) => {
+    const response = await api.post(`/taches/${id}/dependances`, { bloquante_id: bloquanteId });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime un lien de blocage entre deux tâches.
+   * @param {string} id - UUID de la tâche bloquée.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerDependance: async (id, bloquanteId) => {
+    const response = await api.delete(`/taches/${id}/dependances/${bloquanteId}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Liste les commentaires d'une tâche (du plus ancien au plus récent).
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} [params] - Paramètres de requête.
+   * @param {number} [params.page=1] - Numéro de page.
+   * @param {number} [params.limit=20] - Nombre de commentaires par page.
+   * @returns {Promise<Object>} Réponse API avec les commentaires et la pagination.
+   */
+  listerCommentaires: async (id, params = {}) => {
+    const response = await api.get(`/taches/${id}/commentaires`, { params });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Ajoute un commentaire à une tâche.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} contenu - Corps du commentaire (Markdown).
+   * @returns {Promise<Object>} Réponse API avec le commentaire créé.
+   */
+  creerCommentaire: async (id, contenu) => {
+    const response = await api.post(`/taches/${id}/commentaires`, { contenu });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Modifie un de ses commentaires.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} commentaireId - UUID du commentaire.
+   * @param {string} contenu - Nouveau corps du commentaire.
+   * @returns {Promise<Object>} Réponse API avec le commentaire modifié.
+   */
+  modifierCommentaire: async (id, commentaireId, contenu) => {
+    const response = await api.patch(`/taches/${id}/commentaires/${commentaireId}`, { contenu });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime un de ses commentaires.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} commentaireId - UUID du commentaire.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerCommentaire: async (id, commentaireId) => {
+    const response = await api.delete(`/taches/${id}/commentaires/${commentaireId}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Liste les pièces jointes d'une tâche (plus récentes en premier).
+   * @param {string} id - UUID de la tâche.
+   * @returns {Promise<Object>} Réponse API avec les pièces jointes.
+   */
+  listerPiecesJointes: async (id) => {
+    const response = await api.get(`/taches/${id}/pieces-jointes`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Joint un fichier à une tâche (envoi multipart).
+   * @param {string} id - UUID de la tâche.
+   * @param {File} fichier - Fichier à joindre.
+   * @returns {Promise<Object>} Réponse API avec la pièce jointe créée.
+   */
+  ajouterPieceJointe: async (id, fichier) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    const response = await api.post(`/taches/${id}/pieces-jointes`, donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Télécharge le contenu d'une pièce jointe (requête authentifiée).
+   * @param {string} id - UUID de la tâche.
+   * @param {string} pieceJointeId - UUID de la pièce jointe.
+   * @returns {Promise<Blob>} Contenu du fichier.
+   */
+  telechargerPieceJointe: async (id, pieceJointeId) => {
+    const response = await api.get(`/taches/${id}/pieces-jointes/${pieceJointeId}`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime une pièce jointe.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} pieceJointeId - UUID de la pièce jointe.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerPieceJointe: async (id, pieceJointeId) => {
+    const response = await api.delete(`/taches/${id}/pieces-jointes/${pieceJointeId}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Récupère l'historique paginé des changements de statut d'une tâche.
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} [params] - Paramètres de requête.
+   * @param {number} [params.page=1] - Numéro de page.
+   * @param {number} [params.limit=20] - Nombre d'entrées par page.
+   * @returns {Promise<Object>} Réponse API avec l'historique, le statut actuel et la pagination.
+   */
+  historiqueTache: async (id, params = {}) => {
+    const response = await api.get(`/taches/${id}/historique`, { params });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Liste les versions antérieures d'une tâche (plus récentes en premier).
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} [params] - Paramètres de requête (page, limit).
+   * @returns {Promise<Object>} Réponse API avec les versions et la pagination.
+   */
+  listerVersions: async (id, params = {}) => {
+    const response = await api.get(`/taches/${id}/versions`, { params });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Restaure une tâche dans l'état d'une version antérieure.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} versionId - UUID de la version à restaurer.
+   * @returns {Promise<Object>} Réponse API avec la tâche restaurée.
+   */
+  restaurerVersion: async (id, versionId) => {
+    const response = await api.post(`/taches/${id}/restaurer`, { version_id: versionId });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Recherche plein texte des tâches, classée par pertinence.
+   * @param {string} query - Mots recherchés (préfixes, sans tenir compte des accents).
+   * @param {Object} [pagination] - Pagination.
+   * @param {number} [pagination.page] - Numéro de page.
+   * @param {number} [pagination.limit] - Nombre de résultats par page.
+   * @returns {Promise<Object>} Réponse API avec les tâches trouvées (et leurs extraits surlignés) et la pagination.
+   */
+  rechercher: async (query, { page, limit } = {}) => {
+    const response = await api.get('/search', { params: { q: query, page, limit } });
     return response.data;
   },
 
@@ -167,7 +412,7 @@ const taskService = {
 
   /**
    * @async
-   * @description Supprime une liste.
+   * @description Place une liste dans la corbeille.
    * @param {string} id - UUID de la liste.
    * @returns {Promise<Object>} Réponse API avec message de confirmation.
    */
@@ -175,6 +420,390 @@ const taskService = {
     const response = await api.delete(`/listes/${id}`);
     return response.data;
   },
+
+  // ==================== CHAMPS PERSONNALISÉS ====================
+
+  /**
+   * @async
+   * @description Liste les champs personnalisés d'une liste.
+   * @param {string} listeId - UUID de la liste.
+   * @returns {Promise<Object>} Réponse API avec les champs.
+   */
+  listerChamps: async (listeId) => {
+    const response = await api.get(`/listes/${listeId}/champs`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Ajoute un champ personnalisé à une liste.
+   * @param {string} listeId - UUID de la liste.
+   * @param {Object} donnees - Données du champ (nom, type, options, ordre).
+   * @returns {Promise<Object>} Réponse API avec le champ créé.
+   */
+  creerChamp: async (listeId, donnees) => {
+    const response = await api.post(`/listes/${listeId}/champs`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Modifie un champ personnalisé (nom, options, ordre).
+   * @param {string} listeId - UUID de la liste.
+   * @param {string} champId - UUID du champ.
+   * @param {Object} donnees - Champs à modifier.
+   * @returns {Promise<Object>} Réponse API avec le champ modifié.
+   */
+  modifierChamp: async (listeId, champId, donnees) => {
+    const response = await api.patch(`/listes/${listeId}/champs/${champId}`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime un champ personnalisé (ses valeurs sont retirées des tâches).
+   * @param {string} listeId - UUID de la liste.
+   * @param {string} champId - UUID du champ.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerChamp: async (listeId, champId) => {
+    const response = await api.delete(`/listes/${listeId}/champs/${champId}`);
+    return response.data;
+  },
+
+  // ==================== TAGS ====================
+
+  /**
+   * @async
+   * @description Liste les tags de l'utilisateur avec le nombre de tâches associées.
+   * @returns {Promise<Object>} Réponse API avec les tags.
+   */
+  listerTags: async () => {
+    const response = await api.get('/tags');
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Crée un nouveau tag.
+   * @param {Object} donnees - Données du tag (nom, couleur).
+   * @returns {Promise<Object>} Réponse API avec le tag créé.
+   */
+  creerTag: async (donnees) => {
+    const response = await api.post('/tags', donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Modifie un tag existant.
+   * @param {string} id - UUID du tag.
+   * @param {Object} donnees - Champs à modifier (nom, couleur).
+   * @returns {Promise<Object>} Réponse API avec le tag modifié.
+   */
+  modifierTag: async (id, donnees) => {
+    const response = await api.patch(`/tags/${id}`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime un tag (il est retiré de toutes les tâches).
+   * @param {string} id - UUID du tag.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerTag: async (id) => {
+    const response = await api.delete(`/tags/${id}`);
+    return response.data;
+  },
+
+  // ==================== SUIVI DU TEMPS ====================
+
+  /**
+   * @async
+   * @description Liste les entrées de temps d'une tâche et son temps total.
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} [params] - Paramètres de requête (page, limit).
+   * @returns {Promise<Object>} Réponse API avec entrees, total_secondes et pagination.
+   */
+  listerTemps: async (id, params = {}) => {
+    const response = await api.get(`/taches/${id}/temps`, { params });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Saisit manuellement du temps passé sur une tâche.
+   * @param {string} id - UUID de la tâche.
+   * @param {Object} donnees - Entrée de temps.
+   * @param {string} donnees.debut - Début (ISO 8601).
+   * @param {string} [donnees.fin] - Fin (ISO 8601), ou :
+   * @param {number} [donnees.duree_minutes] - Durée en minutes.
+   * @param {string} [donnees.note] - Note libre.
+   * @returns {Promise<Object>} Réponse API avec l'entrée créée.
+   */
+  ajouterTemps: async (id, donnees) => {
+    const response = await api.post(`/taches/${id}/temps`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime une entrée de temps.
+   * @param {string} id - UUID de la tâche.
+   * @param {string} entreeId - UUID de l'entrée.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerTemps: async (id, entreeId) => {
+    const response = await api.delete(`/taches/${id}/temps/${entreeId}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Récupère le chronomètre en cours (null si aucun).
+   * @returns {Promise<Object>} Réponse API avec le chronomètre et sa tâche.
+   */
+  chronoEnCours: async () => {
+    const response = await api.get('/temps/chrono');
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Démarre un chronomètre sur une tâche.
+   * @param {string} tacheId - UUID de la tâche.
+   * @returns {Promise<Object>} Réponse API avec le chronomètre démarré.
+   */
+  demarrerChrono: async (tacheId) => {
+    const response = await api.post('/temps/chrono', { tache_id: tacheId });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Arrête le chronomètre en cours.
+   * @returns {Promise<Object>} Réponse API avec l'entrée de temps terminée.
+   */
+  arreterChrono: async () => {
+    const response = await api.post('/temps/chrono/arreter');
+    return response.data;
+  },
+
+  // ==================== MODÈLES DE TÂCHES ====================
+
+  /**
+   * @async
+   * @description Liste les modèles de tâches de l'utilisateur.
+   * @returns {Promise<Object>} Réponse API avec la liste des modèles.
+   */
+  listerModeles: async () => {
+    const response = await api.get('/modeles');
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Crée un modèle de tâche.
+   * @param {Object} donnees - {nom, titre, description, priorite, decalage_echeance, liste_id, sous_taches}.
+   * @returns {Promise<Object>} Réponse API avec le modèle créé.
+   */
+  creerModele: async (donnees) => {
+    const response = await api.post('/modeles', donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Modifie un modèle de tâche.
+   * @param {string} id - UUID du modèle.
+   * @param {Object} donnees - Champs à modifier.
+   * @returns {Promise<Object>} Réponse API avec le modèle modifié.
+   */
+  modifierModele: async (id, donnees) => {
+    const response = await api.patch(`/modeles/${id}`, donnees);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime un modèle de tâche.
+   * @param {string} id - UUID du modèle.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerModele: async (id) => {
+    const response = await api.delete(`/modeles/${id}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Crée une tâche et ses sous-tâches à partir d'un modèle.
+   * @param {string} id - UUID du modèle.
+   * @param {Object} [donnees] - {date_reference, liste_id} (optionnels).
+   * @returns {Promise<Object>} Réponse API avec la tâche créée.
+   */
+  instancierModele: async (id, donnees = {}) => {
+    const response = await api.post(`/modeles/${id}/instancier`, donnees);
+    return response.data;
+  },
+
+  // ==================== CORBEILLE ====================
+
+  /**
+   * @async
+   * @description Liste les tâches et listes en corbeille avec leur date de purge.
+   * @returns {Promise<Object>} Réponse API avec taches, listes et retention_jours.
+   */
+  listerCorbeille: async () => {
+    const response = await api.get('/corbeille');
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Restaure une tâche ou une liste de la corbeille.
+   * @param {string} type - 'taches' ou 'listes'.
+   * @param {string} id - UUID de l'élément.
+   * @returns {Promise<Object>} Réponse API avec l'élément restauré.
+   */
+  restaurerDepuisCorbeille: async (type, id) => {
+    const response = await api.post(`/corbeille/${type}/${id}/restaurer`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Supprime définitivement une tâche ou une liste de la corbeille.
+   * @param {string} type - 'taches' ou 'listes'.
+   * @param {string} id - UUID de l'élément.
+   * @returns {Promise<Object>} Réponse API avec message de confirmation.
+   */
+  supprimerDefinitivement: async (type, id) => {
+    const response = await api.delete(`/corbeille/${type}/${id}`);
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Vide la corbeille (suppression définitive de tous les éléments).
+   * @returns {Promise<Object>} Réponse API avec le nombre d'éléments supprimés.
+   */
+  viderCorbeille: async () => {
+    const response = await api.delete('/corbeille');
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Exporte les tâches de l'utilisateur (sous-tâches comprises).
+   * @param {string} format - csv (tâches) ou json (listes, tâches et historique).
+   * @param {Object} [filtres] - Filtres {statut, priorite, liste_id}.
+   * @returns {Promise<Blob>} Contenu du fichier exporté.
+   */
+  exporter: async (format, filtres = {}) => {
+    const response = await api.get('/export', { params: { format, ...filtres }, responseType: 'blob' });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Restaure une sauvegarde (export JSON) dans le compte, ou en obtient le résumé.
+   * @param {File} fichier - Fichier .json de sauvegarde.
+   * @param {Object} [options] - Options de restauration.
+   * @param {string} [options.mode='FUSION'] - FUSION (ajout aux données) ou REMPLACEMENT.
+   * @param {boolean} [options.simulation=false] - true pour le résumé sans écriture.
+   * @returns {Promise<Object>} Réponse API avec le résumé par entité.
+   */
+  restaurerSauvegarde: async (fichier, options = {}) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    donnees.append('mode', options.mode || 'FUSION');
+    donnees.append('simulation', options.simulation ? 'true' : 'false');
+    const response = await api.post('/sauvegarde/restaurer', donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Importe les tâches (VTODO) d'un fichier iCalendar, ou en obtient l'aperçu.
+   * @param {File} fichier - Fichier .ics.
+   * @param {Object} [options] - Options d'import.
+   * @param {string|null} [options.listeId] - Liste cible des tâches importées.
+   * @param {boolean} [options.simulation=false] - true pour l'aperçu sans création.
+   * @returns {Promise<Object>} Réponse API avec le résumé et l'action de chaque entrée.
+   */
+  importerIcal: async (fichier, options = {}) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    if (options.listeId) donnees.append('liste_id', options.listeId);
+    donnees.append('simulation', options.simulation ? 'true' : 'false');
+    const response = await api.post('/import/ical', donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Importe les lignes d'un fichier CSV comme tâches, ou en obtient l'aperçu (en-têtes,
+   * correspondance des colonnes et rapport de validation par ligne).
+   * @param {File} fichier - Fichier .csv.
+   * @param {Object} [options] - Options d'import.
+   * @param {Object|null} [options.correspondance] - {champ: en-tête de colonne} ; déduite des en-têtes si absente.
+   * @param {string|null} [options.listeId] - Liste des lignes sans nom de liste.
+   * @param {boolean} [options.simulation=false] - true pour l'aperçu sans création.
+   * @returns {Promise<Object>} Réponse API avec colonnes, correspondance, résumé et rapport par ligne.
+   */
+  importerCsv: async (fichier, options = {}) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    if (options.correspondance) donnees.append('correspondance', JSON.stringify(options.correspondance));
+    if (options.listeId) donnees.append('liste_id', options.listeId);
+    donnees.append('simulation', options.simulation ? 'true' : 'false');
+    const response = await api.post('/import/csv', donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Importe l'export JSON d'un tableau Trello dans une liste du même nom, ou en obtient l'aperçu.
+   * @param {File} fichier - Fichier .json exporté depuis Trello.
+   * @param {Object} [options] - Options d'import.
+   * @param {boolean} [options.simulation=false] - true pour l'aperçu sans création.
+   * @returns {Promise<Object>} Réponse API avec la liste, le résumé et l'action de chaque carte.
+   */
+  importerTrello: async (fichier, options = {}) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    donnees.append('simulation', options.simulation ? 'true' : 'false');
+    const response = await api.post('/import/trello', donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  /**
+   * @async
+   * @description Importe l'export CSV d'un projet Todoist dans une liste nommée d'après le fichier, ou en obtient l'aperçu.
+   * @param {File} fichier - Fichier .csv exporté depuis Todoist.
+   * @param {Object} [options] - Options d'import.
+   * @param {boolean} [options.simulation=false] - true pour l'aperçu sans création.
+   * @returns {Promise<Object>} Réponse API avec la liste, le résumé et l'action de chaque tâche.
+   */
+  importerTodoist: async (fichier, options = {}) => {
+    const donnees = new FormData();
+    donnees.append('fichier', fichier);
+    donnees.append('simulation', options.simulation ? 'true' : 'false');
+    const response = await api.post('/import/todoist', donnees, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
 };
 
 export default taskService;
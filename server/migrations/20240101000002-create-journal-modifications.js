@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table du journal d'audit.
+ * Table : journal_modifications (création, modification et suppression des tâches et listes).
+ * @module migrations/create-journal-modifications
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table journal_modifications.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('journal_modifications', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      entite_type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      entite_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      action: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      changements: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: '{}',
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      date_modification: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    /** Index pour les requêtes par entité et par utilisateur */
+    await queryInterface.addIndex('journal_modifications', ['entite_type', 'entite_id']);
+    await queryInterface.addIndex('journal_modifications', ['utilisateur_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la table journal_modifications (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('journal_modifications');
+  },
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des versions de tâches.
+ * Table : versions_taches (instantanés permettant la restauration d'une tâche).
+ * @module migrations/create-versions-taches
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table versions_taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('versions_taches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      tache_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      numero: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      instantane: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('versions_taches', ['tache_id', 'numero'], { unique: true });
+  },
+
+  /**
+   * @async
+   * @description Supprime la table versions_taches (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('versions_taches');
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Migration Sequelize pour la corbeille (suppression logique).
+ * Ajoute la colonne date_suppression aux tables taches et listes.
+ * @module migrations/add-corbeille
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute date_suppression sur taches et listes.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'date_suppression', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('listes', 'date_suppression', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    /** Index pour exclure rapidement les éléments en corbeille et trouver ceux à purger */
+    await queryInterface.addIndex('taches', ['date_suppression']);
+    await queryInterface.addIndex('listes', ['date_suppression']);
+  },
+
+  /**
+   * @async
+   * @description Supprime les colonnes date_suppression (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('listes', 'date_suppression');
+    await queryInterface.removeColumn('taches', 'date_suppression');
+  },
+};
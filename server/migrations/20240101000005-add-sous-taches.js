@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Migration Sequelize pour les sous-tâches.
+ * Ajoute la colonne parent_id (auto-référence) à la table taches.
+ * @module migrations/add-sous-taches
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute parent_id sur taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'parent_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'taches',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+
+    await queryInterface.addIndex('taches', ['parent_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la colonne parent_id (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('taches', 'parent_id');
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Migration Sequelize pour les tâches récurrentes.
+ * Ajoute les colonnes recurrence, serie_id et occurrence à la table taches.
+ * @module migrations/add-recurrence
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute les colonnes de récurrence sur taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'recurrence', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('taches', 'serie_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('taches', 'occurrence', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    /** Index pour retrouver les occurrences d'une série */
+    await queryInterface.addIndex('taches', ['serie_id', 'occurrence']);
+  },
+
+  /**
+   * @async
+   * @description Supprime les colonnes de récurrence (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('taches', 'occurrence');
+    await queryInterface.removeColumn('taches', 'serie_id');
+    await queryInterface.removeColumn('taches', 'recurrence');
+  },
+};
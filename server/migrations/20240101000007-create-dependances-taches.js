@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des dépendances entre tâches.
+ * Table : dependances_taches (liens « bloquée par »).
+ * @module migrations/create-dependances-taches
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table dependances_taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('dependances_taches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      tache_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      bloquante_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('dependances_taches', ['tache_id', 'bloquante_id'], { unique: true });
+    await queryInterface.addIndex('dependances_taches', ['bloquante_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la table dependances_taches (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('dependances_taches');
+  },
+};
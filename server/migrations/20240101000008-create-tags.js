@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Migration Sequelize pour créer les tags et leur table de jointure.
+ * Tables : tags, taches_tags (relation plusieurs-à-plusieurs avec taches).
+ * @module migrations/create-tags
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée les tables tags et taches_tags.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tags', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      nom: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      couleur: {
+        type: Sequelize.STRING,
+        defaultValue: '#6B7280',
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('tags', ['utilisateur_id', 'nom'], { unique: true });
+
+    await queryInterface.createTable('taches_tags', {
+      tache_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      tag_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'tags',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+    });
+
+    await queryInterface.addIndex('taches_tags', ['tag_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime les tables taches_tags et tags (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('taches_tags');
+    await queryInterface.dropTable('tags');
+  },
+};
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des commentaires de tâches.
+ * Table : commentaires.
+ * @module migrations/create-commentaires
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table commentaires.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('commentaires', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      tache_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      contenu: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      date_modification: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+    });
+
+    await queryInterface.addIndex('commentaires', ['tache_id', 'date_creation']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la table commentaires (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('commentaires');
+  },
+};
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des pièces jointes.
+ * Table : pieces_jointes.
+ * @module migrations/create-pieces-jointes
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table pieces_jointes.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('pieces_jointes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      tache_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      nom_fichier: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      type_mime: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      taille: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      cle_stockage: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true,
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('pieces_jointes', ['tache_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la table pieces_jointes (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('pieces_jointes');
+  },
+};
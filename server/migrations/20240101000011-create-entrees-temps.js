@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des entrées de temps.
+ * Table : entrees_temps. Un index unique partiel garantit au plus un chronomètre
+ * en cours (fin NULL) par utilisateur.
+ * @module migrations/create-entrees-temps
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table entrees_temps et ses index.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('entrees_temps', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      tache_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      debut: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      fin: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      duree_secondes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('entrees_temps', ['tache_id', 'debut']);
+    await queryInterface.addIndex('entrees_temps', ['utilisateur_id', 'debut']);
+    await queryInterface.addIndex('entrees_temps', ['utilisateur_id'], {
+      name: 'entrees_temps_chrono_unique',
+      unique: true,
+      where: { fin: null },
+    });
+  },
+
+  /**
+   * @async
+   * @description Supprime la table entrees_temps (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('entrees_temps');
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Migration Sequelize pour l'estimation de l'effort des tâches.
+ * Ajoute les colonnes estimation et unite_estimation à la table taches.
+ * @module migrations/add-estimation
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute les colonnes d'estimation sur taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'estimation', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('taches', 'unite_estimation', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'MINUTES',
+    });
+  },
+
+  /**
+   * @async
+   * @description Supprime les colonnes d'estimation (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('taches', 'unite_estimation');
+    await queryInterface.removeColumn('taches', 'estimation');
+  },
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Migration Sequelize pour créer les champs personnalisés et leurs valeurs.
+ * Tables : champs_personnalises (définis par liste), valeurs_champs (valeur par tâche).
+ * @module migrations/create-champs-personnalises
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée les tables champs_personnalises et valeurs_champs.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('champs_personnalises', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      liste_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'listes',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      nom: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      options: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      ordre: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('champs_personnalises', ['liste_id', 'nom'], { unique: true });
+
+    await queryInterface.createTable('valeurs_champs', {
+      tache_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'taches',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      champ_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: {
+          model: 'champs_personnalises',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      valeur: {
+        type: Sequelize.JSON,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('valeurs_champs', ['champ_id']);
+  },
+
+  /**
+   * @async
+   * @description Supprime les tables valeurs_champs et champs_personnalises (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('valeurs_champs');
+    await queryInterface.dropTable('champs_personnalises');
+  },
+};
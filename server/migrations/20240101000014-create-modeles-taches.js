@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Migration Sequelize pour créer la table des modèles de tâches.
+ * Table : modeles_taches. Les sous-tâches d'un modèle sont stockées en JSON ;
+ * la suppression définitive de la liste cible détache le modèle (SET NULL).
+ * @module migrations/create-modeles-taches
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée la table modeles_taches et son index d'unicité.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('modeles_taches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false,
+      },
+      nom: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      titre: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      priorite: {
+        type: Sequelize.STRING,
+        defaultValue: 'MOYENNE',
+      },
+      decalage_echeance: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      liste_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'listes',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      sous_taches: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: '[]',
+      },
+      utilisateur_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'utilisateurs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      date_creation: {
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('modeles_taches', ['utilisateur_id', 'nom'], { unique: true });
+  },
+
+  /**
+   * @async
+   * @description Supprime la table modeles_taches (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable('modeles_taches');
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Migration Sequelize pour l'ordre manuel des tâches.
+ * Ajoute la colonne position à la table taches et numérote les tâches racines
+ * existantes de chaque utilisateur par ordre de création.
+ * @module migrations/add-position
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute la colonne position sur taches et l'initialise.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'position', {
+      type: Sequelize.DOUBLE,
+      allowNull: true,
+    });
+
+    /** Rang de chaque tâche racine parmi celles de son utilisateur (ordre de création) */
+    await queryInterface.sequelize.query(`
+      UPDATE taches SET position = (
+        SELECT COUNT(*) FROM taches AS t
+        WHERE t.utilisateur_id = taches.utilisateur_id
+          AND t.parent_id IS NULL
+          AND (t.date_creation < taches.date_creation OR (t.date_creation = taches.date_creation AND t.id <= taches.id))
+      )
+      WHERE parent_id IS NULL
+    `);
+
+    /** Index pour le tri manuel des tâches d'un utilisateur */
+    await queryInterface.addIndex('taches', ['utilisateur_id', 'position']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la colonne position (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('taches', 'position');
+  },
+};
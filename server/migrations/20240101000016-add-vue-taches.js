@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Migration Sequelize pour la vue préférée des tâches.
+ * Ajoute la colonne vue_taches (LISTE ou TABLEAU) à la table utilisateurs.
+ * @module migrations/add-vue-taches
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute la colonne vue_taches sur utilisateurs.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('utilisateurs', 'vue_taches', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'LISTE',
+    });
+  },
+
+  /**
+   * @async
+   * @description Supprime la colonne vue_taches (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('utilisateurs', 'vue_taches');
+  },
+};
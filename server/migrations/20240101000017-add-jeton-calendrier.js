@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migration Sequelize pour le flux iCalendar des échéances.
+ * Ajoute la colonne jeton_calendrier (unique) à la table utilisateurs.
+ * @module migrations/add-jeton-calendrier
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute la colonne jeton_calendrier sur utilisateurs.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('utilisateurs', 'jeton_calendrier', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+    });
+
+    /** Un jeton désigne un seul utilisateur */
+    await queryInterface.addIndex('utilisateurs', ['jeton_calendrier'], { unique: true });
+  },
+
+  /**
+   * @async
+   * @description Supprime la colonne jeton_calendrier (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('utilisateurs', 'jeton_calendrier');
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Migration Sequelize pour l'import de tâches.
+ * Ajoute la colonne uid_externe (identifiant d'origine d'une tâche importée) à la table taches.
+ * @module migrations/add-uid-externe
+ */
+
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Ajoute la colonne uid_externe sur taches.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   * @param {import('sequelize').DataTypes} Sequelize - Types de données Sequelize.
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('taches', 'uid_externe', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+    });
+
+    /** Index pour la détection des doublons à l'import */
+    await queryInterface.addIndex('taches', ['utilisateur_id', 'uid_externe']);
+  },
+
+  /**
+   * @async
+   * @description Supprime la colonne uid_externe (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    await queryInterface.removeColumn('taches', 'uid_externe');
+  },
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Migration Sequelize pour la recherche plein texte.
+ * Crée la table virtuelle FTS5 taches_fts (titre, description et noms des tags de chaque tâche,
+ * rowid = rowid de la tâche), les triggers qui la tiennent à jour, et indexe les tâches existantes.
+ * @module migrations/add-recherche-plein-texte
+ */
+
+'use strict';
+
+/** @type {string} Noms des tags d'une tâche (remplacer TACHE_ID par l'expression de son UUID) */
+const TAGS_TACHE = '(SELECT group_concat(tg.nom, \' \') FROM taches_tags AS tt JOIN tags AS tg ON tg.id = tt.tag_id WHERE tt.tache_id = TACHE_ID)';
+
+/** @type {string[]} Triggers de mise à jour de l'index */
+const TRIGGERS = [
+  'taches_fts_creation',
+  'taches_fts_modification',
+  'taches_fts_suppression',
+  'taches_fts_ajout_tag',
+  'taches_fts_retrait_tag',
+  'taches_fts_renommage_tag',
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  /**
+   * @async
+   * @description Crée l'index de recherche, ses triggers, et y ajoute les tâches existantes.
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async up(queryInterface) {
+    const tags = (tacheId) => TAGS_TACHE.replace('TACHE_ID', tacheId);
+
+    /** Casse et accents ignorés ; préfixes de 2 et 3 caractères indexés */
+    await queryInterface.sequelize.query(`
+      CREATE VIRTUAL TABLE taches_fts USING fts5(
+        titre, description, tags, tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+      )
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_creation AFTER INSERT ON taches BEGIN
+        INSERT INTO taches_fts (rowid, titre, description, tags)
+        VALUES (new.rowid, new.titre, new.description, ${tags('new.id')});
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_modification AFTER UPDATE OF titre, description ON taches BEGIN
+        UPDATE taches_fts SET titre = new.titre, description = new.description WHERE rowid = new.rowid;
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_suppression AFTER DELETE ON taches BEGIN
+        DELETE FROM taches_fts WHERE rowid = old.rowid;
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_ajout_tag AFTER INSERT ON taches_tags BEGIN
+        UPDATE taches_fts SET tags = ${tags('new.tache_id')}
+        WHERE rowid = (SELECT rowid FROM taches WHERE id = new.tache_id);
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_retrait_tag AFTER DELETE ON taches_tags BEGIN
+        UPDATE taches_fts SET tags = ${tags('old.tache_id')}
+        WHERE rowid = (SELECT rowid FROM taches WHERE id = old.tache_id);
+      END
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE TRIGGER taches_fts_renommage_tag AFTER UPDATE OF nom ON tags BEGIN
+        UPDATE taches_fts SET tags = ${tags('(SELECT id FROM taches WHERE rowid = taches_fts.rowid)')}
+        WHERE rowid IN (SELECT t.rowid FROM taches AS t JOIN taches_tags AS tt ON tt.tache_id = t.id WHERE tt.tag_id = new.id);
+      END
+    `);
+
+    /** Indexer les tâches existantes (corbeille comprise : elle est filtrée à la recherche) */
+    await queryInterface.sequelize.query(`
+      INSERT INTO taches_fts (rowid, titre, description, tags)
+      SELECT rowid, titre, description, ${tags('taches.id')} FROM taches
+    `);
+  },
+
+  /**
+   * @async
+   * @description Supprime les triggers et l'index de recherche (rollback).
+   * @param {import('sequelize').QueryInterface} queryInterface - Interface de requête Sequelize.
+   */
+  async down(queryInterface) {
+    for (const trigger of TRIGGERS) {
+      await queryInterface.sequelize.query(`DROP TRIGGER IF EXISTS ${trigger}`);
+    }
+    await queryInterface.sequelize.query('DROP TABLE IF EXISTS taches_fts');
+  },
+};
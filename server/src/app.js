@@ -19,6 +19,19 @@ require('./models');
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
 const listRoutes = require('./routes/listRoutes');
+const journalRoutes = require('./routes/journalRoutes');
+const corbeilleRoutes = require('./routes/corbeilleRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const tempsRoutes = require('./routes/tempsRoutes');
+const rapportRoutes = require('./routes/rapportRoutes');
+const modeleRoutes = require('./routes/modeleRoutes');
+const calendrierRoutes = require('./routes/calendrierRoutes');
+const importRoutes = require('./routes/importRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const sauvegardeRoutes = require('./routes/sauvegardeRoutes');
+
+// Import des tâches planifiées
+const { planifierPurgeCorbeille } = require('./jobs/purgeCorbeille');
 
 /** @type {express.Application} Instance Express */
 const app = express();
@@ -61,19 +74,33 @@ app.use('/api/auth', authRoutes);
 app.use('/api/taches', taskRoutes);
 
 /** Routes de recherche (protégées par JWT) */
+const { body, query } = require('express-validator');
 const authMiddleware = require('./middlewares/authMiddleware');
 const authController = require('./controllers/authController');
 const taskController = require('./controllers/taskController');
-app.get('/api/search', authMiddleware, taskController.rechercher);
+app.get('/api/search',
+  authMiddleware,
+  [
+    query('q').isString().trim().notEmpty().withMessage('Le paramètre de recherche "q" est requis.'),
+    query('page').optional().isInt({ min: 1 }).withMessage('La page doit être un entier positif.'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('La limite doit être un entier entre 1 et 100.'),
+  ],
+  taskController.rechercher
+);
 
 /** Routes du profil (protégées par JWT) */
-const { body } = require('express-validator');
 app.get('/api/profil', authMiddleware, authController.getProfil);
 app.patch('/api/profil',
   authMiddleware,
-  [body('nom_affichage').trim().isLength({ min: 1, max: 100 }).withMessage('Le nom d\'affichage est requis (1-100 caractères).')],
+  [
+    body('nom_affichage').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Le nom d\'affichage est requis (1-100 caractères).'),
+    body('vue_taches').optional().isIn(['LISTE', 'TABLEAU', 'CALENDRIER']).withMessage('La vue des tâches doit être LISTE, TABLEAU ou CALENDRIER.'),
+    body().custom((donnees) => donnees.nom_affichage !== undefined || donnees.vue_taches !== undefined)
+      .withMessage('Le nom d\'affichage est requis (1-100 caractères).'),
+  ],
   authController.updateProfil
 );
+app.post('/api/profil/jeton-calendrier', authMiddleware, authController.regenererJetonCalendrier);
 app.patch('/api/profil/password',
   authMiddleware,
   [
@@ -86,6 +113,36 @@ app.patch('/api/profil/password',
 /** Routes des listes (protégées par JWT) */
 app.use('/api/listes', listRoutes);
 
+/** Routes des tags (protégées par JWT) */
+app.use('/api/tags', tagRoutes);
+
+/** Routes du suivi du temps (protégées par JWT) */
+app.use('/api/temps', tempsRoutes);
+
+/** Routes des rapports (protégées par JWT) */
+app.use('/api/rapports', rapportRoutes);
+
+/** Routes des modèles de tâches (protégées par JWT) */
+app.use('/api/modeles', modeleRoutes);
+
+/** Routes du journal d'audit (protégées par JWT) */
+app.use('/api/journal', journalRoutes);
+
+/** Routes de la corbeille (protégées par JWT) */
+app.use('/api/corbeille', corbeilleRoutes);
+
+/** Routes d'import de tâches (protégées par JWT) */
+app.use('/api/import', importRoutes);
+
+/** Routes d'export des données (protégées par JWT) */
+app.use('/api/export', exportRoutes);
+
+/** Routes de restauration des sauvegardes (protégées par JWT) */
+app.use('/api/sauvegarde', sauvegardeRoutes);
+
+/** Flux iCalendar des échéances (protégé par le jeton secret de l'URL) */
+app.use('/api/calendrier', calendrierRoutes);
+
 // ==================== GESTION D'ERREURS ====================
 
 /**
@@ -125,9 +182,20 @@ const startServer = async () => {
     /** Tester la connexion à SQLite */
     await databasePool.testConnection();
 
+    /** Retirer les triggers de l'index de recherche pendant la recréation des tables */
+    const tacheRepository = require('./repositories/tacheRepository');
+    await tacheRepository.suspendreIndexRecherche();
+
     /** Synchroniser les modèles (crée les tables automatiquement si elles n'existent pas) */
-    const { sequelize } = require('./config/database');
-    await sequelize.sync({ alter: true });
+    await databasePool.synchroniser();
+
+    /** Rétablir l'index de recherche plein texte, reconstruit seulement s'il est absent ou périmé */
+    if (await tacheRepository.initialiserIndexRecherche()) {
+      console.log('[OK] Index de recherche plein texte reconstruit.');
+    }
+
+    /** Purger la corbeille au démarrage puis quotidiennement */
+    planifierPurgeCorbeille();
 
     /** Démarrer le serveur HTTP */
     app.listen(appConfig.port, () => {
@@ -4,6 +4,8 @@
  * @module config/appConfig
  */
 
+const path = require('path');
+
 /**
  * @class AppConfig
  * @description Singleton contenant toutes les variables de configuration de l'application.
@@ -43,6 +45,41 @@ class AppConfig {
     /** @type {number} Page par défaut pour la pagination */
     this.defaultPage = 1;
 
+    /** @type {number} Nombre de jours avant la purge automatique d'un élément en corbeille */
+    this.corbeilleRetentionJours = parseInt(process.env.CORBEILLE_RETENTION_JOURS, 10) || 30;
+
+    /** @type {string} Backend de stockage des pièces jointes (voir src/storage) */
+    this.stockageType = process.env.STOCKAGE_TYPE || 'local';
+
+    /** @type {string} Dossier racine des pièces jointes pour le stockage local */
+    this.stockageDossier = process.env.STOCKAGE_DOSSIER || path.resolve(__dirname, '../../data/pieces-jointes');
+
+    /** @type {number} Taille maximale d'une pièce jointe, en octets */
+    this.pieceJointeTailleMax = (parseInt(process.env.PIECE_JOINTE_TAILLE_MAX_MO, 10) || 10) * 1024 * 1024;
+
+    /** @type {number} Taille maximale d'un fichier d'import de tâches, en octets */
+    this.importTailleMax = (parseInt(process.env.IMPORT_TAILLE_MAX_MO, 10) || 5) * 1024 * 1024;
+
+    /** @type {string[]} Types MIME acceptés pour les pièces jointes */
+    this.pieceJointeTypesMime = process.env.PIECE_JOINTE_TYPES_MIME
+      ? process.env.PIECE_JOINTE_TYPES_MIME.split(',').map((type) => type.trim()).filter(Boolean)
+      : [
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'image/webp',
+        'application/pdf',
+        'text/plain',
+        'text/csv',
+        'application/zip',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      ];
+
     AppConfig._instance = this;
   }
 }
@@ -6,10 +6,11 @@
  */
 
 const path = require('path');
-const { Sequelize } = require('sequelize');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { Sequelize, Transaction } = require('sequelize');
 
-/** @description Chemin vers le fichier SQLite */
-const storagePath = path.resolve(__dirname, '../../data/database.sqlite');
+/** @description Chemin vers le fichier SQLite (DB_STORAGE pour une autre base, celle des tests par exemple) */
+const storagePath = process.env.DB_STORAGE || path.resolve(__dirname, '../../data/database.sqlite');
 
 /**
  * @description Configuration de la base de données pour sequelize-cli.
@@ -28,6 +29,27 @@ const dbConfig = {
   },
 };
 
+/** @type {AsyncLocalStorage} Contexte asynchrone portant la transaction en cours */
+const contexteTransaction = new AsyncLocalStorage();
+
+/**
+ * @constant {Object} espaceTransactions
+ * @description Espace de noms CLS (continuation-local storage) attendu par Sequelize.useCLS,
+ * implémenté avec AsyncLocalStorage. Toute requête exécutée dans le callback de
+ * sequelize.transaction() utilise la transaction sans qu'elle soit passée aux repositories.
+ */
+const espaceTransactions = {
+  run: (fn) => {
+    const contexte = new Map();
+    return contexteTransaction.run(contexte, () => fn(contexte));
+  },
+  bind: (fn) => AsyncResource.bind(fn),
+  get: (cle) => contexteTransaction.getStore()?.get(cle),
+  set: (cle, valeur) => contexteTransaction.getStore()?.set(cle, valeur),
+};
+
+Sequelize.useCLS(espaceTransactions);
+
 /**
  * @class DatabasePool
  * @description Singleton gérant le pool de connexions Sequelize.
@@ -51,15 +73,52 @@ class DatabasePool {
       dialect: config.dialect,
       storage: config.storage,
       logging: config.logging,
+      /** Une transaction prend le verrou d'écriture dès BEGIN (voir serialiserTransactions) */
+      transactionType: Transaction.TYPES.IMMEDIATE,
+      /**
+       * Une écriture hors transaction (ou un COMMIT) qui trouve la base verrouillée par une autre connexion
+       * est rejouée après une courte attente. Pas de busy_timeout : SQLite attendrait en bloquant
+       * un thread du pool de libuv, que la transaction détentrice du verrou ne pourrait plus utiliser.
+       */
+      retry: {
+        match: [/SQLITE_BUSY/],
+        max: 20,
+        backoffBase: 20,
+        backoffExponent: 1.3,
+      },
       define: {
         timestamps: false,
         underscored: true,
       },
     });
+    this.serialiserTransactions();
 
     DatabasePool._instance = this;
   }
 
+  /**
+   * @description Exécute les transactions gérées (sequelize.transaction(callback)) l'une après l'autre.
+   * Sous SQLite, chaque transaction a sa propre connexion et une seule peut écrire à la fois : lancées ensemble,
+   * elles échoueraient en SQLITE_BUSY au lieu d'attendre leur tour. Un point de sauvegarde (option transaction)
+   * ou une transaction ouverte dans une autre ne passe pas par la file, qui attendrait sa propre fin.
+   * @returns {void}
+   */
+  serialiserTransactions() {
+    const transaction = this.sequelize.transaction.bind(this.sequelize);
+    /** @type {Promise<void>} Fin de la dernière transaction mise en file */
+    let file = Promise.resolve();
+
+    this.sequelize.transaction = (options, callback) => {
+      const gere = typeof options === 'function' || typeof callback === 'function';
+      if (!gere || (options && options.transaction) || espaceTransactions.get('transaction')) {
+        return transaction(options, callback);
+      }
+      const tour = file.then(() => transaction(options, callback));
+      file = tour.catch(() => {});
+      return tour;
+    };
+  }
+
   /**
    * @async
    * @description Teste la connexion à la base de données.
@@ -76,6 +135,22 @@ class DatabasePool {
     }
   }
 
+  /**
+   * @async
+   * @description Synchronise les modèles (crée les tables manquantes, adapte les autres). Sous SQLite,
+   * adapter une table revient à la recréer (DROP TABLE) : les clés étrangères sont désactivées le temps
+   * de la synchronisation pour que cette suppression ne supprime pas en cascade les lignes qui la référencent.
+   * @returns {Promise<void>}
+   */
+  async synchroniser() {
+    await this.sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+      await this.sequelize.sync({ alter: true });
+    } finally {
+      await this.sequelize.query('PRAGMA foreign_keys = ON');
+    }
+  }
+
   /**
    * @description Retourne l'instance Sequelize.
    * @returns {Sequelize} Instance Sequelize.
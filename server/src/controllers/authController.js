@@ -5,6 +5,7 @@
  * @module controllers/authController
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
@@ -148,6 +149,7 @@ class AuthController {
             email: utilisateur.email,
             nom_affichage: utilisateur.nom_affichage,
             date_creation: utilisateur.date_creation,
+            vue_taches: utilisateur.vue_taches,
           },
         },
       });
@@ -193,8 +195,9 @@ class AuthController {
 
   /**
    * @async
-   * @description Met à jour le nom d'affichage de l'utilisateur connecté.
-   * @param {import('express').Request} req - Requête avec body {nom_affichage}.
+   * @description Met à jour le nom d'affichage et/ou la vue préférée des tâches (LISTE, TABLEAU
+   * ou CALENDRIER) de l'utilisateur connecté.
+   * @param {import('express').Request} req - Requête avec body {nom_affichage, vue_taches}.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
@@ -205,8 +208,12 @@ class AuthController {
         return res.status(400).json({ success: false, error: errors.array()[0].msg });
       }
 
-      const { nom_affichage } = req.body;
-      const utilisateur = await utilisateurRepository.mettreAJour(req.utilisateur.id, { nom_affichage });
+      const { nom_affichage, vue_taches } = req.body;
+      const donneesMAJ = {};
+      if (nom_affichage !== undefined) donneesMAJ.nom_affichage = nom_affichage;
+      if (vue_taches !== undefined) donneesMAJ.vue_taches = vue_taches;
+
+      const utilisateur = await utilisateurRepository.mettreAJour(req.utilisateur.id, donneesMAJ);
 
       return res.status(200).json({
         success: true,
@@ -221,6 +228,32 @@ class AuthController {
     }
   }
 
+  /**
+   * @async
+   * @description Génère un nouveau jeton pour le flux iCalendar des échéances de l'utilisateur connecté.
+   * L'ancien jeton cesse immédiatement de fonctionner (ex. URL du flux divulguée).
+   * @param {import('express').Request} req - Requête avec req.utilisateur (depuis JWT).
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async regenererJetonCalendrier(req, res) {
+    try {
+      const jeton = crypto.randomBytes(32).toString('hex');
+      await utilisateurRepository.mettreAJour(req.utilisateur.id, { jeton_calendrier: jeton });
+
+      return res.status(200).json({
+        success: true,
+        data: { jeton_calendrier: jeton },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la génération du jeton de calendrier :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
   /**
    * @async
    * @description Change le mot de passe de l'utilisateur connecté.
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Contrôleur du flux iCalendar des échéances.
+ * Le flux est public mais protégé par le jeton secret de son URL, régénérable depuis le profil :
+ * les applications de calendrier s'y abonnent sans token JWT.
+ * Pattern MVC : Controller qui orchestre la génération du flux.
+ * @module controllers/calendrierController
+ */
+
+const { validationResult } = require('express-validator');
+const utilisateurRepository = require('../repositories/utilisateurRepository');
+const listeRepository = require('../repositories/listeRepository');
+const tacheRepository = require('../repositories/tacheRepository');
+const { genererCalendrier } = require('../utils/ical');
+
+/**
+ * @class CalendrierController
+ * @description Gère les requêtes HTTP du flux iCalendar.
+ */
+class CalendrierController {
+  /**
+   * @async
+   * @description Génère le flux iCalendar des tâches ayant une échéance : une entrée VTODO (par défaut)
+   * ou VEVENT par tâche, statut et priorité convertis. Un jeton inconnu ou un compte désactivé renvoie 404.
+   * @param {import('express').Request} req - Requête avec params.jeton et query {liste_id, composant}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async fluxIcal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const utilisateur = await utilisateurRepository.trouverParJetonCalendrier(req.params.jeton);
+      if (!utilisateur || !utilisateur.actif) {
+        return res.status(404).json({
+          success: false,
+          error: 'Calendrier non trouvé.',
+        });
+      }
+
+      const { liste_id, composant } = req.query;
+      let liste = null;
+      if (liste_id) {
+        liste = await listeRepository.trouverParId(liste_id);
+        if (!liste || liste.utilisateur_id !== utilisateur.id) {
+          return res.status(404).json({
+            success: false,
+            error: 'Liste non trouvée.',
+          });
+        }
+      }
+
+      const taches = await tacheRepository.listerAvecEcheance(utilisateur.id, { liste_id });
+      const contenu = genererCalendrier(taches, {
+        composant,
+        nom: liste ? `Tâches - ${liste.nom}` : 'Tâches',
+      });
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="taches.ics"',
+        'Cache-Control': 'private, max-age=300',
+      });
+      return res.status(200).send(contenu);
+    } catch (error) {
+      console.error('Erreur lors de la génération du flux iCalendar :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new CalendrierController();
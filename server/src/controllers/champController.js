@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Contrôleur des champs personnalisés.
+ * Une liste définit des champs typés (texte, nombre, date, choix, case à cocher, URL) ;
+ * les tâches de la liste en renseignent les valeurs via le champ `champs` de la tâche.
+ * Pattern MVC : Controller qui orchestre la gestion des champs personnalisés.
+ * @module controllers/champController
+ */
+
+const { validationResult } = require('express-validator');
+const listeRepository = require('../repositories/listeRepository');
+const champPersonnaliseRepository = require('../repositories/champPersonnaliseRepository');
+const { creerErreur } = require('../utils/erreurs');
+
+/**
+ * @async
+ * @function chargerListe
+ * @description Charge une liste active et vérifie qu'elle appartient à l'utilisateur.
+ * @param {string} listeId - UUID de la liste.
+ * @param {string} utilisateurId - UUID de l'utilisateur connecté.
+ * @returns {Promise<Object>} La liste.
+ * @throws {Error} Erreur avec status 404 si la liste n'existe pas, 403 si elle appartient à un autre utilisateur.
+ */
+const chargerListe = async (listeId, utilisateurId) => {
+  const liste = await listeRepository.trouverParId(listeId);
+  if (!liste) {
+    throw creerErreur(404, 'Liste non trouvée.');
+  }
+  if (liste.utilisateur_id !== utilisateurId) {
+    throw creerErreur(403, 'Accès non autorisé à cette liste.');
+  }
+  return liste;
+};
+
+/**
+ * @async
+ * @function chargerChamp
+ * @description Charge un champ de la liste indiquée dans l'URL, après vérification de la liste.
+ * @param {import('express').Request} req - Requête avec params.id et params.champId.
+ * @returns {Promise<Object>} Le champ.
+ * @throws {Error} Erreur avec status 404 si le champ n'existe pas sur cette liste (ou 403/404 pour la liste).
+ */
+const chargerChamp = async (req) => {
+  await chargerListe(req.params.id, req.utilisateur.id);
+  const champ = await champPersonnaliseRepository.trouverParId(req.params.champId);
+  if (!champ || champ.liste_id !== req.params.id) {
+    throw creerErreur(404, 'Champ personnalisé non trouvé.');
+  }
+  return champ;
+};
+
+/**
+ * @class ChampController
+ * @description Gère les requêtes HTTP de définition des champs personnalisés d'une liste.
+ */
+class ChampController {
+  /**
+   * @async
+   * @description Liste les champs personnalisés d'une liste dans leur ordre d'affichage.
+   * @param {import('express').Request} req - Requête avec params.id (liste).
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerChamps(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await chargerListe(req.params.id, req.utilisateur.id);
+      const champs = await champPersonnaliseRepository.listerParListe(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { champs },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la liste des champs personnalisés :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Crée un champ personnalisé sur une liste. Le nom est unique par liste
+   * (sans tenir compte de la casse) ; les options ne sont conservées que pour le type CHOIX.
+   * @param {import('express').Request} req - Requête avec params.id et body {nom, type, options, ordre}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async creerChamp(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await chargerListe(req.params.id, req.utilisateur.id);
+      const { nom, type, options, ordre } = req.body;
+
+      if (type === 'CHOIX' && !options) {
+        return res.status(400).json({
+          success: false,
+          error: 'Un champ de type CHOIX doit proposer au moins une option.',
+        });
+      }
+
+      if (await champPersonnaliseRepository.trouverParNom(req.params.id, nom)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Un champ de cette liste porte déjà ce nom.',
+        });
+      }
+
+      const champ = await champPersonnaliseRepository.creer({
+        liste_id: req.params.id,
+        nom,
+        type,
+        options: type === 'CHOIX' ? options : null,
+        ordre: ordre || 0,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { champ },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la création du champ personnalisé :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie le nom, les options ou l'ordre d'un champ (le type est fixé à la création).
+   * Les valeurs d'un champ CHOIX qui ne figurent plus parmi ses options sont retirées des tâches.
+   * @param {import('express').Request} req - Requête avec params.id, params.champId et body {nom, options, ordre}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierChamp(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const champ = await chargerChamp(req);
+      const { nom, options, ordre } = req.body;
+      const donneesMAJ = {};
+
+      if (nom !== undefined && nom.toLowerCase() !== champ.nom.toLowerCase()) {
+        if (await champPersonnaliseRepository.trouverParNom(champ.liste_id, nom)) {
+          return res.status(409).json({
+            success: false,
+            error: 'Un champ de cette liste porte déjà ce nom.',
+          });
+        }
+      }
+      if (nom !== undefined) donneesMAJ.nom = nom;
+      if (options !== undefined) {
+        if (champ.type !== 'CHOIX') {
+          return res.status(400).json({
+            success: false,
+            error: 'Seul un champ de type CHOIX propose des options.',
+          });
+        }
+        donneesMAJ.options = options;
+      }
+      if (ordre !== undefined) donneesMAJ.ordre = ordre;
+
+      const champMAJ = await champPersonnaliseRepository.mettreAJour(champ.id, donneesMAJ);
+      if (donneesMAJ.options) {
+        await champPersonnaliseRepository.supprimerValeursHorsOptions(champ.id, donneesMAJ.options);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { champ: champMAJ },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la modification du champ personnalisé :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime un champ personnalisé ; ses valeurs sont retirées de toutes les tâches.
+   * @param {import('express').Request} req - Requête avec params.id et params.champId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerChamp(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const champ = await chargerChamp(req);
+      await champPersonnaliseRepository.supprimer(champ.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Champ personnalisé supprimé avec succès.' },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la suppression du champ personnalisé :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new ChampController();
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Contrôleur des commentaires de tâches.
+ * Fil de notes (Markdown) laissées sur une tâche au fil du temps, sans écraser sa description.
+ * Seul l'auteur d'un commentaire peut le modifier ou le supprimer.
+ * Pattern MVC : Controller qui orchestre la gestion des commentaires.
+ * @module controllers/commentaireController
+ */
+
+const { validationResult } = require('express-validator');
+const commentaireRepository = require('../repositories/commentaireRepository');
+const appConfig = require('../config/appConfig');
+const { creerErreur } = require('../utils/erreurs');
+const { verifierAccesTache } = require('../services/accesService');
+
+/**
+ * @async
+ * @function chargerCommentaireAuteur
+ * @description Charge un commentaire de la tâche et vérifie que l'utilisateur en est l'auteur.
+ * @param {string} tacheId - UUID de la tâche.
+ * @param {string} commentaireId - UUID du commentaire.
+ * @param {string} utilisateurId - UUID de l'utilisateur connecté.
+ * @returns {Promise<Object>} Le commentaire.
+ * @throws {Error} Erreur avec status 404 si le commentaire n'existe pas sur cette tâche, 403 si l'utilisateur n'en est pas l'auteur.
+ */
+const chargerCommentaireAuteur = async (tacheId, commentaireId, utilisateurId) => {
+  const commentaire = await commentaireRepository.trouverParId(commentaireId);
+  if (!commentaire || commentaire.tache_id !== tacheId) {
+    throw creerErreur(404, 'Commentaire non trouvé.');
+  }
+  if (commentaire.utilisateur_id !== utilisateurId) {
+    throw creerErreur(403, 'Seul l\'auteur peut modifier ou supprimer ce commentaire.');
+  }
+  return commentaire;
+};
+
+/**
+ * @class CommentaireController
+ * @description Contrôleur gérant le fil de commentaires d'une tâche.
+ */
+class CommentaireController {
+  /**
+   * @async
+   * @description Liste les commentaires d'une tâche, du plus ancien au plus récent, avec pagination.
+   * @param {import('express').Request} req - Requête avec params.id et query {page, limit}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerCommentaires(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+
+      const { rows: commentaires, count: total } = await commentaireRepository.listerParTache(
+        req.params.id,
+        { page, limit }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          commentaires,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la liste des commentaires :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Ajoute un commentaire à une tâche ; l'auteur est l'utilisateur connecté.
+   * @param {import('express').Request} req - Requête avec params.id et body {contenu}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async creerCommentaire(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const commentaire = await commentaireRepository.creer({
+        tache_id: req.params.id,
+        utilisateur_id: req.utilisateur.id,
+        contenu: req.body.contenu,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { commentaire },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la création du commentaire :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie le contenu d'un commentaire (auteur uniquement) ; date_modification est renseignée.
+   * @param {import('express').Request} req - Requête avec params.id, params.commentaireId et body {contenu}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierCommentaire(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      await chargerCommentaireAuteur(req.params.id, req.params.commentaireId, req.utilisateur.id);
+
+      const commentaire = await commentaireRepository.modifier(req.params.commentaireId, req.body.contenu);
+
+      return res.status(200).json({
+        success: true,
+        data: { commentaire },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la modification du commentaire :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime un commentaire (auteur uniquement).
+   * @param {import('express').Request} req - Requête avec params.id et params.commentaireId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerCommentaire(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      await chargerCommentaireAuteur(req.params.id, req.params.commentaireId, req.utilisateur.id);
+
+      await commentaireRepository.supprimer(req.params.commentaireId);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Commentaire supprimé avec succès.' },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la suppression du commentaire :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new CommentaireController();
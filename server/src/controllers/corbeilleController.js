@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Contrôleur de la corbeille (ServiceCorbeille).
+ * Permet de consulter les tâches et listes supprimées, de les restaurer ou de les
+ * supprimer définitivement. Les éléments sont purgés automatiquement après
+ * appConfig.corbeilleRetentionJours jours (voir jobs/purgeCorbeille).
+ * Pattern MVC : Controller qui orchestre la gestion de la corbeille.
+ * @module controllers/corbeilleController
+ */
+
+const { validationResult } = require('express-validator');
+const tacheRepository = require('../repositories/tacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const journalRepository = require('../repositories/journalRepository');
+const corbeilleService = require('../services/corbeilleService');
+const appConfig = require('../config/appConfig');
+
+/**
+ * @function ajouterDatePurge
+ * @description Sérialise un élément en corbeille en y ajoutant sa date de purge automatique.
+ * @param {Object} element - Tâche ou liste en corbeille.
+ * @returns {Object} Élément sérialisé avec date_purge.
+ */
+const ajouterDatePurge = (element) => {
+  const dateSuppression = new Date(element.date_suppression);
+  return {
+    ...element.toJSON(),
+    date_purge: new Date(dateSuppression.getTime() + appConfig.corbeilleRetentionJours * 24 * 60 * 60 * 1000),
+  };
+};
+
+/**
+ * @class CorbeilleController
+ * @description Contrôleur gérant la corbeille des tâches et des listes.
+ */
+class CorbeilleController {
+  /**
+   * @async
+   * @description Liste les tâches et listes en corbeille de l'utilisateur connecté,
+   * les plus récemment supprimées en premier, avec leur date de purge automatique.
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerCorbeille(req, res) {
+    try {
+      const [taches, listes] = await Promise.all([
+        tacheRepository.listerCorbeille(req.utilisateur.id),
+        listeRepository.listerCorbeille(req.utilisateur.id),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          taches: taches.map(ajouterDatePurge),
+          listes: listes.map(ajouterDatePurge),
+          retention_jours: appConfig.corbeilleRetentionJours,
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la consultation de la corbeille :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Restaure une tâche de la corbeille après vérification du propriétaire.
+   * Les sous-tâches supprimées avec elle sont restaurées ; une sous-tâche ne peut pas
+   * être restaurée tant que sa parente est dans la corbeille.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async restaurerTache(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await tacheRepository.trouverDansCorbeille(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée dans la corbeille.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      if (tache.parent_id && !(await tacheRepository.trouverParId(tache.parent_id))) {
+        return res.status(409).json({
+          success: false,
+          error: 'Restaurez d\'abord la tâche parente de cette sous-tâche.',
+        });
+      }
+
+      const tacheRestauree = await tacheRepository.restaurer(tache.id);
+
+      await journalRepository.journaliser('TACHE', 'RESTAURATION', tache, tacheRestauree, req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { tache: tacheRestauree },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la restauration de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime définitivement une tâche de la corbeille après vérification du propriétaire.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerTache(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await tacheRepository.trouverDansCorbeille(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée dans la corbeille.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      await corbeilleService.supprimerTacheDefinitivement(tache, req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Tâche supprimée définitivement.' },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la suppression définitive de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Restaure une liste de la corbeille après vérification du propriétaire.
+   * Ses tâches, restées rattachées, y réapparaissent.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async restaurerListe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const liste = await listeRepository.trouverDansCorbeille(req.params.id);
+
+      if (!liste) {
+        return res.status(404).json({
+          success: false,
+          error: 'Liste non trouvée dans la corbeille.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (liste.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette liste.',
+        });
+      }
+
+      const listeRestauree = await listeRepository.restaurer(liste.id);
+
+      await journalRepository.journaliser('LISTE', 'RESTAURATION', liste, listeRestauree, req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { liste: listeRestauree },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la restauration de la liste :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime définitivement une liste de la corbeille après vérification du propriétaire.
+   * Ses tâches sont conservées et dissociées (liste_id = NULL).
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerListe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const liste = await listeRepository.trouverDansCorbeille(req.params.id);
+
+      if (!liste) {
+        return res.status(404).json({
+          success: false,
+          error: 'Liste non trouvée dans la corbeille.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (liste.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette liste.',
+        });
+      }
+
+      await corbeilleService.supprimerListeDefinitivement(liste, req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Liste supprimée définitivement.' },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la suppression définitive de la liste :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Vide la corbeille de l'utilisateur connecté (suppression définitive de tous ses éléments).
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async viderCorbeille(req, res) {
+    try {
+      const taches = await tacheRepository.listerCorbeille(req.utilisateur.id);
+      await corbeilleService.supprimerTachesDefinitivement(taches);
+
+      const listes = await listeRepository.listerCorbeille(req.utilisateur.id);
+      for (const liste of listes) {
+        await corbeilleService.supprimerListeDefinitivement(liste, req.utilisateur.id);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          message: 'Corbeille vidée.',
+          taches: taches.length,
+          listes: listes.length,
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors du vidage de la corbeille :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new CorbeilleController();
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Contrôleur des dépendances entre tâches.
+ * Un lien « tâche B bloquée par tâche A » relie deux tâches du même utilisateur ;
+ * B ne peut passer EN_COURS ou TERMINEE tant que A n'est pas terminée (voir
+ * taskController.modifierTache). Les liens formant un cycle sont refusés.
+ * Pattern MVC : Controller qui orchestre la gestion des dépendances.
+ * @module controllers/dependanceController
+ */
+
+const { validationResult } = require('express-validator');
+const tacheRepository = require('../repositories/tacheRepository');
+const dependanceRepository = require('../repositories/dependanceRepository');
+const { parcourirGraphe, creeraitCycle } = require('../utils/graphe');
+const { verifierAccesTache } = require('../services/accesService');
+
+/**
+ * @function versNoeuds
+ * @description Associe les tâches atteintes par un parcours à leur profondeur, triées par profondeur puis titre.
+ * @param {Map<string, number>} profondeurs - Profondeur de chaque tâche atteinte.
+ * @param {Map<string, Object>} taches - Tâches indexées par UUID.
+ * @returns {Array<Object>} Nœuds {id, titre, statut, priorite, date_echeance, parent_id, profondeur}.
+ */
+const versNoeuds = (profondeurs, taches) => [...profondeurs.entries()]
+  .filter(([id]) => taches.has(id))
+  .map(([id, profondeur]) => ({ ...taches.get(id).toJSON(), profondeur }))
+  .sort((a, b) => a.profondeur - b.profondeur || a.titre.localeCompare(b.titre));
+
+/**
+ * @class DependanceController
+ * @description Contrôleur gérant les liens de blocage entre tâches.
+ */
+class DependanceController {
+  /**
+   * @async
+   * @description Retourne le graphe de dépendances d'une tâche : tâches en amont (qui la
+   * bloquent, directement ou non) et en aval (qu'elle bloque), avec leur profondeur
+   * (1 = lien direct), ainsi que les liens entre ces tâches. Les tâches en corbeille sont ignorées.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerDependances(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const aretes = await dependanceRepository.listerParUtilisateur(req.utilisateur.id);
+
+      const amont = parcourirGraphe(aretes, tache.id, 'amont');
+      const aval = parcourirGraphe(aretes, tache.id, 'aval');
+
+      /** Charger en une requête les tâches atteintes */
+      const taches = new Map(
+        (await tacheRepository.listerParIds([...amont.keys(), ...aval.keys()]))
+          .map((t) => [t.id, t])
+      );
+
+      /** Ne garder que les liens internes au sous-graphe de la tâche */
+      const noeuds = new Set([tache.id, ...amont.keys(), ...aval.keys()]);
+      const aretesGraphe = aretes.filter(
+        (arete) => noeuds.has(arete.tache_id) && noeuds.has(arete.bloquante_id)
+      );
+
+      const noeudsAmont = versNoeuds(amont, taches);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          tache_id: tache.id,
+          bloquee: noeudsAmont.some((n) => n.profondeur === 1 && n.statut !== 'TERMINEE'),
+          amont: noeudsAmont,
+          aval: versNoeuds(aval, taches),
+          aretes: aretesGraphe,
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la récupération des dépendances :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Ajoute un lien « la tâche est bloquée par bloquante_id ». Les deux tâches
+   * doivent appartenir à l'utilisateur ; le lien est refusé s'il existe déjà ou s'il
+   * formerait un cycle (y compris via des tâches en corbeille, qui peuvent être restaurées).
+   * @param {import('express').Request} req - Requête avec params.id et body {bloquante_id}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async ajouterDependance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { bloquante_id } = req.body;
+
+      if (bloquante_id === req.params.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Une tâche ne peut pas se bloquer elle-même.',
+        });
+      }
+
+      const tache = await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const bloquante = await verifierAccesTache(bloquante_id, req.utilisateur.id);
+
+      if (await dependanceRepository.trouver(tache.id, bloquante.id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cette dépendance existe déjà.',
+        });
+      }
+
+      const aretes = await dependanceRepository.listerParUtilisateur(req.utilisateur.id, { inclureCorbeille: true });
+      if (creeraitCycle(aretes, tache.id, bloquante.id)) {
+        return res.status(409).json({
+          success: false,
+          error: `Dépendance refusée : « ${tache.titre} » bloque déjà « ${bloquante.titre} », directement ou indirectement (cycle).`,
+        });
+      }
+
+      const dependance = await dependanceRepository.creer(tache.id, bloquante.id);
+
+      return res.status(201).json({
+        success: true,
+        data: { dependance },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'ajout d\'une dépendance :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime un lien « la tâche est bloquée par bloquanteId ».
+   * @param {import('express').Request} req - Requête avec params.id et params.bloquanteId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerDependance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const supprimees = await dependanceRepository.supprimer(tache.id, req.params.bloquanteId);
+      if (supprimees === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dépendance non trouvée.',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Dépendance supprimée avec succès.' },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la suppression d\'une dépendance :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new DependanceController();
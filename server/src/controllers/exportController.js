@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Contrôleur d'export des données de l'utilisateur.
+ * Les tâches sont lues par tranches et écrites au fil de l'eau dans la réponse : un export volumineux
+ * ne charge jamais toutes les tâches en mémoire.
+ * Pattern MVC : Controller qui orchestre la lecture et la sérialisation des données.
+ * @module controllers/exportController
+ */
+
+const { validationResult } = require('express-validator');
+const tacheRepository = require('../repositories/tacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const {
+  FORMAT_EXPORT, VERSION_EXPORT, SCHEMA_EXPORT, serialiser, enteteCsv, tacheCsv,
+} = require('../utils/export');
+const { dateDuJour } = require('../utils/calendrier');
+
+/** @type {number} Nombre de tâches lues par requête pendant l'export */
+const TAILLE_TRANCHE_EXPORT = 500;
+
+/**
+ * @constant {Object} TYPES_CONTENU
+ * @description Type MIME de la réponse selon le format d'export.
+ */
+const TYPES_CONTENU = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * @async
+ * @function parcourirTaches
+ * @description Lit toutes les tâches exportées par tranches et appelle traiter sur chaque tranche.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {Object} filtres - Filtres {statut, priorite, liste_id}.
+ * @param {Function} traiter - Callback (taches) appelé pour chaque tranche non vide.
+ * @returns {Promise<void>}
+ */
+const parcourirTaches = async (utilisateurId, filtres, traiter) => {
+  for (let offset = 0; ; offset += TAILLE_TRANCHE_EXPORT) {
+    const taches = await tacheRepository.listerPourExport(utilisateurId, filtres, { offset, limit: TAILLE_TRANCHE_EXPORT });
+    if (taches.length === 0) return;
+    await traiter(taches);
+    if (taches.length < TAILLE_TRANCHE_EXPORT) return;
+  }
+};
+
+/**
+ * @async
+ * @function ecrireCsv
+ * @description Écrit l'export CSV des tâches (BOM UTF-8 pour les tableurs, une ligne par tâche).
+ * @param {import('express').Response} res - Réponse Express.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {Object} filtres - Filtres de l'export.
+ * @returns {Promise<void>}
+ */
+const ecrireCsv = async (res, utilisateurId, filtres) => {
+  res.write(`\uFEFF${enteteCsv()}`);
+  await parcourirTaches(utilisateurId, filtres, (taches) => {
+    res.write(taches.map(tacheCsv).join(''));
+  });
+};
+
+/**
+ * @async
+ * @function ecrireJson
+ * @description Écrit le document JSON versionné : en-tête (format, version, filtres, schéma), listes,
+ * tâches puis historique des statuts des tâches exportées. Les tableaux sont écrits tranche par tranche.
+ * @param {import('express').Response} res - Réponse Express.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {Object} filtres - Filtres de l'export.
+ * @returns {Promise<void>}
+ */
+const ecrireJson = async (res, utilisateurId, filtres) => {
+  const listes = (await listeRepository.listerParUtilisateur(utilisateurId))
+    .filter((liste) => !filtres.liste_id || liste.id === filtres.liste_id)
+    .map((liste) => serialiser('listes', liste));
+
+  const entete = JSON.stringify({
+    format: FORMAT_EXPORT,
+    version: VERSION_EXPORT,
+    date_export: new Date(),
+    filtres,
+    schema: SCHEMA_EXPORT,
+  });
+  res.write(`${entete.slice(0, -1)},"listes":${JSON.stringify(listes)},"taches":[`);
+
+  /** UUID des tâches écrites, pour l'historique */
+  const tacheIds = [];
+  await parcourirTaches(utilisateurId, filtres, (taches) => {
+    res.write(`${tacheIds.length > 0 ? ',' : ''}${taches.map((tache) => JSON.stringify(serialiser('taches', tache))).join(',')}`);
+    tacheIds.push(...taches.map((tache) => tache.id));
+  });
+
+  res.write('],"historique":[');
+  let premiere = true;
+  for (let debut = 0; debut < tacheIds.length; debut += TAILLE_TRANCHE_EXPORT) {
+    const entrees = await tacheRepository.listerHistoriquePourExport(tacheIds.slice(debut, debut + TAILLE_TRANCHE_EXPORT));
+    if (entrees.length > 0) {
+      res.write(`${premiere ? '' : ','}${entrees.map((entree) => JSON.stringify(serialiser('historique', entree))).join(',')}`);
+      premiere = false;
+    }
+  }
+  res.write(']}');
+};
+
+/**
+ * @class ExportController
+ * @description Gère les requêtes HTTP d'export.
+ */
+class ExportController {
+  /**
+   * @async
+   * @description Exporte les tâches de l'utilisateur (sous-tâches comprises, hors corbeille), filtrées comme
+   * la liste des tâches. Format csv : une ligne par tâche avec le nom et la couleur de sa liste ; format json :
+   * document versionné décrivant ses champs, avec listes, tâches et historique des statuts (sauvegarde).
+   * @param {import('express').Request} req - Requête avec query {format, statut, priorite, liste_id}.
+   * @param {import('express').Response} res - Réponse Express (fichier en pièce jointe).
+   * @returns {Promise<void>}
+   */
+  async exporter(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const {
+        format, statut, priorite, liste_id,
+      } = req.query;
+
+      if (liste_id) {
+        const liste = await listeRepository.trouverParId(liste_id);
+        if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
+          return res.status(404).json({
+            success: false,
+            error: 'Liste non trouvée.',
+          });
+        }
+      }
+
+      const filtres = {
+        statut: statut || null,
+        priorite: priorite || null,
+        liste_id: liste_id || null,
+      };
+
+      res.set({
+        'Content-Type': TYPES_CONTENU[format],
+        'Content-Disposition': `attachment; filename="taches-${dateDuJour()}.${format}"`,
+        'Cache-Control': 'no-store',
+      });
+
+      if (format === 'csv') {
+        await ecrireCsv(res, req.utilisateur.id, filtres);
+      } else {
+        await ecrireJson(res, req.utilisateur.id, filtres);
+      }
+      return res.end();
+    } catch (error) {
+      console.error('Erreur lors de l\'export :', error);
+      /** Export déjà commencé : le fichier reçu serait incomplet, la connexion est interrompue */
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new ExportController();
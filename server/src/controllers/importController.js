@@ -0,0 +1,578 @@
+/**
+ * @fileoverview Contrôleur d'import de tâches depuis des fichiers d'autres outils.
+ * Chaque import peut d'abord être simulé (aperçu sans écriture). Import iCalendar : les tâches déjà
+ * importées sont détectées par leur identifiant d'origine (uid_externe) et ne sont pas recréées.
+ * Import CSV : les colonnes sont associées aux champs des tâches et chaque ligne est validée
+ * comme une création de tâche ; rien n'est importé tant qu'une ligne est invalide.
+ * Import Trello et Todoist : le tableau ou le projet devient une liste, retrouvée par son nom lors d'un nouvel
+ * import ; comme pour iCalendar, les tâches déjà importées sont reconnues à leur identifiant d'origine.
+ * Pattern MVC : Controller qui orchestre l'analyse du fichier et la création des tâches.
+ * @module controllers/importController
+ */
+
+const { validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const tacheRepository = require('../repositories/tacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const journalRepository = require('../repositories/journalRepository');
+const { reglesImportTache, validerDonnees } = require('../validators/tacheValidators');
+const { analyserCalendrier } = require('../utils/ical');
+const { CHAMPS_CSV, analyserCsv, normaliserEntete } = require('../utils/csv');
+const { analyserTrello, analyserTodoist } = require('../utils/outilsExternes');
+
+/** @type {number} Nombre maximal d'entrées par fichier importé */
+const MAX_ENTREES_IMPORT = 1000;
+
+/** @type {number} Longueur maximale d'un titre de tâche */
+const LONGUEUR_TITRE_MAX = 100;
+
+/** @type {number} Longueur maximale d'une description de tâche */
+const LONGUEUR_DESCRIPTION_MAX = 2000;
+
+/** @type {number} Longueur maximale d'un nom de liste */
+const LONGUEUR_NOM_LISTE_MAX = 100;
+
+/** @type {number} Longueur maximale d'un identifiant d'origine */
+const LONGUEUR_UID_MAX = 255;
+
+/**
+ * @constant {Object} ALIAS_COLONNES
+ * @description En-têtes CSV reconnus automatiquement pour chaque champ (comparés après normaliserEntete).
+ */
+const ALIAS_COLONNES = {
+  titre: ['titre', 'title', 'tache', 'task', 'nom', 'name', 'summary'],
+  description: ['description', 'desc', 'notes', 'note', 'details'],
+  priorite: ['priorite', 'priority'],
+  statut: ['statut', 'status', 'etat', 'state'],
+  date_echeance: ['date_echeance', 'echeance', 'due', 'due_date', 'date_limite', 'deadline'],
+  liste: ['liste', 'list', 'projet', 'project'],
+};
+
+/**
+ * @function deduireCorrespondance
+ * @description Associe automatiquement aux champs les colonnes dont l'en-tête est un alias connu.
+ * @param {string[]} colonnes - En-têtes du fichier.
+ * @returns {Object<string, string>} Correspondance {champ: en-tête}.
+ */
+const deduireCorrespondance = (colonnes) => {
+  const correspondance = {};
+  for (const champ of CHAMPS_CSV) {
+    const colonne = colonnes.find((entete) => ALIAS_COLONNES[champ].includes(normaliserEntete(entete)));
+    if (colonne) {
+      correspondance[champ] = colonne;
+    }
+  }
+  return correspondance;
+};
+
+/**
+ * @function lireCellules
+ * @description Valeurs d'une ligne CSV pour les champs associés à une colonne. Les cellules vides sont omises ;
+ * statut et priorité sont acceptés sans tenir compte de la casse ni des accents (« En cours », « haute »).
+ * @param {string[]} cellules - Cellules de la ligne.
+ * @param {Object<string, number>} indexChamps - Index de colonne par champ.
+ * @returns {Object} Valeurs {titre, description, priorite, statut, date_echeance, liste}.
+ */
+const lireCellules = (cellules, indexChamps) => {
+  const valeurs = {};
+  for (const [champ, index] of Object.entries(indexChamps)) {
+    const valeur = (cellules[index] || '').trim();
+    if (valeur !== '') {
+      valeurs[champ] = champ === 'statut' || champ === 'priorite' ? normaliserEntete(valeur).toUpperCase() : valeur;
+    }
+  }
+  return valeurs;
+};
+
+/**
+ * @function tronquer
+ * @description Raccourcit un texte trop long en terminant par des points de suspension.
+ * @param {string} texte - Texte à raccourcir.
+ * @param {number} longueur - Longueur maximale.
+ * @returns {string} Texte d'au plus longueur caractères.
+ */
+const tronquer = (texte, longueur) => (texte.length > longueur ? `${texte.slice(0, longueur - 1)}…` : texte);
+
+/**
+ * @function preparerVtodo
+ * @description Convertit une entrée VTODO analysée en entrée d'import : titre et description ramenés
+ * aux longueurs autorisées, ou motif d'exclusion (titre trop court, statut sans équivalent).
+ * @param {Object} vtodo - Entrée renvoyée par analyserCalendrier.
+ * @returns {Object} Entrée {uid, titre, description, date_echeance, statut, priorite, motif}.
+ */
+const preparerVtodo = (vtodo) => {
+  const entree = {
+    uid: vtodo.uid && vtodo.uid.length <= LONGUEUR_UID_MAX ? vtodo.uid : null,
+    titre: vtodo.titre ? tronquer(vtodo.titre, LONGUEUR_TITRE_MAX) : vtodo.titre,
+    description: vtodo.description ? tronquer(vtodo.description, LONGUEUR_DESCRIPTION_MAX) : null,
+    date_echeance: vtodo.date_echeance,
+    statut: vtodo.statut,
+    priorite: vtodo.priorite,
+    motif: null,
+  };
+
+  if (!entree.titre || entree.titre.length < 3) {
+    entree.motif = 'Titre absent ou trop court (3 caractères minimum).';
+  } else if (!entree.statut) {
+    entree.motif = `Statut ${vtodo.statut_ical} sans équivalent.`;
+  }
+  return entree;
+};
+
+/**
+ * @function resumerImport
+ * @description Résumé commun à tous les imports, à partir de l'action de chaque entrée :
+ * total, importées (ou à importer en simulation), doublons, ignorées et échecs.
+ * @param {string[]} actions - Action de chaque entrée (CREER, DOUBLON, IGNOREE ou ECHEC).
+ * @returns {{total: number, importees: number, doublons: number, ignorees: number, echecs: number}} Résumé.
+ */
+const resumerImport = (actions) => ({
+  total: actions.length,
+  importees: actions.filter((action) => action === 'CREER').length,
+  doublons: actions.filter((action) => action === 'DOUBLON').length,
+  ignorees: actions.filter((action) => action === 'IGNOREE').length,
+  echecs: actions.filter((action) => action === 'ECHEC').length,
+});
+
+/**
+ * @async
+ * @function classerEntrees
+ * @description Détermine l'action de chaque entrée : IGNOREE ou ECHEC (motif déjà renseigné), DOUBLON
+ * (identifiant d'origine déjà importé, ou répété dans le fichier) ou CREER.
+ * @param {Array<Object>} entrees - Entrées préparées.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @returns {Promise<Array<Object>>} Entrées complétées de leur action.
+ */
+const classerEntrees = async (entrees, utilisateurId) => {
+  const uids = [...new Set(entrees.filter((entree) => entree.uid).map((entree) => entree.uid))];
+  const existants = await tacheRepository.uidsExternesExistants(utilisateurId, uids);
+  const vus = new Set();
+
+  return entrees.map((entree) => {
+    if (entree.motif) {
+      return { ...entree, action: entree.action || 'IGNOREE' };
+    }
+    if (entree.uid && existants.has(entree.uid)) {
+      return { ...entree, action: 'DOUBLON', motif: 'Déjà importée (même identifiant d\'origine).' };
+    }
+    if (entree.uid && vus.has(entree.uid)) {
+      return { ...entree, action: 'DOUBLON', motif: 'Identifiant présent plusieurs fois dans le fichier.' };
+    }
+    if (entree.uid) {
+      vus.add(entree.uid);
+    }
+    return { ...entree, action: 'CREER' };
+  });
+};
+
+/**
+ * @async
+ * @function creerTachesImportees
+ * @description Crée une tâche racine par entrée à créer et la journalise (à appeler dans une transaction).
+ * Une tâche importée terminée est datée de l'import.
+ * @param {Array<Object>} entrees - Entrées classées.
+ * @param {string|null} listeId - Liste cible (null : aucune liste).
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @returns {Promise<Array<Object>>} Entrées, celles créées complétées de tache_id.
+ */
+const creerTachesImportees = async (entrees, listeId, utilisateurId) => {
+  const resultats = [];
+  for (const entree of entrees) {
+    if (entree.action !== 'CREER') {
+      resultats.push(entree);
+      continue;
+    }
+
+    const tache = await tacheRepository.creer({
+      titre: entree.titre,
+      description: entree.description,
+      priorite: entree.priorite,
+      date_echeance: entree.date_echeance,
+      statut: entree.statut,
+      date_completion: entree.statut === 'TERMINEE' ? new Date() : null,
+      liste_id: listeId,
+      uid_externe: entree.uid,
+      utilisateur_id: utilisateurId,
+    });
+    await journalRepository.journaliser('TACHE', 'CREATION', null, tache, utilisateurId);
+    resultats.push({ ...entree, tache_id: tache.id });
+  }
+  return resultats;
+};
+
+/**
+ * @async
+ * @function validerLignesCsv
+ * @description Valide chaque ligne CSV avec les règles de création de tâche (plus le statut) et le nom
+ * de sa liste (100 caractères au plus).
+ * @param {Array<{numero: number, cellules: string[]}>} lignes - Lignes de données du fichier.
+ * @param {Object<string, number>} indexChamps - Index de colonne par champ.
+ * @returns {Promise<Array<Object>>} Rapport {ligne, titre, statut, priorite, date_echeance, description, liste, erreur}
+ * par ligne (erreur null si la ligne est valide).
+ */
+const validerLignesCsv = async (lignes, indexChamps) => {
+  const rapport = [];
+  for (const { numero, cellules } of lignes) {
+    const { liste, ...valeurs } = lireCellules(cellules, indexChamps);
+    const { erreur, donnees } = await validerDonnees(reglesImportTache, valeurs);
+
+    rapport.push({
+      ligne: numero,
+      titre: donnees.titre ?? null,
+      description: donnees.description ?? null,
+      statut: donnees.statut || 'A_FAIRE',
+      priorite: donnees.priorite || 'MOYENNE',
+      date_echeance: donnees.date_echeance && !erreur ? donnees.date_echeance.slice(0, 10) : donnees.date_echeance ?? null,
+      liste: liste ?? null,
+      erreur: erreur || (liste && liste.length > 100 ? 'Le nom de la liste ne peut pas dépasser 100 caractères.' : null),
+    });
+  }
+  return rapport;
+};
+
+/**
+ * @async
+ * @function creerTachesCsv
+ * @description Crée, dans une transaction, les listes nommées qui n'existent pas encore puis une tâche racine
+ * par ligne, et journalise chaque création.
+ * @param {Array<Object>} rapport - Lignes validées.
+ * @param {Map<string, Object>} listesExistantes - Listes de l'utilisateur par nom normalisé.
+ * @param {string|null} listeParDefaut - Liste des lignes sans nom de liste.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @returns {Promise<Array<Object>>} Lignes complétées de tache_id.
+ */
+const creerTachesCsv = (rapport, listesExistantes, listeParDefaut, utilisateurId) => sequelize.transaction(async () => {
+  const listes = new Map(listesExistantes);
+  const resultats = [];
+
+  for (const ligne of rapport) {
+    let listeId = listeParDefaut;
+    if (ligne.liste) {
+      const cle = normaliserEntete(ligne.liste);
+      if (!listes.has(cle)) {
+        const liste = await listeRepository.creer({ nom: ligne.liste, utilisateur_id: utilisateurId });
+        await journalRepository.journaliser('LISTE', 'CREATION', null, liste, utilisateurId);
+        listes.set(cle, liste);
+      }
+      listeId = listes.get(cle).id;
+    }
+
+    const tache = await tacheRepository.creer({
+      titre: ligne.titre,
+      description: ligne.description,
+      priorite: ligne.priorite,
+      statut: ligne.statut,
+      date_echeance: ligne.date_echeance,
+      date_completion: ligne.statut === 'TERMINEE' ? new Date() : null,
+      liste_id: listeId,
+      utilisateur_id: utilisateurId,
+    });
+    await journalRepository.journaliser('TACHE', 'CREATION', null, tache, utilisateurId);
+    resultats.push({ ...ligne, tache_id: tache.id });
+  }
+  return resultats;
+});
+
+/**
+ * @async
+ * @function preparerEntreeExterne
+ * @description Ramène titre et description d'une entrée Trello ou Todoist aux longueurs autorisées et la valide
+ * comme une création de tâche ; une entrée invalide passe en ECHEC avec le message d'erreur pour motif.
+ * @param {Object} entree - Entrée renvoyée par analyserTrello ou analyserTodoist.
+ * @returns {Promise<Object>} Entrée préparée.
+ */
+const preparerEntreeExterne = async (entree) => {
+  const preparee = {
+    ...entree,
+    uid: entree.uid.length <= LONGUEUR_UID_MAX ? entree.uid : null,
+    titre: tronquer(entree.titre, LONGUEUR_TITRE_MAX),
+    description: entree.description ? tronquer(entree.description, LONGUEUR_DESCRIPTION_MAX) : null,
+  };
+  if (preparee.motif) {
+    return preparee;
+  }
+
+  const { erreur } = await validerDonnees(reglesImportTache, {
+    titre: preparee.titre,
+    description: preparee.description,
+    priorite: preparee.priorite,
+    statut: preparee.statut,
+    date_echeance: preparee.date_echeance,
+  });
+  return erreur ? { ...preparee, action: 'ECHEC', motif: erreur } : preparee;
+};
+
+/**
+ * @async
+ * @function importerProjet
+ * @description Importe le tableau Trello ou le projet Todoist analysé : sa liste (retrouvée par son nom, sinon créée)
+ * et une tâche racine par entrée. Les entrées déjà importées (même identifiant d'origine) ne sont pas recréées ;
+ * les entrées en échec n'empêchent pas l'import des autres.
+ * @param {import('express').Request} req - Requête multipart avec file et body {simulation}.
+ * @param {import('express').Response} res - Réponse Express.
+ * @param {Function} analyser - Analyse (contenu, nomFichier) → {nom, entrees}.
+ * @returns {Promise<void>}
+ */
+const importerProjet = async (req, res, analyser) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, error: errors.array()[0].msg });
+  }
+
+  const { simulation = false } = req.body;
+  const projet = analyser(req.file.buffer.toString('utf8'), req.file.originalname);
+  if (projet.entrees.length > MAX_ENTREES_IMPORT) {
+    return res.status(400).json({
+      success: false,
+      error: `Le fichier contient ${projet.entrees.length} tâches : ${MAX_ENTREES_IMPORT} au plus par import.`,
+    });
+  }
+
+  const preparees = [];
+  for (const entree of projet.entrees) {
+    preparees.push(await preparerEntreeExterne(entree));
+  }
+  let entrees = await classerEntrees(preparees, req.utilisateur.id);
+
+  const nom = tronquer(projet.nom || 'Import', LONGUEUR_NOM_LISTE_MAX);
+  let liste = (await listeRepository.listerParUtilisateur(req.utilisateur.id))
+    .find((existante) => normaliserEntete(existante.nom) === normaliserEntete(nom));
+  const listeCreee = !liste;
+
+  if (!simulation) {
+    entrees = await sequelize.transaction(async () => {
+      if (!liste) {
+        liste = await listeRepository.creer({ nom, utilisateur_id: req.utilisateur.id });
+        await journalRepository.journaliser('LISTE', 'CREATION', null, liste, req.utilisateur.id);
+      }
+      return creerTachesImportees(entrees, liste.id, req.utilisateur.id);
+    });
+  }
+
+  return res.status(simulation ? 200 : 201).json({
+    success: true,
+    data: {
+      simulation,
+      liste: { id: liste ? liste.id : null, nom: liste ? liste.nom : nom, creee: listeCreee },
+      resume: resumerImport(entrees.map((entree) => entree.action)),
+      entrees,
+    },
+  });
+};
+
+/**
+ * @class ImportController
+ * @description Gère les requêtes HTTP d'import de tâches.
+ */
+class ImportController {
+  /**
+   * @async
+   * @description Importe les VTODO d'un fichier iCalendar comme tâches racines : SUMMARY devient le titre,
+   * DESCRIPTION la description, DUE l'échéance, STATUS et PRIORITY sont convertis. Avec simulation=true,
+   * renvoie l'aperçu (action prévue pour chaque entrée) sans rien créer.
+   * @param {import('express').Request} req - Requête multipart avec file et body {liste_id, simulation}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async importerIcal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { liste_id, simulation = false } = req.body;
+
+      if (liste_id) {
+        const liste = await listeRepository.trouverParId(liste_id);
+        if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Liste non trouvée ou non autorisée.',
+          });
+        }
+      }
+
+      const vtodos = analyserCalendrier(req.file.buffer.toString('utf8'));
+      if (vtodos.length > MAX_ENTREES_IMPORT) {
+        return res.status(400).json({
+          success: false,
+          error: `Le fichier contient ${vtodos.length} tâches : ${MAX_ENTREES_IMPORT} au plus par import.`,
+        });
+      }
+
+      let entrees = await classerEntrees(vtodos.map(preparerVtodo), req.utilisateur.id);
+      if (!simulation) {
+        entrees = await sequelize.transaction(() => creerTachesImportees(entrees, liste_id || null, req.utilisateur.id));
+      }
+
+      return res.status(simulation ? 200 : 201).json({
+        success: true,
+        data: {
+          simulation,
+          resume: resumerImport(entrees.map((entree) => entree.action)),
+          entrees,
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'import iCalendar :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Importe les lignes d'un fichier CSV comme tâches racines. Les colonnes sont associées aux champs
+   * par correspondance (déduite des en-têtes si elle n'est pas transmise) ; les listes nommées qui n'existent pas
+   * sont créées. Avec simulation=true, renvoie les en-têtes, la correspondance et le rapport de validation
+   * par ligne sans rien créer ; sinon, une seule ligne invalide fait refuser tout l'import (400 avec le rapport).
+   * @param {import('express').Request} req - Requête multipart avec file et body {correspondance, liste_id, simulation}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async importerCsv(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { liste_id, simulation = false } = req.body;
+
+      if (liste_id) {
+        const liste = await listeRepository.trouverParId(liste_id);
+        if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Liste non trouvée ou non autorisée.',
+          });
+        }
+      }
+
+      const { colonnes, lignes } = analyserCsv(req.file.buffer.toString('utf8'));
+      if (lignes.length > MAX_ENTREES_IMPORT) {
+        return res.status(400).json({
+          success: false,
+          error: `Le fichier contient ${lignes.length} lignes : ${MAX_ENTREES_IMPORT} au plus par import.`,
+        });
+      }
+
+      const correspondance = req.body.correspondance || deduireCorrespondance(colonnes);
+      const indexChamps = {};
+      for (const [champ, colonne] of Object.entries(correspondance)) {
+        if (!colonnes.includes(colonne)) {
+          return res.status(400).json({
+            success: false,
+            error: `La colonne « ${colonne} » n'existe pas dans le fichier.`,
+          });
+        }
+        indexChamps[champ] = colonnes.indexOf(colonne);
+      }
+
+      const rapport = await validerLignesCsv(lignes, indexChamps);
+      const listesExistantes = new Map((await listeRepository.listerParUtilisateur(req.utilisateur.id))
+        .map((liste) => [normaliserEntete(liste.nom), liste]));
+      const listesACreer = [...new Map(rapport
+        .filter((ligne) => ligne.liste && !ligne.erreur && !listesExistantes.has(normaliserEntete(ligne.liste)))
+        .map((ligne) => [normaliserEntete(ligne.liste), ligne.liste])).values()];
+
+      const resume = {
+        ...resumerImport(rapport.map((ligne) => (ligne.erreur ? 'ECHEC' : 'CREER'))),
+        listes_a_creer: listesACreer,
+      };
+
+      if (simulation) {
+        return res.status(200).json({
+          success: true,
+          data: {
+            simulation, colonnes, correspondance, resume, lignes: rapport,
+          },
+        });
+      }
+
+      if (resume.echecs > 0 || resume.total === 0) {
+        return res.status(400).json({
+          success: false,
+          error: resume.total === 0
+            ? 'Le fichier ne contient aucune ligne à importer.'
+            : `${resume.echecs} ligne(s) invalide(s) : aucune tâche n'a été importée.`,
+          data: { colonnes, correspondance, resume, lignes: rapport },
+        });
+      }
+
+      const resultats = await creerTachesCsv(rapport, listesExistantes, liste_id || null, req.utilisateur.id);
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          simulation, colonnes, correspondance, resume, lignes: resultats,
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'import CSV :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Importe l'export JSON d'un tableau Trello : le tableau devient une liste, chaque carte une tâche
+   * (étiquettes → priorité, checklists recopiées dans la description). Les cartes archivées sont ignorées.
+   * Avec simulation=true, renvoie l'aperçu sans rien créer.
+   * @param {import('express').Request} req - Requête multipart avec file et body {simulation}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async importerTrello(req, res) {
+    try {
+      return await importerProjet(req, res, analyserTrello);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'import Trello :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Importe l'export CSV d'un projet Todoist : le projet (nommé d'après le fichier) devient une liste,
+   * chaque tâche de premier niveau une tâche (sous-tâches et commentaires recopiés dans la description).
+   * Avec simulation=true, renvoie l'aperçu sans rien créer.
+   * @param {import('express').Request} req - Requête multipart avec file et body {simulation}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async importerTodoist(req, res) {
+    try {
+      return await importerProjet(req, res, analyserTodoist);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'import Todoist :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new ImportController();
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Contrôleur du journal d'audit (ServiceJournal).
+ * Permet de consulter l'historique des créations, modifications et suppressions
+ * de tâches et de listes effectuées par l'utilisateur connecté.
+ * Pattern MVC : Controller qui orchestre la consultation du journal.
+ * @module controllers/journalController
+ */
+
+const { validationResult } = require('express-validator');
+const journalRepository = require('../repositories/journalRepository');
+const appConfig = require('../config/appConfig');
+
+/**
+ * @class JournalController
+ * @description Contrôleur gérant la consultation du journal d'audit.
+ */
+class JournalController {
+  /**
+   * @async
+   * @description Liste les entrées du journal de l'utilisateur connecté, les plus récentes en premier.
+   * Supporte les query params : page, limit, entite_type, entite_id, action.
+   * Seules les actions de l'utilisateur connecté sont retournées, ce qui garantit
+   * l'accès aux seules entités dont il est propriétaire (y compris supprimées).
+   * @param {import('express').Request} req - Requête avec query params.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerJournal(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+      const { entite_type, entite_id, action } = req.query;
+
+      const { rows: journal, count: total } = await journalRepository.lister(
+        req.utilisateur.id,
+        { page, limit, entite_type, entite_id, action }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          journal,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la consultation du journal :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new JournalController();
@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Contrôleur des modèles de tâches.
+ * Un modèle enregistre une tâche type (titre, description, priorité, échéance relative,
+ * liste cible et sous-tâches) ; son instanciation crée la tâche et ses sous-tâches.
+ * Pattern MVC : Controller qui orchestre la gestion et l'instanciation des modèles.
+ * @module controllers/modeleController
+ */
+
+const { validationResult } = require('express-validator');
+const { sequelize } = require('../config/database');
+const modeleTacheRepository = require('../repositories/modeleTacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const tacheRepository = require('../repositories/tacheRepository');
+const journalRepository = require('../repositories/journalRepository');
+const { dateDuJour } = require('../utils/calendrier');
+
+/**
+ * @async
+ * @function chargerModele
+ * @description Charge un modèle et vérifie qu'il appartient à l'utilisateur, en renvoyant
+ * la réponse d'erreur adaptée sinon.
+ * @param {import('express').Request} req - Requête avec params.id.
+ * @param {import('express').Response} res - Réponse Express.
+ * @returns {Promise<Object|null>} Le modèle, ou null si une réponse d'erreur a été envoyée.
+ */
+const chargerModele = async (req, res) => {
+  const modele = await modeleTacheRepository.trouverParId(req.params.id);
+
+  if (!modele) {
+    res.status(404).json({
+      success: false,
+      error: 'Modèle non trouvé.',
+    });
+    return null;
+  }
+
+  if (modele.utilisateur_id !== req.utilisateur.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Accès non autorisé à ce modèle.',
+    });
+    return null;
+  }
+
+  return modele;
+};
+
+/**
+ * @async
+ * @function listeAutorisee
+ * @description Indique si une liste active appartient à l'utilisateur.
+ * @param {string} listeId - UUID de la liste.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @returns {Promise<boolean>} true si la liste peut être utilisée.
+ */
+const listeAutorisee = async (listeId, utilisateurId) => {
+  const liste = await listeRepository.trouverParId(listeId);
+  return Boolean(liste && liste.utilisateur_id === utilisateurId);
+};
+
+/**
+ * @function normaliserSousTaches
+ * @description Ne conserve que les champs connus des sous-tâches d'un modèle et applique leurs valeurs par défaut.
+ * @param {Array<Object>} sousTaches - Sous-tâches validées.
+ * @returns {Array<Object>} Sous-tâches {titre, description, priorite, decalage_echeance}.
+ */
+const normaliserSousTaches = (sousTaches) => sousTaches.map((sousTache) => ({
+  titre: sousTache.titre,
+  description: sousTache.description || null,
+  priorite: sousTache.priorite || 'MOYENNE',
+  decalage_echeance: sousTache.decalage_echeance ?? null,
+}));
+
+/**
+ * @function calculerEcheance
+ * @description Décale une date de référence d'un nombre de jours.
+ * @param {string} dateReference - Date de référence (YYYY-MM-DD).
+ * @param {number|null} decalage - Nombre de jours (null : pas d'échéance).
+ * @returns {string|null} Date d'échéance (YYYY-MM-DD) ou null.
+ */
+const calculerEcheance = (dateReference, decalage) => {
+  if (decalage === null || decalage === undefined) return null;
+  const [annee, mois, jour] = dateReference.slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(annee, mois - 1, jour + decalage)).toISOString().slice(0, 10);
+};
+
+/**
+ * @class ModeleController
+ * @description Contrôleur gérant le CRUD et l'instanciation des modèles de tâches de l'utilisateur connecté.
+ */
+class ModeleController {
+  /**
+   * @async
+   * @description Crée un modèle de tâche. Le nom est unique par utilisateur (sans tenir compte de la casse).
+   * @param {import('express').Request} req - Requête avec body {nom, titre, description, priorite,
+   * decalage_echeance, liste_id, sous_taches}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async creerModele(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const {
+        nom, titre, description, priorite, decalage_echeance, liste_id, sous_taches = [],
+      } = req.body;
+
+      if (await modeleTacheRepository.trouverParNom(req.utilisateur.id, nom)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Un modèle porte déjà ce nom.',
+        });
+      }
+
+      if (liste_id && !(await listeAutorisee(liste_id, req.utilisateur.id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Liste non trouvée ou non autorisée.',
+        });
+      }
+
+      const modele = await modeleTacheRepository.creer({
+        nom,
+        titre,
+        description: description || null,
+        priorite: priorite || 'MOYENNE',
+        decalage_echeance: decalage_echeance ?? null,
+        liste_id: liste_id || null,
+        sous_taches: normaliserSousTaches(sous_taches),
+        utilisateur_id: req.utilisateur.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { modele },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la création du modèle :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les modèles de l'utilisateur par ordre alphabétique.
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerModeles(req, res) {
+    try {
+      const modeles = await modeleTacheRepository.listerParUtilisateur(req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { modeles },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la liste des modèles :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Récupère un modèle après vérification du propriétaire.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async detailModele(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const modele = await chargerModele(req, res);
+      if (!modele) return;
+
+      return res.status(200).json({
+        success: true,
+        data: { modele },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la récupération du modèle :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie un modèle après vérification du propriétaire. Les sous-tâches transmises
+   * remplacent celles du modèle ; les tâches déjà instanciées ne sont pas modifiées.
+   * @param {import('express').Request} req - Requête avec params.id et body partiel.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierModele(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const modele = await chargerModele(req, res);
+      if (!modele) return;
+
+      const {
+        nom, titre, description, priorite, decalage_echeance, liste_id, sous_taches,
+      } = req.body;
+      const donneesMAJ = {};
+
+      if (nom !== undefined) {
+        const homonyme = await modeleTacheRepository.trouverParNom(req.utilisateur.id, nom);
+        if (homonyme && homonyme.id !== modele.id) {
+          return res.status(409).json({
+            success: false,
+            error: 'Un modèle porte déjà ce nom.',
+          });
+        }
+        donneesMAJ.nom = nom;
+      }
+
+      if (liste_id) {
+        if (!(await listeAutorisee(liste_id, req.utilisateur.id))) {
+          return res.status(403).json({
+            success: false,
+            error: 'Liste non trouvée ou non autorisée.',
+          });
+        }
+        donneesMAJ.liste_id = liste_id;
+      } else if (liste_id === null) {
+        donneesMAJ.liste_id = null;
+      }
+
+      if (titre !== undefined) donneesMAJ.titre = titre;
+      if (description !== undefined) donneesMAJ.description = description || null;
+      if (priorite !== undefined) donneesMAJ.priorite = priorite;
+      if (decalage_echeance !== undefined) donneesMAJ.decalage_echeance = decalage_echeance;
+      if (sous_taches !== undefined) donneesMAJ.sous_taches = normaliserSousTaches(sous_taches);
+
+      const modeleMAJ = await modeleTacheRepository.mettreAJour(modele.id, donneesMAJ);
+
+      return res.status(200).json({
+        success: true,
+        data: { modele: modeleMAJ },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la modification du modèle :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime un modèle après vérification du propriétaire ; les tâches déjà créées sont conservées.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerModele(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const modele = await chargerModele(req, res);
+      if (!modele) return;
+
+      await modeleTacheRepository.supprimer(modele.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Modèle supprimé avec succès.' },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la suppression du modèle :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Crée une tâche et ses sous-tâches à partir d'un modèle. Les échéances sont
+   * calculées en ajoutant le décalage du modèle à la date de référence (aujourd'hui par défaut) ;
+   * la liste cible du modèle peut être remplacée par liste_id (null : aucune liste).
+   * Les créations se font en une transaction : un échec n'en laisse aucune partielle.
+   * @param {import('express').Request} req - Requête avec params.id et body {date_reference, liste_id}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async instancierModele(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const modele = await chargerModele(req, res);
+      if (!modele) return;
+
+      const dateReference = req.body.date_reference || dateDuJour();
+      const listeId = req.body.liste_id !== undefined ? req.body.liste_id : modele.liste_id;
+
+      /** La liste cible (du modèle ou transmise) doit être active et appartenir à l'utilisateur */
+      if (listeId && !(await listeAutorisee(listeId, req.utilisateur.id))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Liste non trouvée ou non autorisée.',
+        });
+      }
+
+      /** La tâche, ses sous-tâches et leur journalisation sont écrites ensemble ou pas du tout */
+      const tacheId = await sequelize.transaction(async () => {
+        const tache = await tacheRepository.creer({
+          titre: modele.titre,
+          description: modele.description,
+          priorite: modele.priorite,
+          date_echeance: calculerEcheance(dateReference, modele.decalage_echeance),
+          liste_id: listeId || null,
+          statut: 'A_FAIRE',
+          utilisateur_id: req.utilisateur.id,
+        });
+        await journalRepository.journaliser('TACHE', 'CREATION', null, tache, req.utilisateur.id);
+
+        for (const sousTacheModele of modele.sous_taches || []) {
+          const sousTache = await tacheRepository.creer({
+            titre: sousTacheModele.titre,
+            description: sousTacheModele.description || null,
+            priorite: sousTacheModele.priorite || 'MOYENNE',
+            date_echeance: calculerEcheance(dateReference, sousTacheModele.decalage_echeance),
+            liste_id: tache.liste_id,
+            parent_id: tache.id,
+            statut: 'A_FAIRE',
+            utilisateur_id: req.utilisateur.id,
+          });
+          await journalRepository.journaliser('TACHE', 'CREATION', null, sousTache, req.utilisateur.id);
+        }
+        return tache.id;
+      });
+
+      const tacheComplete = await tacheRepository.trouverParId(tacheId);
+
+      return res.status(201).json({
+        success: true,
+        data: { tache: tacheComplete },
+      });
+    } catch (error) {
+      console.error('Erreur lors de l\'instanciation du modèle :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new ModeleController();
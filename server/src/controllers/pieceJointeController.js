@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Contrôleur des pièces jointes de tâches.
+ * Reçoit les fichiers envoyés (accesTacheMiddleware puis uploadMiddleware), les confie au backend de stockage
+ * et en sert le téléchargement au propriétaire de la tâche.
+ * Pattern MVC : Controller qui orchestre la gestion des pièces jointes.
+ * @module controllers/pieceJointeController
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
+const pieceJointeRepository = require('../repositories/pieceJointeRepository');
+const stockage = require('../storage');
+const { creerErreur } = require('../utils/erreurs');
+const { verifierAccesTache } = require('../services/accesService');
+
+/**
+ * @async
+ * @function chargerPieceJointe
+ * @description Charge une pièce jointe et vérifie qu'elle est rattachée à la tâche.
+ * @param {string} tacheId - UUID de la tâche.
+ * @param {string} pieceJointeId - UUID de la pièce jointe.
+ * @returns {Promise<Object>} La pièce jointe.
+ * @throws {Error} Erreur avec status 404 si la pièce jointe n'existe pas sur cette tâche.
+ */
+const chargerPieceJointe = async (tacheId, pieceJointeId) => {
+  const pieceJointe = await pieceJointeRepository.trouverParId(pieceJointeId);
+  if (!pieceJointe || pieceJointe.tache_id !== tacheId) {
+    throw creerErreur(404, 'Pièce jointe non trouvée.');
+  }
+  return pieceJointe;
+};
+
+/**
+ * @function formaterPieceJointe
+ * @description Représentation publique d'une pièce jointe (sans sa clé de stockage).
+ * @param {Object} pieceJointe - Pièce jointe.
+ * @returns {Object} Métadonnées exposées par l'API.
+ */
+const formaterPieceJointe = (pieceJointe) => {
+  const donnees = pieceJointe.toJSON();
+  delete donnees.cle_stockage;
+  return donnees;
+};
+
+/**
+ * @function nettoyerNomFichier
+ * @description Ne garde que le nom de base du fichier, sans caractères de contrôle, limité à 255 caractères.
+ * @param {string} nom - Nom fourni par le client.
+ * @returns {string} Nom nettoyé (« fichier » s'il est vide).
+ */
+const nettoyerNomFichier = (nom) => {
+  const nettoye = (nom || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/\p{Cc}/gu, '')
+    .trim()
+    .slice(0, 255);
+  return nettoye || 'fichier';
+};
+
+/**
+ * @function enTeteDisposition
+ * @description Construit l'en-tête Content-Disposition d'un téléchargement (RFC 6266),
+ * avec un nom ASCII de repli et le nom UTF-8 complet.
+ * @param {string} nom - Nom du fichier.
+ * @returns {string} Valeur de l'en-tête.
+ */
+const enTeteDisposition = (nom) => {
+  const nomAscii = nom.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${nomAscii}"; filename*=UTF-8''${encodeURIComponent(nom)}`;
+};
+
+/**
+ * @class PieceJointeController
+ * @description Contrôleur gérant les pièces jointes d'une tâche.
+ */
+class PieceJointeController {
+  /**
+   * @async
+   * @description Liste les pièces jointes d'une tâche, les plus récentes en premier.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerPiecesJointes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const piecesJointes = await pieceJointeRepository.listerParTaches(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { pieces_jointes: piecesJointes.map(formaterPieceJointe) },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la liste des pièces jointes :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Joint un fichier à une tâche : le contenu est écrit dans le stockage,
+   * puis ses métadonnées en base. Le fichier est retiré du stockage si l'enregistrement échoue.
+   * L'accès à la tâche est déjà vérifié par accesTacheMiddleware, avant la réception du fichier.
+   * @param {import('express').Request} req - Requête avec params.id et req.file (uploadMiddleware).
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async ajouterPieceJointe(req, res) {
+    try {
+      const id = uuidv4();
+      const cle = path.posix.join(req.params.id, id);
+
+      await stockage.enregistrer(cle, req.file.buffer);
+
+      let pieceJointe;
+      try {
+        pieceJointe = await pieceJointeRepository.creer({
+          id,
+          tache_id: req.params.id,
+          nom_fichier: nettoyerNomFichier(req.file.originalname),
+          type_mime: req.file.mimetype,
+          taille: req.file.size,
+          cle_stockage: cle,
+        });
+      } catch (error) {
+        await stockage.supprimer(cle).catch(() => {});
+        throw error;
+      }
+
+      return res.status(201).json({
+        success: true,
+        data: { piece_jointe: formaterPieceJointe(pieceJointe) },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'ajout de la pièce jointe :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Télécharge le contenu d'une pièce jointe.
+   * Le fichier est toujours servi en « attachment » et sans détection de type par le navigateur,
+   * pour qu'un fichier envoyé ne puisse pas s'exécuter dans l'origine de l'application.
+   * @param {import('express').Request} req - Requête avec params.id et params.pieceJointeId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async telechargerPieceJointe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const pieceJointe = await chargerPieceJointe(req.params.id, req.params.pieceJointeId);
+
+      const flux = await stockage.lire(pieceJointe.cle_stockage);
+      if (!flux) {
+        throw creerErreur(404, 'Le fichier de cette pièce jointe est introuvable.');
+      }
+
+      res.set({
+        'Content-Type': pieceJointe.type_mime,
+        'Content-Length': pieceJointe.taille,
+        'Content-Disposition': enTeteDisposition(pieceJointe.nom_fichier),
+        'X-Content-Type-Options': 'nosniff',
+      });
+
+      flux.on('error', (error) => {
+        console.error('Erreur lors de la lecture de la pièce jointe :', error);
+        res.destroy(error);
+      });
+      flux.pipe(res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors du téléchargement de la pièce jointe :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime une pièce jointe : ses métadonnées puis son fichier.
+   * @param {import('express').Request} req - Requête avec params.id et params.pieceJointeId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerPieceJointe(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const pieceJointe = await chargerPieceJointe(req.params.id, req.params.pieceJointeId);
+
+      await pieceJointeRepository.supprimer(pieceJointe.id);
+      await stockage.supprimer(pieceJointe.cle_stockage).catch((error) => {
+        console.error('Fichier de pièce jointe non supprimé du stockage :', error);
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Pièce jointe supprimée avec succès.' },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la suppression de la pièce jointe :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new PieceJointeController();
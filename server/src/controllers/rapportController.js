@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Contrôleur des rapports.
+ * Rapport estimations / réalisé sur les tâches terminées, par liste ou par priorité.
+ * Pattern MVC : Controller qui orchestre le calcul des rapports.
+ * @module controllers/rapportController
+ */
+
+const { validationResult } = require('express-validator');
+const tacheRepository = require('../repositories/tacheRepository');
+const entreeTempsRepository = require('../repositories/entreeTempsRepository');
+const { comparerEstimations } = require('../utils/estimations');
+
+/**
+ * @class RapportController
+ * @description Gère les requêtes HTTP de calcul des rapports.
+ */
+class RapportController {
+  /**
+   * @async
+   * @description Compare les estimations des tâches terminées avec le temps écoulé et le temps suivi.
+   * Seules les tâches terminées ayant une estimation, complétées dans la période, sont prises en compte.
+   * @param {import('express').Request} req - Requête avec query {regroupement, debut, fin}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async estimations(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const regroupement = req.query.regroupement || 'liste';
+      const taches = await tacheRepository.listerTermineesEstimees(req.utilisateur.id, {
+        debut: req.query.debut ? new Date(req.query.debut) : null,
+        fin: req.query.fin ? new Date(req.query.fin) : null,
+      });
+
+      const ids = taches.map((tache) => tache.id);
+      const [demarrages, tempsSuivis] = ids.length > 0
+        ? await Promise.all([
+          tacheRepository.trouverPremiersDemarrages(ids),
+          entreeTempsRepository.totauxParTaches(ids),
+        ])
+        : [new Map(), new Map()];
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          regroupement,
+          groupes: comparerEstimations(taches, demarrages, tempsSuivis, regroupement),
+          nombre_taches: taches.length,
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors du calcul du rapport des estimations :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new RapportController();
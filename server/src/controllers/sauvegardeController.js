@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Contrôleur de restauration des sauvegardes du compte.
+ * Pattern MVC : Controller qui délègue la validation et l'écriture de la sauvegarde au service.
+ * @module controllers/sauvegardeController
+ */
+
+const { validationResult } = require('express-validator');
+const { restaurerSauvegarde } = require('../services/sauvegardeService');
+
+/**
+ * @class SauvegardeController
+ * @description Gère les requêtes HTTP de restauration des sauvegardes.
+ */
+class SauvegardeController {
+  /**
+   * @async
+   * @description Restaure une sauvegarde (export JSON versionné) dans le compte de l'utilisateur, en fusion
+   * avec ses données ou à leur place. Avec simulation=true, renvoie le résumé sans rien écrire.
+   * @param {import('express').Request} req - Requête multipart avec file et body {mode, simulation}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async restaurer(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { mode = 'FUSION', simulation = false } = req.body;
+      const resume = await restaurerSauvegarde(req.file.buffer.toString('utf8'), req.utilisateur.id, { mode, simulation });
+
+      return res.status(simulation ? 200 : 201).json({
+        success: true,
+        data: { resume },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la restauration de la sauvegarde :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new SauvegardeController();
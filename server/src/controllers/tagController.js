@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Contrôleur des tags.
+ * Un tag est une étiquette colorée propre à un utilisateur ; une tâche peut en porter
+ * plusieurs (tag_ids à la création / modification d'une tâche).
+ * Pattern MVC : Controller qui orchestre la gestion des tags.
+ * @module controllers/tagController
+ */
+
+const { validationResult } = require('express-validator');
+const tagRepository = require('../repositories/tagRepository');
+
+/**
+ * @async
+ * @function chargerTag
+ * @description Charge un tag et vérifie qu'il appartient à l'utilisateur, en renvoyant
+ * la réponse d'erreur adaptée sinon.
+ * @param {import('express').Request} req - Requête avec params.id.
+ * @param {import('express').Response} res - Réponse Express.
+ * @returns {Promise<Object|null>} Le tag, ou null si une réponse d'erreur a été envoyée.
+ */
+const chargerTag = async (req, res) => {
+  const tag = await tagRepository.trouverParId(req.params.id);
+
+  if (!tag) {
+    res.status(404).json({
+      success: false,
+      error: 'Tag non trouvé.',
+    });
+    return null;
+  }
+
+  if (tag.utilisateur_id !== req.utilisateur.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Accès non autorisé à ce tag.',
+    });
+    return null;
+  }
+
+  return tag;
+};
+
+/**
+ * @class TagController
+ * @description Contrôleur gérant le CRUD des tags de l'utilisateur connecté.
+ */
+class TagController {
+  /**
+   * @async
+   * @description Crée un tag. Le nom est unique par utilisateur (sans tenir compte de la casse).
+   * @param {import('express').Request} req - Requête avec body {nom, couleur}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async creerTag(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { nom, couleur } = req.body;
+
+      if (await tagRepository.trouverParNom(req.utilisateur.id, nom)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Un tag porte déjà ce nom.',
+        });
+      }
+
+      const tag = await tagRepository.creer({
+        nom,
+        couleur: couleur || '#6B7280',
+        utilisateur_id: req.utilisateur.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { tag },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la création du tag :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les tags de l'utilisateur avec le nombre de tâches qui les portent.
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerTags(req, res) {
+    try {
+      const tags = await tagRepository.listerParUtilisateur(req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { tags },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la liste des tags :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie un tag (nom, couleur) après vérification du propriétaire.
+   * @param {import('express').Request} req - Requête avec params.id et body partiel.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierTag(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tag = await chargerTag(req, res);
+      if (!tag) return;
+
+      const { nom, couleur } = req.body;
+      const donneesMAJ = {};
+
+      if (nom !== undefined) {
+        const homonyme = await tagRepository.trouverParNom(req.utilisateur.id, nom);
+        if (homonyme && homonyme.id !== tag.id) {
+          return res.status(409).json({
+            success: false,
+            error: 'Un tag porte déjà ce nom.',
+          });
+        }
+        donneesMAJ.nom = nom;
+      }
+      if (couleur !== undefined) donneesMAJ.couleur = couleur;
+
+      const tagMAJ = await tagRepository.mettreAJour(tag.id, donneesMAJ);
+
+      return res.status(200).json({
+        success: true,
+        data: { tag: tagMAJ },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la modification du tag :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime un tag après vérification du propriétaire ; il est retiré des tâches qui le portent.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerTag(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tag = await chargerTag(req, res);
+      if (!tag) return;
+
+      await tagRepository.supprimer(tag.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Tag supprimé avec succès.' },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la suppression du tag :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new TagController();
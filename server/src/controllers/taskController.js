@@ -6,9 +6,393 @@
  */
 
 const { validationResult } = require('express-validator');
+const { reglesModificationTache, validerDonnees } = require('../validators/tacheValidators');
+const { sequelize } = require('../config/database');
 const tacheRepository = require('../repositories/tacheRepository');
 const listeRepository = require('../repositories/listeRepository');
+const journalRepository = require('../repositories/journalRepository');
+const dependanceRepository = require('../repositories/dependanceRepository');
+const tagRepository = require('../repositories/tagRepository');
+const champPersonnaliseRepository = require('../repositories/champPersonnaliseRepository');
 const appConfig = require('../config/appConfig');
+const { normaliserValeur, calculerChangements } = require('../utils/changements');
+const { calculerProchaineEcheance } = require('../utils/recurrence');
+const { creerErreur } = require('../utils/erreurs');
+const { convertirValeur } = require('../utils/champs');
+const { dateDuJour, regrouperParEcheance } = require('../utils/calendrier');
+const { expressionRecherche, extraitSurligne } = require('../utils/recherche');
+
+/**
+ * @constant {string[]} CHAMPS_VERSIONNES
+ * @description Champs modifiables d'une tâche conservés dans chaque version.
+ */
+const CHAMPS_VERSIONNES = [
+  'titre', 'description', 'statut', 'priorite', 'date_echeance', 'liste_id', 'recurrence', 'estimation', 'unite_estimation',
+];
+
+/**
+ * @async
+ * @function tagsNonAutorises
+ * @description Indique si des tags n'existent pas ou n'appartiennent pas à l'utilisateur.
+ * @param {string[]} tagIds - UUID des tags.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @returns {Promise<boolean>} true si au moins un tag est introuvable ou non autorisé.
+ */
+const tagsNonAutorises = async (tagIds, utilisateurId) => {
+  if (tagIds.length === 0) {
+    return false;
+  }
+  const tags = await tagRepository.listerParIds(utilisateurId, tagIds);
+  return tags.length !== tagIds.length;
+};
+
+/**
+ * @async
+ * @function convertirValeursChamps
+ * @description Valide les valeurs de champs personnalisés envoyées pour une tâche : chaque champ
+ * doit être défini sur la liste de la tâche et chaque valeur correspondre à son type.
+ * Une valeur null ou vide retire le champ de la tâche.
+ * @param {Object<string, *>} champs - Valeur par UUID de champ.
+ * @param {string|null} listeId - UUID de la liste de la tâche (après modification).
+ * @returns {Promise<Object<string, *>>} Valeur normalisée (ou null) par UUID de champ.
+ * @throws {Error} Erreur avec status 400 si un champ est inconnu pour la liste ou une valeur invalide.
+ */
+const convertirValeursChamps = async (champs, listeId) => {
+  const ids = Object.keys(champs);
+  if (ids.length === 0) {
+    return {};
+  }
+
+  const definis = listeId ? await champPersonnaliseRepository.listerParListe(listeId) : [];
+  const champsParId = new Map(definis.map((champ) => [champ.id, champ]));
+
+  const valeurs = {};
+  ids.forEach((id) => {
+    const champ = champsParId.get(id);
+    if (!champ) {
+      throw creerErreur(400, 'Champ personnalisé inconnu pour la liste de cette tâche.');
+    }
+    valeurs[id] = champs[id] === null || champs[id] === '' ? null : convertirValeur(champ, champs[id]);
+  });
+  return valeurs;
+};
+
+/**
+ * @async
+ * @function genererOccurrenceSuivante
+ * @description Crée l'occurrence suivante d'une tâche récurrente qui vient d'être terminée :
+ * mêmes titre, description, priorité, estimation, liste, tags, champs personnalisés et sous-tâches (rouvertes), échéance décalée
+ * selon la règle. Rien n'est créé si la série est terminée (UNTIL / COUNT) ou si
+ * l'occurrence suivante existe déjà (tâche rouverte puis terminée à nouveau).
+ * @param {Object} tache - Occurrence terminée.
+ * @param {string} utilisateurId - UUID de l'utilisateur à l'origine de la modification.
+ * @returns {Promise<Object|null>} L'occurrence créée ou null.
+ */
+const genererOccurrenceSuivante = async (tache, utilisateurId) => {
+  const numero = tache.occurrence || 1;
+  const echeance = calculerProchaineEcheance(tache.recurrence, tache.date_echeance, numero);
+  if (!echeance) {
+    return null;
+  }
+
+  /** La première occurrence d'une série en devient l'identifiant */
+  const serieId = tache.serie_id || tache.id;
+  if (await tacheRepository.trouverOccurrence(serieId, numero + 1)) {
+    return null;
+  }
+  if (!tache.serie_id) {
+    await tacheRepository.mettreAJour(tache.id, { serie_id: serieId, occurrence: numero });
+  }
+
+  const suivante = await tacheRepository.creer({
+    titre: tache.titre,
+    description: tache.description,
+    priorite: tache.priorite,
+    date_echeance: echeance,
+    liste_id: tache.liste_id,
+    recurrence: tache.recurrence,
+    estimation: tache.estimation,
+    unite_estimation: tache.unite_estimation,
+    serie_id: serieId,
+    occurrence: numero + 1,
+    statut: 'A_FAIRE',
+    utilisateur_id: tache.utilisateur_id,
+  });
+  await tacheRepository.definirTags(suivante.id, (tache.tags || []).map((tag) => tag.id));
+  await champPersonnaliseRepository.definirValeurs(
+    suivante.id,
+    Object.fromEntries((tache.valeurs_champs || []).map((valeur) => [valeur.champ_id, valeur.valeur]))
+  );
+
+  const sousTaches = await tacheRepository.listerSousTaches(tache.id);
+  for (const sousTache of sousTaches) {
+    await tacheRepository.creer({
+      titre: sousTache.titre,
+      description: sousTache.description,
+      priorite: sousTache.priorite,
+      estimation: sousTache.estimation,
+      unite_estimation: sousTache.unite_estimation,
+      liste_id: tache.liste_id,
+      parent_id: suivante.id,
+      statut: 'A_FAIRE',
+      utilisateur_id: tache.utilisateur_id,
+    });
+  }
+
+  const suivanteComplete = await tacheRepository.trouverParId(suivante.id);
+
+  await journalRepository.journaliser('TACHE', 'CREATION', null, suivanteComplete, utilisateurId);
+
+  return suivanteComplete;
+};
+
+/**
+ * @async
+ * @function verifierBloquantes
+ * @description Vérifie qu'une tâche n'est plus bloquée avant de la démarrer ou de la terminer.
+ * @param {Object} tache - Tâche à vérifier.
+ * @param {string[]} [ignorees=[]] - UUID de bloquantes à ignorer (ex. parente en cours de complétion).
+ * @returns {Promise<void>}
+ * @throws {Error} Erreur avec status 409 listant les bloquantes non terminées.
+ */
+const verifierBloquantes = async (tache, ignorees = []) => {
+  const bloquantes = (await dependanceRepository.listerBloquantesOuvertes(tache.id))
+    .filter((bloquante) => !ignorees.includes(bloquante.id));
+
+  if (bloquantes.length > 0) {
+    const titres = bloquantes.map((bloquante) => `« ${bloquante.titre} »`).join(', ');
+    throw creerErreur(409, `La tâche « ${tache.titre} » est bloquée par des tâches non terminées : ${titres}.`);
+  }
+};
+
+/**
+ * @async
+ * @function appliquerModification
+ * @description Applique une modification partielle à une tâche déjà chargée et dont
+ * la propriété a été vérifiée. Vérifie la liste cible et les champs personnalisés, trace le changement de statut
+ * dans l'historique, gère date_completion, conserve l'état précédent comme version
+ * restaurable et journalise l'action. Terminer une tâche parente termine aussi ses
+ * sous-tâches encore ouvertes (la réouverture de la parente ne les rouvre pas) ;
+ * terminer une tâche récurrente génère son occurrence suivante. Une tâche ne peut passer
+ * EN_COURS ou TERMINEE tant qu'une de ses bloquantes n'est pas terminée. Changer de liste
+ * retire les valeurs des champs personnalisés de l'ancienne liste. Une restauration de version (action RESTAURATION)
+ * remet seulement l'état de la tâche : ni complétion des sous-tâches ni occurrence suivante.
+ * Ses écritures sont multiples : l'appelant l'exécute dans une transaction (sequelize.transaction).
+ * @param {Object} tache - Tâche avant modification.
+ * @param {Object} donnees - Champs à modifier (titre, description, statut, priorite, date_echeance, liste_id, recurrence,
+ * estimation, unite_estimation, tag_ids, champs).
+ * @param {string} utilisateurId - UUID de l'utilisateur à l'origine de la modification.
+ * @param {string} [action='MODIFICATION'] - Action journalisée (MODIFICATION ou RESTAURATION).
+ * @returns {Promise<Object>} La tâche mise à jour.
+ * @throws {Error} Erreur avec status 403 si la liste cible ou un tag n'appartient pas à l'utilisateur,
+ * 400 si la récurrence est incompatible avec la tâche ou si un champ personnalisé est invalide, ou 409 si la tâche (ou une de ses
+ * sous-tâches à terminer) est bloquée.
+ */
+const appliquerModification = async (tache, donnees, utilisateurId, action = 'MODIFICATION') => {
+  const {
+    titre, description, statut, priorite, date_echeance, liste_id, recurrence, estimation, unite_estimation, tag_ids,
+    champs,
+  } = donnees;
+
+  /** @type {boolean} Restauration d'une version : pas d'effet de bord d'un changement de statut */
+  const restauration = action === 'RESTAURATION';
+
+  /** @type {Object} Données à mettre à jour */
+  const donneesMAJ = {};
+
+  if (titre !== undefined) donneesMAJ.titre = titre;
+  if (description !== undefined) donneesMAJ.description = description;
+  if (priorite !== undefined) donneesMAJ.priorite = priorite;
+  if (date_echeance !== undefined) donneesMAJ.date_echeance = date_echeance;
+  if (liste_id !== undefined) {
+    /** Vérifier que la liste appartient à l'utilisateur si spécifiée */
+    if (liste_id !== null) {
+      const liste = await listeRepository.trouverParId(liste_id);
+      if (!liste || liste.utilisateur_id !== utilisateurId) {
+        throw creerErreur(403, 'Liste non trouvée ou non autorisée.');
+      }
+    }
+    donneesMAJ.liste_id = liste_id;
+  }
+  if (recurrence !== undefined) donneesMAJ.recurrence = recurrence || null;
+  if (estimation !== undefined) donneesMAJ.estimation = estimation;
+  if (unite_estimation !== undefined) donneesMAJ.unite_estimation = unite_estimation;
+  if (tag_ids !== undefined && await tagsNonAutorises(tag_ids, utilisateurId)) {
+    throw creerErreur(403, 'Tag non trouvé ou non autorisé.');
+  }
+
+  /** Une tâche récurrente doit être une tâche racine avec une échéance */
+  const recurrenceFinale = donneesMAJ.recurrence !== undefined ? donneesMAJ.recurrence : tache.recurrence;
+  const echeanceFinale = donneesMAJ.date_echeance !== undefined ? donneesMAJ.date_echeance : tache.date_echeance;
+  if (recurrenceFinale && tache.parent_id) {
+    throw creerErreur(400, 'Une sous-tâche ne peut pas être récurrente.');
+  }
+  if (recurrenceFinale && !echeanceFinale) {
+    throw creerErreur(400, 'Une tâche récurrente doit avoir une date d\'échéance.');
+  }
+
+  /** Les champs personnalisés sont ceux de la liste finale de la tâche */
+  const listeFinale = donneesMAJ.liste_id !== undefined ? donneesMAJ.liste_id : tache.liste_id;
+  const valeursChamps = champs !== undefined ? await convertirValeursChamps(champs, listeFinale) : null;
+
+  /** Gestion du changement de statut */
+  if (statut !== undefined && statut !== tache.statut) {
+    /** Refuser avant toute écriture si la tâche ou une sous-tâche à terminer est bloquée */
+    if (statut === 'EN_COURS' || statut === 'TERMINEE') {
+      await verifierBloquantes(tache);
+    }
+    if (statut === 'TERMINEE' && !restauration) {
+      const sousTachesOuvertes = (await tacheRepository.listerSousTaches(tache.id))
+        .filter((sousTache) => sousTache.statut !== 'TERMINEE');
+      for (const sousTache of sousTachesOuvertes) {
+        await verifierBloquantes(sousTache, [tache.id]);
+      }
+    }
+
+    /** Enregistrer dans l'historique des modifications */
+    await tacheRepository.enregistrerHistorique(tache.id, tache.statut, statut);
+
+    donneesMAJ.statut = statut;
+
+    /** Si le nouveau statut est TERMINEE, définir la date de complétion */
+    if (statut === 'TERMINEE') {
+      donneesMAJ.date_completion = new Date();
+    } else if (tache.statut === 'TERMINEE') {
+      /** Si on quitte le statut TERMINEE, réinitialiser la date de complétion */
+      donneesMAJ.date_completion = null;
+    }
+  }
+
+  /** Conserver l'état précédent comme version restaurable s'il change réellement */
+  const changements = calculerChangements(tache, { ...tache.toJSON(), ...donneesMAJ }, CHAMPS_VERSIONNES);
+  if (Object.keys(changements).length > 0) {
+    const instantane = {};
+    CHAMPS_VERSIONNES.forEach((champ) => {
+      instantane[champ] = normaliserValeur(tache[champ]);
+    });
+    await tacheRepository.enregistrerVersion(tache.id, instantane, utilisateurId);
+  }
+
+  /** Terminer les sous-tâches ouvertes avant la parente pour que sa progression soit à jour */
+  if (donneesMAJ.statut === 'TERMINEE' && !restauration) {
+    const sousTaches = await tacheRepository.listerSousTaches(tache.id);
+    for (const sousTache of sousTaches) {
+      if (sousTache.statut !== 'TERMINEE') {
+        await appliquerModification(sousTache, { statut: 'TERMINEE' }, utilisateurId);
+      }
+    }
+  }
+
+  if (tag_ids !== undefined) {
+    await tacheRepository.definirTags(tache.id, tag_ids);
+  }
+  if (listeFinale !== tache.liste_id) {
+    await champPersonnaliseRepository.supprimerValeursHorsListe(tache.id, listeFinale);
+  }
+  if (valeursChamps) {
+    await champPersonnaliseRepository.definirValeurs(tache.id, valeursChamps);
+  }
+
+  const tacheMAJ = await tacheRepository.mettreAJour(tache.id, donneesMAJ);
+
+  await journalRepository.journaliser('TACHE', action, tache, tacheMAJ, utilisateurId);
+
+  if (donneesMAJ.statut === 'TERMINEE' && tacheMAJ.recurrence && !restauration) {
+    await genererOccurrenceSuivante(tacheMAJ, utilisateurId);
+  }
+
+  return tacheMAJ;
+};
+
+/**
+ * @async
+ * @function traiterElementLot
+ * @description Applique l'opération d'un lot à une tâche après vérification de son propriétaire.
+ * Une sous-tâche déjà placée dans la corbeille (ou restaurée) avec sa parente traitée plus tôt
+ * dans le même lot est considérée comme traitée.
+ * @param {string} id - UUID de la tâche.
+ * @param {string} operation - MODIFIER, DEPLACER, SUPPRIMER ou RESTAURER.
+ * @param {Object} donnees - Champs à modifier (MODIFIER, DEPLACER).
+ * @param {string} utilisateurId - UUID de l'utilisateur connecté.
+ * @param {Set<string>} traitees - UUID des tâches déjà traitées avec succès dans le lot.
+ * @returns {Promise<void>}
+ * @throws {Error} Erreur avec status (404, 403, 409...) si l'opération est refusée pour cette tâche.
+ */
+const traiterElementLot = async (id, operation, donnees, utilisateurId, traitees) => {
+  const restauration = operation === 'RESTAURER';
+  const tache = restauration
+    ? await tacheRepository.trouverDansCorbeille(id)
+    : await tacheRepository.trouverParId(id);
+
+  if (!tache) {
+    const dejaTraitee = restauration
+      ? await tacheRepository.trouverParId(id)
+      : await tacheRepository.trouverDansCorbeille(id);
+    if (dejaTraitee && dejaTraitee.utilisateur_id === utilisateurId && traitees.has(dejaTraitee.parent_id)) {
+      return;
+    }
+    throw creerErreur(404, restauration ? 'Tâche non trouvée dans la corbeille.' : 'Tâche non trouvée.');
+  }
+
+  /** Vérification de propriété */
+  if (tache.utilisateur_id !== utilisateurId) {
+    throw creerErreur(403, 'Accès non autorisé à cette tâche.');
+  }
+
+  if (operation === 'SUPPRIMER') {
+    await tacheRepository.supprimer(tache.id);
+    await journalRepository.journaliser('TACHE', 'SUPPRESSION', tache, null, utilisateurId);
+  } else if (restauration) {
+    if (tache.parent_id && !(await tacheRepository.trouverParId(tache.parent_id))) {
+      throw creerErreur(409, 'Restaurez d\'abord la tâche parente de cette sous-tâche.');
+    }
+    const tacheRestauree = await tacheRepository.restaurer(tache.id);
+    await journalRepository.journaliser('TACHE', 'RESTAURATION', tache, tacheRestauree, utilisateurId);
+  } else {
+    await appliquerModification(tache, donnees, utilisateurId);
+  }
+};
+
+/** @type {number} Écart minimal entre deux positions voisines avant renumérotation */
+const ECART_POSITION_MINIMAL = 1e-9;
+
+/**
+ * @async
+ * @function calculerPosition
+ * @description Calcule la position d'une tâche placée juste après ou juste avant une tâche
+ * de référence dans l'ordre manuel (en tête de l'ordre sans référence) : milieu des deux voisines,
+ * ou une unité au-delà de la seule voisine.
+ * @param {Object} tache - Tâche déplacée.
+ * @param {string|null} referenceId - UUID de la tâche de référence (null : en tête).
+ * @param {string} sens - APRES ou AVANT la tâche de référence.
+ * @returns {Promise<number|null>} La nouvelle position, ou null si les voisines sont trop rapprochées.
+ */
+const calculerPosition = async (tache, referenceId, sens) => {
+  const reference = referenceId ? await tacheRepository.trouverParId(referenceId) : null;
+  const utilisateurId = tache.utilisateur_id;
+
+  let precedente = null;
+  let suivante = null;
+  if (!reference) {
+    suivante = await tacheRepository.trouverVoisine(utilisateurId, null, 'APRES', tache.id);
+  } else if (sens === 'APRES') {
+    precedente = reference;
+    suivante = await tacheRepository.trouverVoisine(utilisateurId, reference.position, 'APRES', tache.id);
+  } else {
+    suivante = reference;
+    precedente = await tacheRepository.trouverVoisine(utilisateurId, reference.position, 'AVANT', tache.id);
+  }
+
+  if (precedente && suivante) {
+    return suivante.position - precedente.position > ECART_POSITION_MINIMAL
+      ? (precedente.position + suivante.position) / 2
+      : null;
+  }
+  if (precedente) {
+    return precedente.position + 1;
+  }
+  return suivante ? suivante.position - 1 : 1;
+};
 
 /**
  * @class TaskController
@@ -19,52 +403,505 @@ class TaskController {
 
   /**
    * @async
-   * @description Crée une nouvelle tâche pour l'utilisateur connecté.
-   * Le statut initial est toujours A_FAIRE, l'utilisateur_id est extrait du JWT.
-   * @param {import('express').Request} req - Requête avec body {titre, description, priorite, date_echeance, liste_id}.
+   * @description Crée une nouvelle tâche pour l'utilisateur connecté.
+   * Le statut initial est toujours A_FAIRE, l'utilisateur_id est extrait du JWT.
+   * @param {import('express').Request} req - Requête avec body {titre, description, priorite, date_echeance, liste_id, recurrence,
+   * estimation, unite_estimation, tag_ids, champs}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async creerTache(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const {
+        titre, description, priorite, date_echeance, liste_id, recurrence, estimation, unite_estimation, tag_ids = [],
+        champs = {},
+      } = req.body;
+
+      if (recurrence && !date_echeance) {
+        return res.status(400).json({
+          success: false,
+          error: 'Une tâche récurrente doit avoir une date d\'échéance.',
+        });
+      }
+
+      /** Vérifier que la liste appartient à l'utilisateur si spécifiée */
+      if (liste_id) {
+        const liste = await listeRepository.trouverParId(liste_id);
+        if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
+          return res.status(403).json({
+            success: false,
+            error: 'Liste non trouvée ou non autorisée.',
+          });
+        }
+      }
+
+      if (await tagsNonAutorises(tag_ids, req.utilisateur.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Tag non trouvé ou non autorisé.',
+        });
+      }
+
+      const valeursChamps = await convertirValeursChamps(champs, liste_id || null);
+
+      /** Création de la tâche via le repository */
+      const tache = await tacheRepository.creer({
+        titre,
+        description: description || null,
+        priorite: priorite || 'MOYENNE',
+        date_echeance: date_echeance || null,
+        liste_id: liste_id || null,
+        recurrence: recurrence || null,
+        estimation: estimation ?? null,
+        unite_estimation: unite_estimation || 'MINUTES',
+        statut: 'A_FAIRE',
+        utilisateur_id: req.utilisateur.id,
+      });
+      await tacheRepository.definirTags(tache.id, tag_ids);
+      await champPersonnaliseRepository.definirValeurs(tache.id, valeursChamps);
+
+      /** Recharger avec les associations */
+      const tacheComplete = await tacheRepository.trouverParId(tache.id);
+
+      await journalRepository.journaliser('TACHE', 'CREATION', null, tacheComplete, req.utilisateur.id);
+
+      return res.status(201).json({
+        success: true,
+        data: { tache: tacheComplete },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la création de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les tâches de l'utilisateur connecté avec pagination et filtres.
+   * Supporte les query params : page, limit, statut, priorite, liste_id, tags (UUID séparés
+   * par des virgules), tags_mode (OU : au moins un des tags, ET : tous les tags) et
+   * champs (champs[UUID]=valeur, valeur validée selon le type du champ personnalisé).
+   * Le paramètre tri choisit l'ordre : ECHEANCE (défaut : date_echeance ASC, nulls last, puis date_creation DESC),
+   * MANUEL (position choisie par glisser-déposer), PRIORITE, CREATION (plus récentes d'abord) ou TITRE.
+   * @param {import('express').Request} req - Requête avec query params.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerTaches(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+      const { statut, priorite, liste_id, tags, tags_mode, tri } = req.query;
+
+      /** Filtres par champ personnalisé : champs des listes de l'utilisateur, valeurs normalisées */
+      const filtresChamps = req.query.champs || {};
+      const idsChamps = Object.keys(filtresChamps);
+      const champs = idsChamps.length > 0
+        ? await champPersonnaliseRepository.listerParIds(req.utilisateur.id, idsChamps)
+        : [];
+      if (champs.length !== idsChamps.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Champ personnalisé non trouvé.',
+        });
+      }
+
+      const { rows: taches, count: total } = await tacheRepository.listerParUtilisateur(
+        req.utilisateur.id,
+        {
+          page,
+          limit,
+          statut,
+          priorite,
+          liste_id,
+          tags,
+          tags_mode,
+          tri,
+          champs: champs.map((champ) => ({ champ, valeur: convertirValeur(champ, filtresChamps[champ.id]) })),
+        }
+      );
+
+      /** Récupérer les compteurs par statut */
+      const compteurs = await tacheRepository.compterParStatut(req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          taches,
+          compteurs,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la liste des tâches :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Renvoie les tâches de l'utilisateur dont l'échéance tombe dans une période, regroupées
+   * par jour d'échéance. Chaque tâche porte terminee (date_completion renseignée) et en_retard
+   * (terminée après son échéance, ou non terminée et échéance dépassée).
+   * @param {import('express').Request} req - Requête avec query {debut, fin, liste_id}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async calendrier(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const { debut, fin, liste_id } = req.query;
+      const aujourdhui = dateDuJour();
+      const taches = await tacheRepository.listerParEcheance(req.utilisateur.id, debut, fin, { liste_id });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          debut,
+          fin,
+          aujourdhui,
+          total: taches.length,
+          jours: regrouperParEcheance(taches, aujourdhui),
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors du chargement du calendrier :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Récupère le détail d'une tâche par son ID.
+   * Vérifie que l'utilisateur est bien le propriétaire.
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async detailTache(req, res) {
+    try {
+      const tache = await tacheRepository.trouverParId(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { tache },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la récupération de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie partiellement une tâche.
+   * Si le statut change, enregistre dans l'historique des modifications.
+   * Si le nouveau statut est TERMINEE, définit date_completion = NOW().
+   * L'état précédent de la tâche est conservé comme version restaurable.
+   * Les écritures s'exécutent dans une transaction : une erreur en cours de route n'en laisse aucune.
+   * @param {import('express').Request} req - Requête avec params.id et body partiel.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierTache(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await tacheRepository.trouverParId(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      /** Toutes les écritures (historique, version, sous-tâches, occurrence suivante...) ou aucune */
+      const tacheMAJ = await sequelize.transaction(() => appliquerModification(tache, req.body, req.utilisateur.id));
+
+      return res.status(200).json({
+        success: true,
+        data: { tache: tacheMAJ },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la modification de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Déplace une tâche racine dans l'ordre manuel, juste après (apres_id, null pour la placer
+   * en tête) ou juste avant (avant_id) une autre tâche racine de l'utilisateur. Seule la position de la tâche
+   * déplacée change, sauf lorsque les positions doivent être renumérotées (positions manquantes, en double
+   * ou trop rapprochées).
+   * @param {import('express').Request} req - Requête avec params.id et body {apres_id} ou {avant_id}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async reordonnerTache(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const tache = await tacheRepository.trouverParId(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      if (tache.parent_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Seules les tâches racines peuvent être réordonnées.',
+        });
+      }
+
+      const sens = req.body.avant_id !== undefined ? 'AVANT' : 'APRES';
+      const referenceId = sens === 'AVANT' ? req.body.avant_id : req.body.apres_id;
+
+      if (referenceId) {
+        const reference = await tacheRepository.trouverParId(referenceId);
+        if (!reference || reference.utilisateur_id !== req.utilisateur.id) {
+          return res.status(404).json({
+            success: false,
+            error: 'Tâche de référence non trouvée.',
+          });
+        }
+        if (referenceId === tache.id) {
+          return res.status(400).json({
+            success: false,
+            error: 'Une tâche ne peut pas être placée par rapport à elle-même.',
+          });
+        }
+        if (reference.parent_id) {
+          return res.status(400).json({
+            success: false,
+            error: 'La tâche de référence doit être une tâche racine.',
+          });
+        }
+      }
+
+      const tacheMAJ = await sequelize.transaction(async () => {
+        if (await tacheRepository.positionsAmbigues(req.utilisateur.id)) {
+          await tacheRepository.renumeroterPositions(req.utilisateur.id);
+        }
+
+        let position = await calculerPosition(tache, referenceId, sens);
+        if (position === null) {
+          await tacheRepository.renumeroterPositions(req.utilisateur.id);
+          position = await calculerPosition(tache, referenceId, sens);
+        }
+
+        return await tacheRepository.mettreAJour(tache.id, { position });
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { tache: tacheMAJ },
+      });
+    } catch (error) {
+      console.error('Erreur lors du réordonnancement de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Place une tâche (et ses sous-tâches) dans la corbeille après vérification du propriétaire.
+   * Elle reste restaurable jusqu'à sa purge automatique (voir corbeilleController).
+   * @param {import('express').Request} req - Requête avec params.id.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerTache(req, res) {
+    try {
+      const tache = await tacheRepository.trouverParId(req.params.id);
+
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
+
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      await tacheRepository.supprimer(req.params.id);
+
+      await journalRepository.journaliser('TACHE', 'SUPPRESSION', tache, null, req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Tâche placée dans la corbeille.' },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la suppression de la tâche :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Applique une même opération à plusieurs tâches : MODIFIER (donnees), DEPLACER (liste_id),
+   * SUPPRIMER (corbeille) ou RESTAURER. Le lot s'exécute dans une transaction, chaque tâche dans son propre
+   * point de sauvegarde : une tâche refusée (introuvable, non autorisée, bloquée...) est annulée seule et
+   * signalée dans les résultats, une erreur inattendue annule tout le lot. Les tâches racines sont traitées
+   * avant les sous-tâches.
+   * @param {import('express').Request} req - Requête avec body {ids, operation, donnees, liste_id}.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
-  async creerTache(req, res) {
+  async traiterLot(req, res) {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ success: false, error: errors.array()[0].msg });
       }
 
-      const { titre, description, priorite, date_echeance, liste_id } = req.body;
+      const { ids, operation } = req.body;
+      let donnees = {};
 
-      /** Vérifier que la liste appartient à l'utilisateur si spécifiée */
-      if (liste_id) {
-        const liste = await listeRepository.trouverParId(liste_id);
-        if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
-          return res.status(403).json({
-            success: false,
-            error: 'Liste non trouvée ou non autorisée.',
-          });
+      if (operation === 'MODIFIER') {
+        const validation = await validerDonnees(reglesModificationTache, req.body.donnees);
+        if (validation.erreur) {
+          return res.status(400).json({ success: false, error: validation.erreur });
         }
+        donnees = validation.donnees;
+      } else if (operation === 'DEPLACER') {
+        donnees = { liste_id: req.body.liste_id };
       }
 
-      /** Création de la tâche via le repository */
-      const tache = await tacheRepository.creer({
-        titre,
-        description: description || null,
-        priorite: priorite || 'MOYENNE',
-        date_echeance: date_echeance || null,
-        liste_id: liste_id || null,
-        statut: 'A_FAIRE',
-        utilisateur_id: req.utilisateur.id,
+      /** Traiter les tâches racines avant les sous-tâches (restauration d'une parente d'abord) */
+      const taches = await tacheRepository.listerParIds(ids, { inclureCorbeille: true });
+      const parentIds = new Map(taches.map((tache) => [tache.id, tache.parent_id]));
+      const idsOrdonnes = [...ids].sort((a, b) => Number(Boolean(parentIds.get(a))) - Number(Boolean(parentIds.get(b))));
+
+      const resultats = await sequelize.transaction(async (lot) => {
+        const traitees = new Set();
+        const resultatsLot = [];
+
+        for (const id of idsOrdonnes) {
+          try {
+            await sequelize.transaction({ transaction: lot }, () => traiterElementLot(id, operation, donnees, req.utilisateur.id, traitees));
+            traitees.add(id);
+            resultatsLot.push({ id, success: true });
+          } catch (error) {
+            if (!error.status) throw error;
+            resultatsLot.push({ id, success: false, status: error.status, error: error.message });
+          }
+        }
+
+        return resultatsLot;
       });
 
-      /** Recharger avec les associations */
-      const tacheComplete = await tacheRepository.trouverParId(tache.id);
+      const reussis = resultats.filter((resultat) => resultat.success).length;
 
-      return res.status(201).json({
+      return res.status(200).json({
         success: true,
-        data: { tache: tacheComplete },
+        data: {
+          operation,
+          reussis,
+          echecs: resultats.length - reussis,
+          resultats: ids.map((id) => resultats.find((resultat) => resultat.id === id)),
+        },
       });
     } catch (error) {
-      console.error('Erreur lors de la création de la tâche :', error);
+      console.error('Erreur lors du traitement par lot des tâches :', error);
       return res.status(500).json({
         success: false,
         error: 'Erreur interne du serveur.',
@@ -74,42 +911,91 @@ class TaskController {
 
   /**
    * @async
-   * @description Liste les tâches de l'utilisateur connecté avec pagination et filtres.
-   * Supporte les query params : page, limit, statut, priorite, liste_id.
-   * Tri par date_echeance ASC (nulls last), puis date_creation DESC.
-   * @param {import('express').Request} req - Requête avec query params.
+   * @description Crée une sous-tâche sous une tâche racine de l'utilisateur connecté.
+   * Un seul niveau d'imbrication est autorisé ; la sous-tâche hérite de la liste de sa parente.
+   * @param {import('express').Request} req - Requête avec params.id et body {titre, description, priorite, date_echeance}.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
-  async listerTaches(req, res) {
+  async creerSousTache(req, res) {
     try {
-      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
-      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
-      const { statut, priorite, liste_id } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
 
-      const { rows: taches, count: total } = await tacheRepository.listerParUtilisateur(
-        req.utilisateur.id,
-        { page, limit, statut, priorite, liste_id }
-      );
+      const parente = await tacheRepository.trouverParId(req.params.id);
 
-      /** Récupérer les compteurs par statut */
-      const compteurs = await tacheRepository.compterParStatut(req.utilisateur.id);
+      if (!parente) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
 
-      return res.status(200).json({
+      /** Vérification de propriété */
+      if (parente.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
+      }
+
+      if (parente.parent_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'Une sous-tâche ne peut pas contenir de sous-tâches.',
+        });
+      }
+
+      if (req.body.recurrence) {
+        return res.status(400).json({
+          success: false,
+          error: 'Une sous-tâche ne peut pas être récurrente.',
+        });
+      }
+
+      const {
+        titre, description, priorite, date_echeance, estimation, unite_estimation, tag_ids = [], champs = {},
+      } = req.body;
+
+      if (await tagsNonAutorises(tag_ids, req.utilisateur.id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Tag non trouvé ou non autorisé.',
+        });
+      }
+
+      const valeursChamps = await convertirValeursChamps(champs, parente.liste_id);
+
+      const sousTache = await tacheRepository.creer({
+        titre,
+        description: description || null,
+        priorite: priorite || 'MOYENNE',
+        date_echeance: date_echeance || null,
+        estimation: estimation ?? null,
+        unite_estimation: unite_estimation || 'MINUTES',
+        liste_id: parente.liste_id,
+        parent_id: parente.id,
+        statut: 'A_FAIRE',
+        utilisateur_id: req.utilisateur.id,
+      });
+      await tacheRepository.definirTags(sousTache.id, tag_ids);
+      await champPersonnaliseRepository.definirValeurs(sousTache.id, valeursChamps);
+
+      const sousTacheComplete = await tacheRepository.trouverParId(sousTache.id);
+
+      await journalRepository.journaliser('TACHE', 'CREATION', null, sousTacheComplete, req.utilisateur.id);
+
+      return res.status(201).json({
         success: true,
-        data: {
-          taches,
-          compteurs,
-          pagination: {
-            page,
-            limit,
-            total,
-            totalPages: Math.ceil(total / limit),
-          },
-        },
+        data: { tache: sousTacheComplete },
       });
     } catch (error) {
-      console.error('Erreur lors de la liste des tâches :', error);
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la création de la sous-tâche :', error);
       return res.status(500).json({
         success: false,
         error: 'Erreur interne du serveur.',
@@ -119,14 +1005,18 @@ class TaskController {
 
   /**
    * @async
-   * @description Récupère le détail d'une tâche par son ID.
-   * Vérifie que l'utilisateur est bien le propriétaire.
+   * @description Liste les sous-tâches d'une tâche par ordre de création.
    * @param {import('express').Request} req - Requête avec params.id.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
-  async detailTache(req, res) {
+  async listerSousTaches(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
       const tache = await tacheRepository.trouverParId(req.params.id);
 
       if (!tache) {
@@ -144,12 +1034,14 @@ class TaskController {
         });
       }
 
+      const sousTaches = await tacheRepository.listerSousTaches(tache.id);
+
       return res.status(200).json({
         success: true,
-        data: { tache },
+        data: { sous_taches: sousTaches },
       });
     } catch (error) {
-      console.error('Erreur lors de la récupération de la tâche :', error);
+      console.error('Erreur lors de la liste des sous-tâches :', error);
       return res.status(500).json({
         success: false,
         error: 'Erreur interne du serveur.',
@@ -159,14 +1051,14 @@ class TaskController {
 
   /**
    * @async
-   * @description Modifie partiellement une tâche.
-   * Si le statut change, enregistre dans l'historique des modifications.
-   * Si le nouveau statut est TERMINEE, définit date_completion = NOW().
-   * @param {import('express').Request} req - Requête avec params.id et body partiel.
+   * @description Retourne l'historique paginé des changements de statut d'une tâche.
+   * Chaque entrée indique la durée passée dans le statut quitté (depuis la transition
+   * précédente, ou depuis la création pour la première entrée).
+   * @param {import('express').Request} req - Requête avec params.id et query {page, limit}.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
-  async modifierTache(req, res) {
+  async historiqueTache(req, res) {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -190,53 +1082,105 @@ class TaskController {
         });
       }
 
-      const { titre, description, statut, priorite, date_echeance, liste_id } = req.body;
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
 
-      /** @type {Object} Données à mettre à jour */
-      const donneesMAJ = {};
+      const { rows, count: total } = await tacheRepository.listerHistorique(tache.id, { page, limit });
 
-      if (titre !== undefined) donneesMAJ.titre = titre;
-      if (description !== undefined) donneesMAJ.description = description;
-      if (priorite !== undefined) donneesMAJ.priorite = priorite;
-      if (date_echeance !== undefined) donneesMAJ.date_echeance = date_echeance;
-      if (liste_id !== undefined) {
-        /** Vérifier que la liste appartient à l'utilisateur si spécifiée */
-        if (liste_id !== null) {
-          const liste = await listeRepository.trouverParId(liste_id);
-          if (!liste || liste.utilisateur_id !== req.utilisateur.id) {
-            return res.status(403).json({
-              success: false,
-              error: 'Liste non trouvée ou non autorisée.',
-            });
-          }
-        }
-        donneesMAJ.liste_id = liste_id;
+      /** Point de départ du premier statut de la page : transition précédente ou création */
+      const offset = (page - 1) * limit;
+      const precedente = offset > 0
+        ? await tacheRepository.trouverHistoriqueParPosition(tache.id, offset - 1)
+        : null;
+      let debutStatut = new Date(precedente ? precedente.date_modification : tache.date_creation);
+
+      const historique = rows.map((entree) => {
+        const dateModification = new Date(entree.date_modification);
+        const dureeMs = dateModification - debutStatut;
+        debutStatut = dateModification;
+        return { ...entree.toJSON(), duree_statut_precedent_ms: dureeMs };
+      });
+
+      /** Durée écoulée dans le statut actuel */
+      const derniere = await tacheRepository.trouverDernierHistorique(tache.id);
+      const depuis = new Date(derniere ? derniere.date_modification : tache.date_creation);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          historique,
+          statut_actuel: {
+            statut: tache.statut,
+            depuis,
+            duree_ms: Date.now() - depuis,
+          },
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la récupération de l\'historique :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les versions antérieures d'une tâche, de la plus récente à la plus ancienne.
+   * @param {import('express').Request} req - Requête avec params.id et query {page, limit}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerVersions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
       }
 
-      /** Gestion du changement de statut */
-      if (statut !== undefined && statut !== tache.statut) {
-        /** Enregistrer dans l'historique des modifications */
-        await tacheRepository.enregistrerHistorique(tache.id, tache.statut, statut);
+      const tache = await tacheRepository.trouverParId(req.params.id);
 
-        donneesMAJ.statut = statut;
+      if (!tache) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tâche non trouvée.',
+        });
+      }
 
-        /** Si le nouveau statut est TERMINEE, définir la date de complétion */
-        if (statut === 'TERMINEE') {
-          donneesMAJ.date_completion = new Date();
-        } else if (tache.statut === 'TERMINEE') {
-          /** Si on quitte le statut TERMINEE, réinitialiser la date de complétion */
-          donneesMAJ.date_completion = null;
-        }
+      /** Vérification de propriété */
+      if (tache.utilisateur_id !== req.utilisateur.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Accès non autorisé à cette tâche.',
+        });
       }
 
-      const tacheMAJ = await tacheRepository.mettreAJour(req.params.id, donneesMAJ);
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+
+      const { rows: versions, count: total } = await tacheRepository.listerVersions(tache.id, { page, limit });
 
       return res.status(200).json({
         success: true,
-        data: { tache: tacheMAJ },
+        data: {
+          versions,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
       });
     } catch (error) {
-      console.error('Erreur lors de la modification de la tâche :', error);
+      console.error('Erreur lors de la liste des versions :', error);
       return res.status(500).json({
         success: false,
         error: 'Erreur interne du serveur.',
@@ -246,13 +1190,24 @@ class TaskController {
 
   /**
    * @async
-   * @description Supprime une tâche après vérification du propriétaire.
-   * @param {import('express').Request} req - Requête avec params.id.
+   * @description Restaure une tâche dans l'état d'une de ses versions.
+   * L'instantané est revalidé avec les mêmes règles que la modification puis réappliqué
+   * comme une modification, sans ses effets de bord (complétion des sous-tâches, occurrence suivante) :
+   * l'état courant devient lui-même une version restaurable et la restauration est journalisée,
+   * le tout dans une transaction.
+   * Si la liste de la version est dans la corbeille ou supprimée, la tâche est restaurée sans liste
+   * et la réponse porte un avertissement.
+   * @param {import('express').Request} req - Requête avec params.id et body {version_id}.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
-  async supprimerTache(req, res) {
+  async restaurerVersion(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
       const tache = await tacheRepository.trouverParId(req.params.id);
 
       if (!tache) {
@@ -270,14 +1225,45 @@ class TaskController {
         });
       }
 
-      await tacheRepository.supprimer(req.params.id);
+      const version = await tacheRepository.trouverVersion(req.body.version_id);
+
+      if (!version || version.tache_id !== tache.id) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version non trouvée pour cette tâche.',
+        });
+      }
+
+      /** Revalider l'instantané avec les règles de modification */
+      const { erreur, donnees } = await validerDonnees(reglesModificationTache, version.instantane);
+      if (erreur) {
+        return res.status(400).json({ success: false, error: erreur });
+      }
+
+      /** Liste de la version dans la corbeille ou supprimée depuis : restaurer sans liste */
+      const avertissements = [];
+      if (donnees.liste_id && !(await listeRepository.trouverParId(donnees.liste_id))) {
+        const listeSupprimee = await listeRepository.trouverDansCorbeille(donnees.liste_id);
+        if (listeSupprimee && listeSupprimee.utilisateur_id !== req.utilisateur.id) {
+          return res.status(403).json({ success: false, error: 'Liste non trouvée ou non autorisée.' });
+        }
+        avertissements.push(listeSupprimee
+          ? `La liste « ${listeSupprimee.nom} » de cette version est dans la corbeille : la tâche est restaurée sans liste.`
+          : 'La liste de cette version a été supprimée : la tâche est restaurée sans liste.');
+        donnees.liste_id = null;
+      }
+
+      const tacheMAJ = await sequelize.transaction(() => appliquerModification(tache, donnees, req.utilisateur.id, 'RESTAURATION'));
 
       return res.status(200).json({
         success: true,
-        data: { message: 'Tâche supprimée avec succès.' },
+        data: { tache: tacheMAJ, avertissements },
       });
     } catch (error) {
-      console.error('Erreur lors de la suppression de la tâche :', error);
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la restauration de la tâche :', error);
       return res.status(500).json({
         success: false,
         error: 'Erreur interne du serveur.',
@@ -287,27 +1273,48 @@ class TaskController {
 
   /**
    * @async
-   * @description Recherche des tâches par mot-clé (LIKE sur titre et description).
-   * @param {import('express').Request} req - Requête avec query param q.
+   * @description Recherche plein texte des tâches (titre, description et nom des tags), classée par
+   * pertinence et paginée. Chaque mot est cherché comme préfixe, sans tenir compte de la casse ni des
+   * accents ; chaque tâche porte ses extraits surlignés (HTML échappé, passages trouvés dans <mark>).
+   * @param {import('express').Request} req - Requête avec query params q, page et limit.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
    */
   async rechercher(req, res) {
     try {
-      const { q } = req.query;
-
-      if (!q || q.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Le paramètre de recherche "q" est requis.',
-        });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
       }
 
-      const taches = await tacheRepository.rechercher(req.utilisateur.id, q.trim());
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+
+      /** Saisie sans aucun mot (ponctuation seule) : aucun résultat */
+      const expression = expressionRecherche(req.query.q);
+      const { rows, count: total } = expression
+        ? await tacheRepository.rechercher(req.utilisateur.id, expression, { page, limit })
+        : { rows: [], count: 0 };
+
+      const taches = rows.map(({ tache, titre, description }) => ({
+        ...tache.toJSON(),
+        extraits: {
+          titre: extraitSurligne(titre),
+          description: extraitSurligne(description, true),
+        },
+      }));
 
       return res.status(200).json({
         success: true,
-        data: { taches },
+        data: {
+          taches,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
       });
     } catch (error) {
       console.error('Erreur lors de la recherche :', error);
@@ -343,6 +1350,8 @@ class TaskController {
         utilisateur_id: req.utilisateur.id,
       });
 
+      await journalRepository.journaliser('LISTE', 'CREATION', null, liste, req.utilisateur.id);
+
       return res.status(201).json({
         success: true,
         data: { liste },
@@ -421,6 +1430,8 @@ class TaskController {
 
       const listeMAJ = await listeRepository.mettreAJour(req.params.id, donneesMAJ);
 
+      await journalRepository.journaliser('LISTE', 'MODIFICATION', liste, listeMAJ, req.utilisateur.id);
+
       return res.status(200).json({
         success: true,
         data: { liste: listeMAJ },
@@ -436,8 +1447,9 @@ class TaskController {
 
   /**
    * @async
-   * @description Supprime une liste et dissocie les tâches associées (liste_id = NULL).
-   * Vérifie que l'utilisateur est le propriétaire.
+   * @description Place une liste dans la corbeille après vérification du propriétaire.
+   * Ses tâches restent actives ; elles ne sont dissociées (liste_id = NULL) qu'à la
+   * suppression définitive de la liste.
    * @param {import('express').Request} req - Requête avec params.id.
    * @param {import('express').Response} res - Réponse Express.
    * @returns {Promise<void>}
@@ -461,15 +1473,13 @@ class TaskController {
         });
       }
 
-      /** Dissocier les tâches de la liste avant suppression */
-      await tacheRepository.dissocierListe(req.params.id);
-
-      /** Supprimer la liste */
       await listeRepository.supprimer(req.params.id);
 
+      await journalRepository.journaliser('LISTE', 'SUPPRESSION', liste, null, req.utilisateur.id);
+
       return res.status(200).json({
         success: true,
-        data: { message: 'Liste supprimée avec succès.' },
+        data: { message: 'Liste placée dans la corbeille.' },
       });
     } catch (error) {
       console.error('Erreur lors de la suppression de la liste :', error);
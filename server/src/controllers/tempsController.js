@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Contrôleur du suivi du temps.
+ * Entrées de temps d'une tâche (saisie manuelle ou chronomètre), chronomètre
+ * de l'utilisateur (au plus un en cours) et totaux par tâche, liste ou semaine.
+ * Pattern MVC : Controller qui orchestre le suivi du temps.
+ * @module controllers/tempsController
+ */
+
+const { validationResult } = require('express-validator');
+const { UniqueConstraintError } = require('sequelize');
+const entreeTempsRepository = require('../repositories/entreeTempsRepository');
+const appConfig = require('../config/appConfig');
+const { creerErreur } = require('../utils/erreurs');
+const { DUREE_MAX_SECONDES, dureeSecondes, totaliser } = require('../utils/temps');
+const { verifierAccesTache } = require('../services/accesService');
+
+/**
+ * @async
+ * @function chargerEntree
+ * @description Charge une entrée de temps et vérifie qu'elle est rattachée à la tâche.
+ * @param {string} tacheId - UUID de la tâche.
+ * @param {string} entreeId - UUID de l'entrée.
+ * @returns {Promise<Object>} L'entrée de temps.
+ * @throws {Error} Erreur avec status 404 si l'entrée n'existe pas sur cette tâche.
+ */
+const chargerEntree = async (tacheId, entreeId) => {
+  const entree = await entreeTempsRepository.trouverParId(entreeId);
+  if (!entree || entree.tache_id !== tacheId) {
+    throw creerErreur(404, 'Entrée de temps non trouvée.');
+  }
+  return entree;
+};
+
+/**
+ * @function calculerPeriode
+ * @description Calcule la période d'une entrée terminée à partir de son début et de sa fin
+ * ou de sa durée en minutes.
+ * @param {string|Date} debut - Début de la période.
+ * @param {string|Date|null} fin - Fin de la période (prioritaire sur la durée).
+ * @param {number} [dureeMinutes] - Durée en minutes, si la fin n'est pas fournie.
+ * @returns {{debut: Date, fin: Date, duree_secondes: number}} Période et durée.
+ * @throws {Error} Erreur avec status 400 si la fin n'est pas postérieure au début ou si la durée dépasse 24 heures.
+ */
+const calculerPeriode = (debut, fin, dureeMinutes) => {
+  const dateDebut = new Date(debut);
+  const dateFin = fin ? new Date(fin) : new Date(dateDebut.getTime() + dureeMinutes * 60 * 1000);
+  const duree = dureeSecondes(dateDebut, dateFin);
+
+  if (duree <= 0) {
+    throw creerErreur(400, 'La fin doit être postérieure au début.');
+  }
+  if (duree > DUREE_MAX_SECONDES) {
+    throw creerErreur(400, 'Une entrée de temps ne peut pas dépasser 24 heures.');
+  }
+  return { debut: dateDebut, fin: dateFin, duree_secondes: duree };
+};
+
+/**
+ * @class TempsController
+ * @description Contrôleur gérant les entrées de temps et le chronomètre.
+ */
+class TempsController {
+  /**
+   * @async
+   * @description Liste les entrées de temps d'une tâche, les plus récentes en premier,
+   * avec le temps total enregistré (hors chronomètre en cours).
+   * @param {import('express').Request} req - Requête avec params.id et query {page, limit}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async listerTemps(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const page = parseInt(req.query.page, 10) || appConfig.defaultPage;
+      const limit = parseInt(req.query.limit, 10) || appConfig.defaultPageLimit;
+
+      const { rows: entrees, count: total } = await entreeTempsRepository.listerParTache(
+        req.params.id,
+        { page, limit }
+      );
+      const totalSecondes = await entreeTempsRepository.totalParTache(req.params.id);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          entrees,
+          total_secondes: totalSecondes,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la liste des entrées de temps :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Saisit manuellement une entrée de temps terminée sur une tâche.
+   * @param {import('express').Request} req - Requête avec params.id et body {debut, fin | duree_minutes, note}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async ajouterTemps(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+      const { debut, fin, duree_minutes, note } = req.body;
+      const entree = await entreeTempsRepository.creer({
+        tache_id: req.params.id,
+        utilisateur_id: req.utilisateur.id,
+        ...calculerPeriode(debut, fin, duree_minutes),
+        note: note || null,
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: { entree },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'ajout de l\'entrée de temps :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Modifie une entrée de temps. La durée est recalculée à partir du début et de la fin ;
+   * la fin d'un chronomètre en cours ne se renseigne qu'en l'arrêtant.
+   * @param {import('express').Request} req - Requête avec params.id, params.entreeId et body {debut, fin, note}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async modifierTemps(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const entree = await chargerEntree(req.params.id, req.params.entreeId);
+
+      const { debut, fin, note } = req.body;
+      const modifications = {};
+      if (note !== undefined) modifications.note = note || null;
+
+      if (!entree.fin) {
+        if (fin !== undefined) {
+          throw creerErreur(409, 'Arrêtez le chronomètre pour terminer cette entrée.');
+        }
+        if (debut !== undefined) {
+          if (new Date(debut) > new Date()) {
+            throw creerErreur(400, 'Le début d\'un chronomètre en cours ne peut pas être dans le futur.');
+          }
+          modifications.debut = new Date(debut);
+        }
+      } else if (debut !== undefined || fin !== undefined) {
+        Object.assign(modifications, calculerPeriode(debut ?? entree.debut, fin ?? entree.fin));
+      }
+
+      const entreeModifiee = await entreeTempsRepository.mettreAJour(entree.id, modifications);
+
+      return res.status(200).json({
+        success: true,
+        data: { entree: entreeModifiee },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la modification de l\'entrée de temps :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Supprime une entrée de temps (y compris un chronomètre en cours).
+   * @param {import('express').Request} req - Requête avec params.id et params.entreeId.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async supprimerTemps(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.params.id, req.utilisateur.id);
+      const entree = await chargerEntree(req.params.id, req.params.entreeId);
+
+      await entreeTempsRepository.supprimer(entree.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { message: 'Entrée de temps supprimée avec succès.' },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de la suppression de l\'entrée de temps :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Récupère le chronomètre en cours de l'utilisateur connecté, avec sa tâche.
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async chronoEnCours(req, res) {
+    try {
+      const chrono = await entreeTempsRepository.trouverChronoEnCours(req.utilisateur.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { chrono },
+      });
+    } catch (error) {
+      console.error('Erreur lors de la récupération du chronomètre :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Démarre un chronomètre sur une tâche. Un seul chronomètre peut tourner
+   * par utilisateur : 409 si un autre est déjà en cours.
+   * @param {import('express').Request} req - Requête avec body {tache_id, note}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async demarrerChrono(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      await verifierAccesTache(req.body.tache_id, req.utilisateur.id);
+
+      const enCours = await entreeTempsRepository.trouverChronoEnCours(req.utilisateur.id);
+      if (enCours) {
+        throw creerErreur(409, `Un chronomètre est déjà en cours sur « ${enCours.tache.titre} ».`);
+      }
+
+      try {
+        await entreeTempsRepository.creer({
+          tache_id: req.body.tache_id,
+          utilisateur_id: req.utilisateur.id,
+          debut: new Date(),
+          note: req.body.note || null,
+        });
+      } catch (error) {
+        /** Démarrage concurrent : l'index unique partiel a refusé le second chronomètre */
+        if (error instanceof UniqueConstraintError) {
+          throw creerErreur(409, 'Un chronomètre est déjà en cours.');
+        }
+        throw error;
+      }
+
+      const chrono = await entreeTempsRepository.trouverChronoEnCours(req.utilisateur.id);
+
+      return res.status(201).json({
+        success: true,
+        data: { chrono },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors du démarrage du chronomètre :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Arrête le chronomètre en cours de l'utilisateur et enregistre sa durée.
+   * @param {import('express').Request} req - Requête Express.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async arreterChrono(req, res) {
+    try {
+      const chrono = await entreeTempsRepository.trouverChronoEnCours(req.utilisateur.id);
+      if (!chrono) {
+        throw creerErreur(404, 'Aucun chronomètre en cours.');
+      }
+
+      const fin = new Date();
+      const entree = await entreeTempsRepository.mettreAJour(chrono.id, {
+        fin,
+        duree_secondes: Math.max(dureeSecondes(chrono.debut, fin), 0),
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { entree },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      console.error('Erreur lors de l\'arrêt du chronomètre :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+
+  /**
+   * @async
+   * @description Totaux du temps enregistré par l'utilisateur, regroupés par tâche, liste ou semaine,
+   * sur les entrées terminées commençant dans la période demandée.
+   * @param {import('express').Request} req - Requête avec query {regroupement, debut, fin}.
+   * @param {import('express').Response} res - Réponse Express.
+   * @returns {Promise<void>}
+   */
+  async totaux(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const regroupement = req.query.regroupement || 'tache';
+      const entrees = await entreeTempsRepository.listerTerminees(req.utilisateur.id, {
+        debut: req.query.debut ? new Date(req.query.debut) : null,
+        fin: req.query.fin ? new Date(req.query.fin) : null,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          regroupement,
+          totaux: totaliser(entrees, regroupement),
+          total_secondes: entrees.reduce((somme, entree) => somme + entree.duree_secondes, 0),
+        },
+      });
+    } catch (error) {
+      console.error('Erreur lors du calcul des totaux de temps :', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Erreur interne du serveur.',
+      });
+    }
+  }
+}
+
+module.exports = new TempsController();
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Tâche planifiée de purge de la corbeille.
+ * Supprime définitivement les éléments en corbeille depuis plus de
+ * appConfig.corbeilleRetentionJours jours, au démarrage puis à intervalle régulier.
+ * @module jobs/purgeCorbeille
+ */
+
+const appConfig = require('../config/appConfig');
+const { purgerCorbeille } = require('../services/corbeilleService');
+
+/** @type {number} Intervalle entre deux purges (24 heures) */
+const INTERVALLE_PURGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @async
+ * @function executerPurge
+ * @description Lance une purge et journalise son résultat dans la console.
+ * Les erreurs sont capturées pour ne jamais interrompre le serveur.
+ * @returns {Promise<void>}
+ */
+const executerPurge = async () => {
+  try {
+    const { taches, listes } = await purgerCorbeille(appConfig.corbeilleRetentionJours);
+    if (taches > 0 || listes > 0) {
+      console.log(`[OK] Corbeille purgée : ${taches} tâche(s), ${listes} liste(s).`);
+    }
+  } catch (error) {
+    console.error('[ERREUR] Échec de la purge de la corbeille :', error);
+  }
+};
+
+/**
+ * @function planifierPurgeCorbeille
+ * @description Exécute une première purge puis planifie une purge quotidienne.
+ * Le timer ne maintient pas le processus en vie (unref).
+ * @returns {NodeJS.Timeout} Timer de la purge périodique.
+ */
+const planifierPurgeCorbeille = () => {
+  executerPurge();
+  const timer = setInterval(executerPurge, INTERVALLE_PURGE_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { planifierPurgeCorbeille };
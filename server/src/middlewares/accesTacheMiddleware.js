@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Middleware de contrôle d'accès à une tâche (params.id).
+ * Placé avant uploadMiddleware : le propriétaire est vérifié avant que multer
+ * ne lise et ne garde en mémoire le fichier envoyé.
+ * @module middlewares/accesTacheMiddleware
+ */
+
+const { validationResult } = require('express-validator');
+const { verifierAccesTache } = require('../services/accesService');
+
+/**
+ * @async
+ * @function accesTacheMiddleware
+ * @description Middleware Express qui vérifie que la tâche existe (hors corbeille)
+ * et appartient à l'utilisateur connecté. Renvoie 400 si les paramètres sont invalides,
+ * 404 si la tâche n'existe pas, 403 si elle appartient à un autre utilisateur.
+ * @param {import('express').Request} req - Requête avec params.id.
+ * @param {import('express').Response} res - Réponse Express.
+ * @param {import('express').NextFunction} next - Fonction next.
+ * @returns {Promise<void>}
+ */
+const accesTacheMiddleware = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+
+    await verifierAccesTache(req.params.id, req.utilisateur.id);
+
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Erreur lors de la vérification de l\'accès à la tâche :', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur interne du serveur.',
+    });
+  }
+};
+
+module.exports = accesTacheMiddleware;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Réception d'un fichier envoyé en multipart/form-data (champ « fichier »), commune aux pièces jointes
+ * (uploadMiddleware) et aux imports (importMiddleware). Le fichier est gardé en mémoire (req.file.buffer).
+ * @module middlewares/fichierMiddleware
+ */
+
+const path = require('path');
+const multer = require('multer');
+
+/**
+ * @function fichierMiddleware
+ * @description Crée un middleware Express qui lit un seul fichier dans le champ « fichier » et le filtre par type MIME
+ * et/ou par extension. Les erreurs de réception sont renvoyées au format JSON de l'API : 413 si le fichier est trop
+ * volumineux, 415 si son type ou son extension n'est pas accepté, 400 sinon (requête invalide ou fichier absent).
+ * @param {Object} options - Options de réception.
+ * @param {number} options.tailleMax - Taille maximale du fichier, en octets.
+ * @param {string[]} [options.typesMime] - Types MIME acceptés (tous si absent).
+ * @param {string[]} [options.extensions] - Extensions acceptées, en minuscules, ex. ['.ics'] (toutes si absent).
+ * @returns {import('express').RequestHandler} Middleware de réception.
+ */
+const fichierMiddleware = ({ tailleMax, typesMime, extensions }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: tailleMax,
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      let message = null;
+      if (typesMime && !typesMime.includes(file.mimetype)) {
+        message = `Type de fichier non autorisé (${file.mimetype}).`;
+      } else if (extensions && !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        message = `Format de fichier non pris en charge (attendu : ${extensions.join(', ')}).`;
+      }
+      if (message) {
+        const erreur = new Error(message);
+        erreur.code = 'TYPE_NON_AUTORISE';
+        return cb(erreur);
+      }
+      cb(null, true);
+    },
+  });
+
+  return (req, res, next) => {
+    upload.single('fichier')(req, res, (error) => {
+      if (error) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            success: false,
+            error: `Le fichier dépasse la taille maximale de ${Math.round(tailleMax / (1024 * 1024))} Mo.`,
+          });
+        }
+        if (error.code === 'TYPE_NON_AUTORISE') {
+          return res.status(415).json({ success: false, error: error.message });
+        }
+        return res.status(400).json({
+          success: false,
+          error: error instanceof multer.MulterError
+            ? 'Requête d\'envoi de fichier invalide : un seul fichier est attendu dans le champ « fichier ».'
+            : 'Requête d\'envoi de fichier invalide.',
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Aucun fichier fourni (champ « fichier »).' });
+      }
+
+      /** Multer décode le nom en latin1 : on le relit en UTF-8 pour conserver les accents */
+      req.file.originalname = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+
+      next();
+    });
+  };
+};
+
+module.exports = fichierMiddleware;
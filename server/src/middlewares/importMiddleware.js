@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Middleware de réception des fichiers d'import de tâches (multipart/form-data).
+ * Le fichier est gardé en mémoire (req.file.buffer) : il est lu puis analysé par le contrôleur d'import.
+ * Les navigateurs n'attribuent pas de type MIME fiable à ces formats : seule l'extension est vérifiée.
+ * @module middlewares/importMiddleware
+ */
+
+const appConfig = require('../config/appConfig');
+const fichierMiddleware = require('./fichierMiddleware');
+
+/**
+ * @function importMiddleware
+ * @description Crée un middleware Express qui lit le champ « fichier » de la requête multipart,
+ * limité en taille (appConfig.importTailleMax) et aux extensions données.
+ * @param {string[]} extensions - Extensions acceptées, en minuscules (ex. ['.ics']).
+ * @returns {import('express').RequestHandler} Middleware de réception.
+ */
+const importMiddleware = (extensions) => fichierMiddleware({ tailleMax: appConfig.importTailleMax, extensions });
+
+module.exports = importMiddleware;
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Middleware de réception des pièces jointes (multipart/form-data).
+ * Le fichier est gardé en mémoire (req.file.buffer) le temps que le contrôleur le confie
+ * au backend de stockage. L'accès à la tâche est vérifié avant (accesTacheMiddleware).
+ * @module middlewares/uploadMiddleware
+ */
+
+const appConfig = require('../config/appConfig');
+const fichierMiddleware = require('./fichierMiddleware');
+
+/**
+ * @function uploadMiddleware
+ * @description Middleware Express qui lit le champ « fichier » de la requête multipart, limité en taille
+ * (appConfig.pieceJointeTailleMax) et en type MIME (appConfig.pieceJointeTypesMime).
+ * @type {import('express').RequestHandler}
+ */
+const uploadMiddleware = fichierMiddleware({
+  tailleMax: appConfig.pieceJointeTailleMax,
+  typesMime: appConfig.pieceJointeTypesMime,
+});
+
+module.exports = uploadMiddleware;
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'champs_personnalises'.
+ * Champ de métadonnées défini par l'utilisateur sur une liste (client, numéro de ticket...) ;
+ * les tâches de la liste peuvent en porter une valeur (table valeurs_champs).
+ * @module models/ChampPersonnalise
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { TYPES_CHAMPS } = require('../utils/champs');
+
+/**
+ * @typedef {Object} ChampPersonnalise
+ * @property {string} id - UUID auto-généré
+ * @property {string} liste_id - UUID de la liste qui définit le champ
+ * @property {string} nom - Nom du champ (unique par liste)
+ * @property {string} type - TEXTE, NOMBRE, DATE, CHOIX, CASE ou URL
+ * @property {string[]|null} options - Valeurs proposées (type CHOIX uniquement)
+ * @property {number} ordre - Ordre d'affichage dans le formulaire
+ * @property {Date} date_creation - Date de création
+ */
+const ChampPersonnalise = sequelize.define('ChampPersonnalise', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique du champ personnalisé',
+  },
+  liste_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'listes',
+      key: 'id',
+    },
+    comment: 'Référence vers la liste qui définit le champ',
+  },
+  nom: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      len: [1, 50],
+    },
+    comment: 'Nom du champ',
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [TYPES_CHAMPS],
+    },
+    comment: 'Type de valeur : TEXTE, NOMBRE, DATE, CHOIX, CASE ou URL',
+  },
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Valeurs proposées pour un champ de type CHOIX',
+  },
+  ordre: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Ordre d\'affichage dans le formulaire de tâche',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création du champ',
+  },
+}, {
+  tableName: 'champs_personnalises',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['liste_id', 'nom'] },
+  ],
+});
+
+module.exports = ChampPersonnalise;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'commentaires'.
+ * Note laissée sur une tâche au fil du temps, sans écraser sa description.
+ * Le contenu est du Markdown, rendu côté client.
+ * @module models/Commentaire
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} Commentaire
+ * @property {string} id - UUID auto-généré
+ * @property {string} tache_id - UUID de la tâche commentée
+ * @property {string} utilisateur_id - UUID de l'auteur
+ * @property {string} contenu - Corps du commentaire (Markdown)
+ * @property {Date} date_creation - Date de création
+ * @property {Date|null} date_modification - Date de la dernière modification (null si jamais modifié)
+ */
+const Commentaire = sequelize.define('Commentaire', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique du commentaire',
+  },
+  tache_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche commentée',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'auteur du commentaire',
+  },
+  contenu: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 5000],
+    },
+    comment: 'Corps du commentaire au format Markdown',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création du commentaire',
+  },
+  date_modification: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Date de la dernière modification (null si jamais modifié)',
+  },
+}, {
+  tableName: 'commentaires',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['tache_id', 'date_creation'] },
+  ],
+});
+
+module.exports = Commentaire;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'dependances_taches'.
+ * Lien « la tâche est bloquée par la tâche bloquante » entre deux tâches d'un même utilisateur.
+ * Une tâche bloquée ne peut pas passer EN_COURS ni TERMINEE tant que ses bloquantes ne sont pas terminées.
+ * @module models/DependanceTache
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} DependanceTache
+ * @property {string} id - UUID auto-généré
+ * @property {string} tache_id - UUID de la tâche bloquée
+ * @property {string} bloquante_id - UUID de la tâche qui la bloque
+ * @property {Date} date_creation - Date de création du lien
+ */
+const DependanceTache = sequelize.define('DependanceTache', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique de la dépendance',
+  },
+  tache_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche bloquée',
+  },
+  bloquante_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche bloquante',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création du lien',
+  },
+}, {
+  tableName: 'dependances_taches',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['tache_id', 'bloquante_id'] },
+  ],
+});
+
+module.exports = DependanceTache;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'entrees_temps'.
+ * Temps passé sur une tâche : saisi manuellement ou mesuré par un chronomètre.
+ * Une entrée sans fin est un chronomètre en cours (au plus un par utilisateur).
+ * @module models/EntreeTemps
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} EntreeTemps
+ * @property {string} id - UUID auto-généré
+ * @property {string} tache_id - UUID de la tâche
+ * @property {string} utilisateur_id - UUID de l'utilisateur
+ * @property {Date} debut - Début de la période
+ * @property {Date|null} fin - Fin de la période (null si le chronomètre tourne)
+ * @property {number|null} duree_secondes - Durée en secondes (null si le chronomètre tourne)
+ * @property {string|null} note - Note libre
+ * @property {Date} date_creation - Date de création de l'entrée
+ */
+const EntreeTemps = sequelize.define('EntreeTemps', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique de l\'entrée de temps',
+  },
+  tache_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'utilisateur',
+  },
+  debut: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Début de la période',
+  },
+  fin: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fin de la période (null si le chronomètre tourne)',
+  },
+  duree_secondes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Durée en secondes (null si le chronomètre tourne)',
+  },
+  note: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Note libre sur le travail effectué',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création de l\'entrée',
+  },
+}, {
+  tableName: 'entrees_temps',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['tache_id', 'debut'] },
+    { fields: ['utilisateur_id', 'debut'] },
+    { name: 'entrees_temps_chrono_unique', unique: true, fields: ['utilisateur_id'], where: { fin: null } },
+  ],
+});
+
+module.exports = EntreeTemps;
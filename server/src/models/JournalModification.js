@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'journal_modifications'.
+ * Journal d'audit générique : enregistre la création, la modification (champ par champ),
+ * la restauration (version ou corbeille) et la suppression (corbeille ou définitive)
+ * des tâches et des listes.
+ * @module models/JournalModification
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} JournalModification
+ * @property {string} id - UUID auto-généré
+ * @property {string} entite_type - Type d'entité concernée : TACHE, LISTE
+ * @property {string} entite_id - UUID de l'entité concernée
+ * @property {string} action - Action : CREATION, MODIFICATION, RESTAURATION, SUPPRESSION, SUPPRESSION_DEFINITIVE
+ * @property {Object} changements - Champs modifiés {champ: {ancien, nouveau}}
+ * @property {string} utilisateur_id - UUID de l'utilisateur auteur de l'action
+ * @property {Date} date_modification - Horodatage de l'action
+ */
+const JournalModification = sequelize.define('JournalModification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique de l\'entrée du journal',
+  },
+  entite_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['TACHE', 'LISTE']],
+    },
+    comment: 'Type de l\'entité concernée',
+  },
+  entite_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Identifiant de l\'entité concernée (sans clé étrangère : survit à la suppression)',
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['CREATION', 'MODIFICATION', 'RESTAURATION', 'SUPPRESSION', 'SUPPRESSION_DEFINITIVE']],
+    },
+    comment: 'Nature de l\'action journalisée',
+  },
+  changements: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Champs modifiés avec ancienne et nouvelle valeur',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'utilisateur auteur de l\'action',
+  },
+  date_modification: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Horodatage de l\'action',
+  },
+}, {
+  tableName: 'journal_modifications',
+  timestamps: false,
+  underscored: true,
+});
+
+module.exports = JournalModification;
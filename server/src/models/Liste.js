@@ -1,6 +1,7 @@
 /**
  * @fileoverview Modèle Sequelize pour la table 'listes'.
  * Représente une liste thématique de tâches appartenant à un utilisateur.
+ * Suppression logique (paranoid) : une liste supprimée passe en corbeille via date_suppression.
  * @module models/Liste
  */
 
@@ -14,6 +15,7 @@ const { sequelize } = require('../config/database');
  * @property {string} couleur - Couleur hexadécimale de la liste
  * @property {number} ordre - Ordre d'affichage de la liste
  * @property {string} utilisateur_id - UUID de l'utilisateur propriétaire
+ * @property {Date|null} date_suppression - Date de mise en corbeille (null si active)
  */
 const Liste = sequelize.define('Liste', {
   id: {
@@ -50,10 +52,20 @@ const Liste = sequelize.define('Liste', {
     },
     comment: 'Référence vers l\'utilisateur propriétaire',
   },
+  date_suppression: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Date de mise en corbeille (null si la liste est active)',
+  },
 }, {
   tableName: 'listes',
-  timestamps: false,
   underscored: true,
+  /** Suppression logique : seuls les horodatages de suppression sont gérés par Sequelize */
+  timestamps: true,
+  createdAt: false,
+  updatedAt: false,
+  deletedAt: 'date_suppression',
+  paranoid: true,
 });
 
 module.exports = Liste;
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'modeles_taches'.
+ * Modèle de tâche réutilisable (checklist d'intégration, étapes de livraison...) :
+ * son instanciation crée une vraie tâche et ses sous-tâches.
+ * @module models/ModeleTache
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} SousTacheModele
+ * @property {string} titre - Titre de la sous-tâche (3-100 caractères)
+ * @property {string|null} description - Description optionnelle
+ * @property {string} priorite - Priorité : BASSE, MOYENNE, HAUTE, URGENTE
+ * @property {number|null} decalage_echeance - Échéance en jours après la date de référence
+ */
+
+/**
+ * @typedef {Object} ModeleTache
+ * @property {string} id - UUID auto-généré
+ * @property {string} nom - Nom du modèle (unique par utilisateur)
+ * @property {string} titre - Titre de la tâche créée (3-100 caractères)
+ * @property {string|null} description - Description de la tâche créée
+ * @property {string} priorite - Priorité de la tâche créée
+ * @property {number|null} decalage_echeance - Échéance en jours après la date de référence (null : sans échéance)
+ * @property {string|null} liste_id - UUID de la liste cible (optionnel)
+ * @property {SousTacheModele[]} sous_taches - Sous-tâches créées avec la tâche
+ * @property {string} utilisateur_id - UUID de l'utilisateur propriétaire
+ * @property {Date} date_creation - Date de création
+ */
+const ModeleTache = sequelize.define('ModeleTache', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique du modèle',
+  },
+  nom: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100],
+    },
+    comment: 'Nom du modèle',
+  },
+  titre: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [3, 100],
+    },
+    comment: 'Titre de la tâche créée (3-100 caractères)',
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 2000],
+    },
+    comment: 'Description de la tâche créée (max 2000 caractères)',
+  },
+  priorite: {
+    type: DataTypes.STRING,
+    defaultValue: 'MOYENNE',
+    validate: {
+      isIn: [['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE']],
+    },
+    comment: 'Priorité de la tâche créée',
+  },
+  decalage_echeance: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+    },
+    comment: 'Échéance en jours après la date d\'instanciation (null : sans échéance)',
+  },
+  liste_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'listes',
+      key: 'id',
+    },
+    comment: 'Référence optionnelle vers la liste cible',
+  },
+  sous_taches: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Sous-tâches créées avec la tâche {titre, description, priorite, decalage_echeance}',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'utilisateur propriétaire',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création du modèle',
+  },
+}, {
+  tableName: 'modeles_taches',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['utilisateur_id', 'nom'] },
+  ],
+});
+
+module.exports = ModeleTache;
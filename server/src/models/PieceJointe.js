@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'pieces_jointes'.
+ * Métadonnées d'un fichier joint à une tâche ; le contenu est confié au backend de stockage.
+ * @module models/PieceJointe
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} PieceJointe
+ * @property {string} id - UUID auto-généré
+ * @property {string} tache_id - UUID de la tâche
+ * @property {string} nom_fichier - Nom d'origine du fichier
+ * @property {string} type_mime - Type MIME du fichier
+ * @property {number} taille - Taille en octets
+ * @property {string} cle_stockage - Clé du fichier dans le backend de stockage
+ * @property {Date} date_creation - Date d'ajout
+ */
+const PieceJointe = sequelize.define('PieceJointe', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique de la pièce jointe',
+  },
+  tache_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche',
+  },
+  nom_fichier: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      len: [1, 255],
+    },
+    comment: 'Nom d\'origine du fichier',
+  },
+  type_mime: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Type MIME du fichier',
+  },
+  taille: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Taille du fichier en octets',
+  },
+  cle_stockage: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    comment: 'Clé du fichier dans le backend de stockage',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date d\'ajout de la pièce jointe',
+  },
+}, {
+  tableName: 'pieces_jointes',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['tache_id'] },
+  ],
+});
+
+module.exports = PieceJointe;
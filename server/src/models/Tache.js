@@ -1,6 +1,9 @@
 /**
  * @fileoverview Modèle Sequelize pour la table 'taches'.
  * Représente une tâche appartenant à un utilisateur, potentiellement liée à une liste.
+ * Une tâche peut être la sous-tâche d'une autre (un seul niveau d'imbrication).
+ * Une tâche récurrente (règle RRULE) génère l'occurrence suivante lorsqu'elle est terminée.
+ * Suppression logique (paranoid) : une tâche supprimée passe en corbeille via date_suppression.
  * @module models/Tache
  */
 
@@ -19,6 +22,15 @@ const { sequelize } = require('../config/database');
  * @property {Date|null} date_completion - Date de complétion (quand statut = TERMINEE)
  * @property {string} utilisateur_id - UUID de l'utilisateur propriétaire
  * @property {string|null} liste_id - UUID de la liste associée (optionnel)
+ * @property {string|null} parent_id - UUID de la tâche parente (null pour une tâche racine)
+ * @property {string|null} recurrence - Règle de récurrence RRULE (ex. FREQ=WEEKLY;BYDAY=MO)
+ * @property {string|null} serie_id - UUID de la première occurrence de la série récurrente
+ * @property {number|null} occurrence - Numéro de l'occurrence dans la série (1 pour la première)
+ * @property {number|null} estimation - Effort estimé, exprimé dans unite_estimation
+ * @property {string} unite_estimation - MINUTES ou POINTS (story points)
+ * @property {number|null} position - Position dans l'ordre manuel des tâches racines (fractionnaire)
+ * @property {string|null} uid_externe - Identifiant de la tâche dans l'outil d'où elle a été importée (ex. UID iCalendar)
+ * @property {Date|null} date_suppression - Date de mise en corbeille (null si active)
  */
 const Tache = sequelize.define('Tache', {
   id: {
@@ -93,10 +105,71 @@ const Tache = sequelize.define('Tache', {
     },
     comment: 'Référence optionnelle vers une liste thématique',
   },
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche parente (sous-tâche)',
+  },
+  recurrence: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Règle de récurrence RRULE (RFC 5545), forme canonique',
+  },
+  serie_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Identifiant de la série récurrente (UUID de sa première occurrence)',
+  },
+  occurrence: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Numéro de l\'occurrence dans la série récurrente',
+  },
+  estimation: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+    },
+    comment: 'Effort estimé, exprimé dans unite_estimation (null si non estimée)',
+  },
+  unite_estimation: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'MINUTES',
+    validate: {
+      isIn: [['MINUTES', 'POINTS']],
+    },
+    comment: 'Unité de l\'estimation : MINUTES ou POINTS (story points)',
+  },
+  position: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    comment: 'Position dans l\'ordre manuel (fractionnaire : un déplacement ne modifie qu\'une ligne)',
+  },
+  uid_externe: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Identifiant d\'origine d\'une tâche importée (détection des doublons à l\'import)',
+  },
+  date_suppression: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Date de mise en corbeille (null si la tâche est active)',
+  },
 }, {
   tableName: 'taches',
-  timestamps: false,
   underscored: true,
+  /** Suppression logique : seuls les horodatages de suppression sont gérés par Sequelize */
+  timestamps: true,
+  createdAt: false,
+  updatedAt: false,
+  deletedAt: 'date_suppression',
+  paranoid: true,
 });
 
 module.exports = Tache;
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table de jointure 'taches_tags'.
+ * Associe une tâche à un tag (relation plusieurs-à-plusieurs).
+ * @module models/TacheTag
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} TacheTag
+ * @property {string} tache_id - UUID de la tâche
+ * @property {string} tag_id - UUID du tag
+ */
+const TacheTag = sequelize.define('TacheTag', {
+  tache_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche',
+  },
+  tag_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'tags',
+      key: 'id',
+    },
+    comment: 'Référence vers le tag',
+  },
+}, {
+  tableName: 'taches_tags',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['tag_id'] },
+  ],
+});
+
+module.exports = TacheTag;
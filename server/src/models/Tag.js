@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'tags'.
+ * Représente une étiquette colorée d'un utilisateur. Contrairement à la liste (une seule
+ * par tâche), une tâche peut porter plusieurs tags (table de jointure taches_tags).
+ * @module models/Tag
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} id - UUID auto-généré
+ * @property {string} nom - Nom du tag (unique par utilisateur)
+ * @property {string} couleur - Couleur hexadécimale du tag
+ * @property {string} utilisateur_id - UUID de l'utilisateur propriétaire
+ * @property {Date} date_creation - Date de création
+ */
+const Tag = sequelize.define('Tag', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique du tag',
+  },
+  nom: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      len: [1, 50],
+    },
+    comment: 'Nom du tag',
+  },
+  couleur: {
+    type: DataTypes.STRING,
+    defaultValue: '#6B7280',
+    comment: 'Couleur hexadécimale pour l\'affichage',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'utilisateur propriétaire',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création du tag',
+  },
+}, {
+  tableName: 'tags',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['utilisateur_id', 'nom'] },
+  ],
+});
+
+module.exports = Tag;
@@ -16,6 +16,8 @@ const { sequelize } = require('../config/database');
  * @property {Date} date_creation - Date de création du compte
  * @property {boolean} actif - Indique si le compte est actif
  * @property {number} tentatives_echec - Nombre de tentatives de connexion échouées
+ * @property {string} vue_taches - Vue préférée des tâches : LISTE, TABLEAU (Kanban) ou CALENDRIER
+ * @property {string|null} jeton_calendrier - Jeton secret du flux iCalendar des échéances (null tant qu'il n'est pas généré)
  */
 const Utilisateur = sequelize.define('Utilisateur', {
   id: {
@@ -62,6 +64,21 @@ const Utilisateur = sequelize.define('Utilisateur', {
     defaultValue: 0,
     comment: 'Nombre de tentatives de connexion échouées consécutives',
   },
+  vue_taches: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'LISTE',
+    validate: {
+      isIn: [['LISTE', 'TABLEAU', 'CALENDRIER']],
+    },
+    comment: 'Vue préférée des tâches : LISTE, TABLEAU (Kanban par statut) ou CALENDRIER',
+  },
+  jeton_calendrier: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    comment: 'Jeton secret de l\'URL du flux iCalendar des échéances (régénérable)',
+  },
 }, {
   tableName: 'utilisateurs',
   timestamps: false,
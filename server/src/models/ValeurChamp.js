@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'valeurs_champs'.
+ * Valeur d'un champ personnalisé pour une tâche, stockée en JSON pour conserver son type.
+ * @module models/ValeurChamp
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} ValeurChamp
+ * @property {string} tache_id - UUID de la tâche
+ * @property {string} champ_id - UUID du champ personnalisé
+ * @property {string|number|boolean} valeur - Valeur typée (date au format YYYY-MM-DD)
+ */
+const ValeurChamp = sequelize.define('ValeurChamp', {
+  tache_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche',
+  },
+  champ_id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    allowNull: false,
+    references: {
+      model: 'champs_personnalises',
+      key: 'id',
+    },
+    comment: 'Référence vers le champ personnalisé',
+  },
+  valeur: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Valeur du champ (JSON typé)',
+  },
+}, {
+  tableName: 'valeurs_champs',
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    { fields: ['champ_id'] },
+  ],
+});
+
+module.exports = ValeurChamp;
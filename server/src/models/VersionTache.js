@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Modèle Sequelize pour la table 'versions_taches'.
+ * Conserve un instantané complet d'une tâche avant chaque modification,
+ * afin de pouvoir restaurer n'importe quelle version antérieure.
+ * @module models/VersionTache
+ */
+
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * @typedef {Object} VersionTache
+ * @property {string} id - UUID auto-généré
+ * @property {string} tache_id - UUID de la tâche concernée
+ * @property {number} numero - Numéro de version (croissant par tâche)
+ * @property {Object} instantane - Valeurs des champs de la tâche à ce moment
+ * @property {string} utilisateur_id - UUID de l'utilisateur à l'origine de la modification
+ * @property {Date} date_creation - Date de création de la version
+ */
+const VersionTache = sequelize.define('VersionTache', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Identifiant unique de la version',
+  },
+  tache_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'taches',
+      key: 'id',
+    },
+    comment: 'Référence vers la tâche versionnée',
+  },
+  numero: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Numéro de version, croissant pour une même tâche',
+  },
+  instantane: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Instantané des champs de la tâche avant la modification',
+  },
+  utilisateur_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'utilisateurs',
+      key: 'id',
+    },
+    comment: 'Référence vers l\'utilisateur à l\'origine de la modification',
+  },
+  date_creation: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    comment: 'Date de création de la version',
+  },
+}, {
+  tableName: 'versions_taches',
+  timestamps: false,
+  underscored: true,
+});
+
+module.exports = VersionTache;
@@ -8,6 +8,17 @@ const Utilisateur = require('./Utilisateur');
 const Liste = require('./Liste');
 const Tache = require('./Tache');
 const HistoriqueModification = require('./HistoriqueModification');
+const JournalModification = require('./JournalModification');
+const VersionTache = require('./VersionTache');
+const DependanceTache = require('./DependanceTache');
+const Tag = require('./Tag');
+const TacheTag = require('./TacheTag');
+const Commentaire = require('./Commentaire');
+const PieceJointe = require('./PieceJointe');
+const EntreeTemps = require('./EntreeTemps');
+const ChampPersonnalise = require('./ChampPersonnalise');
+const ValeurChamp = require('./ValeurChamp');
+const ModeleTache = require('./ModeleTache');
 
 // === ASSOCIATIONS ===
 
@@ -32,15 +43,109 @@ Tache.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'utilisateur' }
 Liste.hasMany(Tache, { foreignKey: 'liste_id', as: 'taches' });
 Tache.belongsTo(Liste, { foreignKey: 'liste_id', as: 'liste' });
 
+/**
+ * Une tâche peut contenir plusieurs sous-tâches (un seul niveau).
+ * Les sous-tâches sont supprimées définitivement avec leur parente.
+ */
+Tache.hasMany(Tache, { foreignKey: 'parent_id', as: 'sous_taches', onDelete: 'CASCADE' });
+Tache.belongsTo(Tache, { foreignKey: 'parent_id', as: 'parent' });
+
 /**
  * Une tâche possède un historique de modifications de statut.
  */
 Tache.hasMany(HistoriqueModification, { foreignKey: 'tache_id', as: 'historique' });
 HistoriqueModification.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
 
+/**
+ * Une tâche possède plusieurs versions (instantanés restaurables).
+ */
+Tache.hasMany(VersionTache, { foreignKey: 'tache_id', as: 'versions', onDelete: 'CASCADE' });
+VersionTache.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+
+/**
+ * Une tâche peut être bloquée par plusieurs tâches et en bloquer plusieurs.
+ * Les liens sont supprimés avec l'une ou l'autre des tâches.
+ */
+Tache.hasMany(DependanceTache, { foreignKey: 'tache_id', as: 'dependances', onDelete: 'CASCADE' });
+Tache.hasMany(DependanceTache, { foreignKey: 'bloquante_id', as: 'dependantes', onDelete: 'CASCADE' });
+DependanceTache.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+DependanceTache.belongsTo(Tache, { foreignKey: 'bloquante_id', as: 'bloquante' });
+
+/**
+ * Un utilisateur possède plusieurs tags.
+ * Une tâche peut porter plusieurs tags et un tag être porté par plusieurs tâches (taches_tags).
+ */
+Utilisateur.hasMany(Tag, { foreignKey: 'utilisateur_id', as: 'tags', onDelete: 'CASCADE' });
+Tag.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'utilisateur' });
+Tache.belongsToMany(Tag, { through: TacheTag, foreignKey: 'tache_id', otherKey: 'tag_id', as: 'tags', onDelete: 'CASCADE' });
+Tag.belongsToMany(Tache, { through: TacheTag, foreignKey: 'tag_id', otherKey: 'tache_id', as: 'taches', onDelete: 'CASCADE' });
+
+/**
+ * Une tâche possède un fil de commentaires, supprimés définitivement avec elle.
+ * Un commentaire a pour auteur un utilisateur.
+ */
+Tache.hasMany(Commentaire, { foreignKey: 'tache_id', as: 'commentaires', onDelete: 'CASCADE' });
+Commentaire.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+Utilisateur.hasMany(Commentaire, { foreignKey: 'utilisateur_id', as: 'commentaires', onDelete: 'CASCADE' });
+Commentaire.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'auteur' });
+
+/**
+ * Une tâche possède plusieurs pièces jointes, supprimées définitivement avec elle.
+ * Les fichiers correspondants sont retirés du stockage par le service de la corbeille.
+ */
+Tache.hasMany(PieceJointe, { foreignKey: 'tache_id', as: 'pieces_jointes', onDelete: 'CASCADE' });
+PieceJointe.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+
+/**
+ * Une tâche possède plusieurs entrées de temps, supprimées définitivement avec elle.
+ * Une entrée de temps appartient à l'utilisateur qui l'a saisie.
+ */
+Tache.hasMany(EntreeTemps, { foreignKey: 'tache_id', as: 'entrees_temps', onDelete: 'CASCADE' });
+EntreeTemps.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+Utilisateur.hasMany(EntreeTemps, { foreignKey: 'utilisateur_id', as: 'entrees_temps', onDelete: 'CASCADE' });
+EntreeTemps.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'utilisateur' });
+
+/**
+ * Une liste définit plusieurs champs personnalisés, supprimés définitivement avec elle.
+ * Une tâche porte une valeur par champ renseigné ; les valeurs sont supprimées avec la tâche ou le champ.
+ */
+Liste.hasMany(ChampPersonnalise, { foreignKey: 'liste_id', as: 'champs', onDelete: 'CASCADE' });
+ChampPersonnalise.belongsTo(Liste, { foreignKey: 'liste_id', as: 'liste' });
+Tache.hasMany(ValeurChamp, { foreignKey: 'tache_id', as: 'valeurs_champs', onDelete: 'CASCADE' });
+ChampPersonnalise.hasMany(ValeurChamp, { foreignKey: 'champ_id', as: 'valeurs', onDelete: 'CASCADE' });
+ValeurChamp.belongsTo(Tache, { foreignKey: 'tache_id', as: 'tache' });
+ValeurChamp.belongsTo(ChampPersonnalise, { foreignKey: 'champ_id', as: 'champ' });
+
+/**
+ * Un utilisateur possède plusieurs modèles de tâches.
+ * Un modèle peut cibler une liste ; sa suppression définitive détache le modèle.
+ */
+Utilisateur.hasMany(ModeleTache, { foreignKey: 'utilisateur_id', as: 'modeles', onDelete: 'CASCADE' });
+ModeleTache.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'utilisateur' });
+Liste.hasMany(ModeleTache, { foreignKey: 'liste_id', as: 'modeles', onDelete: 'SET NULL' });
+ModeleTache.belongsTo(Liste, { foreignKey: 'liste_id', as: 'liste' });
+
+/**
+ * Un utilisateur est l'auteur de plusieurs entrées du journal d'audit.
+ * Le journal référence les tâches et listes sans clé étrangère pour survivre à leur suppression.
+ */
+Utilisateur.hasMany(JournalModification, { foreignKey: 'utilisateur_id', as: 'journal' });
+JournalModification.belongsTo(Utilisateur, { foreignKey: 'utilisateur_id', as: 'utilisateur' });
+
 module.exports = {
   Utilisateur,
   Liste,
   Tache,
   HistoriqueModification,
+  JournalModification,
+  VersionTache,
+  DependanceTache,
+  Tag,
+  TacheTag,
+  Commentaire,
+  PieceJointe,
+  EntreeTemps,
+  ChampPersonnalise,
+  ValeurChamp,
+  ModeleTache,
 };
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Repository pour les entités ChampPersonnalise et ValeurChamp.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux champs personnalisés.
+ * @module repositories/champPersonnaliseRepository
+ */
+
+const { Op, fn, col, literal, where: condition } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ChampPersonnalise, ValeurChamp, Liste } = require('../models');
+
+/**
+ * @class ChampPersonnaliseRepository
+ * @description Abstraction de l'accès aux données pour les champs personnalisés et leurs valeurs.
+ */
+class ChampPersonnaliseRepository {
+  /**
+   * @async
+   * @description Crée un champ personnalisé sur une liste.
+   * @param {Object} donnees - Données du champ (liste_id, nom, type, options, ordre).
+   * @returns {Promise<ChampPersonnalise>} Le champ créé.
+   */
+  async creer(donnees) {
+    return await ChampPersonnalise.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Recherche un champ personnalisé par son identifiant UUID.
+   * @param {string} id - UUID du champ.
+   * @returns {Promise<ChampPersonnalise|null>} Le champ trouvé ou null.
+   */
+  async trouverParId(id) {
+    return await ChampPersonnalise.findByPk(id);
+  }
+
+  /**
+   * @async
+   * @description Recherche un champ d'une liste par son nom, sans tenir compte de la casse.
+   * @param {string} listeId - UUID de la liste.
+   * @param {string} nom - Nom recherché.
+   * @returns {Promise<ChampPersonnalise|null>} Le champ trouvé ou null.
+   */
+  async trouverParNom(listeId, nom) {
+    return await ChampPersonnalise.findOne({
+      where: {
+        liste_id: listeId,
+        [Op.and]: [condition(fn('lower', col('nom')), nom.toLowerCase())],
+      },
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les champs d'une liste dans leur ordre d'affichage.
+   * @param {string} listeId - UUID de la liste.
+   * @returns {Promise<ChampPersonnalise[]>} Champs de la liste.
+   */
+  async listerParListe(listeId) {
+    return await ChampPersonnalise.findAll({
+      where: { liste_id: listeId },
+      order: [['ordre', 'ASC'], ['nom', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste des champs à partir de leurs identifiants, restreints aux listes d'un utilisateur.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string[]} ids - UUID des champs.
+   * @returns {Promise<ChampPersonnalise[]>} Champs trouvés.
+   */
+  async listerParIds(utilisateurId, ids) {
+    return await ChampPersonnalise.findAll({
+      where: { id: { [Op.in]: ids } },
+      include: [{
+        model: Liste,
+        as: 'liste',
+        attributes: [],
+        where: { utilisateur_id: utilisateurId },
+        paranoid: false,
+      }],
+    });
+  }
+
+  /**
+   * @async
+   * @description Met à jour un champ personnalisé.
+   * @param {string} id - UUID du champ.
+   * @param {Object} donnees - Données à mettre à jour (nom, options, ordre).
+   * @returns {Promise<ChampPersonnalise>} Le champ mis à jour.
+   */
+  async mettreAJour(id, donnees) {
+    await ChampPersonnalise.update(donnees, { where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Supprime un champ personnalisé et, par cascade, ses valeurs.
+   * @param {string} id - UUID du champ.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await ChampPersonnalise.destroy({ where: { id } });
+  }
+
+  /**
+   * @async
+   * @description Enregistre les valeurs de champs d'une tâche : une valeur null retire le champ,
+   * les autres remplacent la valeur existante.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object<string, *>} valeurs - Valeur normalisée (ou null) par UUID de champ.
+   * @returns {Promise<void>}
+   */
+  async definirValeurs(tacheId, valeurs) {
+    for (const [champId, valeur] of Object.entries(valeurs)) {
+      if (valeur === null) {
+        await ValeurChamp.destroy({ where: { tache_id: tacheId, champ_id: champId } });
+      } else {
+        await ValeurChamp.upsert({ tache_id: tacheId, champ_id: champId, valeur });
+      }
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les valeurs de champs d'une tâche.
+   * @param {string} tacheId - UUID de la tâche.
+   * @returns {Promise<ValeurChamp[]>} Valeurs de la tâche.
+   */
+  async listerValeurs(tacheId) {
+    return await ValeurChamp.findAll({ where: { tache_id: tacheId } });
+  }
+
+  /**
+   * @async
+   * @description Supprime les valeurs d'une tâche dont le champ n'appartient pas à une liste
+   * (la tâche vient de changer de liste).
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {string|null} listeId - UUID de la nouvelle liste (null : toutes les valeurs sont supprimées).
+   * @returns {Promise<void>}
+   */
+  async supprimerValeursHorsListe(tacheId, listeId) {
+    await ValeurChamp.destroy({
+      where: {
+        tache_id: tacheId,
+        ...(listeId && {
+          champ_id: {
+            [Op.notIn]: literal(`(SELECT id FROM champs_personnalises WHERE liste_id = ${sequelize.escape(listeId)})`),
+          },
+        }),
+      },
+    });
+  }
+
+  /**
+   * @async
+   * @description Supprime les valeurs d'un champ de type CHOIX qui ne figurent plus parmi ses options.
+   * @param {string} champId - UUID du champ.
+   * @param {string[]} options - Options conservées.
+   * @returns {Promise<void>}
+   */
+  async supprimerValeursHorsOptions(champId, options) {
+    const valeurs = await ValeurChamp.findAll({ where: { champ_id: champId } });
+    const obsoletes = valeurs.filter((valeur) => !options.includes(valeur.valeur));
+    if (obsoletes.length > 0) {
+      await ValeurChamp.destroy({
+        where: { champ_id: champId, tache_id: { [Op.in]: obsoletes.map((valeur) => valeur.tache_id) } },
+      });
+    }
+  }
+}
+
+module.exports = new ChampPersonnaliseRepository();
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Repository pour l'entité Commentaire.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux commentaires de tâches.
+ * @module repositories/commentaireRepository
+ */
+
+const { Commentaire, Utilisateur } = require('../models');
+
+/**
+ * @constant {Object} INCLUDE_AUTEUR
+ * @description Association chargée avec un commentaire : son auteur (sans données sensibles).
+ */
+const INCLUDE_AUTEUR = { model: Utilisateur, as: 'auteur', attributes: ['id', 'nom_affichage'] };
+
+/**
+ * @class CommentaireRepository
+ * @description Abstraction de l'accès aux données pour les commentaires de tâches.
+ */
+class CommentaireRepository {
+  /**
+   * @async
+   * @description Crée un commentaire.
+   * @param {Object} donnees - Données du commentaire.
+   * @param {string} donnees.tache_id - UUID de la tâche commentée.
+   * @param {string} donnees.utilisateur_id - UUID de l'auteur.
+   * @param {string} donnees.contenu - Corps du commentaire (Markdown).
+   * @returns {Promise<Commentaire>} Le commentaire créé, avec son auteur.
+   */
+  async creer(donnees) {
+    const commentaire = await Commentaire.create(donnees);
+    return await this.trouverParId(commentaire.id);
+  }
+
+  /**
+   * @async
+   * @description Recherche un commentaire par son identifiant, avec son auteur.
+   * @param {string} id - UUID du commentaire.
+   * @returns {Promise<Commentaire|null>} Le commentaire trouvé ou null.
+   */
+  async trouverParId(id) {
+    return await Commentaire.findByPk(id, { include: [INCLUDE_AUTEUR] });
+  }
+
+  /**
+   * @async
+   * @description Liste les commentaires d'une tâche avec pagination, du plus ancien au plus récent.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object} options - Options de requête.
+   * @param {number} options.page - Numéro de page (1-indexed).
+   * @param {number} options.limit - Nombre de résultats par page.
+   * @returns {Promise<{rows: Commentaire[], count: number}>} Commentaires paginés et total.
+   */
+  async listerParTache(tacheId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    return await Commentaire.findAndCountAll({
+      where: { tache_id: tacheId },
+      include: [INCLUDE_AUTEUR],
+      order: [['date_creation', 'ASC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * @async
+   * @description Modifie le contenu d'un commentaire et horodate la modification.
+   * @param {string} id - UUID du commentaire.
+   * @param {string} contenu - Nouveau contenu (Markdown).
+   * @returns {Promise<Commentaire>} Le commentaire modifié, avec son auteur.
+   */
+  async modifier(id, contenu) {
+    await Commentaire.update({ contenu, date_modification: new Date() }, { where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Supprime un commentaire.
+   * @param {string} id - UUID du commentaire.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await Commentaire.destroy({ where: { id } });
+  }
+}
+
+module.exports = new CommentaireRepository();
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Repository pour l'entité DependanceTache.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux dépendances entre tâches.
+ * @module repositories/dependanceRepository
+ */
+
+const { Op } = require('sequelize');
+const { DependanceTache, Tache } = require('../models');
+
+/**
+ * @class DependanceRepository
+ * @description Abstraction de l'accès aux données pour les liens « bloquée par » entre tâches.
+ */
+class DependanceRepository {
+  /**
+   * @async
+   * @description Crée un lien de dépendance.
+   * @param {string} tacheId - UUID de la tâche bloquée.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   * @returns {Promise<DependanceTache>} Le lien créé.
+   */
+  async creer(tacheId, bloquanteId) {
+    return await DependanceTache.create({ tache_id: tacheId, bloquante_id: bloquanteId });
+  }
+
+  /**
+   * @async
+   * @description Recherche un lien de dépendance entre deux tâches.
+   * @param {string} tacheId - UUID de la tâche bloquée.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   * @returns {Promise<DependanceTache|null>} Le lien trouvé ou null.
+   */
+  async trouver(tacheId, bloquanteId) {
+    return await DependanceTache.findOne({ where: { tache_id: tacheId, bloquante_id: bloquanteId } });
+  }
+
+  /**
+   * @async
+   * @description Supprime un lien de dépendance.
+   * @param {string} tacheId - UUID de la tâche bloquée.
+   * @param {string} bloquanteId - UUID de la tâche bloquante.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(tacheId, bloquanteId) {
+    return await DependanceTache.destroy({ where: { tache_id: tacheId, bloquante_id: bloquanteId } });
+  }
+
+  /**
+   * @async
+   * @description Liste les tâches actives non terminées qui bloquent une tâche.
+   * Les bloquantes en corbeille sont ignorées.
+   * @param {string} tacheId - UUID de la tâche bloquée.
+   * @returns {Promise<Tache[]>} Tâches bloquantes ouvertes.
+   */
+  async listerBloquantesOuvertes(tacheId) {
+    const liens = await DependanceTache.findAll({
+      where: { tache_id: tacheId },
+      include: [{
+        model: Tache,
+        as: 'bloquante',
+        required: true,
+        where: { statut: { [Op.ne]: 'TERMINEE' } },
+        attributes: ['id', 'titre', 'statut'],
+      }],
+    });
+    return liens.map((lien) => lien.bloquante);
+  }
+
+  /**
+   * @async
+   * @description Liste tous les liens entre tâches d'un utilisateur (arêtes du graphe de dépendances).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {Object} [options] - Options de requête.
+   * @param {boolean} [options.inclureCorbeille=false] - Inclure les liens touchant des tâches en corbeille
+   * (nécessaire à la détection de cycle : une tâche restaurée retrouve ses liens).
+   * @returns {Promise<Array<{tache_id: string, bloquante_id: string}>>} Arêtes du graphe.
+   */
+  async listerParUtilisateur(utilisateurId, options = {}) {
+    const { inclureCorbeille = false } = options;
+
+    return await DependanceTache.findAll({
+      attributes: ['tache_id', 'bloquante_id'],
+      include: [
+        { model: Tache, as: 'tache', attributes: [], required: true, where: { utilisateur_id: utilisateurId }, paranoid: !inclureCorbeille },
+        { model: Tache, as: 'bloquante', attributes: [], required: true, paranoid: !inclureCorbeille },
+      ],
+      raw: true,
+    });
+  }
+}
+
+module.exports = new DependanceRepository();
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Repository pour l'entité EntreeTemps.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées au suivi du temps.
+ * @module repositories/entreeTempsRepository
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { EntreeTemps, Tache, Liste } = require('../models');
+
+/**
+ * @class EntreeTempsRepository
+ * @description Abstraction de l'accès aux données pour les entrées de temps.
+ */
+class EntreeTempsRepository {
+  /**
+   * @async
+   * @description Crée une entrée de temps (terminée, ou chronomètre en cours si fin est absente).
+   * @param {Object} donnees - Données de l'entrée.
+   * @param {string} donnees.tache_id - UUID de la tâche.
+   * @param {string} donnees.utilisateur_id - UUID de l'utilisateur.
+   * @param {Date} donnees.debut - Début de la période.
+   * @param {Date} [donnees.fin] - Fin de la période.
+   * @param {number} [donnees.duree_secondes] - Durée en secondes.
+   * @param {string} [donnees.note] - Note libre.
+   * @returns {Promise<EntreeTemps>} L'entrée créée.
+   */
+  async creer(donnees) {
+    return await EntreeTemps.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Recherche une entrée de temps par son identifiant.
+   * @param {string} id - UUID de l'entrée.
+   * @returns {Promise<EntreeTemps|null>} L'entrée trouvée ou null.
+   */
+  async trouverParId(id) {
+    return await EntreeTemps.findByPk(id);
+  }
+
+  /**
+   * @async
+   * @description Récupère le chronomètre en cours d'un utilisateur, avec sa tâche
+   * (même placée en corbeille depuis le démarrage).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<EntreeTemps|null>} L'entrée en cours ou null.
+   */
+  async trouverChronoEnCours(utilisateurId) {
+    return await EntreeTemps.findOne({
+      where: { utilisateur_id: utilisateurId, fin: null },
+      include: [{ model: Tache, as: 'tache', attributes: ['id', 'titre'], paranoid: false }],
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les entrées de temps d'une tâche avec pagination, les plus récentes en premier.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object} options - Options de requête.
+   * @param {number} options.page - Numéro de page (1-indexed).
+   * @param {number} options.limit - Nombre de résultats par page.
+   * @returns {Promise<{rows: EntreeTemps[], count: number}>} Entrées paginées et total.
+   */
+  async listerParTache(tacheId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    return await EntreeTemps.findAndCountAll({
+      where: { tache_id: tacheId },
+      order: [['debut', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * @async
+   * @description Calcule le temps total enregistré sur une tâche (entrées terminées uniquement).
+   * @param {string} tacheId - UUID de la tâche.
+   * @returns {Promise<number>} Total en secondes.
+   */
+  async totalParTache(tacheId) {
+    const total = await EntreeTemps.findOne({
+      attributes: [[fn('SUM', col('duree_secondes')), 'total']],
+      where: { tache_id: tacheId, fin: { [Op.ne]: null } },
+      raw: true,
+    });
+    return Number(total.total) || 0;
+  }
+
+  /**
+   * @async
+   * @description Somme des durées des entrées terminées pour plusieurs tâches.
+   * @param {string[]} tacheIds - UUID des tâches.
+   * @returns {Promise<Map<string, number>>} Total en secondes par UUID de tâche (tâches sans entrée absentes).
+   */
+  async totauxParTaches(tacheIds) {
+    const lignes = await EntreeTemps.findAll({
+      attributes: ['tache_id', [fn('SUM', col('duree_secondes')), 'total']],
+      where: { tache_id: { [Op.in]: tacheIds }, fin: { [Op.ne]: null } },
+      group: ['tache_id'],
+      raw: true,
+    });
+    return new Map(lignes.map((ligne) => [ligne.tache_id, Number(ligne.total) || 0]));
+  }
+
+  /**
+   * @async
+   * @description Liste les entrées terminées d'un utilisateur commençant dans une période,
+   * avec leur tâche (hors corbeille) et la liste de celle-ci.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {Object} [periode] - Bornes optionnelles sur le début des entrées.
+   * @param {Date} [periode.debut] - Borne inférieure (incluse).
+   * @param {Date} [periode.fin] - Borne supérieure (exclue).
+   * @returns {Promise<EntreeTemps[]>} Entrées terminées.
+   */
+  async listerTerminees(utilisateurId, periode = {}) {
+    const debut = {};
+    if (periode.debut) debut[Op.gte] = periode.debut;
+    if (periode.fin) debut[Op.lt] = periode.fin;
+
+    return await EntreeTemps.findAll({
+      where: {
+        utilisateur_id: utilisateurId,
+        fin: { [Op.ne]: null },
+        ...(Reflect.ownKeys(debut).length > 0 && { debut }),
+      },
+      include: [{
+        model: Tache,
+        as: 'tache',
+        attributes: ['id', 'titre', 'liste_id'],
+        required: true,
+        include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
+      }],
+      order: [['debut', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Met à jour une entrée de temps.
+   * @param {string} id - UUID de l'entrée.
+   * @param {Object} donnees - Champs à modifier.
+   * @returns {Promise<EntreeTemps>} L'entrée mise à jour.
+   */
+  async mettreAJour(id, donnees) {
+    await EntreeTemps.update(donnees, { where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Supprime une entrée de temps.
+   * @param {string} id - UUID de l'entrée.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await EntreeTemps.destroy({ where: { id } });
+  }
+}
+
+module.exports = new EntreeTempsRepository();
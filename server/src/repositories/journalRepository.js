@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Repository pour l'entité JournalModification.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées au journal d'audit.
+ * @module repositories/journalRepository
+ */
+
+const { JournalModification } = require('../models');
+const { calculerChangements } = require('../utils/changements');
+
+/**
+ * @constant {Object} CHAMPS_JOURNALISES
+ * @description Champs suivis par le journal d'audit, par type d'entité.
+ */
+const CHAMPS_JOURNALISES = {
+  TACHE: ['titre', 'description', 'statut', 'priorite', 'date_echeance', 'date_completion', 'liste_id', 'parent_id', 'recurrence', 'estimation', 'unite_estimation'],
+  LISTE: ['nom', 'couleur', 'ordre'],
+};
+
+/**
+ * @class JournalRepository
+ * @description Abstraction de l'accès aux données pour le journal d'audit des tâches et listes.
+ */
+class JournalRepository {
+  /**
+   * @async
+   * @description Enregistre une action dans le journal d'audit.
+   * @param {Object} donnees - Données de l'entrée.
+   * @param {string} donnees.entite_type - TACHE ou LISTE.
+   * @param {string} donnees.entite_id - UUID de l'entité concernée.
+   * @param {string} donnees.action - CREATION, MODIFICATION, RESTAURATION, SUPPRESSION ou SUPPRESSION_DEFINITIVE.
+   * @param {Object} donnees.changements - Champs modifiés {champ: {ancien, nouveau}}.
+   * @param {string} donnees.utilisateur_id - UUID de l'auteur de l'action.
+   * @returns {Promise<JournalModification>} L'entrée créée.
+   */
+  async enregistrer(donnees) {
+    return await JournalModification.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Journalise une action sur une tâche ou une liste à partir de ses états
+   * avant et après l'action. Une modification sans changement effectif n'est pas journalisée.
+   * @param {string} entiteType - TACHE ou LISTE.
+   * @param {string} action - CREATION, MODIFICATION, RESTAURATION, SUPPRESSION ou SUPPRESSION_DEFINITIVE.
+   * @param {Object|null} avant - État avant l'action (null pour une création).
+   * @param {Object|null} apres - État après l'action (null pour une suppression).
+   * @param {string} utilisateurId - UUID de l'auteur de l'action.
+   * @returns {Promise<JournalModification|null>} L'entrée créée, ou null si rien n'a changé.
+   */
+  async journaliser(entiteType, action, avant, apres, utilisateurId) {
+    const changements = calculerChangements(avant, apres, CHAMPS_JOURNALISES[entiteType]);
+
+    if (action === 'MODIFICATION' && Object.keys(changements).length === 0) {
+      return null;
+    }
+
+    return await this.enregistrer({
+      entite_type: entiteType,
+      entite_id: (apres || avant).id,
+      action,
+      changements,
+      utilisateur_id: utilisateurId,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les entrées du journal d'un utilisateur avec pagination et filtres.
+   * Les plus récentes en premier.
+   * @param {string} utilisateurId - UUID de l'auteur des actions.
+   * @param {Object} options - Options de requête.
+   * @param {number} options.page - Numéro de page (1-indexed).
+   * @param {number} options.limit - Nombre de résultats par page.
+   * @param {string} [options.entite_type] - Filtre par type d'entité.
+   * @param {string} [options.entite_id] - Filtre par entité.
+   * @param {string} [options.action] - Filtre par action.
+   * @returns {Promise<{rows: JournalModification[], count: number}>} Entrées paginées et total.
+   */
+  async lister(utilisateurId, options = {}) {
+    const { page = 1, limit = 20, entite_type, entite_id, action } = options;
+    const offset = (page - 1) * limit;
+
+    /** @type {Object} Conditions de filtrage Sequelize */
+    const where = { utilisateur_id: utilisateurId };
+
+    if (entite_type) {
+      where.entite_type = entite_type;
+    }
+    if (entite_id) {
+      where.entite_id = entite_id;
+    }
+    if (action) {
+      where.action = action;
+    }
+
+    return await JournalModification.findAndCountAll({
+      where,
+      order: [['date_modification', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+}
+
+module.exports = new JournalRepository();
@@ -4,6 +4,7 @@
  * @module repositories/listeRepository
  */
 
+const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { Liste, Tache } = require('../models');
 
@@ -39,6 +40,7 @@ class ListeRepository {
   /**
    * @async
    * @description Liste toutes les listes d'un utilisateur avec le nombre de tâches associées.
+   * Les listes et les tâches en corbeille sont exclues, les sous-tâches ne sont pas comptées.
    * @param {string} utilisateurId - UUID de l'utilisateur.
    * @returns {Promise<Liste[]>} Listes avec compteur de tâches.
    */
@@ -49,7 +51,7 @@ class ListeRepository {
         include: [
           [
             sequelize.literal(
-              '(SELECT COUNT(*) FROM taches WHERE taches.liste_id = `Liste`.`id`)'
+              '(SELECT COUNT(*) FROM taches WHERE taches.liste_id = `Liste`.`id` AND taches.date_suppression IS NULL AND taches.parent_id IS NULL)'
             ),
             'nombre_taches',
           ],
@@ -73,13 +75,106 @@ class ListeRepository {
 
   /**
    * @async
-   * @description Supprime une liste par son ID.
+   * @description Place une liste dans la corbeille (suppression logique : date_suppression renseignée).
+   * Les tâches de la liste restent actives et retrouvent leur liste si elle est restaurée.
    * @param {string} id - UUID de la liste.
-   * @returns {Promise<number>} Nombre de lignes supprimées.
+   * @returns {Promise<number>} Nombre de lignes mises en corbeille.
    */
   async supprimer(id) {
     return await Liste.destroy({ where: { id } });
   }
+
+  /**
+   * @async
+   * @description Supprime définitivement une liste (active ou en corbeille).
+   * @param {string} id - UUID de la liste.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimerDefinitivement(id) {
+    return await Liste.destroy({ where: { id }, force: true });
+  }
+
+  /**
+   * @async
+   * @description Sort une liste de la corbeille.
+   * @param {string} id - UUID de la liste.
+   * @returns {Promise<Liste>} La liste restaurée.
+   */
+  async restaurer(id) {
+    await Liste.restore({ where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Récupère une liste placée dans la corbeille.
+   * @param {string} id - UUID de la liste.
+   * @returns {Promise<Liste|null>} La liste en corbeille ou null.
+   */
+  async trouverDansCorbeille(id) {
+    return await Liste.findOne({
+      where: { id, date_suppression: { [Op.ne]: null } },
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les listes en corbeille d'un utilisateur, les plus récemment supprimées en premier.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<Liste[]>} Listes en corbeille.
+   */
+  async listerCorbeille(utilisateurId) {
+    return await Liste.findAll({
+      where: { utilisateur_id: utilisateurId, date_suppression: { [Op.ne]: null } },
+      order: [['date_suppression', 'DESC']],
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Propriétaire de chaque liste existante parmi des UUID, corbeille comprise
+   * (conflits d'identifiants lors d'une restauration).
+   * @param {string[]} ids - UUID des listes.
+   * @returns {Promise<Map<string, string>>} UUID de l'utilisateur par UUID de liste existante.
+   */
+  async proprietairesParIds(ids) {
+    const listes = await Liste.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id', 'utilisateur_id'],
+      paranoid: false,
+      raw: true,
+    });
+    return new Map(listes.map((liste) => [liste.id, liste.utilisateur_id]));
+  }
+
+  /**
+   * @async
+   * @description Liste toutes les listes d'un utilisateur, corbeille comprise (remplacement par une sauvegarde).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<Liste[]>} Listes de l'utilisateur.
+   */
+  async listerToutesParUtilisateur(utilisateurId) {
+    return await Liste.findAll({
+      where: { utilisateur_id: utilisateurId },
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les listes placées en corbeille avant une date (tous utilisateurs).
+   * Utilisé par la purge automatique de la corbeille.
+   * @param {Date} dateLimite - Date de suppression maximale.
+   * @returns {Promise<Liste[]>} Listes à purger.
+   */
+  async listerExpiresCorbeille(dateLimite) {
+    return await Liste.findAll({
+      where: { date_suppression: { [Op.lt]: dateLimite } },
+      paranoid: false,
+    });
+  }
 }
 
 module.exports = new ListeRepository();
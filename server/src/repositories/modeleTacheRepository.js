@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Repository pour l'entité ModeleTache.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux modèles de tâches.
+ * @module repositories/modeleTacheRepository
+ */
+
+const { Op, fn, col, where: condition } = require('sequelize');
+const { ModeleTache, Liste } = require('../models');
+
+/**
+ * @constant {Array} ASSOCIATION_LISTE
+ * @description Liste cible affichée avec le modèle, y compris si elle est en corbeille.
+ */
+const ASSOCIATION_LISTE = [
+  { model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur', 'date_suppression'], paranoid: false },
+];
+
+/**
+ * @class ModeleTacheRepository
+ * @description Abstraction de l'accès aux données pour les modèles de tâches.
+ */
+class ModeleTacheRepository {
+  /**
+   * @async
+   * @description Crée un modèle de tâche.
+   * @param {Object} donnees - Données du modèle (nom, titre, description, priorite,
+   * decalage_echeance, liste_id, sous_taches, utilisateur_id).
+   * @returns {Promise<ModeleTache>} Le modèle créé, avec sa liste cible.
+   */
+  async creer(donnees) {
+    const modele = await ModeleTache.create(donnees);
+    return await this.trouverParId(modele.id);
+  }
+
+  /**
+   * @async
+   * @description Recherche un modèle par son identifiant UUID, avec sa liste cible.
+   * @param {string} id - UUID du modèle.
+   * @returns {Promise<ModeleTache|null>} Le modèle trouvé ou null.
+   */
+  async trouverParId(id) {
+    return await ModeleTache.findByPk(id, { include: ASSOCIATION_LISTE });
+  }
+
+  /**
+   * @async
+   * @description Recherche un modèle d'un utilisateur par son nom, sans tenir compte de la casse.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string} nom - Nom du modèle.
+   * @returns {Promise<ModeleTache|null>} Le modèle trouvé ou null.
+   */
+  async trouverParNom(utilisateurId, nom) {
+    return await ModeleTache.findOne({
+      where: {
+        utilisateur_id: utilisateurId,
+        [Op.and]: [condition(fn('lower', col('ModeleTache.nom')), nom.toLowerCase())],
+      },
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les modèles d'un utilisateur par ordre alphabétique.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<ModeleTache[]>} Modèles avec leur liste cible.
+   */
+  async listerParUtilisateur(utilisateurId) {
+    return await ModeleTache.findAll({
+      where: { utilisateur_id: utilisateurId },
+      include: ASSOCIATION_LISTE,
+      order: [['nom', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Met à jour un modèle existant.
+   * @param {string} id - UUID du modèle.
+   * @param {Object} donnees - Données à mettre à jour.
+   * @returns {Promise<ModeleTache>} Le modèle mis à jour.
+   */
+  async mettreAJour(id, donnees) {
+    await ModeleTache.update(donnees, { where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Supprime un modèle ; les tâches déjà créées à partir de lui sont conservées.
+   * @param {string} id - UUID du modèle.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await ModeleTache.destroy({ where: { id } });
+  }
+}
+
+module.exports = new ModeleTacheRepository();
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Repository pour l'entité PieceJointe.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux pièces jointes.
+ * Seules les métadonnées sont gérées ici ; le contenu des fichiers relève de src/storage.
+ * @module repositories/pieceJointeRepository
+ */
+
+const { PieceJointe } = require('../models');
+
+/**
+ * @class PieceJointeRepository
+ * @description Abstraction de l'accès aux données pour les pièces jointes.
+ */
+class PieceJointeRepository {
+  /**
+   * @async
+   * @description Enregistre les métadonnées d'une pièce jointe.
+   * @param {Object} donnees - Données de la pièce jointe.
+   * @param {string} donnees.tache_id - UUID de la tâche.
+   * @param {string} donnees.nom_fichier - Nom d'origine du fichier.
+   * @param {string} donnees.type_mime - Type MIME.
+   * @param {number} donnees.taille - Taille en octets.
+   * @param {string} donnees.cle_stockage - Clé du fichier dans le stockage.
+   * @returns {Promise<PieceJointe>} La pièce jointe créée.
+   */
+  async creer(donnees) {
+    return await PieceJointe.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Recherche une pièce jointe par son identifiant.
+   * @param {string} id - UUID de la pièce jointe.
+   * @returns {Promise<PieceJointe|null>} La pièce jointe trouvée ou null.
+   */
+  async trouverParId(id) {
+    return await PieceJointe.findByPk(id);
+  }
+
+  /**
+   * @async
+   * @description Liste les pièces jointes d'une ou plusieurs tâches, les plus récentes en premier.
+   * @param {string|string[]} tacheIds - UUID de la ou des tâches.
+   * @returns {Promise<PieceJointe[]>} Pièces jointes.
+   */
+  async listerParTaches(tacheIds) {
+    return await PieceJointe.findAll({
+      where: { tache_id: tacheIds },
+      order: [['date_creation', 'DESC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Supprime les métadonnées d'une pièce jointe.
+   * @param {string} id - UUID de la pièce jointe.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await PieceJointe.destroy({ where: { id } });
+  }
+}
+
+module.exports = new PieceJointeRepository();
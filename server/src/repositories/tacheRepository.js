@@ -4,8 +4,135 @@
  * @module repositories/tacheRepository
  */
 
-const { Op, literal } = require('sequelize');
-const { Tache, Liste, HistoriqueModification } = require('../models');
+const { Op, QueryTypes, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Tache, Liste, Tag, TacheTag, HistoriqueModification, VersionTache, ValeurChamp,
+} = require('../models');
+const { DEBUT_SURLIGNAGE, FIN_SURLIGNAGE } = require('../utils/recherche');
+
+/**
+ * @constant {Array} ATTRIBUTS_SOUS_TACHES
+ * @description Attributs calculés d'avancement des sous-tâches actives (hors corbeille) :
+ * nombre total, nombre terminées et pourcentage de progression (null sans sous-tâche).
+ */
+const ATTRIBUTS_SOUS_TACHES = [
+  [
+    literal('(SELECT COUNT(*) FROM taches AS st WHERE st.parent_id = `Tache`.`id` AND st.date_suppression IS NULL)'),
+    'nombre_sous_taches',
+  ],
+  [
+    literal("(SELECT COUNT(*) FROM taches AS st WHERE st.parent_id = `Tache`.`id` AND st.date_suppression IS NULL AND st.statut = 'TERMINEE')"),
+    'nombre_sous_taches_terminees',
+  ],
+  [
+    literal("(SELECT CAST(ROUND(100.0 * SUM(st.statut = 'TERMINEE') / COUNT(*)) AS INTEGER) FROM taches AS st WHERE st.parent_id = `Tache`.`id` AND st.date_suppression IS NULL)"),
+    'progression',
+  ],
+];
+
+/**
+ * @constant {Array} ATTRIBUTS_DEPENDANCES
+ * @description Attribut calculé : nombre de tâches bloquantes actives non terminées.
+ */
+const ATTRIBUTS_DEPENDANCES = [
+  [
+    literal("(SELECT COUNT(*) FROM dependances_taches AS d JOIN taches AS b ON b.id = d.bloquante_id WHERE d.tache_id = `Tache`.`id` AND b.date_suppression IS NULL AND b.statut != 'TERMINEE')"),
+    'nombre_bloquantes',
+  ],
+];
+
+/**
+ * @constant {Array} ATTRIBUTS_CALCULES
+ * @description Attributs calculés ajoutés aux tâches lues (sous-tâches et dépendances).
+ */
+const ATTRIBUTS_CALCULES = [...ATTRIBUTS_SOUS_TACHES, ...ATTRIBUTS_DEPENDANCES];
+
+/**
+ * @constant {Array} ASSOCIATIONS_AFFICHAGE
+ * @description Associations chargées avec une tâche pour l'affichage : sa liste, ses tags
+ * et les valeurs de ses champs personnalisés.
+ */
+const ASSOCIATIONS_AFFICHAGE = [
+  { model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] },
+  { model: Tag, as: 'tags', attributes: ['id', 'nom', 'couleur'], through: { attributes: [] } },
+  { model: ValeurChamp, as: 'valeurs_champs', attributes: ['champ_id', 'valeur'] },
+];
+
+/**
+ * @function tagsIndexes
+ * @description Expression SQL des noms des tags d'une tâche, séparés par des espaces (colonne tags de l'index).
+ * @param {string} tacheId - Expression SQL de l'UUID de la tâche.
+ * @returns {string} Sous-requête SQL.
+ */
+const tagsIndexes = (tacheId) => `(SELECT group_concat(tg.nom, ' ') FROM taches_tags AS tt JOIN tags AS tg ON tg.id = tt.tag_id WHERE tt.tache_id = ${tacheId})`;
+
+/**
+ * @constant {string} TABLE_INDEX_RECHERCHE
+ * @description Table virtuelle FTS5 de recherche plein texte (rowid = rowid de la tâche). Le tokenizer
+ * ignore casse et accents ; les préfixes de 2 et 3 caractères sont indexés. Les tâches en corbeille
+ * restent indexées : elles sont écartées à la recherche. Même schéma que la migration add-recherche-plein-texte.
+ */
+const TABLE_INDEX_RECHERCHE = `CREATE VIRTUAL TABLE IF NOT EXISTS taches_fts USING fts5(
+  titre, description, tags, tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+)`;
+
+/**
+ * @constant {Object<string, string>} TRIGGERS_INDEX_RECHERCHE
+ * @description Triggers qui tiennent l'index de recherche à jour, par nom.
+ */
+const TRIGGERS_INDEX_RECHERCHE = {
+  taches_fts_creation: `AFTER INSERT ON taches BEGIN
+    INSERT INTO taches_fts (rowid, titre, description, tags)
+    VALUES (new.rowid, new.titre, new.description, ${tagsIndexes('new.id')});
+  END`,
+  taches_fts_modification: `AFTER UPDATE OF titre, description ON taches BEGIN
+    UPDATE taches_fts SET titre = new.titre, description = new.description WHERE rowid = new.rowid;
+  END`,
+  taches_fts_suppression: `AFTER DELETE ON taches BEGIN
+    DELETE FROM taches_fts WHERE rowid = old.rowid;
+  END`,
+  taches_fts_ajout_tag: `AFTER INSERT ON taches_tags BEGIN
+    UPDATE taches_fts SET tags = ${tagsIndexes('new.tache_id')}
+    WHERE rowid = (SELECT rowid FROM taches WHERE id = new.tache_id);
+  END`,
+  taches_fts_retrait_tag: `AFTER DELETE ON taches_tags BEGIN
+    UPDATE taches_fts SET tags = ${tagsIndexes('old.tache_id')}
+    WHERE rowid = (SELECT rowid FROM taches WHERE id = old.tache_id);
+  END`,
+  taches_fts_renommage_tag: `AFTER UPDATE OF nom ON tags BEGIN
+    UPDATE taches_fts SET tags = ${tagsIndexes('(SELECT id FROM taches WHERE rowid = taches_fts.rowid)')}
+    WHERE rowid IN (SELECT t.rowid FROM taches AS t JOIN taches_tags AS tt ON tt.tache_id = t.id WHERE tt.tag_id = new.id);
+  END`,
+};
+
+/** @type {number[]} Poids BM25 des colonnes de l'index : titre, description, tags */
+const POIDS_RECHERCHE = [10.0, 1.0, 5.0];
+
+/** @type {string[]} Types de champs personnalisés filtrés par « contient » plutôt que par égalité */
+const TYPES_FILTRE_CONTIENT = ['TEXTE', 'URL'];
+
+/** @type {Array} Ordre manuel : position croissante, tâches sans position en dernier */
+const ORDRE_MANUEL = [[literal('CASE WHEN position IS NULL THEN 1 ELSE 0 END'), 'ASC'], ['position', 'ASC'], ['date_creation', 'ASC']];
+
+/** @type {Array} Priorité décroissante : urgentes d'abord */
+const ORDRE_PRIORITE = [literal("CASE priorite WHEN 'URGENTE' THEN 0 WHEN 'HAUTE' THEN 1 WHEN 'MOYENNE' THEN 2 ELSE 3 END"), 'ASC'];
+
+/**
+ * @constant {Object} ORDRES_TRI
+ * @description Clauses de tri Sequelize des tâches racines, par valeur du paramètre tri.
+ */
+const ORDRES_TRI = {
+  MANUEL: ORDRE_MANUEL,
+  ECHEANCE: [[literal('CASE WHEN date_echeance IS NULL THEN 1 ELSE 0 END'), 'ASC'], ['date_echeance', 'ASC'], ['date_creation', 'DESC']],
+  PRIORITE: [
+    ORDRE_PRIORITE,
+    [literal('CASE WHEN date_echeance IS NULL THEN 1 ELSE 0 END'), 'ASC'],
+    ['date_echeance', 'ASC'],
+  ],
+  CREATION: [['date_creation', 'DESC']],
+  TITRE: [[literal('titre COLLATE NOCASE'), 'ASC'], ['date_creation', 'DESC']],
+};
 
 /**
  * @class TacheRepository
@@ -14,29 +141,39 @@ const { Tache, Liste, HistoriqueModification } = require('../models');
 class TacheRepository {
   /**
    * @async
-   * @description Crée une nouvelle tâche en base de données.
+   * @description Crée une nouvelle tâche en base de données. Sans position fournie,
+   * une tâche racine est placée à la fin de l'ordre manuel de son utilisateur.
    * @param {Object} donnees - Données de la tâche.
    * @returns {Promise<Tache>} La tâche créée.
    */
   async creer(donnees) {
+    if (!donnees.parent_id && donnees.position === undefined) {
+      const derniere = await Tache.max('position', {
+        where: { utilisateur_id: donnees.utilisateur_id, parent_id: null },
+        paranoid: false,
+      });
+      return await Tache.create({ ...donnees, position: (derniere || 0) + 1 });
+    }
     return await Tache.create(donnees);
   }
 
   /**
    * @async
-   * @description Récupère une tâche par son ID avec sa liste associée.
+   * @description Récupère une tâche par son ID avec sa liste, ses tags et l'avancement de ses sous-tâches.
    * @param {string} id - UUID de la tâche.
    * @returns {Promise<Tache|null>} La tâche trouvée ou null.
    */
   async trouverParId(id) {
     return await Tache.findByPk(id, {
-      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
+      attributes: { include: ATTRIBUTS_CALCULES },
+      include: ASSOCIATIONS_AFFICHAGE,
     });
   }
 
   /**
    * @async
-   * @description Liste les tâches d'un utilisateur avec pagination, filtrage et tri.
+   * @description Liste les tâches racines d'un utilisateur (hors sous-tâches) avec pagination,
+   * filtrage et tri. Chaque tâche porte l'avancement de ses sous-tâches.
    * @param {string} utilisateurId - UUID de l'utilisateur.
    * @param {Object} options - Options de requête.
    * @param {number} options.page - Numéro de page (1-indexed).
@@ -44,14 +181,21 @@ class TacheRepository {
    * @param {string} [options.statut] - Filtre par statut.
    * @param {string} [options.priorite] - Filtre par priorité.
    * @param {string} [options.liste_id] - Filtre par liste.
+   * @param {string[]} [options.tags] - Filtre par tags (UUID).
+   * @param {string} [options.tags_mode='OU'] - OU : au moins un des tags ; ET : tous les tags.
+   * @param {Array<{champ: Object, valeur: *}>} [options.champs] - Filtres par champ personnalisé
+   * (valeurs normalisées) : texte et URL contiennent la valeur, les autres types lui sont égaux.
+   * @param {string} [options.tri='ECHEANCE'] - MANUEL, ECHEANCE, PRIORITE, CREATION ou TITRE.
    * @returns {Promise<{rows: Tache[], count: number}>} Tâches paginées et total.
    */
   async listerParUtilisateur(utilisateurId, options = {}) {
-    const { page = 1, limit = 20, statut, priorite, liste_id } = options;
+    const {
+      page = 1, limit = 20, statut, priorite, liste_id, tags = [], tags_mode = 'OU', champs = [], tri = 'ECHEANCE',
+    } = options;
     const offset = (page - 1) * limit;
 
     /** @type {Object} Conditions de filtrage Sequelize */
-    const where = { utilisateur_id: utilisateurId };
+    const where = { utilisateur_id: utilisateurId, parent_id: null };
 
     if (statut) {
       where.statut = statut;
@@ -62,16 +206,194 @@ class TacheRepository {
     if (liste_id) {
       where.liste_id = liste_id;
     }
+    if (tags.length > 0) {
+      const ids = tags.map((id) => sequelize.escape(id)).join(', ');
+      where.id = {
+        [Op.in]: literal(tags_mode === 'ET'
+          ? `(SELECT tache_id FROM taches_tags WHERE tag_id IN (${ids}) GROUP BY tache_id HAVING COUNT(*) = ${tags.length})`
+          : `(SELECT tache_id FROM taches_tags WHERE tag_id IN (${ids}))`),
+      };
+    }
+    if (champs.length > 0) {
+      where[Op.and] = champs.map(({ champ, valeur }) => {
+        const comparaison = TYPES_FILTRE_CONTIENT.includes(champ.type)
+          ? `json_extract(valeur, '$') LIKE ${sequelize.escape(`%${valeur}%`)}`
+          : `valeur = ${sequelize.escape(JSON.stringify(valeur))}`;
+        return {
+          id: {
+            [Op.in]: literal(`(SELECT tache_id FROM valeurs_champs WHERE champ_id = ${sequelize.escape(champ.id)} AND ${comparaison})`),
+          },
+        };
+      });
+    }
 
     return await Tache.findAndCountAll({
       where,
-      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
-      order: [[literal("CASE WHEN date_echeance IS NULL THEN 1 ELSE 0 END"), 'ASC'], ['date_echeance', 'ASC'], ['date_creation', 'DESC']],
+      attributes: { include: ATTRIBUTS_CALCULES },
+      include: ASSOCIATIONS_AFFICHAGE,
+      distinct: true,
+      order: ORDRES_TRI[tri],
       limit,
       offset,
     });
   }
 
+  /**
+   * @async
+   * @description Liste les tâches (sous-tâches comprises) d'un utilisateur dont l'échéance tombe
+   * dans une période, triées par échéance puis priorité décroissante.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string} debut - Premier jour de la période (YYYY-MM-DD).
+   * @param {string} fin - Dernier jour de la période (YYYY-MM-DD), inclus.
+   * @param {Object} [options] - Options de requête.
+   * @param {string} [options.liste_id] - Filtre par liste.
+   * @returns {Promise<Tache[]>} Tâches de la période.
+   */
+  async listerParEcheance(utilisateurId, debut, fin, options = {}) {
+    const where = { utilisateur_id: utilisateurId, date_echeance: { [Op.between]: [debut, fin] } };
+    if (options.liste_id) {
+      where.liste_id = options.liste_id;
+    }
+
+    return await Tache.findAll({
+      where,
+      attributes: { include: ATTRIBUTS_CALCULES },
+      include: ASSOCIATIONS_AFFICHAGE,
+      order: [['date_echeance', 'ASC'], ORDRE_PRIORITE, ['titre', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste toutes les tâches actives (sous-tâches comprises) d'un utilisateur ayant une
+   * date d'échéance, avec leur liste, par échéance croissante (flux iCalendar).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {Object} [options] - Options de requête.
+   * @param {string} [options.liste_id] - Filtre par liste.
+   * @returns {Promise<Tache[]>} Tâches avec échéance.
+   */
+  async listerAvecEcheance(utilisateurId, options = {}) {
+    const where = { utilisateur_id: utilisateurId, date_echeance: { [Op.ne]: null } };
+    if (options.liste_id) {
+      where.liste_id = options.liste_id;
+    }
+
+    return await Tache.findAll({
+      where,
+      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom'] }],
+      order: [['date_echeance', 'ASC'], ['date_creation', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Lit une tranche des tâches d'un utilisateur (sous-tâches comprises) pour l'export,
+   * avec le nom et la couleur de leur liste, dans un ordre stable (date de création puis UUID).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {Object} filtres - Filtres de l'export.
+   * @param {string} [filtres.statut] - Filtre par statut.
+   * @param {string} [filtres.priorite] - Filtre par priorité.
+   * @param {string} [filtres.liste_id] - Filtre par liste.
+   * @param {Object} tranche - Tranche à lire.
+   * @param {number} tranche.offset - Nombre de tâches déjà lues.
+   * @param {number} tranche.limit - Nombre maximal de tâches à lire.
+   * @returns {Promise<Tache[]>} Tâches de la tranche.
+   */
+  async listerPourExport(utilisateurId, filtres, tranche) {
+    const where = { utilisateur_id: utilisateurId };
+    if (filtres.statut) where.statut = filtres.statut;
+    if (filtres.priorite) where.priorite = filtres.priorite;
+    if (filtres.liste_id) where.liste_id = filtres.liste_id;
+
+    return await Tache.findAll({
+      where,
+      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
+      order: [['date_creation', 'ASC'], ['id', 'ASC']],
+      offset: tranche.offset,
+      limit: tranche.limit,
+    });
+  }
+
+  /**
+   * @async
+   * @description Historique des changements de statut de plusieurs tâches (export), ordre chronologique.
+   * @param {string[]} tacheIds - UUID des tâches.
+   * @returns {Promise<HistoriqueModification[]>} Entrées d'historique.
+   */
+  async listerHistoriquePourExport(tacheIds) {
+    return await HistoriqueModification.findAll({
+      where: { tache_id: { [Op.in]: tacheIds } },
+      order: [['date_modification', 'ASC'], ['id', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Propriétaire de chaque tâche existante parmi des UUID, corbeille comprise
+   * (conflits d'identifiants lors d'une restauration).
+   * @param {string[]} ids - UUID des tâches.
+   * @returns {Promise<Map<string, string>>} UUID de l'utilisateur par UUID de tâche existante.
+   */
+  async proprietairesParIds(ids) {
+    const taches = await Tache.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id', 'utilisateur_id'],
+      paranoid: false,
+      raw: true,
+    });
+    return new Map(taches.map((tache) => [tache.id, tache.utilisateur_id]));
+  }
+
+  /**
+   * @async
+   * @description Propriétaire (celui de la tâche) de chaque entrée d'historique existante parmi des UUID
+   * (conflits d'identifiants lors d'une restauration).
+   * @param {string[]} ids - UUID des entrées.
+   * @returns {Promise<Map<string, string>>} UUID de l'utilisateur par UUID d'entrée existante.
+   */
+  async proprietairesHistoriqueParIds(ids) {
+    const entrees = await HistoriqueModification.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id'],
+      include: [{ model: Tache, as: 'tache', attributes: ['utilisateur_id'], paranoid: false }],
+    });
+    return new Map(entrees.map((entree) => [entree.id, entree.tache?.utilisateur_id ?? null]));
+  }
+
+  /**
+   * @async
+   * @description Liste toutes les tâches d'un utilisateur, corbeille comprise (remplacement par une sauvegarde).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<Tache[]>} Tâches de l'utilisateur.
+   */
+  async listerToutesParUtilisateur(utilisateurId) {
+    return await Tache.findAll({
+      where: { utilisateur_id: utilisateurId },
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Parmi des identifiants d'origine, ceux déjà portés par une tâche active de l'utilisateur
+   * (détection des doublons à l'import).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string[]} uids - Identifiants d'origine à rechercher.
+   * @returns {Promise<Set<string>>} Identifiants déjà importés.
+   */
+  async uidsExternesExistants(utilisateurId, uids) {
+    if (uids.length === 0) {
+      return new Set();
+    }
+
+    const taches = await Tache.findAll({
+      where: { utilisateur_id: utilisateurId, uid_externe: { [Op.in]: uids } },
+      attributes: ['uid_externe'],
+      raw: true,
+    });
+    return new Set(taches.map((tache) => tache.uid_externe));
+  }
+
   /**
    * @async
    * @description Met à jour partiellement une tâche.
@@ -86,35 +408,313 @@ class TacheRepository {
 
   /**
    * @async
-   * @description Supprime une tâche par son ID.
+   * @description Place une tâche et ses sous-tâches actives dans la corbeille
+   * (suppression logique : même date_suppression pour toutes).
    * @param {string} id - UUID de la tâche.
-   * @returns {Promise<number>} Nombre de lignes supprimées.
+   * @returns {Promise<number>} Nombre de lignes mises en corbeille.
    */
   async supprimer(id) {
-    return await Tache.destroy({ where: { id } });
+    return await Tache.destroy({ where: { [Op.or]: [{ id }, { parent_id: id }] } });
   }
 
   /**
    * @async
-   * @description Recherche des tâches par mot-clé dans le titre et la description.
-   * @param {string} utilisateurId - UUID de l'utilisateur.
-   * @param {string} recherche - Terme de recherche.
-   * @returns {Promise<Tache[]>} Tâches correspondantes.
+   * @description Supprime définitivement une tâche (active ou en corbeille).
+   * L'historique, les versions et les sous-tâches de la tâche sont supprimés en cascade.
+   * @param {string} id - UUID de la tâche.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
    */
-  async rechercher(utilisateurId, recherche) {
-    return await Tache.findAll({
+  async supprimerDefinitivement(id) {
+    return await Tache.destroy({ where: { id }, force: true });
+  }
+
+  /**
+   * @async
+   * @description Sort une tâche de la corbeille, ainsi que les sous-tâches supprimées en même temps qu'elle.
+   * @param {string} id - UUID de la tâche.
+   * @returns {Promise<Tache>} La tâche restaurée.
+   */
+  async restaurer(id) {
+    const tache = await Tache.findByPk(id, { paranoid: false });
+    await Tache.restore({
       where: {
-        utilisateur_id: utilisateurId,
         [Op.or]: [
-          { titre: { [Op.like]: `%${recherche}%` } },
-          { description: { [Op.like]: `%${recherche}%` } },
+          { id },
+          { parent_id: id, date_suppression: tache.date_suppression },
         ],
       },
-      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
-      order: [['date_creation', 'DESC']],
+    });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Récupère une tâche placée dans la corbeille.
+   * @param {string} id - UUID de la tâche.
+   * @returns {Promise<Tache|null>} La tâche en corbeille ou null.
+   */
+  async trouverDansCorbeille(id) {
+    return await Tache.findOne({
+      where: { id, date_suppression: { [Op.ne]: null } },
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les tâches en corbeille d'un utilisateur, les plus récemment supprimées en premier.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<Tache[]>} Tâches en corbeille.
+   */
+  async listerCorbeille(utilisateurId) {
+    return await Tache.findAll({
+      where: { utilisateur_id: utilisateurId, date_suppression: { [Op.ne]: null } },
+      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'], paranoid: false }],
+      order: [['date_suppression', 'DESC']],
+      paranoid: false,
     });
   }
 
+  /**
+   * @async
+   * @description Liste les tâches placées en corbeille avant une date (tous utilisateurs).
+   * Utilisé par la purge automatique de la corbeille.
+   * @param {Date} dateLimite - Date de suppression maximale.
+   * @returns {Promise<Tache[]>} Tâches à purger.
+   */
+  async listerExpiresCorbeille(dateLimite) {
+    return await Tache.findAll({
+      where: { date_suppression: { [Op.lt]: dateLimite } },
+      paranoid: false,
+    });
+  }
+
+  /**
+   * @async
+   * @description Recherche une occurrence active d'une série récurrente par son numéro.
+   * @param {string} serieId - UUID de la série.
+   * @param {number} occurrence - Numéro de l'occurrence.
+   * @returns {Promise<Tache|null>} L'occurrence trouvée ou null.
+   */
+  async trouverOccurrence(serieId, occurrence) {
+    return await Tache.findOne({ where: { serie_id: serieId, occurrence } });
+  }
+
+  /**
+   * @async
+   * @description Récupère la tâche racine active qui précède ou suit une position dans l'ordre manuel.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {number|null} position - Position de référence (null : depuis le début ou la fin de l'ordre).
+   * @param {string} sens - AVANT (voisine précédente) ou APRES (voisine suivante).
+   * @param {string} [exclureId] - UUID d'une tâche à ignorer (la tâche déplacée).
+   * @returns {Promise<Tache|null>} La tâche voisine ou null en début / fin d'ordre.
+   */
+  async trouverVoisine(utilisateurId, position, sens, exclureId) {
+    const where = { utilisateur_id: utilisateurId, parent_id: null, position: { [Op.ne]: null } };
+    if (position !== null) {
+      where.position = sens === 'AVANT' ? { [Op.lt]: position } : { [Op.gt]: position };
+    }
+    if (exclureId) {
+      where.id = { [Op.ne]: exclureId };
+    }
+
+    return await Tache.findOne({
+      where,
+      order: [['position', sens === 'AVANT' ? 'DESC' : 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Indique si l'ordre manuel d'un utilisateur est ambigu : tâche racine sans position
+   * ou position partagée par plusieurs tâches (corbeille comprise).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<boolean>} true si les positions doivent être renumérotées.
+   */
+  async positionsAmbigues(utilisateurId) {
+    const resultat = await Tache.findOne({
+      where: { utilisateur_id: utilisateurId, parent_id: null },
+      attributes: [[literal('COUNT(*) - COUNT(DISTINCT position)'), 'ambigues']],
+      paranoid: false,
+      raw: true,
+    });
+    return resultat.ambigues > 0;
+  }
+
+  /**
+   * @async
+   * @description Renumérote les positions des tâches racines d'un utilisateur (1, 2, 3...)
+   * en conservant l'ordre manuel courant. Réservé aux cas où les positions fractionnaires
+   * ne suffisent plus (positions manquantes, en double ou trop rapprochées).
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<void>}
+   */
+  async renumeroterPositions(utilisateurId) {
+    const taches = await Tache.findAll({
+      where: { utilisateur_id: utilisateurId, parent_id: null },
+      attributes: ['id', 'position'],
+      order: [...ORDRE_MANUEL, ['id', 'ASC']],
+      paranoid: false,
+    });
+
+    for (const [index, tache] of taches.entries()) {
+      if (tache.position !== index + 1) {
+        await Tache.update({ position: index + 1 }, { where: { id: tache.id }, paranoid: false });
+      }
+    }
+  }
+
+  /**
+   * @async
+   * @description Liste les sous-tâches d'une tâche par ordre de création.
+   * @param {string} parentId - UUID de la tâche parente.
+   * @param {Object} [options] - Options de requête.
+   * @param {boolean} [options.inclureCorbeille=false] - Inclure les sous-tâches en corbeille.
+   * @returns {Promise<Tache[]>} Sous-tâches de la tâche.
+   */
+  async listerSousTaches(parentId, options = {}) {
+    const { inclureCorbeille = false } = options;
+
+    return await Tache.findAll({
+      where: { parent_id: parentId },
+      order: [['date_creation', 'ASC']],
+      paranoid: !inclureCorbeille,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste des tâches actives à partir de leurs identifiants.
+   * @param {string[]} ids - UUID des tâches.
+   * @param {Object} [options] - Options de requête.
+   * @param {boolean} [options.inclureCorbeille=false] - Inclure les tâches en corbeille.
+   * @returns {Promise<Tache[]>} Tâches trouvées (hors corbeille par défaut).
+   */
+  async listerParIds(ids, options = {}) {
+    const { inclureCorbeille = false } = options;
+
+    return await Tache.findAll({
+      where: { id: { [Op.in]: ids } },
+      attributes: ['id', 'titre', 'statut', 'priorite', 'date_echeance', 'parent_id'],
+      paranoid: !inclureCorbeille,
+    });
+  }
+
+  /**
+   * @async
+   * @description Supprime les triggers de l'index de recherche avant la synchronisation des modèles :
+   * elle recrée les tables (DROP TABLE), ce que SQLite refuse tant qu'un trigger écrit dans la table virtuelle.
+   * @returns {Promise<void>}
+   */
+  async suspendreIndexRecherche() {
+    for (const nom of Object.keys(TRIGGERS_INDEX_RECHERCHE)) {
+      await sequelize.query(`DROP TRIGGER IF EXISTS ${nom}`);
+    }
+  }
+
+  /**
+   * @async
+   * @description Crée l'index de recherche plein texte et ses triggers s'ils n'existent pas.
+   * L'index n'est reconstruit que s'il vient d'être créé ou ne correspond plus aux tâches
+   * (rowid renumérotés par la recréation d'une table, écritures faites sans les triggers).
+   * @returns {Promise<boolean>} true si l'index a été reconstruit.
+   */
+  async initialiserIndexRecherche() {
+    return await sequelize.transaction(async () => {
+      await sequelize.query(TABLE_INDEX_RECHERCHE);
+      for (const [nom, definition] of Object.entries(TRIGGERS_INDEX_RECHERCHE)) {
+        await sequelize.query(`CREATE TRIGGER IF NOT EXISTS ${nom} ${definition}`);
+      }
+
+      /** À jour : une entrée par tâche, de même rowid et de même contenu */
+      const [{ perime }] = await sequelize.query(`
+        SELECT (SELECT COUNT(*) FROM taches) != (SELECT COUNT(*) FROM taches_fts) OR EXISTS (
+          SELECT 1 FROM taches LEFT JOIN taches_fts AS f ON f.rowid = taches.rowid
+          WHERE f.rowid IS NULL OR f.titre IS NOT taches.titre OR f.description IS NOT taches.description
+            OR f.tags IS NOT ${tagsIndexes('taches.id')}
+        ) AS perime
+      `, { type: QueryTypes.SELECT });
+      if (!perime) {
+        return false;
+      }
+
+      await sequelize.query('DELETE FROM taches_fts');
+      await sequelize.query(`
+        INSERT INTO taches_fts (rowid, titre, description, tags)
+        SELECT rowid, titre, description, ${tagsIndexes('taches.id')} FROM taches
+      `);
+      return true;
+    });
+  }
+
+  /**
+   * @async
+   * @description Recherche plein texte dans le titre, la description et le nom des tags des tâches
+   * hors corbeille, classée par pertinence (BM25, le titre pesant le plus, puis les tags).
+   * Le titre est renvoyé entier et la description réduite à un extrait, passages trouvés
+   * délimités par DEBUT_SURLIGNAGE et FIN_SURLIGNAGE.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string} expression - Requête MATCH FTS5 (voir utils/recherche).
+   * @param {Object} pagination - Pagination.
+   * @param {number} pagination.page - Numéro de page.
+   * @param {number} pagination.limit - Nombre de résultats par page.
+   * @returns {Promise<{rows: Array<{tache: Tache, titre: string, description: string}>, count: number}>}
+   * Tâches de la page dans l'ordre de pertinence, avec leurs extraits, et nombre total de résultats.
+   */
+  async rechercher(utilisateurId, expression, { page, limit }) {
+    const replacements = {
+      expression,
+      utilisateurId,
+      debut: DEBUT_SURLIGNAGE,
+      fin: FIN_SURLIGNAGE,
+      limit,
+      offset: (page - 1) * limit,
+    };
+    const correspondances = `
+      FROM taches_fts JOIN taches AS t ON t.rowid = taches_fts.rowid
+      WHERE taches_fts MATCH :expression AND t.utilisateur_id = :utilisateurId AND t.date_suppression IS NULL
+    `;
+
+    const [{ total }] = await sequelize.query(`SELECT COUNT(*) AS total ${correspondances}`, {
+      replacements,
+      type: QueryTypes.SELECT,
+    });
+    const resultats = await sequelize.query(`
+      SELECT t.id,
+        highlight(taches_fts, 0, :debut, :fin) AS titre,
+        snippet(taches_fts, 1, :debut, :fin, '…', 16) AS description
+      ${correspondances}
+      ORDER BY bm25(taches_fts, ${POIDS_RECHERCHE.join(', ')}), t.date_creation DESC
+      LIMIT :limit OFFSET :offset
+    `, { replacements, type: QueryTypes.SELECT });
+
+    const taches = await Tache.findAll({
+      where: { id: { [Op.in]: resultats.map((resultat) => resultat.id) } },
+      attributes: { include: ATTRIBUTS_CALCULES },
+      include: ASSOCIATIONS_AFFICHAGE,
+    });
+    const parId = new Map(taches.map((tache) => [tache.id, tache]));
+
+    return {
+      rows: resultats
+        .filter((resultat) => parId.has(resultat.id))
+        .map(({ id, titre, description }) => ({ tache: parId.get(id), titre, description })),
+      count: total,
+    };
+  }
+
+  /**
+   * @async
+   * @description Remplace les tags d'une tâche.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {string[]} tagIds - UUID des tags (déjà vérifiés comme appartenant au propriétaire).
+   * @returns {Promise<void>}
+   */
+  async definirTags(tacheId, tagIds) {
+    await TacheTag.destroy({ where: { tache_id: tacheId } });
+    await TacheTag.bulkCreate(tagIds.map((tagId) => ({ tache_id: tacheId, tag_id: tagId })));
+  }
+
   /**
    * @async
    * @description Enregistre un changement de statut dans l'historique.
@@ -133,13 +733,123 @@ class TacheRepository {
 
   /**
    * @async
-   * @description Compte les tâches par statut pour un utilisateur.
+   * @description Recrée une entrée d'historique telle qu'elle a été sauvegardée (identifiant et date compris).
+   * @param {Object} donnees - Entrée {id, tache_id, ancien_statut, nouveau_statut, date_modification}.
+   * @returns {Promise<HistoriqueModification>} L'entrée créée.
+   */
+  async restaurerHistorique(donnees) {
+    return await HistoriqueModification.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Liste l'historique des changements de statut d'une tâche (ordre chronologique).
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object} options - Options de pagination.
+   * @param {number} options.page - Numéro de page (1-indexed).
+   * @param {number} options.limit - Nombre d'entrées par page.
+   * @returns {Promise<{rows: HistoriqueModification[], count: number}>} Entrées paginées et total.
+   */
+  async listerHistorique(tacheId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    return await HistoriqueModification.findAndCountAll({
+      where: { tache_id: tacheId },
+      order: [['date_modification', 'ASC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * @async
+   * @description Récupère l'entrée d'historique située à une position donnée (ordre chronologique).
+   * Utilisé pour calculer la durée passée dans un statut à la frontière entre deux pages.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {number} position - Position de l'entrée (0-indexed).
+   * @returns {Promise<HistoriqueModification|null>} L'entrée trouvée ou null.
+   */
+  async trouverHistoriqueParPosition(tacheId, position) {
+    return await HistoriqueModification.findOne({
+      where: { tache_id: tacheId },
+      order: [['date_modification', 'ASC']],
+      offset: position,
+    });
+  }
+
+  /**
+   * @async
+   * @description Récupère le dernier changement de statut d'une tâche.
+   * @param {string} tacheId - UUID de la tâche.
+   * @returns {Promise<HistoriqueModification|null>} La dernière entrée ou null.
+   */
+  async trouverDernierHistorique(tacheId) {
+    return await HistoriqueModification.findOne({
+      where: { tache_id: tacheId },
+      order: [['date_modification', 'DESC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Enregistre un instantané de la tâche sous un nouveau numéro de version.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object} instantane - Valeurs des champs de la tâche.
+   * @param {string} utilisateurId - UUID de l'utilisateur à l'origine de la modification.
+   * @returns {Promise<VersionTache>} La version créée.
+   */
+  async enregistrerVersion(tacheId, instantane, utilisateurId) {
+    const dernierNumero = await VersionTache.max('numero', { where: { tache_id: tacheId } });
+
+    return await VersionTache.create({
+      tache_id: tacheId,
+      numero: (dernierNumero || 0) + 1,
+      instantane,
+      utilisateur_id: utilisateurId,
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les versions d'une tâche, de la plus récente à la plus ancienne.
+   * @param {string} tacheId - UUID de la tâche.
+   * @param {Object} options - Options de pagination.
+   * @param {number} options.page - Numéro de page (1-indexed).
+   * @param {number} options.limit - Nombre de versions par page.
+   * @returns {Promise<{rows: VersionTache[], count: number}>} Versions paginées et total.
+   */
+  async listerVersions(tacheId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    return await VersionTache.findAndCountAll({
+      where: { tache_id: tacheId },
+      order: [['numero', 'DESC']],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * @async
+   * @description Recherche une version de tâche par son identifiant.
+   * @param {string} id - UUID de la version.
+   * @returns {Promise<VersionTache|null>} La version trouvée ou null.
+   */
+  async trouverVersion(id) {
+    return await VersionTache.findByPk(id);
+  }
+
+  /**
+   * @async
+   * @description Compte les tâches racines (hors sous-tâches) par statut pour un utilisateur.
    * @param {string} utilisateurId - UUID de l'utilisateur.
    * @returns {Promise<Object>} Compteurs par statut.
    */
   async compterParStatut(utilisateurId) {
     const taches = await Tache.findAll({
-      where: { utilisateur_id: utilisateurId },
+      where: { utilisateur_id: utilisateurId, parent_id: null },
       attributes: ['statut'],
     });
 
@@ -161,13 +871,67 @@ class TacheRepository {
 
   /**
    * @async
-   * @description Met à null le liste_id de toutes les tâches d'une liste.
-   * Utilisé lors de la suppression d'une liste.
+   * @description Tâches terminées et estimées d'un utilisateur (hors corbeille), avec leur liste.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {Object} [periode={}] - Bornes sur la date de complétion.
+   * @param {Date} [periode.debut] - Complétées à partir de cette date.
+   * @param {Date} [periode.fin] - Complétées avant cette date.
+   * @returns {Promise<Tache[]>} Tâches terminées ayant une estimation.
+   */
+  async listerTermineesEstimees(utilisateurId, periode = {}) {
+    const dateCompletion = { [Op.ne]: null };
+    if (periode.debut) dateCompletion[Op.gte] = periode.debut;
+    if (periode.fin) dateCompletion[Op.lt] = periode.fin;
+
+    return await Tache.findAll({
+      where: {
+        utilisateur_id: utilisateurId,
+        statut: 'TERMINEE',
+        estimation: { [Op.ne]: null },
+        date_completion: dateCompletion,
+      },
+      attributes: [
+        'id', 'titre', 'priorite', 'liste_id', 'estimation', 'unite_estimation', 'date_creation', 'date_completion',
+      ],
+      include: [{ model: Liste, as: 'liste', attributes: ['id', 'nom', 'couleur'] }],
+    });
+  }
+
+  /**
+   * @async
+   * @description Date du premier passage au statut EN_COURS de chaque tâche, d'après l'historique.
+   * @param {string[]} tacheIds - UUID des tâches.
+   * @returns {Promise<Map<string, Date>>} Date de démarrage par UUID de tâche (tâches jamais démarrées absentes).
+   */
+  async trouverPremiersDemarrages(tacheIds) {
+    const lignes = await HistoriqueModification.findAll({
+      attributes: ['tache_id', [sequelize.fn('MIN', sequelize.col('date_modification')), 'date_demarrage']],
+      where: { tache_id: { [Op.in]: tacheIds }, nouveau_statut: 'EN_COURS' },
+      group: ['tache_id'],
+      raw: true,
+    });
+    return new Map(lignes.map((ligne) => [ligne.tache_id, new Date(ligne.date_demarrage)]));
+  }
+
+  /**
+   * @async
+   * @description Récupère toutes les tâches rattachées à une liste, y compris celles en corbeille.
+   * @param {string} listeId - UUID de la liste.
+   * @returns {Promise<Tache[]>} Tâches de la liste.
+   */
+  async listerParListe(listeId) {
+    return await Tache.findAll({ where: { liste_id: listeId }, paranoid: false });
+  }
+
+  /**
+   * @async
+   * @description Met à null le liste_id de toutes les tâches d'une liste, y compris celles en corbeille.
+   * Utilisé lors de la suppression définitive d'une liste.
    * @param {string} listeId - UUID de la liste.
    * @returns {Promise<void>}
    */
   async dissocierListe(listeId) {
-    await Tache.update({ liste_id: null }, { where: { liste_id: listeId } });
+    await Tache.update({ liste_id: null }, { where: { liste_id: listeId }, paranoid: false });
   }
 }
 
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Repository pour l'entité Tag.
+ * Pattern Repository : encapsule toutes les requêtes Sequelize liées aux tags.
+ * @module repositories/tagRepository
+ */
+
+const { Op, fn, col, where: condition } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Tag } = require('../models');
+
+/**
+ * @class TagRepository
+ * @description Abstraction de l'accès aux données pour les tags des tâches.
+ */
+class TagRepository {
+  /**
+   * @async
+   * @description Crée un nouveau tag en base de données.
+   * @param {Object} donnees - Données du tag.
+   * @param {string} donnees.nom - Nom du tag.
+   * @param {string} [donnees.couleur] - Couleur hexadécimale.
+   * @param {string} donnees.utilisateur_id - UUID de l'utilisateur propriétaire.
+   * @returns {Promise<Tag>} Le tag créé.
+   */
+  async creer(donnees) {
+    return await Tag.create(donnees);
+  }
+
+  /**
+   * @async
+   * @description Recherche un tag par son identifiant UUID.
+   * @param {string} id - UUID du tag.
+   * @returns {Promise<Tag|null>} Le tag trouvé ou null.
+   */
+  async trouverParId(id) {
+    return await Tag.findByPk(id);
+  }
+
+  /**
+   * @async
+   * @description Recherche un tag d'un utilisateur par son nom, sans tenir compte de la casse.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string} nom - Nom du tag.
+   * @returns {Promise<Tag|null>} Le tag trouvé ou null.
+   */
+  async trouverParNom(utilisateurId, nom) {
+    return await Tag.findOne({
+      where: {
+        utilisateur_id: utilisateurId,
+        [Op.and]: [condition(fn('lower', col('nom')), nom.toLowerCase())],
+      },
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les tags d'un utilisateur par ordre alphabétique, avec le nombre
+   * de tâches actives (hors corbeille) qui les portent.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @returns {Promise<Tag[]>} Tags avec compteur de tâches.
+   */
+  async listerParUtilisateur(utilisateurId) {
+    return await Tag.findAll({
+      where: { utilisateur_id: utilisateurId },
+      attributes: {
+        include: [
+          [
+            sequelize.literal(
+              '(SELECT COUNT(*) FROM taches_tags JOIN taches ON taches.id = taches_tags.tache_id WHERE taches_tags.tag_id = `Tag`.`id` AND taches.date_suppression IS NULL)'
+            ),
+            'nombre_taches',
+          ],
+        ],
+      },
+      order: [['nom', 'ASC']],
+    });
+  }
+
+  /**
+   * @async
+   * @description Liste les tags d'un utilisateur parmi des identifiants donnés.
+   * @param {string} utilisateurId - UUID de l'utilisateur.
+   * @param {string[]} ids - UUID des tags.
+   * @returns {Promise<Tag[]>} Tags trouvés appartenant à l'utilisateur.
+   */
+  async listerParIds(utilisateurId, ids) {
+    return await Tag.findAll({
+      where: { utilisateur_id: utilisateurId, id: { [Op.in]: ids } },
+    });
+  }
+
+  /**
+   * @async
+   * @description Met à jour un tag existant.
+   * @param {string} id - UUID du tag.
+   * @param {Object} donnees - Données à mettre à jour (nom, couleur).
+   * @returns {Promise<Tag>} Le tag mis à jour.
+   */
+  async mettreAJour(id, donnees) {
+    await Tag.update(donnees, { where: { id } });
+    return await this.trouverParId(id);
+  }
+
+  /**
+   * @async
+   * @description Supprime un tag ; il est retiré de toutes les tâches (cascade sur taches_tags).
+   * @param {string} id - UUID du tag.
+   * @returns {Promise<number>} Nombre de lignes supprimées.
+   */
+  async supprimer(id) {
+    return await Tag.destroy({ where: { id } });
+  }
+}
+
+module.exports = new TagRepository();
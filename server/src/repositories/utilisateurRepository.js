@@ -47,6 +47,19 @@ class UtilisateurRepository {
     });
   }
 
+  /**
+   * @async
+   * @description Recherche un utilisateur par le jeton de son flux iCalendar.
+   * @param {string} jeton - Jeton du flux.
+   * @returns {Promise<Utilisateur|null>} L'utilisateur trouvé ou null.
+   */
+  async trouverParJetonCalendrier(jeton) {
+    return await Utilisateur.findOne({
+      where: { jeton_calendrier: jeton },
+      attributes: { exclude: ['mot_de_passe_hash'] },
+    });
+  }
+
   /**
    * @async
    * @description Recherche un utilisateur par son ID avec le mot de passe hash inclus.
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Routes du flux iCalendar des échéances.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Routes publiques : l'accès est contrôlé par le jeton secret de l'URL (voir /api/profil/jeton-calendrier).
+ * @module routes/calendrierRoutes
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const calendrierController = require('../controllers/calendrierController');
+const { COMPOSANTS } = require('../utils/ical');
+
+/** @type {express.Router} Routeur Express pour le flux iCalendar */
+const router = express.Router();
+
+/**
+ * @route GET /api/calendrier/:jeton.ics
+ * @description Flux iCalendar des tâches ayant une date d'échéance (abonnement depuis une application de calendrier).
+ * @param {string} jeton - Jeton secret du flux de l'utilisateur.
+ * @query {string} [liste_id] - Filtre par liste.
+ * @query {string} [composant=VTODO] - VTODO (tâches) ou VEVENT (événements sur la journée d'échéance).
+ * @returns {string} Fichier text/calendar.
+ */
+router.get(
+  '/:jeton.ics',
+  [
+    param('jeton')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Jeton de calendrier invalide.'),
+    query('liste_id')
+      .optional()
+      .isUUID()
+      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+    query('composant')
+      .optional()
+      .isIn(COMPOSANTS)
+      .withMessage(`composant doit être ${COMPOSANTS.join(' ou ')}.`),
+  ],
+  calendrierController.fluxIcal
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Routes de la corbeille des tâches et listes.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/corbeilleRoutes
+ */
+
+const express = require('express');
+const { param } = require('express-validator');
+const corbeilleController = require('../controllers/corbeilleController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/** @type {express.Router} Routeur Express pour la corbeille */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/corbeille
+ * @description Tâches et listes en corbeille de l'utilisateur avec leur date de purge.
+ * @returns {Object} {success, data: {taches, listes, retention_jours}}
+ */
+router.get('/', corbeilleController.listerCorbeille);
+
+/**
+ * @route DELETE /api/corbeille
+ * @description Vide la corbeille (suppression définitive de tous les éléments).
+ * @returns {Object} {success, data: {message, taches, listes}}
+ */
+router.delete('/', corbeilleController.viderCorbeille);
+
+/**
+ * @route POST /api/corbeille/taches/:id/restaurer
+ * @description Restaure une tâche de la corbeille.
+ * @param {string} id - UUID de la tâche.
+ * @returns {Object} {success, data: {tache}}
+ */
+router.post(
+  '/taches/:id/restaurer',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  corbeilleController.restaurerTache
+);
+
+/**
+ * @route DELETE /api/corbeille/taches/:id
+ * @description Supprime définitivement une tâche de la corbeille.
+ * @param {string} id - UUID de la tâche.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/taches/:id',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  corbeilleController.supprimerTache
+);
+
+/**
+ * @route POST /api/corbeille/listes/:id/restaurer
+ * @description Restaure une liste de la corbeille.
+ * @param {string} id - UUID de la liste.
+ * @returns {Object} {success, data: {liste}}
+ */
+router.post(
+  '/listes/:id/restaurer',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  corbeilleController.restaurerListe
+);
+
+/**
+ * @route DELETE /api/corbeille/listes/:id
+ * @description Supprime définitivement une liste de la corbeille (ses tâches sont conservées).
+ * @param {string} id - UUID de la liste.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/listes/:id',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  corbeilleController.supprimerListe
+);
+
+module.exports = router;
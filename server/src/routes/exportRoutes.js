@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Routes d'export des données.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/exportRoutes
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const exportController = require('../controllers/exportController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/** @type {express.Router} Routeur Express pour l'export */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/export
+ * @description Exporte les tâches (sous-tâches comprises) en fichier CSV ou JSON.
+ * @query {string} format - csv (tâches) ou json (listes, tâches et historique, document versionné).
+ * @query {string} [statut] - Filtre par statut.
+ * @query {string} [priorite] - Filtre par priorité.
+ * @query {string} [liste_id] - Filtre par liste.
+ * @returns {File} taches-YYYY-MM-DD.csv ou taches-YYYY-MM-DD.json
+ */
+router.get(
+  '/',
+  [
+    query('format')
+      .isIn(['csv', 'json'])
+      .withMessage('format doit être csv ou json.'),
+    query('statut')
+      .optional()
+      .isIn(['A_FAIRE', 'EN_COURS', 'TERMINEE'])
+      .withMessage('Le statut doit être A_FAIRE, EN_COURS ou TERMINEE.'),
+    query('priorite')
+      .optional()
+      .isIn(['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'])
+      .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
+    query('liste_id')
+      .optional()
+      .isUUID()
+      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  ],
+  exportController.exporter
+);
+
+module.exports = router;
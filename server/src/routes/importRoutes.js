@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Routes d'import de tâches.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/importRoutes
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const importController = require('../controllers/importController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const importMiddleware = require('../middlewares/importMiddleware');
+const { CHAMPS_CSV } = require('../utils/csv');
+
+/** @type {express.Router} Routeur Express pour les imports */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @constant {import('express-validator').ValidationChain} regleSimulation
+ * @description Règle du champ simulation (aperçu sans création), commune à tous les imports.
+ */
+const regleSimulation = body('simulation')
+  .optional()
+  .isBoolean()
+  .withMessage('simulation doit valoir true ou false.')
+  .toBoolean();
+
+/**
+ * @function lireCorrespondance
+ * @description Lit le champ correspondance : un objet est repris tel quel, une chaîne est analysée comme JSON.
+ * @param {*} valeur - Valeur reçue.
+ * @returns {*} Valeur lue, ou null si la chaîne n'est pas du JSON valide.
+ */
+const lireCorrespondance = (valeur) => {
+  if (typeof valeur !== 'string') {
+    return valeur;
+  }
+  try {
+    return JSON.parse(valeur);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @constant {Array} reglesImport
+ * @description Règles de validation des champs communs aux imports dans une liste choisie
+ * (champs texte du formulaire multipart).
+ */
+const reglesImport = [
+  body('liste_id')
+    .optional({ checkFalsy: true })
+    .isUUID()
+    .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  regleSimulation,
+];
+
+/**
+ * @route POST /api/import/ical
+ * @description Importe les tâches (VTODO) d'un fichier .ics, ou en renvoie l'aperçu avec simulation=true.
+ * @body {File} fichier - Fichier .ics (multipart/form-data).
+ * @body {string} [liste_id] - Liste cible des tâches importées.
+ * @body {boolean} [simulation=false] - Aperçu sans création.
+ * @returns {Object} {success, data: {simulation, resume, entrees}}
+ */
+router.post('/ical', importMiddleware(['.ics']), reglesImport, importController.importerIcal);
+
+/**
+ * @route POST /api/import/csv
+ * @description Importe les lignes d'un fichier .csv comme tâches (listes nommées créées au besoin),
+ * ou renvoie en-têtes, correspondance et rapport de validation par ligne avec simulation=true.
+ * @body {File} fichier - Fichier .csv (multipart/form-data), séparateur virgule, point-virgule ou tabulation.
+ * @body {string|Object} [correspondance] - JSON {champ: en-tête de colonne} ; déduite des en-têtes si absente.
+ * @body {string} [liste_id] - Liste des lignes sans nom de liste.
+ * @body {boolean} [simulation=false] - Aperçu sans création.
+ * @returns {Object} {success, data: {simulation, colonnes, correspondance, resume, lignes}}
+ */
+router.post(
+  '/csv',
+  importMiddleware(['.csv', '.txt']),
+  [
+    ...reglesImport,
+    body('correspondance')
+      .optional()
+      .custom((valeur) => {
+        const correspondance = lireCorrespondance(valeur);
+        return typeof correspondance === 'object' && correspondance !== null && !Array.isArray(correspondance)
+          && Object.entries(correspondance).every(([champ, colonne]) => CHAMPS_CSV.includes(champ) && typeof colonne === 'string');
+      })
+      .withMessage(`correspondance doit être un objet JSON {champ: en-tête de colonne}, champs parmi ${CHAMPS_CSV.join(', ')}.`)
+      .bail()
+      .customSanitizer(lireCorrespondance),
+  ],
+  importController.importerCsv
+);
+
+/**
+ * @route POST /api/import/trello
+ * @description Importe l'export JSON d'un tableau Trello dans une liste du même nom (créée au besoin),
+ * ou en renvoie l'aperçu avec simulation=true.
+ * @body {File} fichier - Fichier .json exporté depuis Trello (multipart/form-data).
+ * @body {boolean} [simulation=false] - Aperçu sans création.
+ * @returns {Object} {success, data: {simulation, liste, resume, entrees}}
+ */
+router.post('/trello', importMiddleware(['.json']), [regleSimulation], importController.importerTrello);
+
+/**
+ * @route POST /api/import/todoist
+ * @description Importe l'export CSV d'un projet Todoist dans une liste nommée d'après le fichier (créée au besoin),
+ * ou en renvoie l'aperçu avec simulation=true.
+ * @body {File} fichier - Fichier .csv exporté depuis Todoist (multipart/form-data).
+ * @body {boolean} [simulation=false] - Aperçu sans création.
+ * @returns {Object} {success, data: {simulation, liste, resume, entrees}}
+ */
+router.post('/todoist', importMiddleware(['.csv']), [regleSimulation], importController.importerTodoist);
+
+module.exports = router;
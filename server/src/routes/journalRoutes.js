@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Routes du journal d'audit des tâches et listes.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/journalRoutes
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const journalController = require('../controllers/journalController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/** @type {express.Router} Routeur Express pour le journal d'audit */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/journal
+ * @description Journal paginé des actions de l'utilisateur (par entité ou global).
+ * @query {number} [page=1] - Numéro de page.
+ * @query {number} [limit=20] - Nombre d'entrées par page (max 100).
+ * @query {string} [entite_type] - TACHE ou LISTE.
+ * @query {string} [entite_id] - UUID de l'entité.
+ * @query {string} [action] - CREATION, MODIFICATION, RESTAURATION, SUPPRESSION ou SUPPRESSION_DEFINITIVE.
+ * @returns {Object} {success, data: {journal, pagination}}
+ */
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La page doit être un entier positif.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être un entier entre 1 et 100.'),
+    query('entite_type')
+      .optional()
+      .isIn(['TACHE', 'LISTE'])
+      .withMessage('Le type d\'entité doit être TACHE ou LISTE.'),
+    query('entite_id')
+      .optional()
+      .isUUID()
+      .withMessage('L\'identifiant d\'entité doit être un UUID valide.'),
+    query('action')
+      .optional()
+      .isIn(['CREATION', 'MODIFICATION', 'RESTAURATION', 'SUPPRESSION', 'SUPPRESSION_DEFINITIVE'])
+      .withMessage('L\'action doit être CREATION, MODIFICATION, RESTAURATION, SUPPRESSION ou SUPPRESSION_DEFINITIVE.'),
+  ],
+  journalController.listerJournal
+);
+
+module.exports = router;
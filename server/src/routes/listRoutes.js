@@ -8,7 +8,9 @@
 const express = require('express');
 const { body, param } = require('express-validator');
 const taskController = require('../controllers/taskController');
+const champController = require('../controllers/champController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const { TYPES_CHAMPS } = require('../utils/champs');
 
 /** @type {express.Router} Routeur Express pour les listes */
 const router = express.Router();
@@ -16,6 +18,34 @@ const router = express.Router();
 /** Appliquer le middleware d'authentification sur toutes les routes */
 router.use(authMiddleware);
 
+/**
+ * @function reglesChamp
+ * @description Règles de validation communes à la création et à la modification d'un champ personnalisé.
+ * @param {boolean} creation - true pour la création (nom requis).
+ * @returns {Array<import('express-validator').ValidationChain>} Chaînes de validation.
+ */
+const reglesChamp = (creation) => [
+  param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+  (creation ? body('nom') : body('nom').optional())
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Le nom du champ est requis (1-50 caractères).'),
+  body('options')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('options doit être un tableau de 1 à 50 valeurs.')
+    .bail()
+    .customSanitizer((options) => [...new Set(options.map((option) => String(option).trim()))]),
+  body('options.*')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Chaque option doit contenir entre 1 et 100 caractères.'),
+  body('ordre')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('L\'ordre doit être un entier positif.')
+    .toInt(),
+];
+
 /**
  * @route POST /api/listes
  * @description Crée une nouvelle liste pour l'utilisateur connecté.
@@ -89,4 +119,69 @@ router.delete(
   taskController.supprimerListe
 );
 
+/**
+ * @route GET /api/listes/:id/champs
+ * @description Champs personnalisés d'une liste, dans leur ordre d'affichage.
+ * @param {string} id - UUID de la liste.
+ * @returns {Object} {success, data: {champs}}
+ */
+router.get(
+  '/:id/champs',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  champController.listerChamps
+);
+
+/**
+ * @route POST /api/listes/:id/champs
+ * @description Ajoute un champ personnalisé à une liste (nom unique dans la liste).
+ * @param {string} id - UUID de la liste.
+ * @body {string} nom - Nom du champ (1-50 caractères).
+ * @body {string} type - TEXTE, NOMBRE, DATE, CHOIX, CASE ou URL.
+ * @body {string[]} [options] - Valeurs proposées (requises pour CHOIX, 1-50 valeurs de 1-100 caractères).
+ * @body {number} [ordre] - Ordre d'affichage (défaut: 0).
+ * @returns {Object} {success, data: {champ}}
+ */
+router.post(
+  '/:id/champs',
+  [
+    ...reglesChamp(true),
+    body('type')
+      .isIn(TYPES_CHAMPS)
+      .withMessage(`Le type doit valoir ${TYPES_CHAMPS.join(', ')}.`),
+  ],
+  champController.creerChamp
+);
+
+/**
+ * @route PATCH /api/listes/:id/champs/:champId
+ * @description Modifie un champ personnalisé (nom, options, ordre ; le type n'est pas modifiable).
+ * @param {string} id - UUID de la liste.
+ * @param {string} champId - UUID du champ.
+ * @returns {Object} {success, data: {champ}}
+ */
+router.patch(
+  '/:id/champs/:champId',
+  [
+    ...reglesChamp(false),
+    param('champId').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+  ],
+  champController.modifierChamp
+);
+
+/**
+ * @route DELETE /api/listes/:id/champs/:champId
+ * @description Supprime un champ personnalisé et ses valeurs sur toutes les tâches.
+ * @param {string} id - UUID de la liste.
+ * @param {string} champId - UUID du champ.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id/champs/:champId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('champId').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+  ],
+  champController.supprimerChamp
+);
+
 module.exports = router;
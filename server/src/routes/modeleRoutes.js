@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Routes des modèles de tâches.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/modeleRoutes
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const modeleController = require('../controllers/modeleController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/** @type {express.Router} Routeur Express pour les modèles de tâches */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/** @type {string[]} Priorités acceptées */
+const PRIORITES = ['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'];
+
+/**
+ * @function reglesModele
+ * @description Règles de validation communes à la création et à la modification d'un modèle.
+ * @param {boolean} creation - true pour la création (nom et titre requis).
+ * @returns {Array<import('express-validator').ValidationChain>} Chaînes de validation.
+ */
+const reglesModele = (creation) => [
+  (creation ? body('nom') : body('nom').optional())
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Le nom du modèle est requis (1-100 caractères).'),
+  (creation ? body('titre') : body('titre').optional())
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le titre doit contenir entre 3 et 100 caractères.'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('La description ne peut pas dépasser 2000 caractères.'),
+  body('priorite')
+    .optional()
+    .isIn(PRIORITES)
+    .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
+  body('decalage_echeance')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Le décalage d\'échéance doit être un nombre de jours entre 0 et 3650.')
+    .toInt(),
+  body('liste_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  body('sous_taches')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('sous_taches doit être un tableau de 50 sous-tâches au plus.'),
+  body('sous_taches.*')
+    .isObject({ strict: true })
+    .withMessage('Chaque sous-tâche doit être un objet {titre, description, priorite, decalage_echeance}.'),
+  body('sous_taches.*.titre')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le titre d\'une sous-tâche doit contenir entre 3 et 100 caractères.'),
+  body('sous_taches.*.description')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('La description d\'une sous-tâche ne peut pas dépasser 2000 caractères.'),
+  body('sous_taches.*.priorite')
+    .optional()
+    .isIn(PRIORITES)
+    .withMessage('La priorité d\'une sous-tâche doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
+  body('sous_taches.*.decalage_echeance')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('Le décalage d\'échéance d\'une sous-tâche doit être un nombre de jours entre 0 et 3650.')
+    .toInt(),
+];
+
+/**
+ * @route POST /api/modeles
+ * @description Crée un modèle de tâche pour l'utilisateur connecté (nom unique, insensible à la casse).
+ * @body {string} nom - Nom du modèle (1-100 caractères).
+ * @body {string} titre - Titre de la tâche créée (3-100 caractères).
+ * @body {string} [description] - Description de la tâche créée.
+ * @body {string} [priorite] - BASSE, MOYENNE (défaut), HAUTE ou URGENTE.
+ * @body {number} [decalage_echeance] - Échéance en jours après la date d'instanciation.
+ * @body {string} [liste_id] - UUID de la liste cible.
+ * @body {Object[]} [sous_taches] - Sous-tâches {titre, description, priorite, decalage_echeance} (50 au plus).
+ * @returns {Object} {success, data: {modele}}
+ */
+router.post('/', reglesModele(true), modeleController.creerModele);
+
+/**
+ * @route GET /api/modeles
+ * @description Liste les modèles de l'utilisateur par ordre alphabétique.
+ * @returns {Object} {success, data: {modeles}}
+ */
+router.get('/', modeleController.listerModeles);
+
+/**
+ * @route GET /api/modeles/:id
+ * @description Récupère un modèle.
+ * @param {string} id - UUID du modèle.
+ * @returns {Object} {success, data: {modele}}
+ */
+router.get(
+  '/:id',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  modeleController.detailModele
+);
+
+/**
+ * @route PATCH /api/modeles/:id
+ * @description Modifie un modèle ; sous_taches remplace la liste des sous-tâches.
+ * @param {string} id - UUID du modèle.
+ * @returns {Object} {success, data: {modele}}
+ */
+router.patch(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    ...reglesModele(false),
+  ],
+  modeleController.modifierModele
+);
+
+/**
+ * @route DELETE /api/modeles/:id
+ * @description Supprime un modèle (les tâches déjà créées sont conservées).
+ * @param {string} id - UUID du modèle.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  modeleController.supprimerModele
+);
+
+/**
+ * @route POST /api/modeles/:id/instancier
+ * @description Crée une tâche et ses sous-tâches à partir du modèle.
+ * @param {string} id - UUID du modèle.
+ * @body {string} [date_reference] - Date de départ des échéances relatives (YYYY-MM-DD, défaut : aujourd'hui).
+ * @body {string|null} [liste_id] - Liste de la tâche créée (défaut : liste cible du modèle, null : aucune).
+ * @returns {Object} {success, data: {tache}}
+ */
+router.post(
+  '/:id/instancier',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('date_reference')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('La date de référence doit être au format valide (YYYY-MM-DD).'),
+    body('liste_id')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  ],
+  modeleController.instancierModele
+);
+
+module.exports = router;
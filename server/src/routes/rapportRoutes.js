@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Routes des rapports.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/rapportRoutes
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const rapportController = require('../controllers/rapportController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { DIMENSIONS } = require('../utils/estimations');
+
+/** @type {express.Router} Routeur Express pour les rapports */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/rapports/estimations
+ * @description Estimations comparées au temps écoulé et au temps suivi des tâches terminées,
+ * regroupées par liste ou priorité puis par unité d'estimation.
+ * @query {string} [regroupement=liste] - liste ou priorite.
+ * @query {string} [debut] - Date ISO 8601 : tâches complétées à partir de cette date.
+ * @query {string} [fin] - Date ISO 8601 : tâches complétées avant cette date.
+ * @returns {Object} {success, data: {regroupement, groupes, nombre_taches}}
+ */
+router.get(
+  '/estimations',
+  [
+    query('regroupement')
+      .optional()
+      .isIn(Object.keys(DIMENSIONS))
+      .withMessage(`regroupement doit valoir ${Object.keys(DIMENSIONS).join(', ')}.`),
+    query('debut')
+      .optional()
+      .isISO8601()
+      .withMessage('debut doit être une date ISO 8601.'),
+    query('fin')
+      .optional()
+      .isISO8601()
+      .withMessage('fin doit être une date ISO 8601.'),
+  ],
+  rapportController.estimations
+);
+
+module.exports = router;
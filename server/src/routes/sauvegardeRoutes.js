@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Routes de sauvegarde du compte.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/sauvegardeRoutes
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const sauvegardeController = require('../controllers/sauvegardeController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const importMiddleware = require('../middlewares/importMiddleware');
+const { MODES_RESTAURATION } = require('../services/sauvegardeService');
+
+/** @type {express.Router} Routeur Express pour les sauvegardes */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route POST /api/sauvegarde/restaurer
+ * @description Restaure une sauvegarde (export JSON) : listes, tâches et historique des statuts.
+ * @body {File} fichier - Fichier .json obtenu par GET /api/export?format=json (multipart/form-data).
+ * @body {string} [mode=FUSION] - FUSION (ajout aux données du compte) ou REMPLACEMENT (suppression préalable).
+ * @body {boolean} [simulation=false] - Résumé sans écriture.
+ * @returns {Object} {success, data: {resume}}
+ */
+router.post(
+  '/restaurer',
+  importMiddleware(['.json']),
+  [
+    body('mode')
+      .optional()
+      .isIn(MODES_RESTAURATION)
+      .withMessage(`Le mode doit être ${MODES_RESTAURATION.join(' ou ')}.`),
+    body('simulation')
+      .optional()
+      .isBoolean()
+      .withMessage('simulation doit valoir true ou false.')
+      .toBoolean(),
+  ],
+  sauvegardeController.restaurer
+);
+
+module.exports = router;
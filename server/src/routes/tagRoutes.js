@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Routes des tags.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/tagRoutes
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const tagController = require('../controllers/tagController');
+const authMiddleware = require('../middlewares/authMiddleware');
+
+/** @type {express.Router} Routeur Express pour les tags */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route POST /api/tags
+ * @description Crée un tag pour l'utilisateur connecté (nom unique, insensible à la casse).
+ * @body {string} nom - Nom du tag (1-50 caractères).
+ * @body {string} [couleur] - Couleur hexadécimale (défaut: #6B7280).
+ * @returns {Object} {success, data: {tag}}
+ */
+router.post(
+  '/',
+  [
+    body('nom')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Le nom du tag est requis (1-50 caractères).'),
+    body('couleur')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('La couleur doit être au format hexadécimal (#RRGGBB).'),
+  ],
+  tagController.creerTag
+);
+
+/**
+ * @route GET /api/tags
+ * @description Liste les tags de l'utilisateur avec le nombre de tâches associées.
+ * @returns {Object} {success, data: {tags}}
+ */
+router.get('/', tagController.listerTags);
+
+/**
+ * @route PATCH /api/tags/:id
+ * @description Modifie un tag (nom, couleur).
+ * @param {string} id - UUID du tag.
+ * @returns {Object} {success, data: {tag}}
+ */
+router.patch(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('nom')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Le nom du tag doit contenir entre 1 et 50 caractères.'),
+    body('couleur')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('La couleur doit être au format hexadécimal (#RRGGBB).'),
+  ],
+  tagController.modifierTag
+);
+
+/**
+ * @route DELETE /api/tags/:id
+ * @description Supprime un tag et le retire de toutes les tâches.
+ * @param {string} id - UUID du tag.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  tagController.supprimerTag
+);
+
+module.exports = router;
@@ -6,9 +6,17 @@
  */
 
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const taskController = require('../controllers/taskController');
+const dependanceController = require('../controllers/dependanceController');
+const commentaireController = require('../controllers/commentaireController');
+const pieceJointeController = require('../controllers/pieceJointeController');
+const tempsController = require('../controllers/tempsController');
+const { clesUuid, reglesCreationTache, reglesModificationTache, reglesLot } = require('../validators/tacheValidators');
+const { JOURS_MAX_PERIODE, joursEntre } = require('../utils/calendrier');
 const authMiddleware = require('../middlewares/authMiddleware');
+const accesTacheMiddleware = require('../middlewares/accesTacheMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
 
 /** @type {express.Router} Routeur Express pour les tâches */
 const router = express.Router();
@@ -24,34 +32,24 @@ router.use(authMiddleware);
  * @body {string} [priorite] - BASSE, MOYENNE, HAUTE, URGENTE.
  * @body {string} [date_echeance] - Date au format YYYY-MM-DD.
  * @body {string} [liste_id] - UUID de la liste.
+ * @body {string} [recurrence] - Règle RRULE (FREQ, INTERVAL, BYDAY, UNTIL ou COUNT) ; requiert date_echeance.
+ * @body {number|null} [estimation] - Effort estimé (entier, 0-100000).
+ * @body {string} [unite_estimation] - MINUTES (défaut) ou POINTS.
+ * @body {Object} [champs] - Valeurs des champs personnalisés de la liste : {UUID du champ: valeur}.
  * @returns {Object} {success, data: {tache}}
  */
-router.post(
-  '/',
-  [
-    body('titre')
-      .trim()
-      .isLength({ min: 3, max: 100 })
-      .withMessage('Le titre doit contenir entre 3 et 100 caractères.'),
-    body('description')
-      .optional({ nullable: true })
-      .isLength({ max: 2000 })
-      .withMessage('La description ne peut pas dépasser 2000 caractères.'),
-    body('priorite')
-      .optional()
-      .isIn(['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'])
-      .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
-    body('date_echeance')
-      .optional({ nullable: true })
-      .isISO8601()
-      .withMessage('La date d\'échéance doit être au format valide (YYYY-MM-DD).'),
-    body('liste_id')
-      .optional({ nullable: true })
-      .isUUID()
-      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
-  ],
-  taskController.creerTache
-);
+router.post('/', reglesCreationTache, taskController.creerTache);
+
+/**
+ * @route POST /api/taches/lot
+ * @description Applique une opération à plusieurs tâches dans une transaction et rend le résultat par tâche.
+ * @body {string[]} ids - UUID des tâches (1-100).
+ * @body {string} operation - MODIFIER, DEPLACER, SUPPRIMER (corbeille) ou RESTAURER.
+ * @body {Object} [donnees] - MODIFIER : champs à modifier (statut, priorite, date_echeance, liste_id, estimation, unite_estimation).
+ * @body {string|null} [liste_id] - DEPLACER : liste cible (null : aucune liste).
+ * @returns {Object} {success, data: {operation, reussis, echecs, resultats: [{id, success, status, error}]}}
+ */
+router.post('/lot', reglesLot, taskController.traiterLot);
 
 /**
  * @route GET /api/taches
@@ -61,9 +59,75 @@ router.post(
  * @query {string} [statut] - Filtre par statut.
  * @query {string} [priorite] - Filtre par priorité.
  * @query {string} [liste_id] - Filtre par liste.
+ * @query {string} [tags] - Filtre par tags : UUID séparés par des virgules.
+ * @query {string} [tags_mode=OU] - OU : au moins un des tags ; ET : tous les tags.
+ * @query {Object} [champs] - Filtre par champs personnalisés : champs[UUID du champ]=valeur
+ * (texte et URL : contient, autres types : égalité).
+ * @query {string} [tri=ECHEANCE] - MANUEL, ECHEANCE, PRIORITE, CREATION ou TITRE.
  * @returns {Object} {success, data: {taches, compteurs, pagination}}
  */
-router.get('/', taskController.listerTaches);
+router.get(
+  '/',
+  [
+    query('tags')
+      .optional()
+      .customSanitizer((valeur) => [...new Set([].concat(valeur).join(',').split(',').filter(Boolean))]),
+    query('tags.*')
+      .isUUID()
+      .withMessage('Les tags doivent être des UUID séparés par des virgules.'),
+    query('tags_mode')
+      .optional()
+      .isIn(['ET', 'OU'])
+      .withMessage('tags_mode doit être ET ou OU.'),
+    query('tri')
+      .optional()
+      .isIn(['MANUEL', 'ECHEANCE', 'PRIORITE', 'CREATION', 'TITRE'])
+      .withMessage('tri doit être MANUEL, ECHEANCE, PRIORITE, CREATION ou TITRE.'),
+    query('champs')
+      .optional()
+      .isObject({ strict: true })
+      .withMessage('champs doit être de la forme champs[UUID du champ]=valeur.')
+      .bail()
+      .custom(clesUuid)
+      .withMessage('champs doit être de la forme champs[UUID du champ]=valeur.'),
+  ],
+  taskController.listerTaches
+);
+
+/**
+ * @route GET /api/taches/calendrier
+ * @description Tâches (sous-tâches comprises) dont l'échéance tombe dans une période, regroupées par jour.
+ * Chaque tâche porte les marqueurs terminee et en_retard.
+ * @query {string} debut - Premier jour (YYYY-MM-DD).
+ * @query {string} fin - Dernier jour inclus (YYYY-MM-DD), au plus 92 jours après debut.
+ * @query {string} [liste_id] - Filtre par liste.
+ * @returns {Object} {success, data: {debut, fin, aujourdhui, total, jours: {YYYY-MM-DD: [taches]}}}
+ */
+router.get(
+  '/calendrier',
+  [
+    query('debut')
+      .isISO8601({ strict: true })
+      .withMessage('debut doit être une date au format YYYY-MM-DD.')
+      .bail()
+      .customSanitizer((valeur) => valeur.slice(0, 10)),
+    query('fin')
+      .isISO8601({ strict: true })
+      .withMessage('fin doit être une date au format YYYY-MM-DD.')
+      .bail()
+      .customSanitizer((valeur) => valeur.slice(0, 10))
+      .custom((fin, { req }) => {
+        const jours = joursEntre(req.query.debut, fin);
+        return jours >= 0 && jours < JOURS_MAX_PERIODE;
+      })
+      .withMessage(`La période doit commencer avant sa fin et couvrir au plus ${JOURS_MAX_PERIODE} jours.`),
+    query('liste_id')
+      .optional()
+      .isUUID()
+      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  ],
+  taskController.calendrier
+);
 
 /**
  * @route GET /api/taches/:id
@@ -78,47 +142,450 @@ router.get(
 );
 
 /**
- * @route PATCH /api/taches/:id
- * @description Modification partielle d'une tâche.
+ * @route GET /api/taches/:id/historique
+ * @description Historique paginé des changements de statut d'une tâche (vérifie propriétaire).
  * @param {string} id - UUID de la tâche.
+ * @query {number} [page=1] - Numéro de page.
+ * @query {number} [limit=20] - Nombre d'entrées par page (max 100).
+ * @returns {Object} {success, data: {historique, statut_actuel, pagination}}
+ */
+router.get(
+  '/:id/historique',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La page doit être un entier positif.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être un entier entre 1 et 100.'),
+  ],
+  taskController.historiqueTache
+);
+
+/**
+ * @route GET /api/taches/:id/sous-taches
+ * @description Sous-tâches d'une tâche, par ordre de création.
+ * @param {string} id - UUID de la tâche parente.
+ * @returns {Object} {success, data: {sous_taches}}
+ */
+router.get(
+  '/:id/sous-taches',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  taskController.listerSousTaches
+);
+
+/**
+ * @route POST /api/taches/:id/sous-taches
+ * @description Crée une sous-tâche (un seul niveau, hérite de la liste de la parente).
+ * @param {string} id - UUID de la tâche parente.
+ * @body {string} titre - Titre (3-100 caractères).
+ * @body {string} [description] - Description (max 2000 caractères).
+ * @body {string} [priorite] - BASSE, MOYENNE, HAUTE, URGENTE.
+ * @body {string} [date_echeance] - Date au format YYYY-MM-DD.
+ * @body {number|null} [estimation] - Effort estimé (entier, 0-100000).
+ * @body {string} [unite_estimation] - MINUTES (défaut) ou POINTS.
+ * @body {Object} [champs] - Valeurs des champs personnalisés de la liste : {UUID du champ: valeur}.
  * @returns {Object} {success, data: {tache}}
  */
+router.post(
+  '/:id/sous-taches',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    ...reglesCreationTache,
+  ],
+  taskController.creerSousTache
+);
+
+/**
+ * @route GET /api/taches/:id/dependances
+ * @description Graphe de dépendances d'une tâche : tâches bloquantes (amont) et bloquées (aval),
+ * directes ou indirectes, avec leur profondeur et les liens entre elles.
+ * @param {string} id - UUID de la tâche.
+ * @returns {Object} {success, data: {tache_id, bloquee, amont, aval, aretes}}
+ */
+router.get(
+  '/:id/dependances',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  dependanceController.listerDependances
+);
+
+/**
+ * @route POST /api/taches/:id/dependances
+ * @description Déclare que la tâche est bloquée par une autre tâche de l'utilisateur (refusé si cycle).
+ * @param {string} id - UUID de la tâche bloquée.
+ * @body {string} bloquante_id - UUID de la tâche bloquante.
+ * @returns {Object} {success, data: {dependance}}
+ */
+router.post(
+  '/:id/dependances',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('bloquante_id').isUUID().withMessage('L\'identifiant de la tâche bloquante doit être un UUID valide.'),
+  ],
+  dependanceController.ajouterDependance
+);
+
+/**
+ * @route DELETE /api/taches/:id/dependances/:bloquanteId
+ * @description Supprime un lien de blocage.
+ * @param {string} id - UUID de la tâche bloquée.
+ * @param {string} bloquanteId - UUID de la tâche bloquante.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id/dependances/:bloquanteId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('bloquanteId').isUUID().withMessage('L\'identifiant de la tâche bloquante doit être un UUID valide.'),
+  ],
+  dependanceController.supprimerDependance
+);
+
+/**
+ * @constant {Array} regleContenuCommentaire
+ * @description Règle de validation du corps d'un commentaire.
+ */
+const regleContenuCommentaire = body('contenu')
+  .trim()
+  .isLength({ min: 1, max: 5000 })
+  .withMessage('Le commentaire doit contenir entre 1 et 5000 caractères.');
+
+/**
+ * @route GET /api/taches/:id/commentaires
+ * @description Commentaires d'une tâche, du plus ancien au plus récent.
+ * @param {string} id - UUID de la tâche.
+ * @query {number} [page=1] - Numéro de page.
+ * @query {number} [limit=20] - Nombre de commentaires par page (max 100).
+ * @returns {Object} {success, data: {commentaires, pagination}}
+ */
+router.get(
+  '/:id/commentaires',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La page doit être un entier positif.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être un entier entre 1 et 100.'),
+  ],
+  commentaireController.listerCommentaires
+);
+
+/**
+ * @route POST /api/taches/:id/commentaires
+ * @description Ajoute un commentaire (Markdown) à une tâche.
+ * @param {string} id - UUID de la tâche.
+ * @body {string} contenu - Corps du commentaire (1-5000 caractères).
+ * @returns {Object} {success, data: {commentaire}}
+ */
+router.post(
+  '/:id/commentaires',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    regleContenuCommentaire,
+  ],
+  commentaireController.creerCommentaire
+);
+
+/**
+ * @route PATCH /api/taches/:id/commentaires/:commentaireId
+ * @description Modifie un commentaire (auteur uniquement).
+ * @param {string} id - UUID de la tâche.
+ * @param {string} commentaireId - UUID du commentaire.
+ * @body {string} contenu - Nouveau corps du commentaire.
+ * @returns {Object} {success, data: {commentaire}}
+ */
 router.patch(
-  '/:id',
+  '/:id/commentaires/:commentaireId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('commentaireId').isUUID().withMessage('L\'identifiant du commentaire doit être un UUID valide.'),
+    regleContenuCommentaire,
+  ],
+  commentaireController.modifierCommentaire
+);
+
+/**
+ * @route DELETE /api/taches/:id/commentaires/:commentaireId
+ * @description Supprime un commentaire (auteur uniquement).
+ * @param {string} id - UUID de la tâche.
+ * @param {string} commentaireId - UUID du commentaire.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id/commentaires/:commentaireId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('commentaireId').isUUID().withMessage('L\'identifiant du commentaire doit être un UUID valide.'),
+  ],
+  commentaireController.supprimerCommentaire
+);
+
+/**
+ * @route GET /api/taches/:id/pieces-jointes
+ * @description Pièces jointes d'une tâche, les plus récentes en premier.
+ * @param {string} id - UUID de la tâche.
+ * @returns {Object} {success, data: {pieces_jointes}}
+ */
+router.get(
+  '/:id/pieces-jointes',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  pieceJointeController.listerPiecesJointes
+);
+
+/**
+ * @route POST /api/taches/:id/pieces-jointes
+ * @description Joint un fichier à une tâche (multipart/form-data).
+ * L'accès à la tâche est vérifié avant la lecture du fichier.
+ * @param {string} id - UUID de la tâche.
+ * @body {File} fichier - Fichier à joindre (taille et types MIME limités par la configuration).
+ * @returns {Object} {success, data: {piece_jointe}}
+ */
+router.post(
+  '/:id/pieces-jointes',
+  [param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.')],
+  accesTacheMiddleware,
+  uploadMiddleware,
+  pieceJointeController.ajouterPieceJointe
+);
+
+/**
+ * @route GET /api/taches/:id/pieces-jointes/:pieceJointeId
+ * @description Télécharge le contenu d'une pièce jointe.
+ * @param {string} id - UUID de la tâche.
+ * @param {string} pieceJointeId - UUID de la pièce jointe.
+ * @returns {Stream} Contenu du fichier (Content-Disposition: attachment).
+ */
+router.get(
+  '/:id/pieces-jointes/:pieceJointeId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('pieceJointeId').isUUID().withMessage('L\'identifiant de la pièce jointe doit être un UUID valide.'),
+  ],
+  pieceJointeController.telechargerPieceJointe
+);
+
+/**
+ * @route DELETE /api/taches/:id/pieces-jointes/:pieceJointeId
+ * @description Supprime une pièce jointe et son fichier.
+ * @param {string} id - UUID de la tâche.
+ * @param {string} pieceJointeId - UUID de la pièce jointe.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id/pieces-jointes/:pieceJointeId',
   [
     param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
-    body('titre')
+    param('pieceJointeId').isUUID().withMessage('L\'identifiant de la pièce jointe doit être un UUID valide.'),
+  ],
+  pieceJointeController.supprimerPieceJointe
+);
+
+/**
+ * @constant {Array} regleNoteTemps
+ * @description Règle de validation de la note d'une entrée de temps.
+ */
+const regleNoteTemps = body('note')
+  .optional({ nullable: true })
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('La note ne peut pas dépasser 500 caractères.');
+
+/**
+ * @route GET /api/taches/:id/temps
+ * @description Entrées de temps d'une tâche (plus récentes en premier) et temps total enregistré.
+ * @param {string} id - UUID de la tâche.
+ * @query {number} [page=1] - Numéro de page.
+ * @query {number} [limit=20] - Nombre d'entrées par page (max 100).
+ * @returns {Object} {success, data: {entrees, total_secondes, pagination}}
+ */
+router.get(
+  '/:id/temps',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    query('page')
       .optional()
-      .trim()
-      .isLength({ min: 3, max: 100 })
-      .withMessage('Le titre doit contenir entre 3 et 100 caractères.'),
-    body('description')
-      .optional({ nullable: true })
-      .isLength({ max: 2000 })
-      .withMessage('La description ne peut pas dépasser 2000 caractères.'),
-    body('statut')
+      .isInt({ min: 1 })
+      .withMessage('La page doit être un entier positif.'),
+    query('limit')
       .optional()
-      .isIn(['A_FAIRE', 'EN_COURS', 'TERMINEE'])
-      .withMessage('Le statut doit être A_FAIRE, EN_COURS ou TERMINEE.'),
-    body('priorite')
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être un entier entre 1 et 100.'),
+  ],
+  tempsController.listerTemps
+);
+
+/**
+ * @route POST /api/taches/:id/temps
+ * @description Saisit manuellement du temps passé sur une tâche (24 heures maximum).
+ * @param {string} id - UUID de la tâche.
+ * @body {string} debut - Début (date ISO 8601).
+ * @body {string} [fin] - Fin (date ISO 8601) ; ou :
+ * @body {number} [duree_minutes] - Durée en minutes (1-1440).
+ * @body {string} [note] - Note libre (max 500 caractères).
+ * @returns {Object} {success, data: {entree}}
+ */
+router.post(
+  '/:id/temps',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('debut')
+      .isISO8601()
+      .withMessage('debut doit être une date ISO 8601.'),
+    body('fin')
       .optional()
-      .isIn(['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'])
-      .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
-    body('date_echeance')
-      .optional({ nullable: true })
       .isISO8601()
-      .withMessage('La date d\'échéance doit être au format valide.'),
-    body('liste_id')
+      .withMessage('fin doit être une date ISO 8601.'),
+    body('duree_minutes')
+      .optional()
+      .isInt({ min: 1, max: 1440 })
+      .withMessage('duree_minutes doit être un entier entre 1 et 1440.')
+      .toInt(),
+    body()
+      .custom((donnees) => (donnees.fin === undefined) !== (donnees.duree_minutes === undefined))
+      .withMessage('Indiquez soit la fin, soit la durée (duree_minutes).'),
+    regleNoteTemps,
+  ],
+  tempsController.ajouterTemps
+);
+
+/**
+ * @route PATCH /api/taches/:id/temps/:entreeId
+ * @description Modifie une entrée de temps (début, fin, note) ; la durée est recalculée.
+ * @param {string} id - UUID de la tâche.
+ * @param {string} entreeId - UUID de l'entrée.
+ * @body {string} [debut] - Début (date ISO 8601).
+ * @body {string} [fin] - Fin (date ISO 8601), sauf pour un chronomètre en cours.
+ * @body {string} [note] - Note libre (max 500 caractères).
+ * @returns {Object} {success, data: {entree}}
+ */
+router.patch(
+  '/:id/temps/:entreeId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('entreeId').isUUID().withMessage('L\'identifiant de l\'entrée doit être un UUID valide.'),
+    body('debut')
+      .optional()
+      .isISO8601()
+      .withMessage('debut doit être une date ISO 8601.'),
+    body('fin')
+      .optional()
+      .isISO8601()
+      .withMessage('fin doit être une date ISO 8601.'),
+    regleNoteTemps,
+  ],
+  tempsController.modifierTemps
+);
+
+/**
+ * @route DELETE /api/taches/:id/temps/:entreeId
+ * @description Supprime une entrée de temps.
+ * @param {string} id - UUID de la tâche.
+ * @param {string} entreeId - UUID de l'entrée.
+ * @returns {Object} {success, data: {message}}
+ */
+router.delete(
+  '/:id/temps/:entreeId',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    param('entreeId').isUUID().withMessage('L\'identifiant de l\'entrée doit être un UUID valide.'),
+  ],
+  tempsController.supprimerTemps
+);
+
+/**
+ * @route GET /api/taches/:id/versions
+ * @description Versions antérieures d'une tâche, de la plus récente à la plus ancienne.
+ * @param {string} id - UUID de la tâche.
+ * @query {number} [page=1] - Numéro de page.
+ * @query {number} [limit=20] - Nombre de versions par page (max 100).
+ * @returns {Object} {success, data: {versions, pagination}}
+ */
+router.get(
+  '/:id/versions',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('La page doit être un entier positif.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('La limite doit être un entier entre 1 et 100.'),
+  ],
+  taskController.listerVersions
+);
+
+/**
+ * @route POST /api/taches/:id/restaurer
+ * @description Restaure une tâche dans l'état d'une version antérieure.
+ * @param {string} id - UUID de la tâche.
+ * @body {string} version_id - UUID de la version à restaurer.
+ * @returns {Object} {success, data: {tache, avertissements}}
+ */
+router.post(
+  '/:id/restaurer',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('version_id').isUUID().withMessage('L\'identifiant de version doit être un UUID valide.'),
+  ],
+  taskController.restaurerVersion
+);
+
+/**
+ * @route PATCH /api/taches/:id
+ * @description Modification partielle d'une tâche.
+ * Terminer une tâche récurrente crée son occurrence suivante (échéance décalée).
+ * Passer EN_COURS ou TERMINEE est refusé (409) tant qu'une tâche bloquante n'est pas terminée.
+ * @param {string} id - UUID de la tâche.
+ * @returns {Object} {success, data: {tache}}
+ */
+router.patch(
+  '/:id',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    ...reglesModificationTache,
+  ],
+  taskController.modifierTache
+);
+
+/**
+ * @route PATCH /api/taches/:id/position
+ * @description Déplace une tâche racine dans l'ordre manuel (glisser-déposer).
+ * @param {string} id - UUID de la tâche.
+ * @body {string|null} [apres_id] - Placer juste après cette tâche (null : en tête de l'ordre).
+ * @body {string} [avant_id] - Placer juste avant cette tâche.
+ * @returns {Object} {success, data: {tache}}
+ */
+router.patch(
+  '/:id/position',
+  [
+    param('id').isUUID().withMessage('L\'identifiant doit être un UUID valide.'),
+    body('apres_id')
       .optional({ nullable: true })
       .isUUID()
-      .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+      .withMessage('apres_id doit être un UUID valide ou null.'),
+    body('avant_id')
+      .optional()
+      .isUUID()
+      .withMessage('avant_id doit être un UUID valide.'),
+    body()
+      .custom((donnees) => (donnees.apres_id === undefined) !== (donnees.avant_id === undefined))
+      .withMessage('Indiquez soit apres_id, soit avant_id.'),
   ],
-  taskController.modifierTache
+  taskController.reordonnerTache
 );
 
 /**
  * @route DELETE /api/taches/:id
- * @description Supprime une tâche (vérifie propriétaire).
+ * @description Place une tâche et ses sous-tâches dans la corbeille (vérifie propriétaire).
  * @param {string} id - UUID de la tâche.
  * @returns {Object} {success, data: {message}}
  */
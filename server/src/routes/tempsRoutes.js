@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Routes du suivi du temps (chronomètre et totaux).
+ * Les entrées de temps d'une tâche sont exposées sous /api/taches/:id/temps.
+ * Pattern Façade : l'API REST comme interface simplifiée entre client et serveur.
+ * Toutes les routes nécessitent un token JWT valide (authMiddleware).
+ * @module routes/tempsRoutes
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const tempsController = require('../controllers/tempsController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const { REGROUPEMENTS } = require('../utils/temps');
+
+/** @type {express.Router} Routeur Express pour le suivi du temps */
+const router = express.Router();
+
+/** Appliquer le middleware d'authentification sur toutes les routes */
+router.use(authMiddleware);
+
+/**
+ * @route GET /api/temps/chrono
+ * @description Chronomètre en cours de l'utilisateur (null si aucun), avec sa tâche.
+ * @returns {Object} {success, data: {chrono}}
+ */
+router.get('/chrono', tempsController.chronoEnCours);
+
+/**
+ * @route POST /api/temps/chrono
+ * @description Démarre un chronomètre sur une tâche (409 si un chronomètre est déjà en cours).
+ * @body {string} tache_id - UUID de la tâche.
+ * @body {string} [note] - Note libre (max 500 caractères).
+ * @returns {Object} {success, data: {chrono}}
+ */
+router.post(
+  '/chrono',
+  [
+    body('tache_id')
+      .isUUID()
+      .withMessage('tache_id doit être un UUID valide.'),
+    body('note')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('La note ne peut pas dépasser 500 caractères.'),
+  ],
+  tempsController.demarrerChrono
+);
+
+/**
+ * @route POST /api/temps/chrono/arreter
+ * @description Arrête le chronomètre en cours et enregistre sa durée.
+ * @returns {Object} {success, data: {entree}}
+ */
+router.post('/chrono/arreter', tempsController.arreterChrono);
+
+/**
+ * @route GET /api/temps/totaux
+ * @description Temps enregistré regroupé par tâche, liste ou semaine (entrées terminées).
+ * @query {string} [regroupement=tache] - tache, liste ou semaine.
+ * @query {string} [debut] - Date ISO 8601 : entrées commençant à partir de cette date.
+ * @query {string} [fin] - Date ISO 8601 : entrées commençant avant cette date.
+ * @returns {Object} {success, data: {regroupement, totaux, total_secondes}}
+ */
+router.get(
+  '/totaux',
+  [
+    query('regroupement')
+      .optional()
+      .isIn(Object.keys(REGROUPEMENTS))
+      .withMessage(`regroupement doit valoir ${Object.keys(REGROUPEMENTS).join(', ')}.`),
+    query('debut')
+      .optional()
+      .isISO8601()
+      .withMessage('debut doit être une date ISO 8601.'),
+    query('fin')
+      .optional()
+      .isISO8601()
+      .withMessage('fin doit être une date ISO 8601.'),
+  ],
+  tempsController.totaux
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Service de contrôle d'accès aux tâches.
+ * Partagé entre accesTacheMiddleware et les contrôleurs des éléments d'une tâche
+ * (commentaires, dépendances, pièces jointes, temps passé).
+ * @module services/accesService
+ */
+
+const tacheRepository = require('../repositories/tacheRepository');
+const { creerErreur } = require('../utils/erreurs');
+
+/**
+ * @async
+ * @function verifierAccesTache
+ * @description Vérifie que la tâche existe (hors corbeille) et appartient à l'utilisateur.
+ * @param {string} tacheId - UUID de la tâche.
+ * @param {string} utilisateurId - UUID de l'utilisateur connecté.
+ * @returns {Promise<Object>} La tâche.
+ * @throws {Error} Erreur avec status 404 si la tâche n'existe pas, 403 si elle appartient à un autre utilisateur.
+ */
+const verifierAccesTache = async (tacheId, utilisateurId) => {
+  const tache = await tacheRepository.trouverParId(tacheId);
+  if (!tache) {
+    throw creerErreur(404, 'Tâche non trouvée.');
+  }
+  if (tache.utilisateur_id !== utilisateurId) {
+    throw creerErreur(403, 'Accès non autorisé à cette tâche.');
+  }
+  return tache;
+};
+
+module.exports = {
+  verifierAccesTache,
+};
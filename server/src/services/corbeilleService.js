@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Service de la corbeille.
+ * Regroupe la suppression définitive des tâches et des listes, partagée entre
+ * les routes de la corbeille et la purge automatique.
+ * @module services/corbeilleService
+ */
+
+const tacheRepository = require('../repositories/tacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const journalRepository = require('../repositories/journalRepository');
+const pieceJointeRepository = require('../repositories/pieceJointeRepository');
+const stockage = require('../storage');
+
+/**
+ * @async
+ * @function supprimerFichiers
+ * @description Retire des fichiers joints du stockage. Un échec est seulement signalé :
+ * les pièces jointes correspondantes n'existent plus en base.
+ * @param {string[]} cles - Clés de stockage des fichiers.
+ * @returns {Promise<void>}
+ */
+const supprimerFichiers = async (cles) => {
+  for (const cle of cles) {
+    await stockage.supprimer(cle).catch((error) => {
+      console.error('Fichier de pièce jointe non supprimé du stockage :', error);
+    });
+  }
+};
+
+/**
+ * @async
+ * @function supprimerTacheDefinitivement
+ * @description Supprime définitivement une tâche (historique, versions, pièces jointes et sous-tâches compris)
+ * et journalise l'action pour elle et chacune de ses sous-tâches.
+ * Les fichiers joints sont retirés du stockage une fois la suppression en base effectuée ; dans une transaction,
+ * l'appelant passe fichiersDifferes et ne les retire (supprimerFichiers) qu'après la validation, un retour
+ * arrière rendant sinon des pièces jointes sans fichier.
+ * @param {Object} tache - Tâche à supprimer.
+ * @param {string} utilisateurId - UUID de l'auteur de l'action.
+ * @param {Object} [options] - Options.
+ * @param {string[]} [options.fichiersDifferes] - Reçoit les clés de stockage au lieu de supprimer les fichiers.
+ * @returns {Promise<void>}
+ */
+const supprimerTacheDefinitivement = async (tache, utilisateurId, { fichiersDifferes } = {}) => {
+  const sousTaches = await tacheRepository.listerSousTaches(tache.id, { inclureCorbeille: true });
+  const piecesJointes = await pieceJointeRepository.listerParTaches([tache.id, ...sousTaches.map((t) => t.id)]);
+
+  await tacheRepository.supprimerDefinitivement(tache.id);
+
+  const cles = piecesJointes.map((pieceJointe) => pieceJointe.cle_stockage);
+  if (fichiersDifferes) {
+    fichiersDifferes.push(...cles);
+  } else {
+    await supprimerFichiers(cles);
+  }
+
+  for (const sousTache of sousTaches) {
+    await journalRepository.journaliser('TACHE', 'SUPPRESSION_DEFINITIVE', sousTache, null, utilisateurId);
+  }
+  await journalRepository.journaliser('TACHE', 'SUPPRESSION_DEFINITIVE', tache, null, utilisateurId);
+};
+
+/**
+ * @async
+ * @function supprimerTachesDefinitivement
+ * @description Supprime définitivement un ensemble de tâches au nom de leur propriétaire.
+ * Les sous-tâches dont la parente fait partie de l'ensemble sont supprimées avec elle.
+ * @param {Object[]} taches - Tâches à supprimer.
+ * @param {Object} [options] - Options de supprimerTacheDefinitivement (fichiersDifferes).
+ * @returns {Promise<void>}
+ */
+const supprimerTachesDefinitivement = async (taches, options = {}) => {
+  const ids = new Set(taches.map((tache) => tache.id));
+
+  for (const tache of taches) {
+    if (!tache.parent_id || !ids.has(tache.parent_id)) {
+      await supprimerTacheDefinitivement(tache, tache.utilisateur_id, options);
+    }
+  }
+};
+
+/**
+ * @async
+ * @function supprimerListeDefinitivement
+ * @description Supprime définitivement une liste après avoir dissocié ses tâches
+ * (liste_id = NULL, journalisé pour chaque tâche), puis journalise l'action.
+ * @param {Object} liste - Liste à supprimer.
+ * @param {string} utilisateurId - UUID de l'auteur de l'action.
+ * @returns {Promise<void>}
+ */
+const supprimerListeDefinitivement = async (liste, utilisateurId) => {
+  const tachesAssociees = await tacheRepository.listerParListe(liste.id);
+  await tacheRepository.dissocierListe(liste.id);
+
+  for (const tacheAssociee of tachesAssociees) {
+    await journalRepository.journaliser(
+      'TACHE',
+      'MODIFICATION',
+      tacheAssociee,
+      { ...tacheAssociee.toJSON(), liste_id: null },
+      utilisateurId
+    );
+  }
+
+  await listeRepository.supprimerDefinitivement(liste.id);
+  await journalRepository.journaliser('LISTE', 'SUPPRESSION_DEFINITIVE', liste, null, utilisateurId);
+};
+
+/**
+ * @async
+ * @function purgerCorbeille
+ * @description Supprime définitivement les tâches et listes placées en corbeille
+ * depuis plus de retentionJours jours. Les actions sont journalisées au nom du propriétaire.
+ * @param {number} retentionJours - Durée de conservation dans la corbeille, en jours.
+ * @returns {Promise<{taches: number, listes: number}>} Nombre d'éléments purgés.
+ */
+const purgerCorbeille = async (retentionJours) => {
+  const dateLimite = new Date(Date.now() - retentionJours * 24 * 60 * 60 * 1000);
+
+  const taches = await tacheRepository.listerExpiresCorbeille(dateLimite);
+  await supprimerTachesDefinitivement(taches);
+
+  const listes = await listeRepository.listerExpiresCorbeille(dateLimite);
+  for (const liste of listes) {
+    await supprimerListeDefinitivement(liste, liste.utilisateur_id);
+  }
+
+  return { taches: taches.length, listes: listes.length };
+};
+
+module.exports = {
+  supprimerFichiers,
+  supprimerTacheDefinitivement,
+  supprimerTachesDefinitivement,
+  supprimerListeDefinitivement,
+  purgerCorbeille,
+};
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Service de restauration des sauvegardes.
+ * Une sauvegarde est le document JSON versionné de l'export (listes, tâches et historique des statuts).
+ * Elle est entièrement validée avant toute écriture, puis recréée dans une transaction, fusionnée avec
+ * les données du compte ou à leur place. Un identifiant déjà utilisé par un autre compte est remplacé
+ * par un nouvel UUID, et les références vers lui (liste, tâche parente, série, historique) suivent.
+ * @module services/sauvegardeService
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const tacheRepository = require('../repositories/tacheRepository');
+const listeRepository = require('../repositories/listeRepository');
+const journalRepository = require('../repositories/journalRepository');
+const { supprimerFichiers, supprimerTachesDefinitivement, supprimerListeDefinitivement } = require('./corbeilleService');
+const { validerDonnees } = require('../validators/tacheValidators');
+const {
+  reglesListeSauvegarde, reglesTacheSauvegarde, reglesHistoriqueSauvegarde,
+} = require('../validators/sauvegardeValidators');
+const { FORMAT_EXPORT, VERSION_EXPORT, SCHEMA_EXPORT } = require('../utils/export');
+const { creerErreur } = require('../utils/erreurs');
+
+/** @type {string[]} Modes de restauration : ajout aux données du compte ou remplacement de celles-ci */
+const MODES_RESTAURATION = ['FUSION', 'REMPLACEMENT'];
+
+/** @type {number} Nombre d'identifiants par requête de détection des conflits */
+const TAILLE_TRANCHE_IDS = 500;
+
+/**
+ * @function lireSauvegarde
+ * @description Lit le document et vérifie son format et sa version.
+ * @param {string} contenu - Contenu du fichier.
+ * @returns {Object} Document {version, filtres, listes, taches, historique}.
+ * @throws {Error} Erreur avec status 400 si le document n'est pas une sauvegarde prise en charge.
+ */
+const lireSauvegarde = (contenu) => {
+  let document;
+  try {
+    document = JSON.parse(contenu.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw creerErreur(400, 'Le fichier n\'est pas un JSON valide.');
+  }
+
+  if (!document || document.format !== FORMAT_EXPORT) {
+    throw creerErreur(400, `Ce fichier n'est pas une sauvegarde (format « ${FORMAT_EXPORT} » attendu).`);
+  }
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > VERSION_EXPORT) {
+    throw creerErreur(400, `Version de sauvegarde ${document.version} non prise en charge (version ${VERSION_EXPORT} au plus).`);
+  }
+  for (const entite of Object.keys(SCHEMA_EXPORT)) {
+    if (!Array.isArray(document[entite])) {
+      throw creerErreur(400, `La sauvegarde ne contient pas de tableau « ${entite} ».`);
+    }
+  }
+  return document;
+};
+
+/**
+ * @async
+ * @function validerEnregistrements
+ * @description Valide chaque enregistrement d'une entité (champs null traités comme absents) et vérifie
+ * que ses identifiants sont uniques.
+ * @param {string} entite - listes, taches ou historique.
+ * @param {Array<Object>} enregistrements - Enregistrements de la sauvegarde.
+ * @param {Array} regles - Règles de validation de l'entité.
+ * @returns {Promise<Array<Object>>} Enregistrements nettoyés, limités aux champs du schéma (absents : null).
+ * @throws {Error} Erreur avec status 400 désignant le premier enregistrement invalide.
+ */
+const validerEnregistrements = async (entite, enregistrements, regles) => {
+  const ids = new Set();
+  const valides = [];
+
+  for (const [index, enregistrement] of enregistrements.entries()) {
+    if (!enregistrement || typeof enregistrement !== 'object' || Array.isArray(enregistrement)) {
+      throw creerErreur(400, `${entite}[${index}] : un objet est attendu.`);
+    }
+    const renseignes = Object.fromEntries(Object.keys(SCHEMA_EXPORT[entite])
+      .filter((champ) => enregistrement[champ] !== null && enregistrement[champ] !== undefined)
+      .map((champ) => [champ, enregistrement[champ]]));
+
+    const { erreur, donnees } = await validerDonnees(regles, renseignes);
+    if (erreur) {
+      throw creerErreur(400, `${entite}[${index}] : ${erreur}`);
+    }
+    if (ids.has(donnees.id)) {
+      throw creerErreur(400, `${entite}[${index}] : l'identifiant ${donnees.id} apparaît plusieurs fois.`);
+    }
+    ids.add(donnees.id);
+    valides.push(Object.fromEntries(Object.keys(SCHEMA_EXPORT[entite]).map((champ) => [champ, donnees[champ] ?? null])));
+  }
+  return valides;
+};
+
+/**
+ * @async
+ * @function lireParTranches
+ * @description Interroge un repository par tranches d'identifiants et fusionne les résultats.
+ * @param {string[]} ids - Identifiants à rechercher.
+ * @param {Function} lire - Méthode (ids) → Promise<Map>.
+ * @returns {Promise<Map>} Résultats fusionnés.
+ */
+const lireParTranches = async (ids, lire) => {
+  const resultats = new Map();
+  for (let debut = 0; debut < ids.length; debut += TAILLE_TRANCHE_IDS) {
+    for (const [cle, valeur] of await lire(ids.slice(debut, debut + TAILLE_TRANCHE_IDS))) {
+      resultats.set(cle, valeur);
+    }
+  }
+  return resultats;
+};
+
+/**
+ * @function resoudreIdentifiant
+ * @description Action de restauration d'un enregistrement selon le propriétaire actuel de son identifiant :
+ * RESTAUREE (identifiant libre, ou remplacé avec les données du compte), IGNOREE (déjà présent dans le compte,
+ * en fusion) ou REIDENTIFIEE (identifiant pris par un autre compte : nouvel UUID).
+ * @param {string} id - Identifiant sauvegardé.
+ * @param {Map<string, string>} proprietaires - Propriétaire de chaque identifiant existant.
+ * @param {string} utilisateurId - UUID de l'utilisateur qui restaure.
+ * @param {string} mode - FUSION ou REMPLACEMENT.
+ * @returns {{action: string, id: string}} Action et identifiant à utiliser.
+ */
+const resoudreIdentifiant = (id, proprietaires, utilisateurId, mode) => {
+  if (!proprietaires.has(id)) {
+    return { action: 'RESTAUREE', id };
+  }
+  if (proprietaires.get(id) === utilisateurId) {
+    return { action: mode === 'FUSION' ? 'IGNOREE' : 'RESTAUREE', id };
+  }
+  return { action: 'REIDENTIFIEE', id: uuidv4() };
+};
+
+/**
+ * @async
+ * @function planifierRestauration
+ * @description Détermine, sans rien écrire, l'action et l'identifiant final de chaque enregistrement,
+ * et réécrit les références. Une liste, tâche parente ou série absente de la sauvegarde est conservée si elle
+ * appartient déjà au compte en fusion, sinon la référence est retirée.
+ * @param {Object} sauvegarde - Enregistrements validés {listes, taches, historique}.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {string} mode - FUSION ou REMPLACEMENT.
+ * @returns {Promise<Object>} Plan {listes, taches, historique}, chaque élément {action, donnees}.
+ * @throws {Error} Erreur avec status 400 si une entrée d'historique concerne une tâche absente de la sauvegarde.
+ */
+const planifierRestauration = async (sauvegarde, utilisateurId, mode) => {
+  const proprietairesListes = await lireParTranches([...new Set([
+    ...sauvegarde.listes.map((liste) => liste.id),
+    ...sauvegarde.taches.filter((tache) => tache.liste_id).map((tache) => tache.liste_id),
+  ])], (ids) => listeRepository.proprietairesParIds(ids));
+  const proprietairesTaches = await lireParTranches([...new Set([
+    ...sauvegarde.taches.map((tache) => tache.id),
+    ...sauvegarde.taches.filter((tache) => tache.parent_id).map((tache) => tache.parent_id),
+    ...sauvegarde.taches.filter((tache) => tache.serie_id).map((tache) => tache.serie_id),
+  ])], (ids) => tacheRepository.proprietairesParIds(ids));
+  const proprietairesHistorique = await lireParTranches(
+    sauvegarde.historique.map((entree) => entree.id),
+    (ids) => tacheRepository.proprietairesHistoriqueParIds(ids)
+  );
+
+  /** Identifiant final de chaque liste et tâche sauvegardée */
+  const idsListes = new Map();
+  const idsTaches = new Map();
+  const actionsTaches = new Map();
+
+  /**
+   * Référence vers une liste ou tâche (parente, première occurrence d'une série) : identifiant final
+   * si elle est sauvegardée, identifiant inchangé si elle appartient déjà au compte en fusion, null sinon.
+   */
+  const referencer = (id, idsFinaux, proprietaires) => {
+    if (!id) return null;
+    if (idsFinaux.has(id)) return idsFinaux.get(id);
+    return mode === 'FUSION' && proprietaires.get(id) === utilisateurId ? id : null;
+  };
+
+  const listes = sauvegarde.listes.map((liste) => {
+    const { action, id } = resoudreIdentifiant(liste.id, proprietairesListes, utilisateurId, mode);
+    idsListes.set(liste.id, id);
+    return { action, donnees: { ...liste, id } };
+  });
+
+  for (const tache of sauvegarde.taches) {
+    const { action, id } = resoudreIdentifiant(tache.id, proprietairesTaches, utilisateurId, mode);
+    idsTaches.set(tache.id, id);
+    actionsTaches.set(tache.id, action);
+  }
+
+  const taches = sauvegarde.taches.map((tache) => ({
+    action: actionsTaches.get(tache.id),
+    donnees: {
+      ...tache,
+      id: idsTaches.get(tache.id),
+      liste_id: referencer(tache.liste_id, idsListes, proprietairesListes),
+      parent_id: referencer(tache.parent_id, idsTaches, proprietairesTaches),
+      serie_id: referencer(tache.serie_id, idsTaches, proprietairesTaches),
+    },
+  }));
+
+  const historique = sauvegarde.historique.map((entree, index) => {
+    if (!idsTaches.has(entree.tache_id)) {
+      throw creerErreur(400, `historique[${index}] : la tâche ${entree.tache_id} est absente de la sauvegarde.`);
+    }
+    const resolution = actionsTaches.get(entree.tache_id) === 'IGNOREE'
+      ? { action: 'IGNOREE', id: entree.id }
+      : resoudreIdentifiant(entree.id, proprietairesHistorique, utilisateurId, mode);
+    return {
+      action: resolution.action,
+      donnees: { ...entree, id: resolution.id, tache_id: idsTaches.get(entree.tache_id) },
+    };
+  });
+
+  return { listes, taches, historique };
+};
+
+/**
+ * @function sansValeursNulles
+ * @description Retire les champs null d'un enregistrement, pour que la création applique les valeurs par défaut.
+ * @param {Object} donnees - Enregistrement.
+ * @returns {Object} Enregistrement sans champ null.
+ */
+const sansValeursNulles = (donnees) => Object.fromEntries(Object.entries(donnees).filter(([, valeur]) => valeur !== null));
+
+/**
+ * @function compter
+ * @description Nombre d'éléments du plan par action.
+ * @param {Array<{action: string}>} elements - Éléments planifiés.
+ * @returns {{restaurees: number, reidentifiees: number, ignorees: number}} Compteurs.
+ */
+const compter = (elements) => ({
+  restaurees: elements.filter((element) => element.action === 'RESTAUREE').length,
+  reidentifiees: elements.filter((element) => element.action === 'REIDENTIFIEE').length,
+  ignorees: elements.filter((element) => element.action === 'IGNOREE').length,
+});
+
+/**
+ * @async
+ * @function appliquerRestauration
+ * @description Écrit le plan : en remplacement, supprime d'abord définitivement les tâches et listes du compte
+ * (corbeille comprise) ; crée ensuite les listes, les tâches racines puis les sous-tâches, et l'historique.
+ * Chaque création est journalisée. En fusion, les tâches racines sont placées après celles du compte
+ * (une tâche racine sans position l'est aussi en remplacement).
+ * À appeler dans une transaction : les fichiers joints des tâches supprimées restent dans le stockage
+ * et leurs clés sont renvoyées, pour n'être retirés qu'une fois la transaction validée.
+ * @param {Object} plan - Plan de planifierRestauration.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {string} mode - FUSION ou REMPLACEMENT.
+ * @returns {Promise<string[]>} Clés de stockage des fichiers à supprimer après la validation.
+ */
+const appliquerRestauration = async (plan, utilisateurId, mode) => {
+  const fichiersDifferes = [];
+  if (mode === 'REMPLACEMENT') {
+    await supprimerTachesDefinitivement(await tacheRepository.listerToutesParUtilisateur(utilisateurId), { fichiersDifferes });
+    for (const liste of await listeRepository.listerToutesParUtilisateur(utilisateurId)) {
+      await supprimerListeDefinitivement(liste, utilisateurId);
+    }
+  }
+
+  const aCreer = (elements) => elements
+    .filter((element) => element.action !== 'IGNOREE')
+    .map((element) => sansValeursNulles(element.donnees));
+
+  for (const donnees of aCreer(plan.listes)) {
+    const liste = await listeRepository.creer({ ...donnees, utilisateur_id: utilisateurId });
+    await journalRepository.journaliser('LISTE', 'CREATION', null, liste, utilisateurId);
+  }
+
+  const taches = aCreer(plan.taches);
+  const racines = taches.filter((tache) => !tache.parent_id);
+  if (mode === 'FUSION') {
+    racines.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+  }
+  for (const donnees of [...racines, ...taches.filter((tache) => tache.parent_id)]) {
+    const tache = await tacheRepository.creer({
+      ...donnees,
+      position: mode === 'FUSION' ? undefined : donnees.position,
+      utilisateur_id: utilisateurId,
+    });
+    await journalRepository.journaliser('TACHE', 'CREATION', null, tache, utilisateurId);
+  }
+
+  for (const donnees of aCreer(plan.historique)) {
+    await tacheRepository.restaurerHistorique(donnees);
+  }
+
+  if (await tacheRepository.positionsAmbigues(utilisateurId)) {
+    await tacheRepository.renumeroterPositions(utilisateurId);
+  }
+  return fichiersDifferes;
+};
+
+/**
+ * @async
+ * @function restaurerSauvegarde
+ * @description Restaure une sauvegarde dans le compte d'un utilisateur. Le document est validé en entier
+ * avant toute écriture ; avec simulation, rien n'est écrit et seul le résumé est calculé.
+ * Une sauvegarde filtrée (export partiel) ne peut pas remplacer les données du compte.
+ * @param {string} contenu - Contenu du fichier de sauvegarde.
+ * @param {string} utilisateurId - UUID de l'utilisateur.
+ * @param {Object} options - Options de restauration.
+ * @param {string} options.mode - FUSION ou REMPLACEMENT.
+ * @param {boolean} options.simulation - true pour un aperçu sans écriture.
+ * @returns {Promise<Object>} Résumé {mode, simulation, version, listes, taches, historique, supprimees} : chaque entité
+ * compte les éléments restaurés, réidentifiés et ignorés ; supprimees compte les listes et tâches du compte
+ * remplacées (null en fusion).
+ * @throws {Error} Erreur avec status 400 si la sauvegarde est invalide.
+ */
+const restaurerSauvegarde = async (contenu, utilisateurId, { mode, simulation }) => {
+  const document = lireSauvegarde(contenu);
+  if (mode === 'REMPLACEMENT' && document.filtres && Object.values(document.filtres).some(Boolean)) {
+    throw creerErreur(400, 'Cette sauvegarde est un export filtré : elle ne peut être restaurée qu\'en fusion.');
+  }
+
+  const sauvegarde = {
+    listes: await validerEnregistrements('listes', document.listes, reglesListeSauvegarde),
+    taches: await validerEnregistrements('taches', document.taches, reglesTacheSauvegarde),
+    historique: await validerEnregistrements('historique', document.historique, reglesHistoriqueSauvegarde),
+  };
+  const plan = await planifierRestauration(sauvegarde, utilisateurId, mode);
+  const supprimees = mode === 'REMPLACEMENT'
+    ? {
+      listes: (await listeRepository.listerToutesParUtilisateur(utilisateurId)).length,
+      taches: (await tacheRepository.listerToutesParUtilisateur(utilisateurId)).length,
+    }
+    : null;
+
+  if (!simulation) {
+    const fichiers = await sequelize.transaction(() => appliquerRestauration(plan, utilisateurId, mode));
+    await supprimerFichiers(fichiers);
+  }
+
+  return {
+    mode,
+    simulation,
+    version: document.version,
+    listes: compter(plan.listes),
+    taches: compter(plan.taches),
+    historique: compter(plan.historique),
+    supprimees,
+  };
+};
+
+module.exports = {
+  MODES_RESTAURATION,
+  restaurerSauvegarde,
+};
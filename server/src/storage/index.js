@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Point d'entrée du stockage des pièces jointes.
+ * Sélectionne le backend configuré (appConfig.stockageType) et l'exporte comme instance unique.
+ * Pour ajouter un backend (ex. compatible S3), implémenter l'interface Stockage
+ * dans ce dossier et l'enregistrer dans BACKENDS.
+ * @module storage
+ */
+
+const appConfig = require('../config/appConfig');
+const StockageLocal = require('./stockageLocal');
+const StockageMemoire = require('./stockageMemoire');
+
+/**
+ * @interface Stockage
+ * @description Contrat commun des backends de stockage. Les clés sont générées par le serveur
+ * (jamais à partir du nom de fichier fourni par le client).
+ * @property {function(string, Buffer): Promise<void>} enregistrer - Enregistre un fichier sous une clé.
+ * @property {function(string): Promise<import('stream').Readable|null>} lire - Flux du fichier, ou null s'il n'existe pas.
+ * @property {function(string): Promise<void>} supprimer - Supprime un fichier ; sans effet s'il n'existe pas.
+ */
+
+/**
+ * @constant {Object<string, function(): Stockage>} BACKENDS
+ * @description Fabriques des backends disponibles, indexées par valeur de STOCKAGE_TYPE.
+ */
+const BACKENDS = {
+  local: () => new StockageLocal(appConfig.stockageDossier),
+  memoire: () => new StockageMemoire(),
+};
+
+/**
+ * @function creerStockage
+ * @description Instancie le backend de stockage demandé.
+ * @param {string} type - Type de backend.
+ * @returns {Stockage} Le backend.
+ * @throws {Error} Si le type est inconnu.
+ */
+const creerStockage = (type) => {
+  const fabrique = BACKENDS[type];
+  if (!fabrique) {
+    throw new Error(`Backend de stockage inconnu : ${type} (disponibles : ${Object.keys(BACKENDS).join(', ')}).`);
+  }
+  return fabrique();
+};
+
+/** @type {Stockage} Backend de stockage configuré */
+const stockage = creerStockage(appConfig.stockageType);
+
+module.exports = stockage;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Stockage des pièces jointes sur le disque local.
+ * Chaque fichier est enregistré sous le dossier racine, à l'emplacement donné par sa clé.
+ * @module storage/stockageLocal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @class StockageLocal
+ * @implements {Stockage}
+ * @description Backend de stockage sur le système de fichiers.
+ */
+class StockageLocal {
+  /**
+   * @constructor
+   * @param {string} racine - Dossier racine des fichiers (créé au besoin).
+   */
+  constructor(racine) {
+    /** @type {string} Dossier racine absolu */
+    this.racine = path.resolve(racine);
+  }
+
+  /**
+   * @description Résout le chemin d'un fichier à partir de sa clé.
+   * Refuse toute clé qui sortirait du dossier racine.
+   * @param {string} cle - Clé du fichier.
+   * @returns {string} Chemin absolu du fichier.
+   * @throws {Error} Si la clé sort du dossier racine.
+   */
+  chemin(cle) {
+    const chemin = path.resolve(this.racine, cle);
+    if (!chemin.startsWith(this.racine + path.sep)) {
+      throw new Error(`Clé de stockage invalide : ${cle}`);
+    }
+    return chemin;
+  }
+
+  /**
+   * @async
+   * @description Enregistre un fichier. Échoue si la clé est déjà utilisée.
+   * @param {string} cle - Clé du fichier.
+   * @param {Buffer} contenu - Contenu du fichier.
+   * @returns {Promise<void>}
+   */
+  async enregistrer(cle, contenu) {
+    const chemin = this.chemin(cle);
+    await fs.promises.mkdir(path.dirname(chemin), { recursive: true });
+    await fs.promises.writeFile(chemin, contenu, { flag: 'wx' });
+  }
+
+  /**
+   * @async
+   * @description Ouvre un fichier en lecture.
+   * @param {string} cle - Clé du fichier.
+   * @returns {Promise<import('stream').Readable|null>} Flux du contenu, ou null si le fichier n'existe pas.
+   */
+  async lire(cle) {
+    const chemin = this.chemin(cle);
+    try {
+      await fs.promises.access(chemin, fs.constants.R_OK);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return fs.createReadStream(chemin);
+  }
+
+  /**
+   * @async
+   * @description Supprime un fichier, puis son dossier s'il est devenu vide.
+   * Un fichier déjà absent n'est pas une erreur.
+   * @param {string} cle - Clé du fichier.
+   * @returns {Promise<void>}
+   */
+  async supprimer(cle) {
+    const chemin = this.chemin(cle);
+    try {
+      await fs.promises.unlink(chemin);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const dossier = path.dirname(chemin);
+    if (dossier !== this.racine) {
+      await fs.promises.rmdir(dossier).catch(() => {});
+    }
+  }
+}
+
+module.exports = StockageLocal;
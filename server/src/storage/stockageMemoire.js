@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Stockage des pièces jointes en mémoire (développement et tests).
+ * Les fichiers sont perdus à l'arrêt du serveur.
+ * @module storage/stockageMemoire
+ */
+
+const { Readable } = require('stream');
+
+/**
+ * @class StockageMemoire
+ * @implements {Stockage}
+ * @description Backend de stockage dans une Map du processus.
+ */
+class StockageMemoire {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /** @type {Map<string, Buffer>} Contenus indexés par clé */
+    this.fichiers = new Map();
+  }
+
+  /**
+   * @async
+   * @description Enregistre un fichier. Échoue si la clé est déjà utilisée.
+   * @param {string} cle - Clé du fichier.
+   * @param {Buffer} contenu - Contenu du fichier.
+   * @returns {Promise<void>}
+   * @throws {Error} Si la clé est déjà utilisée.
+   */
+  async enregistrer(cle, contenu) {
+    if (this.fichiers.has(cle)) {
+      throw new Error(`Clé de stockage déjà utilisée : ${cle}`);
+    }
+    this.fichiers.set(cle, Buffer.from(contenu));
+  }
+
+  /**
+   * @async
+   * @description Ouvre un fichier en lecture.
+   * @param {string} cle - Clé du fichier.
+   * @returns {Promise<import('stream').Readable|null>} Flux du contenu, ou null si le fichier n'existe pas.
+   */
+  async lire(cle) {
+    const contenu = this.fichiers.get(cle);
+    return contenu ? Readable.from([contenu]) : null;
+  }
+
+  /**
+   * @async
+   * @description Supprime un fichier. Un fichier déjà absent n'est pas une erreur.
+   * @param {string} cle - Clé du fichier.
+   * @returns {Promise<void>}
+   */
+  async supprimer(cle) {
+    this.fichiers.delete(cle);
+  }
+}
+
+module.exports = StockageMemoire;
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Calculs du calendrier des tâches : dates locales, bornes de période
+ * et regroupement des tâches par date d'échéance.
+ * @module utils/calendrier
+ */
+
+/** @type {number} Nombre maximal de jours d'une période de calendrier (un trimestre) */
+const JOURS_MAX_PERIODE = 92;
+
+/**
+ * @function versDateLocale
+ * @description Date (fuseau du serveur) au format YYYY-MM-DD.
+ * @param {Date} date - Date quelconque.
+ * @returns {string} Date au format YYYY-MM-DD.
+ */
+const versDateLocale = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * @function dateDuJour
+ * @description Date du jour (fuseau du serveur) au format YYYY-MM-DD.
+ * @returns {string} Date du jour.
+ */
+const dateDuJour = () => versDateLocale(new Date());
+
+/**
+ * @function joursEntre
+ * @description Nombre de jours calendaires séparant deux dates (fin - debut).
+ * @param {string} debut - Date YYYY-MM-DD.
+ * @param {string} fin - Date YYYY-MM-DD.
+ * @returns {number} Nombre de jours (négatif si fin précède debut).
+ */
+const joursEntre = (debut, fin) => Math.round((Date.parse(fin.slice(0, 10)) - Date.parse(debut.slice(0, 10))) / 86400000);
+
+/**
+ * @function regrouperParEcheance
+ * @description Regroupe des tâches par date d'échéance et ajoute à chacune ses marqueurs :
+ * terminee (date_completion renseignée) et en_retard (terminée après l'échéance, ou non terminée
+ * et échéance dépassée).
+ * @param {Object[]} taches - Tâches avec date_echeance, triées.
+ * @param {string} aujourdhui - Date du jour (YYYY-MM-DD).
+ * @returns {Object<string, Object[]>} Tâches par date d'échéance (YYYY-MM-DD), dans leur ordre d'origine.
+ */
+const regrouperParEcheance = (taches, aujourdhui) => {
+  const jours = {};
+
+  for (const tache of taches) {
+    const donnees = typeof tache.toJSON === 'function' ? tache.toJSON() : tache;
+    const terminee = Boolean(donnees.date_completion);
+    const enRetard = terminee
+      ? versDateLocale(new Date(donnees.date_completion)) > donnees.date_echeance
+      : donnees.date_echeance < aujourdhui;
+
+    if (!jours[donnees.date_echeance]) {
+      jours[donnees.date_echeance] = [];
+    }
+    jours[donnees.date_echeance].push({ ...donnees, terminee, en_retard: enRetard });
+  }
+
+  return jours;
+};
+
+module.exports = {
+  JOURS_MAX_PERIODE,
+  versDateLocale,
+  dateDuJour,
+  joursEntre,
+  regrouperParEcheance,
+};
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Types et conversion des valeurs des champs personnalisés.
+ * @module utils/champs
+ */
+
+const { creerErreur } = require('./erreurs');
+
+/** @type {string[]} Types de champs personnalisés */
+const TYPES_CHAMPS = ['TEXTE', 'NOMBRE', 'DATE', 'CHOIX', 'CASE', 'URL'];
+
+/** @type {number} Longueur maximale d'une valeur texte ou URL */
+const LONGUEUR_MAX_VALEUR = 500;
+
+/**
+ * @function estDateValide
+ * @description Indique si une chaîne est une date calendaire valide au format YYYY-MM-DD.
+ * @param {string} valeur - Valeur à tester.
+ * @returns {boolean} true si la date existe.
+ */
+const estDateValide = (valeur) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valeur)) {
+    return false;
+  }
+  const date = new Date(`${valeur}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(valeur);
+};
+
+/**
+ * @constant {Object<string, Function>} CONVERTISSEURS
+ * @description Pour chaque type, fonction qui renvoie la valeur normalisée ou undefined si elle est invalide.
+ * Les nombres et cases à cocher acceptent aussi leur forme texte (paramètres de requête).
+ */
+const CONVERTISSEURS = {
+  TEXTE: (valeur) => (typeof valeur === 'string' && valeur.trim().length <= LONGUEUR_MAX_VALEUR
+    ? valeur.trim()
+    : undefined),
+  NOMBRE: (valeur) => {
+    const nombre = typeof valeur === 'string' && valeur.trim() !== '' ? Number(valeur) : valeur;
+    return typeof nombre === 'number' && Number.isFinite(nombre) ? nombre : undefined;
+  },
+  DATE: (valeur) => (typeof valeur === 'string' && estDateValide(valeur) ? valeur : undefined),
+  CHOIX: (valeur, champ) => ((champ.options || []).includes(valeur) ? valeur : undefined),
+  CASE: (valeur) => {
+    if (typeof valeur === 'boolean') return valeur;
+    if (valeur === 'true') return true;
+    if (valeur === 'false') return false;
+    return undefined;
+  },
+  URL: (valeur) => {
+    if (typeof valeur !== 'string' || valeur.trim().length > LONGUEUR_MAX_VALEUR) {
+      return undefined;
+    }
+    try {
+      const url = new URL(valeur.trim());
+      return ['http:', 'https:'].includes(url.protocol) ? valeur.trim() : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  },
+};
+
+/** @type {Object<string, string>} Description du format attendu par type, pour les messages d'erreur */
+const FORMATS = {
+  TEXTE: `un texte de ${LONGUEUR_MAX_VALEUR} caractères au plus`,
+  NOMBRE: 'un nombre',
+  DATE: 'une date au format YYYY-MM-DD',
+  CHOIX: 'une des options proposées',
+  CASE: 'true ou false',
+  URL: 'une URL http(s)',
+};
+
+/**
+ * @function convertirValeur
+ * @description Valide et normalise la valeur d'un champ personnalisé selon son type
+ * (texte et URL sans espaces superflus, nombre, date YYYY-MM-DD, option existante, booléen).
+ * @param {Object} champ - Champ personnalisé (nom, type, options).
+ * @param {*} valeur - Valeur reçue.
+ * @returns {string|number|boolean} Valeur normalisée.
+ * @throws {Error} Erreur avec status 400 si la valeur ne correspond pas au type du champ.
+ */
+const convertirValeur = (champ, valeur) => {
+  const convertie = CONVERTISSEURS[champ.type](valeur, champ);
+  if (convertie === undefined || convertie === '') {
+    throw creerErreur(400, `Le champ « ${champ.nom} » doit contenir ${FORMATS[champ.type]}.`);
+  }
+  return convertie;
+};
+
+module.exports = {
+  TYPES_CHAMPS,
+  convertirValeur,
+};
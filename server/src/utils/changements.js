@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Utilitaires de comparaison d'états d'entités.
+ * Utilisés par le journal d'audit et le versionnement des tâches.
+ * @module utils/changements
+ */
+
+/**
+ * @function normaliserValeur
+ * @description Normalise une valeur de champ pour la comparaison et le stockage JSON.
+ * @param {*} valeur - Valeur brute (Date, chaîne, nombre, null...).
+ * @returns {*} Valeur normalisée (les dates deviennent des chaînes ISO).
+ */
+const normaliserValeur = (valeur) => {
+  if (valeur === undefined || valeur === null) return null;
+  if (valeur instanceof Date) return valeur.toISOString();
+  return valeur;
+};
+
+/**
+ * @function calculerChangements
+ * @description Compare deux états d'une entité et retourne les champs qui diffèrent.
+ * @param {Object|null} avant - État avant l'action (null pour une création).
+ * @param {Object|null} apres - État après l'action (null pour une suppression).
+ * @param {string[]} champs - Champs à comparer.
+ * @returns {Object} Changements au format {champ: {ancien, nouveau}}.
+ */
+const calculerChangements = (avant, apres, champs) => {
+  const changements = {};
+
+  champs.forEach((champ) => {
+    const ancien = normaliserValeur(avant ? avant[champ] : null);
+    const nouveau = normaliserValeur(apres ? apres[champ] : null);
+    const identiques = ancien === nouveau
+      || (ancien !== null && nouveau !== null && String(ancien) === String(nouveau));
+
+    if (!identiques) {
+      changements[champ] = { ancien, nouveau };
+    }
+  });
+
+  return changements;
+};
+
+module.exports = {
+  normaliserValeur,
+  calculerChangements,
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Analyse de fichiers CSV (RFC 4180) pour l'import de tâches : champs entre guillemets
+ * (séparateurs, guillemets doublés et retours à la ligne compris), séparateur détecté sur l'en-tête.
+ * @module utils/csv
+ */
+
+const { creerErreur } = require('./erreurs');
+
+/** @type {string[]} Champs des tâches pouvant être associés à une colonne CSV (liste : nom de la liste) */
+const CHAMPS_CSV = ['titre', 'description', 'priorite', 'statut', 'date_echeance', 'liste'];
+
+/** @type {string[]} Séparateurs reconnus : virgule, point-virgule (tableurs français), tabulation */
+const SEPARATEURS = [',', ';', '\t'];
+
+/**
+ * @function normaliserEntete
+ * @description Forme comparable d'un libellé : minuscules sans accents, espaces et tirets remplacés par _.
+ * @param {string} texte - Libellé (en-tête de colonne, valeur de statut ou de priorité, nom de liste ou d'étiquette).
+ * @returns {string} Libellé normalisé.
+ */
+const normaliserEntete = (texte) => texte
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[\s-]+/g, '_');
+
+/**
+ * @function detecterSeparateur
+ * @description Séparateur le plus fréquent hors guillemets sur la première ligne (virgule par défaut).
+ * @param {string} contenu - Contenu du fichier.
+ * @returns {string} Séparateur.
+ */
+const detecterSeparateur = (contenu) => {
+  const occurrences = Object.fromEntries(SEPARATEURS.map((separateur) => [separateur, 0]));
+  let entreGuillemets = false;
+
+  for (const caractere of contenu) {
+    if (caractere === '"') {
+      entreGuillemets = !entreGuillemets;
+    } else if (!entreGuillemets && (caractere === '\n' || caractere === '\r')) {
+      break;
+    } else if (!entreGuillemets && occurrences[caractere] !== undefined) {
+      occurrences[caractere] += 1;
+    }
+  }
+
+  return SEPARATEURS.reduce((meilleur, separateur) => (
+    occurrences[separateur] > occurrences[meilleur] ? separateur : meilleur
+  ));
+};
+
+/**
+ * @function analyserCsv
+ * @description Découpe un fichier CSV en lignes de cellules. Les lignes vides sont ignorées ; chaque ligne
+ * garde son numéro de ligne de tableur (en-tête : 1), un champ entre guillemets sur plusieurs lignes
+ * de texte restant dans la même ligne.
+ * @param {string} contenu - Contenu du fichier (un BOM UTF-8 initial est ignoré).
+ * @returns {{colonnes: string[], lignes: Array<{numero: number, cellules: string[]}>}} En-têtes (sans espaces
+ * autour) et lignes de données.
+ * @throws {Error} Erreur avec status 400 si le fichier est vide, si un guillemet n'est pas refermé
+ * ou si l'en-tête contient une colonne vide ou répétée.
+ */
+const analyserCsv = (contenu) => {
+  const texte = contenu.replace(/^\uFEFF/, '');
+  const separateur = detecterSeparateur(texte);
+  const lignes = [];
+
+  let cellules = [];
+  let cellule = '';
+  let entreGuillemets = false;
+  let numero = 1;
+
+  /** Termine la ligne en cours (ignorée si elle ne contient qu'une cellule vide) */
+  const terminerLigne = () => {
+    cellules.push(cellule);
+    if (cellules.length > 1 || cellules[0].trim() !== '') {
+      lignes.push({ numero, cellules });
+    }
+    cellules = [];
+    cellule = '';
+  };
+
+  for (let i = 0; i < texte.length; i += 1) {
+    const caractere = texte[i];
+
+    if (entreGuillemets) {
+      if (caractere === '"' && texte[i + 1] === '"') {
+        cellule += '"';
+        i += 1;
+      } else if (caractere === '"') {
+        entreGuillemets = false;
+      } else {
+        cellule += caractere;
+      }
+    } else if (caractere === '"' && cellule === '') {
+      entreGuillemets = true;
+    } else if (caractere === separateur) {
+      cellules.push(cellule);
+      cellule = '';
+    } else if (caractere === '\n' || caractere === '\r') {
+      if (caractere === '\r' && texte[i + 1] === '\n') i += 1;
+      terminerLigne();
+      numero += 1;
+    } else {
+      cellule += caractere;
+    }
+  }
+
+  if (entreGuillemets) {
+    throw creerErreur(400, `Guillemet non refermé à partir de la ligne ${numero}.`);
+  }
+  if (cellule !== '' || cellules.length > 0) {
+    terminerLigne();
+  }
+  if (lignes.length === 0) {
+    throw creerErreur(400, 'Le fichier CSV est vide.');
+  }
+
+  const [entete, ...donnees] = lignes;
+  const colonnes = entete.cellules.map((colonne) => colonne.trim());
+  if (colonnes.some((colonne) => colonne === '')) {
+    throw creerErreur(400, 'L\'en-tête du fichier CSV contient une colonne sans nom.');
+  }
+  const repetee = colonnes.find((colonne, index) => colonnes.indexOf(colonne) !== index);
+  if (repetee) {
+    throw creerErreur(400, `La colonne « ${repetee} » apparaît plusieurs fois dans l'en-tête.`);
+  }
+
+  return { colonnes, lignes: donnees };
+};
+
+module.exports = {
+  CHAMPS_CSV,
+  analyserCsv,
+  normaliserEntete,
+};
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview Erreurs métier portant un code HTTP.
+ * Levées par la logique partagée des contrôleurs et converties en réponse JSON
+ * dans leurs blocs catch (if (error.status) ...).
+ * @module utils/erreurs
+ */
+
+/**
+ * @function creerErreur
+ * @description Crée une erreur métier portant le code HTTP à renvoyer au client.
+ * @param {number} status - Code HTTP.
+ * @param {string} message - Message d'erreur.
+ * @returns {Error} Erreur avec propriété status.
+ */
+const creerErreur = (status, message) => {
+  const erreur = new Error(message);
+  erreur.status = status;
+  return erreur;
+};
+
+module.exports = { creerErreur };
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Comparaison des estimations avec le temps réellement passé sur les tâches terminées,
+ * par liste ou par priorité.
+ * @module utils/estimations
+ */
+
+const { dureeSecondes } = require('./temps');
+
+/** @type {string[]} Priorités de la plus haute à la plus basse (ordre d'affichage du rapport) */
+const ORDRE_PRIORITES = ['URGENTE', 'HAUTE', 'MOYENNE', 'BASSE'];
+
+/**
+ * @constant {Object<string, Function>} DIMENSIONS
+ * @description Pour chaque dimension du rapport, fonction qui renvoie la clé et le libellé d'une tâche.
+ */
+const DIMENSIONS = {
+  liste: (tache) => ({ cle: tache.liste_id || '', libelle: { liste: tache.liste || null } }),
+  priorite: (tache) => ({ cle: tache.priorite, libelle: { priorite: tache.priorite } }),
+};
+
+/**
+ * @function minutesParUnite
+ * @description Temps passé, en minutes, par unité d'estimation (1 = conforme pour une estimation en minutes).
+ * @param {number} secondes - Temps passé en secondes.
+ * @param {number} estimation - Estimation totale.
+ * @returns {number|null} Ratio arrondi au centième, null si l'estimation totale est nulle.
+ */
+const minutesParUnite = (secondes, estimation) => (
+  estimation > 0 ? Math.round((secondes / 60 / estimation) * 100) / 100 : null
+);
+
+/**
+ * @function comparerEstimations
+ * @description Regroupe des tâches terminées par dimension et unité d'estimation, et confronte
+ * l'estimation totale au temps écoulé (du premier passage EN_COURS, à défaut de la création,
+ * jusqu'à la complétion) et au temps suivi (entrées de temps terminées).
+ * @param {Object[]} taches - Tâches terminées avec estimation, date_creation, date_completion et liste.
+ * @param {Map<string, Date>} demarrages - Date du premier passage EN_COURS par UUID de tâche.
+ * @param {Map<string, number>} tempsSuivis - Temps suivi en secondes par UUID de tâche.
+ * @param {string} dimension - 'liste' ou 'priorite'.
+ * @returns {Array<Object>} Groupes : libellé, unite_estimation, nombre_taches, estimation_totale,
+ * temps_ecoule_secondes, temps_suivi_secondes, minutes_ecoulees_par_unite et minutes_suivies_par_unite.
+ */
+const comparerEstimations = (taches, demarrages, tempsSuivis, dimension) => {
+  const grouper = DIMENSIONS[dimension];
+  const groupes = new Map();
+
+  taches.forEach((tache) => {
+    const { cle, libelle } = grouper(tache);
+    const cleGroupe = `${cle}|${tache.unite_estimation}`;
+    if (!groupes.has(cleGroupe)) {
+      groupes.set(cleGroupe, {
+        ...libelle,
+        unite_estimation: tache.unite_estimation,
+        nombre_taches: 0,
+        estimation_totale: 0,
+        temps_ecoule_secondes: 0,
+        temps_suivi_secondes: 0,
+      });
+    }
+    const groupe = groupes.get(cleGroupe);
+    const debut = demarrages.get(tache.id) || tache.date_creation;
+    groupe.nombre_taches++;
+    groupe.estimation_totale += tache.estimation;
+    groupe.temps_ecoule_secondes += Math.max(0, dureeSecondes(debut, tache.date_completion));
+    groupe.temps_suivi_secondes += tempsSuivis.get(tache.id) || 0;
+  });
+
+  const resultat = [...groupes.values()].map((groupe) => ({
+    ...groupe,
+    minutes_ecoulees_par_unite: minutesParUnite(groupe.temps_ecoule_secondes, groupe.estimation_totale),
+    minutes_suivies_par_unite: minutesParUnite(groupe.temps_suivi_secondes, groupe.estimation_totale),
+  }));
+
+  return dimension === 'priorite'
+    ? resultat.sort((a, b) => ORDRE_PRIORITES.indexOf(a.priorite) - ORDRE_PRIORITES.indexOf(b.priorite)
+      || a.unite_estimation.localeCompare(b.unite_estimation))
+    : resultat.sort((a, b) => (a.liste?.nom || '').localeCompare(b.liste?.nom || '')
+      || a.unite_estimation.localeCompare(b.unite_estimation));
+};
+
+module.exports = {
+  DIMENSIONS,
+  comparerEstimations,
+};
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Format des exports de données : document JSON versionné décrivant ses propres champs
+ * (utilisable comme sauvegarde) et colonnes CSV des tâches.
+ * @module utils/export
+ */
+
+/** @type {string} Identifiant du format des documents d'export JSON */
+const FORMAT_EXPORT = 'gestionnaire-taches';
+
+/** @type {number} Version du format ; incrémentée à chaque changement incompatible des champs exportés */
+const VERSION_EXPORT = 1;
+
+/**
+ * @constant {Object} SCHEMA_EXPORT
+ * @description Champs exportés pour chaque entité, avec leur description (inclus dans le document JSON).
+ */
+const SCHEMA_EXPORT = {
+  listes: {
+    id: 'UUID de la liste',
+    nom: 'Nom de la liste',
+    couleur: 'Couleur hexadécimale (#RRGGBB)',
+    ordre: 'Ordre d\'affichage',
+  },
+  taches: {
+    id: 'UUID de la tâche',
+    titre: 'Titre (3-100 caractères)',
+    description: 'Description (Markdown, 2000 caractères au plus) ou null',
+    statut: 'A_FAIRE, EN_COURS ou TERMINEE',
+    priorite: 'BASSE, MOYENNE, HAUTE ou URGENTE',
+    date_echeance: 'Échéance (YYYY-MM-DD) ou null',
+    date_creation: 'Date de création (ISO 8601)',
+    date_completion: 'Date de complétion (ISO 8601) ou null',
+    liste_id: 'UUID de la liste (voir listes) ou null',
+    parent_id: 'UUID de la tâche parente (sous-tâche) ou null',
+    position: 'Position dans l\'ordre manuel des tâches racines ou null',
+    recurrence: 'Règle de récurrence RRULE ou null',
+    serie_id: 'UUID de la première occurrence de la série récurrente ou null',
+    occurrence: 'Numéro de l\'occurrence dans la série ou null',
+    estimation: 'Effort estimé (entier) ou null',
+    unite_estimation: 'MINUTES ou POINTS',
+    uid_externe: 'Identifiant d\'origine d\'une tâche importée ou null',
+  },
+  historique: {
+    id: 'UUID de l\'entrée d\'historique',
+    tache_id: 'UUID de la tâche (voir taches)',
+    ancien_statut: 'Statut avant le changement',
+    nouveau_statut: 'Statut après le changement',
+    date_modification: 'Date du changement (ISO 8601)',
+  },
+};
+
+/**
+ * @function serialiser
+ * @description Ne conserve d'un enregistrement que les champs exportés de son entité.
+ * @param {string} entite - listes, taches ou historique.
+ * @param {Object} enregistrement - Instance Sequelize ou objet brut.
+ * @returns {Object} Objet limité aux champs de SCHEMA_EXPORT[entite].
+ */
+const serialiser = (entite, enregistrement) => {
+  const valeurs = typeof enregistrement.toJSON === 'function' ? enregistrement.toJSON() : enregistrement;
+  return Object.fromEntries(Object.keys(SCHEMA_EXPORT[entite]).map((champ) => [champ, valeurs[champ] ?? null]));
+};
+
+/**
+ * @constant {Array<[string, Function]>} COLONNES_CSV
+ * @description Colonnes de l'export CSV des tâches : en-tête et valeur extraite de la tâche (avec sa liste).
+ */
+const COLONNES_CSV = [
+  ['id', (tache) => tache.id],
+  ['titre', (tache) => tache.titre],
+  ['description', (tache) => tache.description],
+  ['statut', (tache) => tache.statut],
+  ['priorite', (tache) => tache.priorite],
+  ['date_echeance', (tache) => tache.date_echeance],
+  ['date_creation', (tache) => tache.date_creation],
+  ['date_completion', (tache) => tache.date_completion],
+  ['liste', (tache) => tache.liste?.nom],
+  ['liste_couleur', (tache) => tache.liste?.couleur],
+  ['parent_id', (tache) => tache.parent_id],
+  ['recurrence', (tache) => tache.recurrence],
+  ['estimation', (tache) => tache.estimation],
+  ['unite_estimation', (tache) => tache.unite_estimation],
+];
+
+/**
+ * @function celluleCsv
+ * @description Formate une valeur en cellule CSV (RFC 4180) : guillemets si elle contient un séparateur,
+ * un guillemet ou un retour à la ligne ; dates en ISO 8601 ; vide pour null.
+ * @param {*} valeur - Valeur à formater.
+ * @returns {string} Cellule CSV.
+ */
+const celluleCsv = (valeur) => {
+  if (valeur === null || valeur === undefined) {
+    return '';
+  }
+  const texte = valeur instanceof Date ? valeur.toISOString() : String(valeur);
+  return /[",\r\n]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+};
+
+/**
+ * @function ligneCsv
+ * @description Formate une ligne CSV terminée par CRLF.
+ * @param {Array<*>} valeurs - Valeurs de la ligne.
+ * @returns {string} Ligne CSV.
+ */
+const ligneCsv = (valeurs) => `${valeurs.map(celluleCsv).join(',')}\r\n`;
+
+/**
+ * @function enteteCsv
+ * @description Ligne d'en-tête de l'export CSV des tâches.
+ * @returns {string} Ligne CSV des noms de colonnes.
+ */
+const enteteCsv = () => ligneCsv(COLONNES_CSV.map(([entete]) => entete));
+
+/**
+ * @function tacheCsv
+ * @description Ligne CSV d'une tâche.
+ * @param {Object} tache - Tâche avec sa liste (nom, couleur).
+ * @returns {string} Ligne CSV.
+ */
+const tacheCsv = (tache) => ligneCsv(COLONNES_CSV.map(([, valeur]) => valeur(tache)));
+
+module.exports = {
+  FORMAT_EXPORT,
+  VERSION_EXPORT,
+  SCHEMA_EXPORT,
+  serialiser,
+  enteteCsv,
+  tacheCsv,
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Parcours du graphe de dépendances entre tâches.
+ * Les arêtes sont des liens {tache_id, bloquante_id} : « tache_id est bloquée par bloquante_id ».
+ * @module utils/graphe
+ */
+
+/**
+ * @function parcourirGraphe
+ * @description Parcours en largeur depuis une tâche, vers l'amont (ses bloquantes, récursivement)
+ * ou vers l'aval (les tâches qu'elle bloque, récursivement).
+ * @param {Array<{tache_id: string, bloquante_id: string}>} aretes - Arêtes du graphe.
+ * @param {string} depart - UUID de la tâche de départ.
+ * @param {string} sens - 'amont' ou 'aval'.
+ * @returns {Map<string, number>} Tâches atteintes (hors départ) et leur profondeur (1 = lien direct).
+ */
+const parcourirGraphe = (aretes, depart, sens) => {
+  const [source, cible] = sens === 'amont' ? ['tache_id', 'bloquante_id'] : ['bloquante_id', 'tache_id'];
+
+  /** @type {Map<string, string[]>} Liste d'adjacence dans le sens du parcours */
+  const adjacence = new Map();
+  aretes.forEach((arete) => {
+    if (!adjacence.has(arete[source])) adjacence.set(arete[source], []);
+    adjacence.get(arete[source]).push(arete[cible]);
+  });
+
+  const profondeurs = new Map();
+  let file = [depart];
+  let profondeur = 0;
+
+  while (file.length > 0) {
+    profondeur++;
+    const suivante = [];
+    for (const noeud of file) {
+      for (const voisin of adjacence.get(noeud) || []) {
+        if (voisin !== depart && !profondeurs.has(voisin)) {
+          profondeurs.set(voisin, profondeur);
+          suivante.push(voisin);
+        }
+      }
+    }
+    file = suivante;
+  }
+
+  return profondeurs;
+};
+
+/**
+ * @function creeraitCycle
+ * @description Indique si l'ajout du lien « tacheId bloquée par bloquanteId » formerait un cycle,
+ * c'est-à-dire si tacheId bloque déjà bloquanteId, directement ou indirectement.
+ * @param {Array<{tache_id: string, bloquante_id: string}>} aretes - Arêtes existantes.
+ * @param {string} tacheId - UUID de la tâche à bloquer.
+ * @param {string} bloquanteId - UUID de la tâche bloquante.
+ * @returns {boolean} true si le lien formerait un cycle.
+ */
+const creeraitCycle = (aretes, tacheId, bloquanteId) => (
+  tacheId === bloquanteId || parcourirGraphe(aretes, bloquanteId, 'amont').has(tacheId)
+);
+
+module.exports = {
+  parcourirGraphe,
+  creeraitCycle,
+};
@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Génération de flux iCalendar (RFC 5545) à partir des tâches : une entrée VTODO
+ * (ou VEVENT sur la journée) par tâche ayant une date d'échéance. Analyse des entrées VTODO
+ * d'un fichier .ics pour l'import.
+ * @module utils/ical
+ */
+
+const { creerErreur } = require('./erreurs');
+
+/** @type {string} Identifiant du produit émetteur (PRODID) */
+const PRODID = '-//Gestionnaire de taches//Flux des echeances//FR';
+
+/** @type {string} Domaine des UID des entrées (UUID de la tâche @ domaine) */
+const DOMAINE_UID = 'gestionnaire-taches';
+
+/** @type {number} Longueur maximale d'une ligne avant repli, en octets (hors CRLF) */
+const LONGUEUR_LIGNE_MAX = 75;
+
+/** @type {string[]} Composants acceptés pour les entrées du flux */
+const COMPOSANTS = ['VTODO', 'VEVENT'];
+
+/**
+ * @constant {Object} STATUTS_VTODO
+ * @description Statut iCalendar (STATUS) d'une tâche selon son statut.
+ */
+const STATUTS_VTODO = {
+  A_FAIRE: 'NEEDS-ACTION',
+  EN_COURS: 'IN-PROCESS',
+  TERMINEE: 'COMPLETED',
+};
+
+/**
+ * @constant {Object} PRIORITES_ICAL
+ * @description Priorité iCalendar (PRIORITY, 1 = la plus haute, 9 = la plus basse) par priorité de tâche.
+ */
+const PRIORITES_ICAL = {
+  URGENTE: 1,
+  HAUTE: 3,
+  MOYENNE: 5,
+  BASSE: 9,
+};
+
+/**
+ * @constant {Object} STATUTS_IMPORT
+ * @description Statut de tâche correspondant au STATUS d'un VTODO (CANCELLED n'a pas d'équivalent).
+ */
+const STATUTS_IMPORT = {
+  'NEEDS-ACTION': 'A_FAIRE',
+  'IN-PROCESS': 'EN_COURS',
+  COMPLETED: 'TERMINEE',
+};
+
+/**
+ * @function echapperTexte
+ * @description Échappe une valeur de type TEXT (antislash, point-virgule, virgule, retours à la ligne).
+ * @param {string} texte - Texte brut.
+ * @returns {string} Texte échappé.
+ */
+const echapperTexte = (texte) => String(texte)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * @function replierLigne
+ * @description Replie une ligne de contenu au-delà de 75 octets (suite préfixée d'une espace),
+ * sans couper un caractère UTF-8.
+ * @param {string} ligne - Ligne de contenu.
+ * @returns {string} Ligne repliée (séparateurs CRLF).
+ */
+const replierLigne = (ligne) => {
+  const morceaux = [];
+  let courant = '';
+  let octets = 0;
+
+  for (const caractere of ligne) {
+    const taille = Buffer.byteLength(caractere);
+    const limite = morceaux.length === 0 ? LONGUEUR_LIGNE_MAX : LONGUEUR_LIGNE_MAX - 1;
+    if (octets + taille > limite) {
+      morceaux.push(courant);
+      courant = '';
+      octets = 0;
+    }
+    courant += caractere;
+    octets += taille;
+  }
+  morceaux.push(courant);
+
+  return morceaux.join('\r\n ');
+};
+
+/**
+ * @function formaterDate
+ * @description Date (YYYY-MM-DD) au format DATE iCalendar (YYYYMMDD).
+ * @param {string} date - Date au format YYYY-MM-DD.
+ * @returns {string} Date iCalendar.
+ */
+const formaterDate = (date) => date.slice(0, 10).replace(/-/g, '');
+
+/**
+ * @function formaterHorodatage
+ * @description Horodatage au format DATE-TIME UTC iCalendar (YYYYMMDDTHHMMSSZ).
+ * @param {Date|string} date - Date quelconque.
+ * @returns {string} Horodatage iCalendar.
+ */
+const formaterHorodatage = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * @function jourSuivant
+ * @description Jour suivant une date (fin exclusive d'un événement sur la journée).
+ * @param {string} date - Date au format YYYY-MM-DD.
+ * @returns {string} Date iCalendar du lendemain.
+ */
+const jourSuivant = (date) => {
+  const [annee, mois, jour] = date.slice(0, 10).split('-').map(Number);
+  return formaterDate(new Date(Date.UTC(annee, mois - 1, jour + 1)).toISOString());
+};
+
+/**
+ * @function lignesEntree
+ * @description Lignes de contenu d'une tâche : VTODO (échéance DUE, statut et avancement) ou VEVENT
+ * sur la journée d'échéance (statut CONFIRMED, titre préfixé d'une coche une fois terminée).
+ * @param {Object} tache - Tâche avec date_echeance et liste.
+ * @param {string} composant - VTODO ou VEVENT.
+ * @param {string} horodatage - DTSTAMP de l'entrée.
+ * @returns {string[]} Lignes de contenu non repliées.
+ */
+const lignesEntree = (tache, composant, horodatage) => {
+  const terminee = tache.statut === 'TERMINEE';
+  const lignes = [
+    `BEGIN:${composant}`,
+    `UID:${tache.id}@${DOMAINE_UID}`,
+    `DTSTAMP:${horodatage}`,
+    `CREATED:${formaterHorodatage(tache.date_creation)}`,
+    `SUMMARY:${echapperTexte(composant === 'VEVENT' && terminee ? `✓ ${tache.titre}` : tache.titre)}`,
+  ];
+
+  if (tache.description) {
+    lignes.push(`DESCRIPTION:${echapperTexte(tache.description)}`);
+  }
+  if (tache.liste) {
+    lignes.push(`CATEGORIES:${echapperTexte(tache.liste.nom)}`);
+  }
+  lignes.push(`PRIORITY:${PRIORITES_ICAL[tache.priorite]}`);
+
+  if (composant === 'VTODO') {
+    lignes.push(`DUE;VALUE=DATE:${formaterDate(tache.date_echeance)}`);
+    lignes.push(`STATUS:${STATUTS_VTODO[tache.statut]}`);
+    if (terminee && tache.date_completion) {
+      lignes.push(`COMPLETED:${formaterHorodatage(tache.date_completion)}`);
+      lignes.push('PERCENT-COMPLETE:100');
+    }
+  } else {
+    lignes.push(`DTSTART;VALUE=DATE:${formaterDate(tache.date_echeance)}`);
+    lignes.push(`DTEND;VALUE=DATE:${jourSuivant(tache.date_echeance)}`);
+    lignes.push('STATUS:CONFIRMED');
+    lignes.push('TRANSP:TRANSPARENT');
+  }
+
+  lignes.push(`END:${composant}`);
+  return lignes;
+};
+
+/**
+ * @function genererCalendrier
+ * @description Génère un calendrier iCalendar contenant une entrée par tâche.
+ * @param {Object[]} taches - Tâches avec date_echeance (et liste pour CATEGORIES).
+ * @param {Object} [options] - Options du flux.
+ * @param {string} [options.composant='VTODO'] - VTODO ou VEVENT.
+ * @param {string} [options.nom] - Nom du calendrier affiché par les applications (X-WR-CALNAME).
+ * @returns {string} Contenu du fichier .ics (lignes CRLF repliées).
+ */
+const genererCalendrier = (taches, options = {}) => {
+  const { composant = 'VTODO', nom } = options;
+  const horodatage = formaterHorodatage(new Date());
+
+  const lignes = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (nom) {
+    lignes.push(`X-WR-CALNAME:${echapperTexte(nom)}`);
+  }
+  for (const tache of taches) {
+    lignes.push(...lignesEntree(tache, composant, horodatage));
+  }
+  lignes.push('END:VCALENDAR');
+
+  return `${lignes.map(replierLigne).join('\r\n')}\r\n`;
+};
+
+/**
+ * @function deplierLignes
+ * @description Déplie les lignes de contenu (une ligne commençant par une espace ou une tabulation
+ * prolonge la précédente).
+ * @param {string} contenu - Contenu brut du fichier.
+ * @returns {string[]} Lignes de contenu non vides.
+ */
+const deplierLignes = (contenu) => contenu
+  .replace(/^\uFEFF/, '')
+  .replace(/\r?\n[ \t]/g, '')
+  .split(/\r?\n/)
+  .filter((ligne) => ligne.trim() !== '');
+
+/**
+ * @function analyserLigne
+ * @description Sépare une ligne de contenu en nom de propriété et valeur (les paramètres sont ignorés ;
+ * un deux-points entre guillemets dans un paramètre ne termine pas le nom).
+ * @param {string} ligne - Ligne de contenu dépliée.
+ * @returns {{nom: string, valeur: string}|null} Propriété, ou null si la ligne est malformée.
+ */
+const analyserLigne = (ligne) => {
+  let entreGuillemets = false;
+  for (let i = 0; i < ligne.length; i += 1) {
+    if (ligne[i] === '"') {
+      entreGuillemets = !entreGuillemets;
+    } else if (ligne[i] === ':' && !entreGuillemets) {
+      return {
+        nom: ligne.slice(0, i).split(';')[0].toUpperCase(),
+        valeur: ligne.slice(i + 1),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * @function lireTexte
+ * @description Retire l'échappement d'une valeur de type TEXT.
+ * @param {string} valeur - Valeur échappée.
+ * @returns {string} Texte brut.
+ */
+const lireTexte = (valeur) => valeur.replace(/\\([\\;,nN])/g, (correspondance, caractere) => (
+  caractere.toLowerCase() === 'n' ? '\n' : caractere
+));
+
+/**
+ * @function lireDate
+ * @description Date (YYYY-MM-DD) d'une valeur DATE ou DATE-TIME ; l'heure est ignorée.
+ * @param {string} valeur - Valeur iCalendar (ex. 20240115 ou 20240115T100000Z).
+ * @returns {string|null} Date, ou null si la valeur n'est pas une date valide.
+ */
+const lireDate = (valeur) => {
+  const correspondance = /^(\d{4})(\d{2})(\d{2})/.exec(valeur.trim());
+  if (!correspondance) {
+    return null;
+  }
+  const [, annee, mois, jour] = correspondance;
+  const date = new Date(Date.UTC(Number(annee), Number(mois) - 1, Number(jour)));
+  return date.getUTCMonth() === Number(mois) - 1 && date.getUTCDate() === Number(jour)
+    ? `${annee}-${mois}-${jour}`
+    : null;
+};
+
+/**
+ * @function lirePriorite
+ * @description Priorité de tâche correspondant à un PRIORITY iCalendar : 1 URGENTE, 2 à 4 HAUTE,
+ * 5 (ou non définie, 0) MOYENNE, 6 à 9 BASSE.
+ * @param {string|undefined} valeur - Valeur de PRIORITY.
+ * @returns {string} Priorité de tâche.
+ */
+const lirePriorite = (valeur) => {
+  const priorite = parseInt(valeur, 10);
+  if (priorite === 1) return 'URGENTE';
+  if (priorite >= 2 && priorite <= 4) return 'HAUTE';
+  if (priorite >= 6 && priorite <= 9) return 'BASSE';
+  return 'MOYENNE';
+};
+
+/**
+ * @function analyserCalendrier
+ * @description Extrait les entrées VTODO d'un fichier iCalendar. Les composants imbriqués (VALARM...)
+ * et les autres composants (VEVENT, VJOURNAL...) sont ignorés.
+ * @param {string} contenu - Contenu du fichier .ics.
+ * @returns {Array<{uid: string|null, titre: string|null, description: string|null, date_echeance: string|null,
+ * statut: string|null, statut_ical: string, priorite: string}>} Entrées VTODO, dans l'ordre du fichier
+ * (statut null pour un STATUS sans équivalent, ex. CANCELLED).
+ * @throws {Error} Erreur avec status 400 si le contenu n'est pas un calendrier iCalendar.
+ */
+const analyserCalendrier = (contenu) => {
+  const lignes = deplierLignes(contenu);
+  if (lignes.length === 0 || lignes[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw creerErreur(400, 'Le fichier n\'est pas un calendrier iCalendar (BEGIN:VCALENDAR attendu).');
+  }
+
+  const entrees = [];
+  /** Propriétés du VTODO en cours (null hors VTODO) et profondeur des composants imbriqués */
+  let proprietes = null;
+  let profondeur = 0;
+
+  for (const ligne of lignes) {
+    const propriete = analyserLigne(ligne);
+    if (!propriete) continue;
+    const { nom, valeur } = propriete;
+    const composant = valeur.trim().toUpperCase();
+
+    if (nom === 'BEGIN') {
+      if (proprietes) {
+        profondeur += 1;
+      } else if (composant === 'VTODO') {
+        proprietes = {};
+      }
+    } else if (nom === 'END' && proprietes) {
+      if (profondeur > 0) {
+        profondeur -= 1;
+      } else {
+        const statutIcal = (proprietes.STATUS || 'NEEDS-ACTION').trim().toUpperCase();
+        entrees.push({
+          uid: proprietes.UID ? proprietes.UID.trim() : null,
+          titre: proprietes.SUMMARY !== undefined ? lireTexte(proprietes.SUMMARY).trim() : null,
+          description: proprietes.DESCRIPTION ? lireTexte(proprietes.DESCRIPTION).trim() || null : null,
+          date_echeance: proprietes.DUE ? lireDate(proprietes.DUE) : null,
+          statut: STATUTS_IMPORT[statutIcal] || null,
+          statut_ical: statutIcal,
+          priorite: lirePriorite(proprietes.PRIORITY),
+        });
+        proprietes = null;
+      }
+    } else if (proprietes && profondeur === 0 && proprietes[nom] === undefined) {
+      proprietes[nom] = valeur;
+    }
+  }
+
+  return entrees;
+};
+
+module.exports = {
+  COMPOSANTS,
+  genererCalendrier,
+  analyserCalendrier,
+};
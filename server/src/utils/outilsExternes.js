@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Analyse des exports d'autres gestionnaires de tâches pour l'import : tableau Trello (JSON)
+ * et projet Todoist (CSV). Chaque fichier décrit une liste (le tableau ou le projet) et ses tâches ;
+ * les étiquettes donnent la priorité et les checklists sont recopiées dans la description.
+ * @module utils/outilsExternes
+ */
+
+const crypto = require('crypto');
+const { creerErreur } = require('./erreurs');
+const { analyserCsv, normaliserEntete } = require('./csv');
+const { versDateLocale } = require('./calendrier');
+
+/** @type {string[]} Priorités de la plus forte à la plus faible */
+const ORDRE_PRIORITES = ['URGENTE', 'HAUTE', 'MOYENNE', 'BASSE'];
+
+/**
+ * @constant {Object} ETIQUETTES_PRIORITE
+ * @description Noms d'étiquettes reconnus pour chaque priorité (comparés après normaliserEntete).
+ */
+const ETIQUETTES_PRIORITE = {
+  URGENTE: ['urgente', 'urgent', 'critique', 'critical', 'bloquant', 'blocker', 'p1'],
+  HAUTE: ['haute', 'high', 'important', 'importante', 'prioritaire', 'p2'],
+  MOYENNE: ['moyenne', 'medium', 'normal', 'normale', 'p3'],
+  BASSE: ['basse', 'low', 'faible', 'p4'],
+};
+
+/**
+ * @constant {Object} COULEURS_PRIORITE
+ * @description Priorité donnée par une étiquette Trello sans nom, selon sa couleur.
+ */
+const COULEURS_PRIORITE = {
+  red: 'URGENTE',
+  orange: 'HAUTE',
+  yellow: 'MOYENNE',
+  green: 'BASSE',
+};
+
+/**
+ * @constant {Object} PRIORITES_TODOIST
+ * @description Priorité selon la colonne PRIORITY de Todoist (1 : la plus haute, 4 : aucune priorité).
+ */
+const PRIORITES_TODOIST = {
+  1: 'URGENTE',
+  2: 'HAUTE',
+  3: 'MOYENNE',
+  4: 'MOYENNE',
+};
+
+/**
+ * @function prioriteDepuisEtiquettes
+ * @description Priorité la plus forte parmi celles que désignent les étiquettes.
+ * @param {Array<{nom: string, couleur: (string|null)}>} etiquettes - Étiquettes de la tâche.
+ * @returns {string|null} Priorité, ou null si aucune étiquette n'en désigne.
+ */
+const prioriteDepuisEtiquettes = (etiquettes) => {
+  const priorites = etiquettes.map(({ nom, couleur }) => {
+    if (!nom) {
+      return COULEURS_PRIORITE[couleur] || null;
+    }
+    const cle = normaliserEntete(nom);
+    return ORDRE_PRIORITES.find((priorite) => ETIQUETTES_PRIORITE[priorite].includes(cle)) || null;
+  });
+  return ORDRE_PRIORITES.find((priorite) => priorites.includes(priorite)) || null;
+};
+
+/**
+ * @function composerDescription
+ * @description Description suivie des checklists, une case [x] ou [ ] par élément.
+ * @param {string|null} description - Description d'origine.
+ * @param {Array<{nom: string, elements: Array<{texte: string, fait: boolean}>}>} checklists - Checklists.
+ * @param {string[]} [complements=[]] - Paragraphes ajoutés à la fin (commentaires, échéance non reconnue).
+ * @returns {string|null} Description, ou null si elle est vide.
+ */
+const composerDescription = (description, checklists, complements = []) => {
+  const paragraphes = [
+    (description || '').trim(),
+    ...checklists.map(({ nom, elements }) => [
+      nom ? `${nom} :` : null,
+      ...elements.map(({ texte, fait }) => `- [${fait ? 'x' : ' '}] ${texte}`),
+    ].filter(Boolean).join('\n')),
+    ...complements,
+  ].filter(Boolean);
+  return paragraphes.length > 0 ? paragraphes.join('\n\n') : null;
+};
+
+/**
+ * @function analyserTrello
+ * @description Lit l'export JSON d'un tableau Trello. Chaque carte devient une entrée : nom → titre,
+ * description et checklists → description, étiquettes → priorité, échéance (date locale), échéance
+ * marquée faite → TERMINEE. Les cartes archivées, ou dont la colonne est archivée, sont écartées.
+ * @param {string} contenu - Contenu du fichier.
+ * @returns {{nom: string, entrees: Array<Object>}} Nom du tableau et entrées {uid, titre, description,
+ * priorite, statut, date_echeance, motif}.
+ * @throws {Error} Erreur avec status 400 si le fichier n'est pas un export de tableau Trello.
+ */
+const analyserTrello = (contenu) => {
+  let tableau;
+  try {
+    tableau = JSON.parse(contenu.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw creerErreur(400, 'Le fichier n\'est pas un JSON valide.');
+  }
+  if (!tableau || typeof tableau.name !== 'string' || !Array.isArray(tableau.cards) || !Array.isArray(tableau.lists)) {
+    throw creerErreur(400, 'Ce fichier n\'est pas l\'export JSON d\'un tableau Trello.');
+  }
+
+  const colonnes = new Map(tableau.lists.map((colonne) => [colonne.id, colonne]));
+  const etiquettes = new Map((tableau.labels || []).map((etiquette) => [etiquette.id, etiquette]));
+  const parPosition = (a, b) => (a.pos || 0) - (b.pos || 0);
+
+  const entrees = tableau.cards.map((carte) => {
+    const checklists = (tableau.checklists || [])
+      .filter((checklist) => checklist.idCard === carte.id)
+      .sort(parPosition)
+      .map((checklist) => ({
+        nom: checklist.name,
+        elements: [...(checklist.checkItems || [])].sort(parPosition)
+          .map((element) => ({ texte: element.name, fait: element.state === 'complete' })),
+      }));
+    const etiquettesCarte = (carte.labels || (carte.idLabels || []).map((id) => etiquettes.get(id)))
+      .filter(Boolean)
+      .map((etiquette) => ({ nom: etiquette.name, couleur: etiquette.color }));
+    const echeance = carte.due ? new Date(carte.due) : null;
+
+    return {
+      uid: `trello:${carte.id}`,
+      titre: (carte.name || '').trim(),
+      description: composerDescription(carte.desc, checklists),
+      priorite: prioriteDepuisEtiquettes(etiquettesCarte) || 'MOYENNE',
+      statut: carte.dueComplete ? 'TERMINEE' : 'A_FAIRE',
+      date_echeance: echeance && !Number.isNaN(echeance.getTime()) ? versDateLocale(echeance) : null,
+      motif: carte.closed || colonnes.get(carte.idList)?.closed ? 'Carte archivée dans Trello.' : null,
+    };
+  });
+
+  return { nom: tableau.name.trim(), entrees };
+};
+
+/**
+ * @function identifiantTodoist
+ * @description Identifiant d'origine d'une tâche Todoist, l'export CSV n'en fournissant pas : empreinte
+ * du projet, du texte de la tâche et de son rang parmi les tâches de même texte.
+ * @param {string} projet - Nom du projet.
+ * @param {string} texte - Texte de la tâche.
+ * @param {number} rang - Rang parmi les tâches de même texte (0 pour la première).
+ * @returns {string} Identifiant « todoist: » suivi de l'empreinte SHA-1.
+ */
+const identifiantTodoist = (projet, texte, rang) => `todoist:${crypto
+  .createHash('sha1')
+  .update(`${normaliserEntete(projet)}\n${texte}\n${rang}`)
+  .digest('hex')}`;
+
+/**
+ * @function analyserTodoist
+ * @description Lit l'export CSV d'un projet Todoist (colonnes TYPE, CONTENT, DESCRIPTION, PRIORITY, INDENT, DATE).
+ * Chaque tâche de premier niveau devient une entrée ; ses sous-tâches sont recopiées en checklist dans
+ * sa description et ses commentaires (lignes note) à la suite. Les étiquettes @nom du texte donnent la priorité,
+ * sinon la colonne PRIORITY. Seules les échéances datées (YYYY-MM-DD, heure ignorée) sont reprises, les autres sont citées
+ * dans la description.
+ * @param {string} contenu - Contenu du fichier.
+ * @param {string} nomFichier - Nom du fichier, qui donne celui du projet (« Courses [2203306141].csv »).
+ * @returns {{nom: string, entrees: Array<Object>}} Nom du projet et entrées {uid, titre, description,
+ * priorite, statut, date_echeance, motif}.
+ * @throws {Error} Erreur avec status 400 si le fichier n'est pas un export CSV Todoist.
+ */
+const analyserTodoist = (contenu, nomFichier) => {
+  const { colonnes, lignes } = analyserCsv(contenu);
+  const index = Object.fromEntries(colonnes.map((colonne, position) => [colonne.toUpperCase(), position]));
+  if (index.TYPE === undefined || index.CONTENT === undefined) {
+    throw creerErreur(400, 'Ce fichier n\'est pas l\'export CSV d\'un projet Todoist (colonnes TYPE et CONTENT attendues).');
+  }
+
+  const nom = nomFichier.replace(/\.[^.]*$/, '').replace(/\s*\[\d+\]$/, '').trim() || 'Todoist';
+  const lire = (cellules, colonne) => (index[colonne] === undefined ? '' : (cellules[index[colonne]] || '').trim());
+  const rangs = new Map();
+  const taches = [];
+
+  for (const { cellules } of lignes) {
+    const type = lire(cellules, 'TYPE').toLowerCase();
+    const texte = lire(cellules, 'CONTENT');
+    const courante = taches[taches.length - 1];
+
+    if (type === 'task' && Number(lire(cellules, 'INDENT') || 1) > 1 && courante) {
+      courante.sousTaches.push({ texte, fait: false });
+    } else if (type === 'task') {
+      const rang = rangs.get(texte) || 0;
+      rangs.set(texte, rang + 1);
+      taches.push({
+        uid: identifiantTodoist(nom, texte, rang),
+        texte,
+        description: lire(cellules, 'DESCRIPTION'),
+        priorite: PRIORITES_TODOIST[lire(cellules, 'PRIORITY')] || 'MOYENNE',
+        date: lire(cellules, 'DATE'),
+        sousTaches: [],
+        commentaires: [],
+      });
+    } else if (type === 'note' && courante && texte) {
+      courante.commentaires.push(`Commentaire : ${texte}`);
+    }
+  }
+
+  const entrees = taches.map((tache) => {
+    const etiquettes = (tache.texte.match(/(^|\s)@[^\s@]+/g) || [])
+      .map((etiquette) => ({ nom: etiquette.trim().slice(1), couleur: null }));
+    const datee = /^\d{4}-\d{2}-\d{2}\b/.test(tache.date);
+
+    return {
+      uid: tache.uid,
+      titre: tache.texte.replace(/(^|\s)@[^\s@]+/g, '').replace(/\s+/g, ' ').trim(),
+      description: composerDescription(
+        tache.description,
+        tache.sousTaches.length > 0 ? [{ nom: 'Sous-tâches', elements: tache.sousTaches }] : [],
+        [...tache.commentaires, ...(tache.date && !datee ? [`Échéance Todoist : ${tache.date}`] : [])]
+      ),
+      priorite: prioriteDepuisEtiquettes(etiquettes) || tache.priorite,
+      statut: 'A_FAIRE',
+      date_echeance: datee ? tache.date.slice(0, 10) : null,
+      motif: null,
+    };
+  });
+
+  return { nom, entrees };
+};
+
+module.exports = {
+  analyserTrello,
+  analyserTodoist,
+};
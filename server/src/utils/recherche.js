@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Outils de la recherche plein texte (index FTS5 des tâches) : traduction de la saisie
+ * en requête MATCH et mise en forme des extraits surlignés renvoyés par SQLite.
+ * @module utils/recherche
+ */
+
+/** @type {number} Nombre maximum de mots pris en compte dans une recherche */
+const TERMES_MAX = 10;
+
+/** @type {string} Début d'un passage trouvé dans les extraits SQLite (caractère de contrôle, absent des textes saisis) */
+const DEBUT_SURLIGNAGE = '\u0002';
+
+/** @type {string} Fin d'un passage trouvé dans les extraits SQLite */
+const FIN_SURLIGNAGE = '\u0003';
+
+/** @type {Object} Entités HTML des caractères échappés dans les extraits */
+const ENTITES_HTML = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+/**
+ * @function expressionRecherche
+ * @description Traduit la saisie de l'utilisateur en requête FTS5 : chaque mot (lettres et chiffres)
+ * devient un préfixe entre guillemets (« fact » trouve « facture ») et tous les mots sont exigés.
+ * La ponctuation et les opérateurs FTS5 (AND, OR, NEAR, *, ^...) sont ignorés.
+ * Casse et accents sont neutralisés par le tokenizer de l'index.
+ * @param {string} saisie - Texte recherché.
+ * @returns {string|null} Requête MATCH, ou null si la saisie ne contient aucun mot.
+ */
+const expressionRecherche = (saisie) => {
+  const termes = saisie
+    .normalize('NFC')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, TERMES_MAX);
+  return termes.length > 0 ? termes.map((terme) => `"${terme}"*`).join(' ') : null;
+};
+
+/**
+ * @function extraitSurligne
+ * @description Extrait HTML d'un texte renvoyé par highlight() ou snippet() : le texte est échappé
+ * et les passages trouvés sont entourés de <mark></mark>.
+ * @param {string|null} extrait - Texte délimité par DEBUT_SURLIGNAGE et FIN_SURLIGNAGE.
+ * @param {boolean} [seulementSiTrouve=false] - Renvoie null quand aucun passage n'est surligné.
+ * @returns {string|null} Extrait HTML, ou null.
+ */
+const extraitSurligne = (extrait, seulementSiTrouve = false) => {
+  if (!extrait || (seulementSiTrouve && !extrait.includes(DEBUT_SURLIGNAGE))) {
+    return null;
+  }
+  return extrait
+    .replace(/[&<>"']/g, (caractere) => ENTITES_HTML[caractere])
+    .split(DEBUT_SURLIGNAGE).join('<mark>')
+    .split(FIN_SURLIGNAGE).join('</mark>');
+};
+
+module.exports = {
+  DEBUT_SURLIGNAGE,
+  FIN_SURLIGNAGE,
+  expressionRecherche,
+  extraitSurligne,
+};
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Règles de récurrence des tâches (sous-ensemble de RRULE, RFC 5545).
+ * Format accepté : FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (WEEKLY uniquement),
+ * UNTIL ou COUNT (exclusifs). Le préfixe « RRULE: » est toléré.
+ * Comme le prévoit la RFC, les dates invalides (31 février, 29 février hors année
+ * bissextile...) sont ignorées au lieu d'être ramenées au dernier jour du mois.
+ * @module utils/recurrence
+ */
+
+/**
+ * @constant {string[]} FREQUENCES
+ * @description Fréquences supportées.
+ */
+const FREQUENCES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+/**
+ * @constant {string[]} JOURS_SEMAINE
+ * @description Codes RFC 5545 des jours de la semaine, du lundi au dimanche.
+ */
+const JOURS_SEMAINE = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/** @type {number} Durée d'un jour en millisecondes */
+const UN_JOUR_MS = 24 * 60 * 60 * 1000;
+
+/** @type {number} Nombre maximal de périodes parcourues pour trouver une date valide */
+const MAX_ITERATIONS = 1000;
+
+/**
+ * @function versDate
+ * @description Convertit une date YYYY-MM-DD en Date UTC (minuit).
+ * @param {string} valeur - Date au format YYYY-MM-DD.
+ * @returns {Date} Date UTC.
+ */
+const versDate = (valeur) => {
+  const [annee, mois, jour] = String(valeur).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(annee, mois - 1, jour));
+};
+
+/**
+ * @function versChaine
+ * @description Convertit une Date UTC en chaîne YYYY-MM-DD.
+ * @param {Date} date - Date UTC.
+ * @returns {string} Date au format YYYY-MM-DD.
+ */
+const versChaine = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * @function joursDansMois
+ * @description Nombre de jours d'un mois.
+ * @param {number} annee - Année.
+ * @param {number} mois - Mois (0-11).
+ * @returns {number} Nombre de jours.
+ */
+const joursDansMois = (annee, mois) => new Date(Date.UTC(annee, mois + 1, 0)).getUTCDate();
+
+/**
+ * @function indexJour
+ * @description Index du jour de la semaine d'une date, lundi = 0.
+ * @param {Date} date - Date UTC.
+ * @returns {number} Index 0-6.
+ */
+const indexJour = (date) => (date.getUTCDay() + 6) % 7;
+
+/**
+ * @function analyserRegle
+ * @description Analyse et valide une règle de récurrence.
+ * @param {string} chaine - Règle RRULE (ex. « FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10 »).
+ * @returns {{freq: string, interval: number, byday: string[], until: string|null, count: number|null}} Règle analysée.
+ * @throws {Error} Si la règle est invalide ou utilise une partie non supportée.
+ */
+const analyserRegle = (chaine) => {
+  if (typeof chaine !== 'string' || !chaine.trim()) {
+    throw new Error('La règle de récurrence doit être une chaîne non vide.');
+  }
+
+  const regle = { freq: null, interval: 1, byday: [], until: null, count: null };
+  const parties = chaine.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const partie of parties) {
+    const [nom, valeur] = partie.split('=');
+    if (!valeur) {
+      throw new Error(`Partie de récurrence invalide : « ${partie} ».`);
+    }
+
+    switch (nom.toUpperCase()) {
+      case 'FREQ':
+        regle.freq = valeur.toUpperCase();
+        if (!FREQUENCES.includes(regle.freq)) {
+          throw new Error('La fréquence doit être DAILY, WEEKLY, MONTHLY ou YEARLY.');
+        }
+        break;
+      case 'INTERVAL':
+        regle.interval = Number(valeur);
+        if (!Number.isInteger(regle.interval) || regle.interval < 1 || regle.interval > 999) {
+          throw new Error('INTERVAL doit être un entier entre 1 et 999.');
+        }
+        break;
+      case 'BYDAY':
+        regle.byday = valeur.toUpperCase().split(',');
+        if (regle.byday.some((jour) => !JOURS_SEMAINE.includes(jour))) {
+          throw new Error('BYDAY doit contenir des jours parmi MO, TU, WE, TH, FR, SA, SU.');
+        }
+        /** Dédoublonner et trier du lundi au dimanche */
+        regle.byday = JOURS_SEMAINE.filter((jour) => regle.byday.includes(jour));
+        break;
+      case 'UNTIL': {
+        const correspondance = valeur.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+        if (!correspondance) {
+          throw new Error('UNTIL doit être une date au format AAAAMMJJ.');
+        }
+        const [, annee, mois, jour] = correspondance;
+        regle.until = `${annee}-${mois}-${jour}`;
+        if (versChaine(versDate(regle.until)) !== regle.until) {
+          throw new Error('UNTIL doit être une date valide.');
+        }
+        break;
+      }
+      case 'COUNT':
+        regle.count = Number(valeur);
+        if (!Number.isInteger(regle.count) || regle.count < 1) {
+          throw new Error('COUNT doit être un entier positif.');
+        }
+        break;
+      default:
+        throw new Error(`La partie de récurrence « ${nom} » n'est pas supportée.`);
+    }
+  }
+
+  if (!regle.freq) {
+    throw new Error('La règle de récurrence doit préciser FREQ.');
+  }
+  if (regle.byday.length > 0 && regle.freq !== 'WEEKLY') {
+    throw new Error('BYDAY n\'est supporté qu\'avec FREQ=WEEKLY.');
+  }
+  if (regle.until && regle.count) {
+    throw new Error('UNTIL et COUNT ne peuvent pas être utilisés ensemble.');
+  }
+
+  return regle;
+};
+
+/**
+ * @function formaterRegle
+ * @description Sérialise une règle analysée sous forme canonique (sans préfixe, INTERVAL=1 omis).
+ * @param {Object} regle - Règle retournée par analyserRegle.
+ * @returns {string} Règle RRULE.
+ */
+const formaterRegle = (regle) => {
+  const parties = [`FREQ=${regle.freq}`];
+  if (regle.interval > 1) parties.push(`INTERVAL=${regle.interval}`);
+  if (regle.byday.length > 0) parties.push(`BYDAY=${regle.byday.join(',')}`);
+  if (regle.until) parties.push(`UNTIL=${regle.until.replace(/-/g, '')}`);
+  if (regle.count) parties.push(`COUNT=${regle.count}`);
+  return parties.join(';');
+};
+
+/**
+ * @function normaliserRegle
+ * @description Valide une règle et la retourne sous forme canonique.
+ * @param {string} chaine - Règle RRULE.
+ * @returns {string} Règle canonique.
+ * @throws {Error} Si la règle est invalide.
+ */
+const normaliserRegle = (chaine) => formaterRegle(analyserRegle(chaine));
+
+/**
+ * @function dateSuivante
+ * @description Calcule la date suivant une date selon la fréquence et l'intervalle d'une règle.
+ * @param {Object} regle - Règle analysée.
+ * @param {Date} date - Date de l'occurrence courante (UTC).
+ * @returns {Date|null} Date suivante ou null si aucune date valide n'a été trouvée.
+ */
+const dateSuivante = (regle, date) => {
+  const { freq, interval, byday } = regle;
+
+  if (freq === 'DAILY') {
+    return new Date(date.getTime() + interval * UN_JOUR_MS);
+  }
+
+  if (freq === 'WEEKLY') {
+    if (byday.length === 0) {
+      return new Date(date.getTime() + 7 * interval * UN_JOUR_MS);
+    }
+    /** Semaines alignées sur le lundi (WKST=MO) : jours BYDAY des semaines multiples de l'intervalle */
+    const debutSemaine = date.getTime() - indexJour(date) * UN_JOUR_MS;
+    for (let i = 1; i <= 7 * (interval + 1); i++) {
+      const candidate = new Date(date.getTime() + i * UN_JOUR_MS);
+      const semaines = Math.round((candidate.getTime() - indexJour(candidate) * UN_JOUR_MS - debutSemaine) / (7 * UN_JOUR_MS));
+      if (semaines % interval === 0 && byday.includes(JOURS_SEMAINE[indexJour(candidate)])) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /** MONTHLY / YEARLY : même jour (et même mois), en ignorant les dates inexistantes */
+  const jour = date.getUTCDate();
+  const pasMois = freq === 'MONTHLY' ? interval : 12 * interval;
+  for (let k = 1; k <= MAX_ITERATIONS; k++) {
+    const totalMois = date.getUTCMonth() + k * pasMois;
+    const annee = date.getUTCFullYear() + Math.floor(totalMois / 12);
+    const mois = totalMois % 12;
+    if (jour <= joursDansMois(annee, mois)) {
+      return new Date(Date.UTC(annee, mois, jour));
+    }
+  }
+  return null;
+};
+
+/**
+ * @function calculerProchaineEcheance
+ * @description Calcule l'échéance de l'occurrence suivant une occurrence donnée.
+ * @param {string} chaine - Règle RRULE.
+ * @param {string} dateEcheance - Échéance de l'occurrence courante (YYYY-MM-DD).
+ * @param {number} occurrence - Numéro de l'occurrence courante (1 pour la première).
+ * @returns {string|null} Échéance suivante (YYYY-MM-DD) ou null si la série est terminée.
+ */
+const calculerProchaineEcheance = (chaine, dateEcheance, occurrence) => {
+  const regle = analyserRegle(chaine);
+
+  if (regle.count && occurrence >= regle.count) {
+    return null;
+  }
+
+  const suivante = dateSuivante(regle, versDate(dateEcheance));
+  if (!suivante) {
+    return null;
+  }
+
+  const echeance = versChaine(suivante);
+  if (regle.until && echeance > regle.until) {
+    return null;
+  }
+
+  return echeance;
+};
+
+module.exports = {
+  analyserRegle,
+  formaterRegle,
+  normaliserRegle,
+  calculerProchaineEcheance,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Calculs du suivi du temps : durées et totaux par tâche, liste ou semaine.
+ * @module utils/temps
+ */
+
+/** @type {number} Durée maximale d'une entrée saisie manuellement (24 heures), en secondes */
+const DUREE_MAX_SECONDES = 24 * 60 * 60;
+
+/**
+ * @function dureeSecondes
+ * @description Durée écoulée entre deux dates, arrondie à la seconde.
+ * @param {Date} debut - Début de la période.
+ * @param {Date} fin - Fin de la période.
+ * @returns {number} Durée en secondes.
+ */
+const dureeSecondes = (debut, fin) => Math.round((new Date(fin) - new Date(debut)) / 1000);
+
+/**
+ * @function debutSemaine
+ * @description Lundi de la semaine (ISO) contenant une date, dans le fuseau du serveur.
+ * @param {Date} date - Date quelconque.
+ * @returns {string} Date du lundi au format YYYY-MM-DD.
+ */
+const debutSemaine = (date) => {
+  const lundi = new Date(date);
+  lundi.setHours(0, 0, 0, 0);
+  lundi.setDate(lundi.getDate() - ((lundi.getDay() + 6) % 7));
+  const mois = String(lundi.getMonth() + 1).padStart(2, '0');
+  const jour = String(lundi.getDate()).padStart(2, '0');
+  return `${lundi.getFullYear()}-${mois}-${jour}`;
+};
+
+/**
+ * @constant {Object<string, Function>} REGROUPEMENTS
+ * @description Pour chaque regroupement, fonction qui renvoie la clé et le libellé d'une entrée.
+ */
+const REGROUPEMENTS = {
+  tache: (entree) => ({
+    cle: entree.tache.id,
+    libelle: { tache: { id: entree.tache.id, titre: entree.tache.titre }, liste: entree.tache.liste || null },
+  }),
+  liste: (entree) => ({
+    cle: entree.tache.liste_id || '',
+    libelle: { liste: entree.tache.liste || null },
+  }),
+  semaine: (entree) => {
+    const semaine = debutSemaine(entree.debut);
+    return { cle: semaine, libelle: { semaine } };
+  },
+};
+
+/**
+ * @function totaliser
+ * @description Additionne la durée d'entrées terminées par tâche, par liste ou par semaine
+ * (semaine du début de l'entrée). Les semaines sont triées chronologiquement,
+ * les tâches et listes par temps décroissant.
+ * @param {Object[]} entrees - Entrées terminées, avec tache et tache.liste.
+ * @param {string} regroupement - 'tache', 'liste' ou 'semaine'.
+ * @returns {Array<Object>} Totaux : libellé du groupe, total_secondes et nombre_entrees.
+ */
+const totaliser = (entrees, regroupement) => {
+  const grouper = REGROUPEMENTS[regroupement];
+  const totaux = new Map();
+
+  entrees.forEach((entree) => {
+    const { cle, libelle } = grouper(entree);
+    if (!totaux.has(cle)) {
+      totaux.set(cle, { ...libelle, total_secondes: 0, nombre_entrees: 0 });
+    }
+    const total = totaux.get(cle);
+    total.total_secondes += entree.duree_secondes;
+    total.nombre_entrees++;
+  });
+
+  const resultat = [...totaux.values()];
+  return regroupement === 'semaine'
+    ? resultat.sort((a, b) => a.semaine.localeCompare(b.semaine))
+    : resultat.sort((a, b) => b.total_secondes - a.total_secondes);
+};
+
+module.exports = {
+  DUREE_MAX_SECONDES,
+  REGROUPEMENTS,
+  dureeSecondes,
+  debutSemaine,
+  totaliser,
+};
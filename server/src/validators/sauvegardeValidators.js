@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Règles de validation express-validator des enregistrements d'une sauvegarde
+ * (document d'export JSON), appliquées hors requête HTTP avec validerDonnees.
+ * Les champs d'une tâche reprennent les règles de l'import, complétées de ceux propres à la sauvegarde.
+ * @module validators/sauvegardeValidators
+ */
+
+const { body } = require('express-validator');
+const { reglesImportTache } = require('./tacheValidators');
+
+/**
+ * @function regleUuid
+ * @description Règle d'un champ UUID obligatoire.
+ * @param {string} champ - Nom du champ.
+ * @returns {import('express-validator').ValidationChain} Chaîne de validation.
+ */
+const regleUuid = (champ) => body(champ)
+  .isUUID()
+  .withMessage(`${champ} doit être un UUID valide.`);
+
+/**
+ * @constant {Array} reglesListeSauvegarde
+ * @description Règles de validation d'une liste sauvegardée.
+ */
+const reglesListeSauvegarde = [
+  regleUuid('id'),
+  body('nom')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Le nom de la liste est requis (1-100 caractères).'),
+  body('couleur')
+    .optional()
+    .matches(/^#[0-9A-Fa-f]{6}$/)
+    .withMessage('La couleur doit être au format hexadécimal (#RRGGBB).'),
+  body('ordre')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('L\'ordre doit être un entier positif.')
+    .toInt(),
+];
+
+/**
+ * @constant {Array} reglesTacheSauvegarde
+ * @description Règles de validation d'une tâche sauvegardée.
+ */
+const reglesTacheSauvegarde = [
+  regleUuid('id'),
+  ...reglesImportTache,
+  body('date_creation')
+    .isISO8601()
+    .withMessage('La date de création doit être une date ISO 8601.'),
+  body('date_completion')
+    .optional()
+    .isISO8601()
+    .withMessage('La date de complétion doit être une date ISO 8601.'),
+  body(['parent_id', 'serie_id'])
+    .optional()
+    .isUUID()
+    .withMessage('parent_id et serie_id doivent être des UUID valides.'),
+  body('position')
+    .optional()
+    .isFloat()
+    .withMessage('La position doit être un nombre.')
+    .toFloat(),
+  body('occurrence')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('L\'occurrence doit être un entier positif.')
+    .toInt(),
+  body('uid_externe')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('L\'identifiant d\'origine ne peut pas dépasser 255 caractères.'),
+];
+
+/**
+ * @constant {Array} reglesHistoriqueSauvegarde
+ * @description Règles de validation d'une entrée d'historique sauvegardée.
+ */
+const reglesHistoriqueSauvegarde = [
+  regleUuid('id'),
+  regleUuid('tache_id'),
+  body(['ancien_statut', 'nouveau_statut'])
+    .isIn(['A_FAIRE', 'EN_COURS', 'TERMINEE'])
+    .withMessage('Les statuts de l\'historique doivent être A_FAIRE, EN_COURS ou TERMINEE.'),
+  body('date_modification')
+    .isISO8601()
+    .withMessage('La date de modification doit être une date ISO 8601.'),
+];
+
+module.exports = {
+  reglesListeSauvegarde,
+  reglesTacheSauvegarde,
+  reglesHistoriqueSauvegarde,
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Règles de validation express-validator des tâches.
+ * Partagées entre les routes et les traitements qui réappliquent des données
+ * de tâche hors requête HTTP directe (ex. restauration d'une version).
+ * @module validators/tacheValidators
+ */
+
+const { body, validationResult } = require('express-validator');
+const { normaliserRegle } = require('../utils/recurrence');
+
+/**
+ * @function regleRecurrence
+ * @description Règle de validation du champ recurrence (RRULE) : validée puis
+ * remplacée par sa forme canonique. Une valeur vide ou null supprime la récurrence.
+ * @returns {import('express-validator').ValidationChain} Chaîne de validation.
+ */
+const regleRecurrence = () => body('recurrence')
+  .optional({ nullable: true, checkFalsy: true })
+  .custom((valeur) => {
+    normaliserRegle(valeur);
+    return true;
+  })
+  .customSanitizer((valeur) => {
+    try {
+      return normaliserRegle(valeur);
+    } catch (error) {
+      return valeur;
+    }
+  });
+
+/**
+ * @function reglesTags
+ * @description Règles de validation du champ tag_ids (tableau d'UUID, dédoublonné).
+ * @returns {Array<import('express-validator').ValidationChain>} Chaînes de validation.
+ */
+const reglesTags = () => [
+  body('tag_ids')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('tag_ids doit être un tableau de 20 tags au plus.')
+    .customSanitizer((ids) => [...new Set(ids)]),
+  body('tag_ids.*')
+    .isUUID()
+    .withMessage('Chaque identifiant de tag doit être un UUID valide.'),
+];
+
+/**
+ * @function reglesEstimation
+ * @description Règles de validation de l'estimation (entier positif ou null) et de son unité.
+ * @returns {Array<import('express-validator').ValidationChain>} Chaînes de validation.
+ */
+const reglesEstimation = () => [
+  body('estimation')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('L\'estimation doit être un entier entre 0 et 100000.')
+    .toInt(),
+  body('unite_estimation')
+    .optional()
+    .isIn(['MINUTES', 'POINTS'])
+    .withMessage('L\'unité d\'estimation doit être MINUTES ou POINTS.'),
+];
+
+/** @type {RegExp} Format d'un UUID */
+const MOTIF_UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @function clesUuid
+ * @description Indique si toutes les clés d'un objet sont des UUID (objets champs des tâches et des filtres).
+ * @param {Object} objet - Objet à tester.
+ * @returns {boolean} true si chaque clé est un UUID.
+ */
+const clesUuid = (objet) => Object.keys(objet).every((cle) => MOTIF_UUID.test(cle));
+
+/**
+ * @function regleChamps
+ * @description Règle de validation du champ champs : objet associant l'UUID d'un champ personnalisé
+ * à sa valeur (null pour la retirer). Les valeurs sont validées selon le type du champ par le contrôleur.
+ * @returns {import('express-validator').ValidationChain} Chaîne de validation.
+ */
+const regleChamps = () => body('champs')
+  .optional()
+  .isObject({ strict: true })
+  .withMessage('champs doit être un objet {UUID du champ: valeur}.')
+  .bail()
+  .custom(clesUuid)
+  .withMessage('Chaque clé de champs doit être l\'UUID d\'un champ personnalisé.');
+
+/**
+ * @constant {Array} reglesCreationTache
+ * @description Règles de validation du corps d'une création de tâche.
+ */
+const reglesCreationTache = [
+  body('titre')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le titre doit contenir entre 3 et 100 caractères.'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('La description ne peut pas dépasser 2000 caractères.'),
+  body('priorite')
+    .optional()
+    .isIn(['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'])
+    .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
+  body('date_echeance')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La date d\'échéance doit être au format valide (YYYY-MM-DD).'),
+  body('liste_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  regleRecurrence(),
+  ...reglesTags(),
+  ...reglesEstimation(),
+  regleChamps(),
+];
+
+/**
+ * @constant {Array} reglesModificationTache
+ * @description Règles de validation du corps d'une modification partielle de tâche.
+ */
+const reglesModificationTache = [
+  body('titre')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Le titre doit contenir entre 3 et 100 caractères.'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('La description ne peut pas dépasser 2000 caractères.'),
+  body('statut')
+    .optional()
+    .isIn(['A_FAIRE', 'EN_COURS', 'TERMINEE'])
+    .withMessage('Le statut doit être A_FAIRE, EN_COURS ou TERMINEE.'),
+  body('priorite')
+    .optional()
+    .isIn(['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'])
+    .withMessage('La priorité doit être BASSE, MOYENNE, HAUTE ou URGENTE.'),
+  body('date_echeance')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('La date d\'échéance doit être au format valide.'),
+  body('liste_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('L\'identifiant de liste doit être un UUID valide.'),
+  regleRecurrence(),
+  ...reglesTags(),
+  ...reglesEstimation(),
+  regleChamps(),
+];
+
+/**
+ * @constant {Array} reglesImportTache
+ * @description Règles de validation d'une tâche importée (ligne de fichier CSV) : celles de la création,
+ * plus le statut, qu'un import peut fixer.
+ */
+const reglesImportTache = [
+  ...reglesCreationTache,
+  body('statut')
+    .optional()
+    .isIn(['A_FAIRE', 'EN_COURS', 'TERMINEE'])
+    .withMessage('Le statut doit être A_FAIRE, EN_COURS ou TERMINEE.'),
+];
+
+/** @type {string[]} Opérations acceptées par le traitement par lot */
+const OPERATIONS_LOT = ['MODIFIER', 'DEPLACER', 'SUPPRIMER', 'RESTAURER'];
+
+/** @type {string[]} Champs modifiables par l'opération MODIFIER d'un lot */
+const CHAMPS_LOT = ['statut', 'priorite', 'date_echeance', 'liste_id', 'estimation', 'unite_estimation'];
+
+/**
+ * @constant {Array} reglesLot
+ * @description Règles de validation du corps d'un traitement par lot. Les valeurs de donnees
+ * (opération MODIFIER) sont ensuite validées par reglesModificationTache dans le contrôleur.
+ */
+const reglesLot = [
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('ids doit être un tableau de 1 à 100 identifiants de tâches.')
+    .bail()
+    .customSanitizer((ids) => [...new Set(ids)]),
+  body('ids.*')
+    .isUUID()
+    .withMessage('Chaque identifiant de tâche doit être un UUID valide.'),
+  body('operation')
+    .isIn(OPERATIONS_LOT)
+    .withMessage(`L'opération doit valoir ${OPERATIONS_LOT.join(', ')}.`),
+  body('donnees')
+    .if(body('operation').equals('MODIFIER'))
+    .isObject({ strict: true })
+    .withMessage('donnees doit être un objet pour l\'opération MODIFIER.')
+    .bail()
+    .custom((donnees) => Object.keys(donnees).length > 0 && Object.keys(donnees).every((cle) => CHAMPS_LOT.includes(cle)))
+    .withMessage(`donnees doit contenir au moins un de ces champs : ${CHAMPS_LOT.join(', ')}.`),
+  body('liste_id')
+    .if(body('operation').equals('DEPLACER'))
+    .custom((listeId) => listeId === null || (typeof listeId === 'string' && MOTIF_UUID.test(listeId)))
+    .withMessage('liste_id est requis pour l\'opération DEPLACER (UUID de la liste, ou null pour aucune liste).'),
+];
+
+/**
+ * @async
+ * @function validerDonnees
+ * @description Exécute des règles express-validator sur des données hors requête HTTP.
+ * @param {Array} regles - Règles express-validator à exécuter.
+ * @param {Object} donnees - Données à valider (équivalent de req.body).
+ * @returns {Promise<{erreur: string|null, donnees: Object}>} Premier message d'erreur
+ * (ou null) et données assainies par les règles (trim...).
+ */
+const validerDonnees = async (regles, donnees) => {
+  const requeteVirtuelle = { body: { ...donnees } };
+
+  for (const regle of regles) {
+    await regle.run(requeteVirtuelle);
+  }
+
+  const errors = validationResult(requeteVirtuelle);
+  return {
+    erreur: errors.isEmpty() ? null : errors.array()[0].msg,
+    donnees: requeteVirtuelle.body,
+  };
+};
+
+module.exports = {
+  clesUuid,
+  reglesCreationTache,
+  reglesModificationTache,
+  reglesImportTache,
+  reglesLot,
+  validerDonnees,
+};
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tests des écritures concurrentes : les transactions SQLite simultanées attendent leur tour
+ * au lieu d'échouer (SQLITE_BUSY).
+ * @module test/concurrence
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3994);
+
+/** @type {import('child_process').ChildProcess} Processus du serveur */
+let processus;
+
+/** @type {string} Jeton JWT de l'utilisateur du test */
+let jeton;
+
+before(async () => {
+  ({ processus } = await serveur.demarrer());
+  jeton = await serveur.connecter('concurrence@exemple.fr');
+});
+
+after(async () => {
+  await serveur.arreter(processus);
+  serveur.nettoyer();
+});
+
+/** @type {string[]} Priorités alternées par les modifications concurrentes */
+const PRIORITES = ['BASSE', 'MOYENNE', 'HAUTE', 'URGENTE'];
+
+test('des modifications simultanées de tâches aboutissent toutes', async () => {
+  const { corps } = await serveur.appeler('POST', '/taches', { jeton, corps: { titre: 'Préparer le déménagement' } });
+  const tacheId = corps.data.tache.id;
+  const autres = [];
+  for (const titre of ['Résilier la box', 'Commander des cartons']) {
+    autres.push((await serveur.appeler('POST', '/taches', { jeton, corps: { titre } })).corps.data.tache.id);
+  }
+
+  const reponses = await Promise.all([
+    ...Array.from({ length: 20 }, (_, index) => serveur.appeler('PATCH', `/taches/${tacheId}`, {
+      jeton,
+      corps: { priorite: PRIORITES[index % PRIORITES.length] },
+    })),
+    ...Array.from({ length: 5 }, (_, index) => serveur.appeler('POST', '/taches/lot', {
+      jeton,
+      corps: { ids: autres, operation: 'MODIFIER', donnees: { priorite: PRIORITES[index % PRIORITES.length] } },
+    })),
+    ...Array.from({ length: 5 }, (_, index) => serveur.appeler('POST', '/taches', {
+      jeton,
+      corps: { titre: `Emballer le carton ${index + 1}` },
+    })),
+  ]);
+
+  assert.deepEqual(reponses.filter((reponse) => reponse.status >= 500), []);
+  assert.ok(reponses.every((reponse) => reponse.status < 300));
+});
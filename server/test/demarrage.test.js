@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tests du démarrage du serveur sur une base existante : redémarrage sans erreur,
+ * données conservées et index de recherche plein texte toujours tenu à jour par ses triggers.
+ * @module test/demarrage
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3990);
+
+after(serveur.nettoyer);
+
+/**
+ * @async
+ * @function rechercher
+ * @description Titres des tâches trouvées par la recherche plein texte.
+ * @param {string} jeton - Jeton JWT.
+ * @param {string} q - Mots recherchés.
+ * @returns {Promise<string[]>} Titres, par pertinence.
+ */
+const rechercher = async (jeton, q) => {
+  const { corps } = await serveur.appeler('GET', `/search?q=${encodeURIComponent(q)}`, { jeton });
+  return corps.data.taches.map((tache) => tache.titre);
+};
+
+test('le serveur redémarre sur une base existante sans perdre les tâches ni l\'index de recherche', async () => {
+  let { processus } = await serveur.demarrer();
+  try {
+    const jeton = await serveur.connecter('demarrage@exemple.fr');
+    const { corps: { data: { tag } } } = await serveur.appeler('POST', '/tags', { jeton, corps: { nom: 'Administratif' } });
+    await serveur.appeler('POST', '/taches', {
+      jeton,
+      corps: { titre: 'Payer la facture d\'électricité', tag_ids: [tag.id] },
+    });
+    assert.deepEqual(await rechercher(jeton, 'electricite'), ['Payer la facture d\'électricité']);
+  } finally {
+    await serveur.arreter(processus);
+  }
+
+  const redemarrage = await serveur.demarrer();
+  processus = redemarrage.processus;
+  try {
+    assert.doesNotMatch(redemarrage.sortie(), /Index de recherche plein texte reconstruit/);
+
+    const jeton = await serveur.connecter('demarrage@exemple.fr');
+    assert.deepEqual(await rechercher(jeton, 'facture'), ['Payer la facture d\'électricité']);
+    assert.deepEqual(await rechercher(jeton, 'admin'), ['Payer la facture d\'électricité']);
+
+    /** Les triggers recréés indexent les tâches écrites après le redémarrage */
+    await serveur.appeler('POST', '/taches', { jeton, corps: { titre: 'Relire la facture de gaz' } });
+    assert.deepEqual((await rechercher(jeton, 'facture')).sort(), ['Payer la facture d\'électricité', 'Relire la facture de gaz']);
+  } finally {
+    await serveur.arreter(processus);
+  }
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests des imports : résumé de même forme pour chaque format, correspondance CSV invalide
+ * et erreurs de réception du fichier (415, 413) communes avec les pièces jointes.
+ * @module test/import
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3993, { IMPORT_TAILLE_MAX_MO: '1' });
+
+/** @type {import('child_process').ChildProcess} Processus du serveur */
+let processus;
+
+/** @type {string} Jeton JWT de l'utilisateur du test */
+let jeton;
+
+before(async () => {
+  ({ processus } = await serveur.demarrer());
+  jeton = await serveur.connecter('import@exemple.fr');
+});
+
+after(async () => {
+  await serveur.arreter(processus);
+  serveur.nettoyer();
+});
+
+/**
+ * @async
+ * @function importer
+ * @description Envoie un fichier à une route d'import en simulation.
+ * @param {string} format - Format d'import (ical, csv, trello, todoist).
+ * @param {string} nom - Nom du fichier.
+ * @param {string|Buffer} contenu - Contenu du fichier.
+ * @param {Object<string, string>} [champs={}] - Autres champs du formulaire.
+ * @returns {Promise<{status: number, corps: Object}>} Réponse de l'API.
+ */
+const importer = (format, nom, contenu, champs = {}) => {
+  const formulaire = new FormData();
+  formulaire.append('fichier', new Blob([contenu]), nom);
+  formulaire.append('simulation', 'true');
+  for (const [champ, valeur] of Object.entries(champs)) {
+    formulaire.append(champ, valeur);
+  }
+  return serveur.appeler('POST', `/import/${format}`, { jeton, formulaire });
+};
+
+/** @type {string[]} Champs du résumé communs à tous les imports */
+const CHAMPS_RESUME = ['doublons', 'echecs', 'ignorees', 'importees', 'total'];
+
+test('les imports iCalendar et CSV renvoient le même résumé', async () => {
+  const ical = await importer('ical', 'taches.ics', [
+    'BEGIN:VCALENDAR', 'VERSION:2.0',
+    'BEGIN:VTODO', 'UID:a@exemple.fr', 'SUMMARY:Renouveler le passeport', 'END:VTODO',
+    'BEGIN:VTODO', 'UID:b@exemple.fr', 'SUMMARY:Ok', 'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n'));
+  assert.equal(ical.status, 200);
+  assert.deepEqual(ical.corps.data.resume, { total: 2, importees: 1, doublons: 0, ignorees: 1, echecs: 0 });
+
+  const csv = await importer('csv', 'taches.csv', 'titre;priorite\nPrendre rendez-vous;haute\nAppeler;inconnue\n');
+  assert.equal(csv.status, 200);
+  assert.deepEqual(Object.keys(csv.corps.data.resume).filter((champ) => champ !== 'listes_a_creer').sort(), CHAMPS_RESUME);
+  assert.equal(csv.corps.data.resume.importees, 1);
+  assert.equal(csv.corps.data.resume.echecs, 1);
+});
+
+test('un fichier d\'extension non prise en charge ou trop volumineux est refusé', async () => {
+  const extension = await importer('ical', 'taches.txt', 'BEGIN:VCALENDAR');
+  assert.equal(extension.status, 415);
+
+  const volumineux = await importer('csv', 'taches.csv', Buffer.alloc(2 * 1024 * 1024, 'a'));
+  assert.equal(volumineux.status, 413);
+});
+
+test('une correspondance CSV qui n\'est pas du JSON est refusée par la validation', async () => {
+  const csv = 'Intitulé;Échéance\nPrendre rendez-vous;2030-03-01\n';
+
+  const invalide = await importer('csv', 'taches.csv', csv, { correspondance: '{titre: Intitulé' });
+  assert.equal(invalide.status, 400);
+  assert.match(invalide.corps.error, /correspondance/);
+
+  const valide = await importer('csv', 'taches.csv', csv, {
+    correspondance: JSON.stringify({ titre: 'Intitulé', date_echeance: 'Échéance' }),
+  });
+  assert.equal(valide.status, 200);
+  assert.equal(valide.corps.data.lignes[0].date_echeance, '2030-03-01');
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests des pièces jointes sur le backend en mémoire : envoi et téléchargement,
+ * accès à la tâche vérifié avant la réception du fichier.
+ * @module test/piecesJointes
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3992, { STOCKAGE_TYPE: 'memoire', PIECE_JOINTE_TAILLE_MAX_MO: '1' });
+
+/** @type {import('child_process').ChildProcess} Processus du serveur */
+let processus;
+
+/** @type {string} Jeton JWT du propriétaire de la tâche */
+let jeton;
+
+/** @type {string} Jeton JWT d'un autre utilisateur */
+let jetonAutre;
+
+/** @type {string} UUID de la tâche du propriétaire */
+let tacheId;
+
+before(async () => {
+  ({ processus } = await serveur.demarrer());
+  jeton = await serveur.connecter('proprietaire@exemple.fr');
+  jetonAutre = await serveur.connecter('autre@exemple.fr');
+  const { corps } = await serveur.appeler('POST', '/taches', { jeton, corps: { titre: 'Déclarer les impôts' } });
+  tacheId = corps.data.tache.id;
+});
+
+after(async () => {
+  await serveur.arreter(processus);
+  serveur.nettoyer();
+});
+
+/**
+ * @function formulaire
+ * @description Corps multipart contenant un fichier texte dans le champ « fichier ».
+ * @param {string|Buffer} contenu - Contenu du fichier.
+ * @returns {FormData} Corps de la requête.
+ */
+const formulaire = (contenu) => {
+  const donnees = new FormData();
+  donnees.append('fichier', new Blob([contenu], { type: 'text/plain' }), 'avis.txt');
+  return donnees;
+};
+
+test('le propriétaire joint un fichier puis le télécharge', async () => {
+  const { status, corps } = await serveur.appeler('POST', `/taches/${tacheId}/pieces-jointes`, {
+    jeton,
+    formulaire: formulaire('Avis d\'imposition'),
+  });
+  assert.equal(status, 201);
+
+  const reponse = await fetch(`http://localhost:3992/api/taches/${tacheId}/pieces-jointes/${corps.data.piece_jointe.id}`, {
+    headers: { Authorization: `Bearer ${jeton}` },
+  });
+  assert.equal(reponse.status, 200);
+  assert.equal(await reponse.text(), 'Avis d\'imposition');
+});
+
+test('un envoi vers la tâche d\'un autre utilisateur est refusé avant la lecture du fichier', async () => {
+  const volumineux = Buffer.alloc(2 * 1024 * 1024, 'a');
+
+  const refuse = await serveur.appeler('POST', `/taches/${tacheId}/pieces-jointes`, {
+    jeton: jetonAutre,
+    formulaire: formulaire(volumineux),
+  });
+  assert.equal(refuse.status, 403);
+
+  const tropGros = await serveur.appeler('POST', `/taches/${tacheId}/pieces-jointes`, {
+    jeton,
+    formulaire: formulaire(volumineux),
+  });
+  assert.equal(tropGros.status, 413);
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests de la restauration d'une sauvegarde : références de série récurrente réécrites
+ * ou retirées, jamais rattachées à la série d'un autre compte.
+ * @module test/sauvegarde
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('node:crypto');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3995);
+
+/** @type {import('child_process').ChildProcess} Processus du serveur */
+let processus;
+
+before(async () => {
+  ({ processus } = await serveur.demarrer());
+});
+
+after(async () => {
+  await serveur.arreter(processus);
+  serveur.nettoyer();
+});
+
+/**
+ * @async
+ * @function exporter
+ * @description Sauvegarde (export JSON sans filtre) du compte.
+ * @param {string} jeton - Jeton JWT.
+ * @returns {Promise<Object>} Document de sauvegarde.
+ */
+const exporter = async (jeton) => {
+  const reponse = await fetch('http://localhost:3995/api/export?format=json', {
+    headers: { Authorization: `Bearer ${jeton}` },
+  });
+  return JSON.parse((await reponse.text()).replace(/^﻿/, ''));
+};
+
+/**
+ * @async
+ * @function restaurer
+ * @description Restaure une sauvegarde en fusion.
+ * @param {string} jeton - Jeton JWT.
+ * @param {Object} document - Document de sauvegarde.
+ * @returns {Promise<{status: number, corps: Object}>} Réponse de l'API.
+ */
+const restaurer = (jeton, document) => {
+  const formulaire = new FormData();
+  formulaire.append('fichier', new Blob([JSON.stringify(document)]), 'sauvegarde.json');
+  formulaire.append('mode', 'FUSION');
+  return serveur.appeler('POST', '/sauvegarde/restaurer', { jeton, formulaire });
+};
+
+test('une série absente de la sauvegarde et appartenant à un autre compte n\'est pas reprise', async () => {
+  const jetonAutre = await serveur.connecter('serie-autre@exemple.fr');
+  const { corps } = await serveur.appeler('POST', '/taches', {
+    jeton: jetonAutre,
+    corps: { titre: 'Sortir les poubelles', date_echeance: '2030-01-07', recurrence: 'FREQ=WEEKLY' },
+  });
+  const serieEtrangere = corps.data.tache.id;
+  await serveur.appeler('PATCH', `/taches/${serieEtrangere}`, { jeton: jetonAutre, corps: { statut: 'TERMINEE' } });
+
+  const jeton = await serveur.connecter('serie@exemple.fr');
+  const document = await exporter(jeton);
+  const [premiere, suivante, intruse] = [randomUUID(), randomUUID(), randomUUID()];
+  const dateCreation = new Date().toISOString();
+  document.taches.push(
+    { id: premiere, titre: 'Arroser le potager', date_creation: dateCreation, serie_id: premiere, occurrence: 1 },
+    { id: suivante, titre: 'Arroser le potager', date_creation: dateCreation, serie_id: premiere, occurrence: 2 },
+    { id: intruse, titre: 'Occurrence détournée', date_creation: dateCreation, serie_id: serieEtrangere, occurrence: 2 }
+  );
+
+  const { status } = await restaurer(jeton, document);
+  assert.equal(status, 201);
+
+  const serie = async (tacheId) => (await serveur.appeler('GET', `/taches/${tacheId}`, { jeton })).corps.data.tache.serie_id;
+  assert.equal(await serie(intruse), null);
+  assert.equal(await serie(premiere), premiere);
+  assert.equal(await serie(suivante), premiere);
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Outils des tests du serveur : API lancée dans un processus à part, sur une base SQLite
+ * et un dossier de pièces jointes temporaires, et appels HTTP authentifiés.
+ * @module test/serveur
+ */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+/**
+ * @function creerServeurTest
+ * @description Prépare un serveur de test avec son propre dossier temporaire.
+ * @param {number} port - Port d'écoute (un par fichier de test, les fichiers s'exécutant en parallèle).
+ * @param {Object} [env={}] - Variables d'environnement supplémentaires.
+ * @returns {Object} Fonctions demarrer, arreter, appeler, connecter et nettoyer.
+ */
+const creerServeurTest = (port, env = {}) => {
+  /** @type {string} Dossier temporaire de la base et des pièces jointes */
+  const dossier = fs.mkdtempSync(path.join(os.tmpdir(), 'taches-test-'));
+
+  /** @type {string} URL de l'API */
+  const api = `http://localhost:${port}/api`;
+
+  /**
+   * @async
+   * @function demarrer
+   * @description Lance le serveur et attend qu'il écoute.
+   * @returns {Promise<{processus: import('child_process').ChildProcess, sortie: () => string}>}
+   * Processus du serveur et lecture de sa sortie.
+   * @throws {Error} Si le serveur s'arrête ou n'écoute pas dans les 20 secondes.
+   */
+  const demarrer = () => new Promise((resolve, reject) => {
+    const processus = spawn(process.execPath, [path.resolve(__dirname, '../src/app.js')], {
+      env: {
+        ...process.env,
+        PORT: String(port),
+        DB_STORAGE: path.join(dossier, 'database.sqlite'),
+        STOCKAGE_DOSSIER: path.join(dossier, 'pieces-jointes'),
+        ...env,
+      },
+    });
+    let sortie = '';
+    const delai = setTimeout(() => {
+      processus.kill();
+      reject(new Error(`Le serveur n'a pas démarré :\n${sortie}`));
+    }, 20000);
+
+    const lire = (morceau) => {
+      sortie += morceau;
+      if (sortie.includes('[OK] Serveur démarré')) {
+        clearTimeout(delai);
+        resolve({ processus, sortie: () => sortie });
+      }
+    };
+    processus.stdout.on('data', lire);
+    processus.stderr.on('data', lire);
+    processus.on('exit', (code) => {
+      clearTimeout(delai);
+      reject(new Error(`Le serveur s'est arrêté (code ${code}) :\n${sortie}`));
+    });
+  });
+
+  /**
+   * @async
+   * @function arreter
+   * @description Arrête le serveur et attend la fin du processus.
+   * @param {import('child_process').ChildProcess} processus - Processus du serveur.
+   * @returns {Promise<void>}
+   */
+  const arreter = (processus) => new Promise((resolve) => {
+    processus.removeAllListeners('exit');
+    processus.on('exit', () => resolve());
+    processus.kill();
+  });
+
+  /**
+   * @async
+   * @function appeler
+   * @description Appelle l'API.
+   * @param {string} methode - Méthode HTTP.
+   * @param {string} chemin - Chemin sous /api.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.jeton] - Jeton JWT.
+   * @param {Object} [options.corps] - Corps JSON.
+   * @param {FormData} [options.formulaire] - Corps multipart.
+   * @returns {Promise<{status: number, corps: Object}>} Code HTTP et corps JSON de la réponse.
+   */
+  const appeler = async (methode, chemin, { jeton, corps, formulaire } = {}) => {
+    const reponse = await fetch(`${api}${chemin}`, {
+      method: methode,
+      headers: {
+        ...(corps ? { 'Content-Type': 'application/json' } : {}),
+        ...(jeton ? { Authorization: `Bearer ${jeton}` } : {}),
+      },
+      body: formulaire || (corps ? JSON.stringify(corps) : undefined),
+    });
+    return { status: reponse.status, corps: await reponse.json() };
+  };
+
+  /**
+   * @async
+   * @function connecter
+   * @description Crée le compte s'il n'existe pas encore et renvoie son jeton.
+   * @param {string} email - Email du compte.
+   * @returns {Promise<string>} Jeton JWT.
+   */
+  const connecter = async (email) => {
+    const identifiants = { email, mot_de_passe: 'secret1' };
+    await appeler('POST', '/auth/register', { corps: { ...identifiants, nom_affichage: 'Test' } });
+    const { corps } = await appeler('POST', '/auth/login', { corps: identifiants });
+    return corps.data.token;
+  };
+
+  /**
+   * @function nettoyer
+   * @description Supprime le dossier temporaire.
+   */
+  const nettoyer = () => fs.rmSync(dossier, { recursive: true, force: true });
+
+  return { demarrer, arreter, appeler, connecter, nettoyer };
+};
+
+module.exports = { creerServeurTest };
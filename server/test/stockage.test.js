@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests du contrat Stockage, exécutés sur chaque backend (local et mémoire).
+ * @module test/stockage
+ */
+
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { text } = require('node:stream/consumers');
+const StockageLocal = require('../src/storage/stockageLocal');
+const StockageMemoire = require('../src/storage/stockageMemoire');
+
+/** @type {string} Dossier temporaire du backend local */
+const dossier = fs.mkdtempSync(path.join(os.tmpdir(), 'taches-stockage-'));
+
+after(() => fs.rmSync(dossier, { recursive: true, force: true }));
+
+/**
+ * @constant {Object<string, function(): Stockage>} BACKENDS
+ * @description Backends testés, indexés par nom.
+ */
+const BACKENDS = {
+  local: () => new StockageLocal(dossier),
+  memoire: () => new StockageMemoire(),
+};
+
+for (const [nom, creer] of Object.entries(BACKENDS)) {
+  describe(`stockage ${nom}`, () => {
+    const stockage = creer();
+
+    test('relit le contenu enregistré', async () => {
+      await stockage.enregistrer('tache/lecture', Buffer.from('Compte rendu'));
+      assert.equal(await text(await stockage.lire('tache/lecture')), 'Compte rendu');
+    });
+
+    test('refuse une clé déjà utilisée sans écraser le contenu', async () => {
+      await stockage.enregistrer('tache/doublon', Buffer.from('premier'));
+      await assert.rejects(stockage.enregistrer('tache/doublon', Buffer.from('second')));
+      assert.equal(await text(await stockage.lire('tache/doublon')), 'premier');
+    });
+
+    test('renvoie null pour une clé absente', async () => {
+      assert.equal(await stockage.lire('tache/absente'), null);
+    });
+
+    test('supprime un fichier, sans erreur s\'il est déjà absent', async () => {
+      await stockage.enregistrer('tache/suppression', Buffer.from('à effacer'));
+      await stockage.supprimer('tache/suppression');
+      assert.equal(await stockage.lire('tache/suppression'), null);
+      await stockage.supprimer('tache/suppression');
+    });
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tests de la restauration d'une version de tâche : état remis sans les effets de bord
+ * d'un changement de statut, liste de la version placée dans la corbeille.
+ * @module test/versions
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { creerServeurTest } = require('./serveur');
+
+const serveur = creerServeurTest(3991);
+
+/** @type {import('child_process').ChildProcess} Processus du serveur */
+let processus;
+
+/** @type {string} Jeton JWT de l'utilisateur du test */
+let jeton;
+
+before(async () => {
+  ({ processus } = await serveur.demarrer());
+  jeton = await serveur.connecter('versions@exemple.fr');
+});
+
+after(async () => {
+  await serveur.arreter(processus);
+  serveur.nettoyer();
+});
+
+/**
+ * @async
+ * @function appeler
+ * @description Appelle l'API avec le jeton du test et renvoie le corps de la réponse.
+ * @param {string} methode - Méthode HTTP.
+ * @param {string} chemin - Chemin sous /api.
+ * @param {Object} [corps] - Corps JSON.
+ * @returns {Promise<Object>} Réponse de l'API.
+ */
+const appeler = async (methode, chemin, corps) => (await serveur.appeler(methode, chemin, { jeton, corps })).corps;
+
+/**
+ * @async
+ * @function versionOu
+ * @description Version la plus récente d'une tâche dont l'instantané vérifie une condition.
+ * @param {string} tacheId - UUID de la tâche.
+ * @param {Function} condition - Condition sur l'instantané.
+ * @returns {Promise<Object>} Version trouvée.
+ */
+const versionOu = async (tacheId, condition) => {
+  const { data: { versions } } = await appeler('GET', `/taches/${tacheId}/versions`);
+  return versions.find((version) => condition(version.instantane));
+};
+
+test('restaurer une version terminée ne termine pas les sous-tâches ni ne crée d\'occurrence', async () => {
+  const { data: { tache } } = await appeler('POST', '/taches', {
+    titre: 'Arroser les plantes',
+    date_echeance: '2030-01-07',
+    recurrence: 'FREQ=WEEKLY',
+  });
+  const { data: { tache: sousTache } } = await appeler('POST', `/taches/${tache.id}/sous-taches`, { titre: 'Balcon' });
+
+  /** Terminer (sous-tâche terminée, occurrence suivante créée) puis rouvrir */
+  await appeler('PATCH', `/taches/${tache.id}`, { statut: 'TERMINEE' });
+  await appeler('PATCH', `/taches/${tache.id}`, { statut: 'A_FAIRE' });
+  await appeler('PATCH', `/taches/${sousTache.id}`, { statut: 'A_FAIRE' });
+  const { data: { taches } } = await appeler('GET', '/taches?limit=100');
+  const suivante = taches.find((autre) => autre.id !== tache.id && autre.titre === 'Arroser les plantes');
+  await appeler('DELETE', `/taches/${suivante.id}`);
+
+  const version = await versionOu(tache.id, (instantane) => instantane.statut === 'TERMINEE');
+  const reponse = await appeler('POST', `/taches/${tache.id}/restaurer`, { version_id: version.id });
+
+  assert.equal(reponse.data.tache.statut, 'TERMINEE');
+  assert.deepEqual(reponse.data.avertissements, []);
+  const { data: { sous_taches: sousTaches } } = await appeler('GET', `/taches/${tache.id}/sous-taches`);
+  assert.equal(sousTaches[0].statut, 'A_FAIRE');
+  const { data: { taches: apres } } = await appeler('GET', '/taches?limit=100');
+  assert.equal(apres.filter((autre) => autre.titre === 'Arroser les plantes').length, 1);
+});
+
+test('restaurer une version dont la liste est dans la corbeille restaure la tâche sans liste', async () => {
+  const { data: { liste } } = await appeler('POST', '/listes', { nom: 'Jardin' });
+  const { data: { tache } } = await appeler('POST', '/taches', { titre: 'Tailler la haie', liste_id: liste.id });
+  await appeler('PATCH', `/taches/${tache.id}`, { liste_id: null });
+  await appeler('DELETE', `/listes/${liste.id}`);
+
+  const version = await versionOu(tache.id, (instantane) => instantane.liste_id === liste.id);
+  const { status, corps } = await serveur.appeler('POST', `/taches/${tache.id}/restaurer`, {
+    jeton,
+    corps: { version_id: version.id },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(corps.data.tache.liste_id, null);
+  assert.equal(corps.data.avertissements.length, 1);
+  assert.match(corps.data.avertissements[0], /Jardin/);
+});